@@ -8,14 +8,16 @@ define( [
 	'Observable',
 	'gui/util/Css',
 	'gui/util/Html',
+	'gui/util/ResizeMonitor',
 	'gui/Mask',
 	'gui/anim/Animation',
 	'gui/plugin/Plugin',
 	'gui/template/Template',
 	'gui/template/LoDash',
-	'gui/ComponentManager'   // circular dependency. used via require() call in code below
+	'gui/ComponentManager',  // circular dependency. used via require() call in code below
+	'gui/ComponentQuery'     // circular dependency. used via require() call in code below
 ],
-function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation, Plugin, Template, LoDashTpl ) {
+function( require, jQuery, _, Class, Gui, Observable, Css, Html, ResizeMonitor, Mask, Animation, Plugin, Template, LoDashTpl ) {
 
 	/**
 	 * @class gui.Component
@@ -297,6 +299,28 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 		 */
 		masked : false,
 		
+		/**
+		 * @cfg {Boolean} monitorResize
+		 * 
+		 * `true` to watch the Component's {@link #$el element} for changes in its size which are not caused by a layout, such
+		 * as from new content being added with {@link #update}, or an image inside of the Component loading. When the size
+		 * changes, the layout of the Component's {@link #parentContainer} is updated with {@link #updateLayout}, so that its 
+		 * sibling components are sized and positioned for the Component's new size.
+		 * 
+		 * This uses a `ResizeObserver` in browsers that support it, and otherwise falls back to polling the element's size
+		 * (see {@link gui.util.ResizeMonitor}). As polling has a cost, this should only be enabled on Components whose size
+		 * is expected to change on its own.
+		 */
+		monitorResize : false,
+		
+		/**
+		 * @cfg {Number} monitorResizeBuffer
+		 * 
+		 * When {@link #monitorResize} is true, the number of milliseconds to wait after a change in the Component's size 
+		 * before updating the layout. Multiple changes in size within this time result in a single layout update.
+		 */
+		monitorResizeBuffer : 100,
+		
 		
 		/**
 		 * @cfg {gui.plugin.Plugin/gui.plugin.Plugin[]} plugins
@@ -418,6 +442,15 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 		 */
 		deferMaskShow : false,
 		
+		/**
+		 * @private
+		 * @property {gui.util.ResizeMonitor} resizeMonitor
+		 * 
+		 * The ResizeMonitor which watches the Component's {@link #$el element} for changes in size, if the 
+		 * {@link #monitorResize} config is true. Created when the Component is rendered.
+		 */
+		resizeMonitor : null,
+		
 		/**
 		 * @private
 		 * @property {gui.Mask} _mask
@@ -838,6 +871,14 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 				if( !options.deferLayout ) {
 					this.doLayout();
 				}
+				
+				// Start watching the Component's element for changes in size, if configured to do so
+				if( this.monitorResize ) {
+					this.resizeMonitor = new ResizeMonitor( {
+						el      : this.$el[ 0 ],
+						handler : _.debounce( _.bind( this.onElResize, this ), this.monitorResizeBuffer )
+					} );
+				}
 			}
 		},
 		
@@ -1007,6 +1048,8 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 			
 			// Simply call the hook method to allow subclasses to participate in the Component being laid out, and fire the event.
 			this.onComponentLayout();
+			
+			this.syncResizeMonitor();
 		},
 		
 		
@@ -1030,6 +1073,39 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 		onComponentLayout : Gui.emptyFn,
 		
 		
+		/**
+		 * Records the current size of the Component's element with its {@link #resizeMonitor} (if it has one), so that a
+		 * change in size caused by a layout does not itself trigger a layout update. This is called when the Component has 
+		 * been laid out.
+		 * 
+		 * @protected
+		 */
+		syncResizeMonitor : function() {
+			if( this.resizeMonitor ) {
+				this.resizeMonitor.sync();
+			}
+		},
+		
+		
+		/**
+		 * Handles a change in the size of the Component's element when the {@link #monitorResize} config is true, by
+		 * running the layout of the nearest ancestor {@link gui.Container Container} which owns a layout. Only that
+		 * Container (and its descendants) are laid out, rather than the whole hierarchy (as {@link #updateLayout} does).
+		 * If no ancestor has a layout, the Component's own layout is run.
+		 * 
+		 * @protected
+		 */
+		onElResize : function() {
+			if( this.destroyed ) return;  // the buffered handler may run after the Component has been destroyed
+			
+			var layoutOwner = this.parentContainer;
+			while( layoutOwner && !layoutOwner.layout ) {
+				layoutOwner = layoutOwner.parentContainer;
+			}
+			( layoutOwner || this ).doLayout();
+		},
+		
+		
 		/**
 		 * When called on the Component, this method bubbles up to the top of the {@link gui.Container Container}/Component hierarchy,
 		 * and runs {@link #doLayout} on the top-most component. This has the effect of re-doing the layout for all Containers/Components
@@ -1994,6 +2070,78 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 		},
 		
 		
+		/**
+		 * Finds the closest {@link gui.Container Container} above this Component which matches the given {@link gui.ComponentQuery ComponentQuery}
+		 * `selector`. If no `selector` is provided, this method simply returns the {@link #parentContainer}. Example:
+		 * 
+		 *     var tabPanel = myPanel.up( 'tabpanel' );
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the ancestor Container against.
+		 * @return {gui.Container} The first ancestor Container which matches the `selector`, or `null` if none was found.
+		 */
+		up : function( selector ) {
+			var ComponentQuery = require( 'gui/ComponentQuery' );
+			
+			for( var p = this.parentContainer; p && selector && !ComponentQuery.is( p, selector ); p = p.parentContainer );  // intentional semicolon, loop does the work
+			return p || null;
+		},
+		
+		
+		/**
+		 * Finds the next sibling of this Component (i.e. a Component after this one, in the same {@link #parentContainer}) which
+		 * matches the given {@link gui.ComponentQuery ComponentQuery} `selector`. If no `selector` is provided, this method returns 
+		 * the Component immediately after this one.
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the sibling against.
+		 * @return {gui.Component} The next sibling which matches the `selector`, or `null` if none was found (or this Component
+		 *   has no {@link #parentContainer}).
+		 */
+		nextSibling : function( selector ) {
+			return this.findSibling( selector, /* direction */ 1 );
+		},
+		
+		
+		/**
+		 * Finds the previous sibling of this Component (i.e. a Component before this one, in the same {@link #parentContainer}) 
+		 * which matches the given {@link gui.ComponentQuery ComponentQuery} `selector`. If no `selector` is provided, this method 
+		 * returns the Component immediately before this one.
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the sibling against.
+		 * @return {gui.Component} The previous sibling which matches the `selector`, or `null` if none was found (or this Component
+		 *   has no {@link #parentContainer}).
+		 */
+		previousSibling : function( selector ) {
+			return this.findSibling( selector, /* direction */ -1 );
+		},
+		
+		
+		/**
+		 * Implements {@link #nextSibling} and {@link #previousSibling}, by walking the {@link #parentContainer parentContainer's}
+		 * items in the given `direction`, starting from this Component.
+		 * 
+		 * @private
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the sibling against.
+		 * @param {Number} direction 1 to find the next sibling, or -1 to find the previous sibling.
+		 * @return {gui.Component} The sibling which matches the `selector`, or `null` if none was found.
+		 */
+		findSibling : function( selector, direction ) {
+			var parentContainer = this.parentContainer;
+			if( !parentContainer ) {
+				return null;
+			}
+			
+			var ComponentQuery = require( 'gui/ComponentQuery' ),
+			    siblings = parentContainer.getItems();
+			
+			for( var i = parentContainer.getItemIndex( this ) + direction, len = siblings.length; i >= 0 && i < len; i += direction ) {
+				if( !selector || ComponentQuery.is( siblings[ i ], selector ) ) {
+					return siblings[ i ];
+				}
+			}
+			return null;
+		},
+		
+		
 		/**
 		 * Determines if this Component is a descendent of the provided `container`.
 		 * 
@@ -2031,6 +2179,12 @@ function( require, jQuery, _, Class, Gui, Observable, Css, Html, Mask, Animation
 					this.currentAnimation.end();
 				}
 				
+				// Stop watching the Component's element for changes in size
+				if( this.resizeMonitor ) {
+					this.resizeMonitor.destroy();
+					this.resizeMonitor = null;
+				}
+				
 				// Destroy the mask, if it is an instantiated gui.Mask object (it may not be if the mask was never used)
 				if( this._mask instanceof Mask ) {
 					this._mask.destroy();
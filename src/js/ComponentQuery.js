@@ -1,30 +1,136 @@
 /*global define */
 define( [
+	'require',
 	'lodash',
 	'Class',
-	'gui/Container',
-	'gui/ComponentManager'
-], function( _, Class, Container, ComponentManager ) {
+	'gui/ComponentManager'  // circular dependency (through gui.Component). used via require() call in code below
+], function( require, _, Class ) {
 	
 	/**
 	 * @class gui.ComponentQuery
 	 * @extends Object
 	 * @singleton
 	 * 
-	 * Singleton class which implements a simple querying mechanism in order to find components.
+	 * Singleton class which implements a CSS-like querying mechanism in order to find components.
 	 * 
-	 * At this time, the selectors that are available are limited to:
+	 * A selector is made up of one or more *simple selectors*, which may be combined into a *compound selector* by writing
+	 * them one after the other (with no whitespace between them). The simple selectors that are available are:
 	 * 
-	 * - **id** : For referencing a Component by {@link gui.Component#id}. Example: "#myComponent".
 	 * - **type** : For referencing one or more Components by their string 'type' name. Example: "button" would
 	 *   find all {@link gui.button.Button} instances, and any subclasses of Button instances. It will also find
-	 *   instances which implementing the type name as a mixin.
+	 *   instances which implementing the type name as a mixin. The universal selector, "*", matches any Component.
+	 *   If a type selector is used in a compound selector, it must come first.
+	 * - **id** : For referencing a Component by {@link gui.Component#id}. Example: "#myComponent".
+	 * - **attribute** : For referencing Components by the value of one of their properties. Example: "button[disabled=true]".
+	 *   The property value is converted to a string for comparison. The available forms are:
+	 *   - `[name]` : The property is defined (i.e. not `undefined` or `null`).
+	 *   - `[name=value]` : The property is equal to `value`.
+	 *   - `[name!=value]` : The property is not equal to `value`.
+	 *   - `[name^=value]` : The property starts with `value`.
+	 *   - `[name$=value]` : The property ends with `value`.
+	 *   - `[name*=value]` : The property contains `value`.
+	 *   
+	 *   The value may optionally be wrapped in single or double quotes, which is needed if it contains whitespace or a
+	 *   closing square bracket. Example: `[title="My Panel"]`.
+	 * - **pseudo-class** : For referencing Components by their state. Example: "panel:visible". The built-in pseudo-classes are:
+	 *   - `:first` : The Component is the first child of its {@link gui.Component#parentContainer parent Container}. 
+	 *   - `:last` : The Component is the last child of its {@link gui.Component#parentContainer parent Container}.
+	 *   - `:visible` : The Component is visible in the DOM (see {@link gui.Component#isVisible}, with the `checkDom` argument).
+	 *   - `:hidden` : The Component is hidden, or not visible in the DOM. The opposite of `:visible`.
+	 *   - `:rendered` : The Component has been {@link gui.Component#isRendered rendered}.
+	 *   
+	 *   A Component that does not have a parent Container is considered both the `:first` and `:last` Component. Additional
+	 *   pseudo-classes may be added with {@link #registerPseudo}.
+	 * 
+	 * Compound selectors may then be combined to reference Components based on their position in the Container/Component
+	 * hierarchy:
+	 * 
+	 * - **descendant** (whitespace) : "panel textfield" finds all {@link gui.form.field.Text TextFields} which are at any 
+	 *   level under a {@link gui.panel.Panel Panel}.
+	 * - **child** (`>`) : "tabpanel > panel" finds all {@link gui.panel.Panel Panels} which are direct children of a 
+	 *   {@link gui.tab.Panel TabPanel}.
 	 * 
-	 * No child or descendant selectors are available yet at this time, but this class will be extended to do
-	 * so in the near future.
+	 * Finally, multiple selectors may be separated by commas to find the Components that match *any* of them. Example:
+	 * "button, textfield[inputName^=addr]".
+	 * 
+	 * Note that when a selector includes a descendant or child combinator, the ancestor Components are not restricted to
+	 * the Components provided as the `context` of a {@link #query}. This is the same behavior as the DOM's `querySelectorAll()`
+	 * method, and allows for a {@link gui.app.Controller} to select Components under its {@link gui.app.Controller#view view}
+	 * based on the view itself. For example, a Controller with a view of a {@link gui.panel.Panel} may use a selector of 
+	 * "panel > button" to reference the Buttons directly under it.
 	 */
 	var ComponentQuery = Class.extend( Object, {
 		
+		/**
+		 * @private
+		 * @property {Object} pseudos
+		 * 
+		 * An Object (map) of the pseudo-class names to the functions which determine if a Component matches them.
+		 * Each function is passed the Component to test, and should return `true` if the Component matches the
+		 * pseudo-class, or `false` otherwise. Additional pseudo-classes may be added with {@link #registerPseudo}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} selectorCache
+		 * 
+		 * An Object (map) of the selector strings which have been {@link #parseSelector parsed}, to their parsed
+		 * representation. Selectors are usually run many times (such as the selectors that a {@link gui.app.Controller}
+		 * listens to events with), so they are only parsed once.
+		 */
+		
+		
+		/**
+		 * @constructor
+		 */
+		constructor : function() {
+			this.selectorCache = {};
+			
+			this.pseudos = {
+				first : function( component ) {
+					var parentContainer = component.getParentContainer();
+					return !parentContainer || parentContainer.getItemIndex( component ) === 0;
+				},
+				
+				last : function( component ) {
+					var parentContainer = component.getParentContainer();
+					return !parentContainer || parentContainer.getItemIndex( component ) === parentContainer.getCount() - 1;
+				},
+				
+				visible : function( component ) {
+					return component.isVisible( /* checkDom */ true );
+				},
+				
+				hidden : function( component ) {
+					return component.isHidden( /* checkDom */ true );
+				},
+				
+				rendered : function( component ) {
+					return component.isRendered();
+				}
+			};
+		},
+		
+		
+		/**
+		 * Registers a pseudo-class which may then be used in selectors. For example:
+		 * 
+		 *     ComponentQuery.registerPseudo( 'masked', function( component ) {
+		 *         return component.isMasked();
+		 *     } );
+		 *     
+		 *     ComponentQuery.query( 'panel:masked', viewport );  // finds all Panels which are currently masked
+		 * 
+		 * @param {String} name The name of the pseudo-class, without the leading colon.
+		 * @param {Function} fn The function which determines if a Component matches the pseudo-class. This function
+		 *   is passed the following argument, and should return `true` if the Component matches the pseudo-class:
+		 * @param {gui.Component} fn.component The Component to test.
+		 */
+		registerPseudo : function( name, fn ) {
+			this.pseudos[ name ] = fn;
+		},
+		
+		
 		/**
 		 * Queries for components in the `context` array of components, using the `selector`. Returns the array of matching
 		 * components. See the description of this class for valid selectors.
@@ -34,6 +140,8 @@ define( [
 		 *   or more of the components match the selector, they will be included. Components that are 
 		 *   {@link gui.Container Containers} will be recursively queried to determine if their descendant 
 		 *   components match the `selector` as well.
+		 * @return {gui.Component[]} The unique set of Components that matched the selector, in the order that they
+		 *   appear in the Container/Component hierarchy.
 		 */
 		query : function( selector, context ) {
 			context = [].concat( context );  // normalize to array
@@ -43,7 +151,7 @@ define( [
 			
 			// Compile the working set of components
 			for( i = 0, len = context.length; i < len; i++ ) {
-				if( context[ i ] instanceof Container ) {
+				if( this.isContainer( context[ i ] ) ) {
 					workingSet.push.apply( workingSet, this.getDescendants( context[ i ] ) );
 				}
 			}
@@ -75,11 +183,14 @@ define( [
 		 * @return {gui.Component[]} The unique set of Components that matched the selector. Duplicates are removed.
 		 */
 		filterBySelector : function( components, selector ) {
-			if( selector.charAt( 0 ) === '#' ) {  // ID selector
-				components = this.filterById( components, selector.substr( 1 ) );
-			} else {
-				components = this.filterByType( components, selector );
-			}
+			var selectorGroups = this.parseSelector( selector ),
+			    me = this;  // for closure
+			
+			components = _.filter( components, function( component ) {
+				return _.some( selectorGroups, function( compoundSelectors ) {
+					return me.matchesCompoundSelectors( component, compoundSelectors, compoundSelectors.length - 1 );
+				} );
+			} );
 			return _.unique( components );  // return only the unique set of components (i.e. duplicates removed)
 		},
 		
@@ -116,6 +227,8 @@ define( [
 		 * @return {gui.Component[]} The filtered array of components.
 		 */
 		filterByType : function( components, type ) {
+			var ComponentManager = require( 'gui/ComponentManager' );
+			
 			if( !ComponentManager.hasType( type ) ) {
 				return [];
 				
@@ -144,11 +257,266 @@ define( [
 				var item = items[ i ];
 				
 				result.push( item );
-				if( item instanceof Container ) {
+				if( this.isContainer( item ) ) {
 					result.push.apply( result, this.getDescendants( item ) );
 				}
 			}
 			return result;
+		},
+		
+		
+		/**
+		 * Determines if the given `component` is a {@link gui.Container Container}. 
+		 * 
+		 * The Container class is resolved through the {@link gui.ComponentManager ComponentManager} (instead of being a 
+		 * dependency of this class), as gui.Component and gui.Container use this class to implement their traversal 
+		 * methods, and would otherwise form a circular dependency. If the Container class has not been loaded, then no 
+		 * Component could be a Container.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component
+		 * @return {Boolean} `true` if the `component` is a {@link gui.Container Container}, `false` otherwise.
+		 */
+		isContainer : function( component ) {
+			var ComponentManager = require( 'gui/ComponentManager' );
+			return ComponentManager.hasType( 'container' ) && component instanceof ComponentManager.getType( 'container' );
+		},
+		
+		
+		// -----------------------------------
+		
+		// Selector Parsing and Matching
+		
+		
+		/**
+		 * Parses a selector string into its selector groups (which were separated by commas in the `selector`). Each
+		 * group is an array of the compound selectors that make it up, in left-to-right order. Each compound selector
+		 * is an Object with the following properties:
+		 * 
+		 * - **type** (String) : The type name to match, '*' for the universal selector, or `null` if none was specified.
+		 * - **id** (String) : The id to match, or `null` if none was specified.
+		 * - **attributes** (Object[]) : The attribute selectors to match. Each has the properties `name`, `operator`, 
+		 *   and `value`. `operator` and `value` are `null` for an attribute selector that tests only for the presence
+		 *   of the property.
+		 * - **pseudos** (String[]) : The names of the pseudo-classes to match.
+		 * - **combinator** (String) : The combinator which relates this compound selector to the previous one in the group: 
+		 *   ' ' for a descendant, or '>' for a child. This is `null` for the first compound selector in a group.
+		 * 
+		 * Parsed selectors are cached, so parsing the same selector string multiple times returns the same result.
+		 * 
+		 * @protected
+		 * @param {String} selector The selector string to parse.
+		 * @return {Object[][]} The array of selector groups, where each is an array of compound selector Objects.
+		 * @throws {Error} If the `selector` is not a valid selector.
+		 */
+		parseSelector : function( selector ) {
+			var selectorCache = this.selectorCache;
+			if( selectorCache.hasOwnProperty( selector ) ) {
+				return selectorCache[ selector ];
+			}
+			
+			var commaRe = /^\s*,\s*/,
+			    childRe = /^\s*>\s*/,
+			    descendantRe = /^\s+/,
+			    typeRe = /^(\*|[\w\-]+)/,
+			    idRe = /^#([\w\-]+)/,
+			    attributeRe = /^\[\s*([\w\-]+)\s*(?:(=|!=|\^=|\$=|\*=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*))\s*)?\]/,
+			    pseudoRe = /^:([\w\-]+)/;
+			
+			var remaining = selector.replace( /^\s+|\s+$/g, '' ),  // trim
+			    selectorGroups = [],
+			    compoundSelectors = [],
+			    compoundSelector = null,
+			    combinator = null,
+			    match;
+			
+			var throwError = function( message ) {
+				throw new Error( "Invalid ComponentQuery selector '" + selector + "': " + message );
+			};
+			
+			// Retrieves the current compound selector, creating it if one is not yet in progress
+			var getCompoundSelector = function() {
+				if( !compoundSelector ) {
+					compoundSelector = { type: null, id: null, attributes: [], pseudos: [], combinator: combinator };
+					combinator = null;
+				}
+				return compoundSelector;
+			};
+			
+			// Completes the current compound selector when a combinator or comma is reached
+			var endCompoundSelector = function() {
+				if( !compoundSelector ) {
+					throwError( ( remaining ) ? "expected a selector before '" + remaining.charAt( 0 ) + "'" : "unexpected end of selector" );
+				}
+				compoundSelectors.push( compoundSelector );
+				compoundSelector = null;
+			};
+			
+			while( remaining.length > 0 ) {
+				if( ( match = commaRe.exec( remaining ) ) ) {
+					endCompoundSelector();
+					selectorGroups.push( compoundSelectors );
+					compoundSelectors = [];
+					
+				} else if( ( match = childRe.exec( remaining ) ) ) {
+					endCompoundSelector();
+					combinator = '>';
+					
+				} else if( ( match = descendantRe.exec( remaining ) ) ) {
+					endCompoundSelector();
+					combinator = ' ';
+					
+				} else if( ( match = typeRe.exec( remaining ) ) ) {
+					if( compoundSelector ) {
+						throwError( "a type selector ('" + match[ 1 ] + "') must be the first part of a compound selector" );
+					}
+					getCompoundSelector().type = match[ 1 ];
+					
+				} else if( ( match = idRe.exec( remaining ) ) ) {
+					getCompoundSelector().id = match[ 1 ];
+					
+				} else if( ( match = attributeRe.exec( remaining ) ) ) {
+					var operator = match[ 2 ] || null,
+					    value = ( operator ) ? ( match[ 3 ] || match[ 4 ] || match[ 5 ] || "" ) : null;  // double quoted, single quoted, or unquoted value
+					
+					getCompoundSelector().attributes.push( { name: match[ 1 ], operator: operator, value: value } );
+					
+				} else if( ( match = pseudoRe.exec( remaining ) ) ) {
+					if( !this.pseudos.hasOwnProperty( match[ 1 ] ) ) {
+						throwError( "unknown pseudo-class ':" + match[ 1 ] + "'" );
+					}
+					getCompoundSelector().pseudos.push( match[ 1 ] );
+					
+				} else {
+					throwError( "unexpected character '" + remaining.charAt( 0 ) + "'" );
+				}
+				
+				remaining = remaining.substr( match[ 0 ].length );
+			}
+			
+			// Complete the final compound selector and selector group. Note: an empty selector will throw an error here
+			// as well, as there is no compound selector in progress.
+			endCompoundSelector();
+			selectorGroups.push( compoundSelectors );
+			
+			return ( selectorCache[ selector ] = selectorGroups );
+		},
+		
+		
+		/**
+		 * Determines if a `component` matches a selector group, starting from the compound selector at the given
+		 * `index`, and then working leftward through the group for the ancestors of the `component` (based on
+		 * each compound selector's combinator).
+		 * 
+		 * @protected
+		 * @param {gui.Component} component The Component to test.
+		 * @param {Object[]} compoundSelectors The compound selectors of a selector group. See {@link #parseSelector}.
+		 * @param {Number} index The index of the compound selector in `compoundSelectors` to test the `component` against.
+		 * @return {Boolean} `true` if the `component` matches, `false` otherwise.
+		 */
+		matchesCompoundSelectors : function( component, compoundSelectors, index ) {
+			var compoundSelector = compoundSelectors[ index ];
+			
+			if( !this.matchesCompoundSelector( component, compoundSelector ) ) {
+				return false;
+			} else if( index === 0 ) {
+				return true;  // matched all compound selectors in the group
+			}
+			
+			var ancestor = component.getParentContainer();
+			if( compoundSelector.combinator === '>' ) {
+				return !!ancestor && this.matchesCompoundSelectors( ancestor, compoundSelectors, index - 1 );
+				
+			} else {  // descendant combinator: any ancestor may match the rest of the group
+				for( ; ancestor; ancestor = ancestor.getParentContainer() ) {
+					if( this.matchesCompoundSelectors( ancestor, compoundSelectors, index - 1 ) ) {
+						return true;
+					}
+				}
+				return false;
+			}
+		},
+		
+		
+		/**
+		 * Determines if a `component` matches a single compound selector (i.e. all of its type, id, attribute, and 
+		 * pseudo-class selectors).
+		 * 
+		 * @protected
+		 * @param {gui.Component} component The Component to test.
+		 * @param {Object} compoundSelector The compound selector. See {@link #parseSelector}.
+		 * @return {Boolean} `true` if the `component` matches, `false` otherwise.
+		 */
+		matchesCompoundSelector : function( component, compoundSelector ) {
+			var type = compoundSelector.type,
+			    id = compoundSelector.id,
+			    attributes = compoundSelector.attributes,
+			    pseudos = compoundSelector.pseudos,
+			    i, len;
+			
+			if( type && type !== '*' && !this.isOfType( component, type ) ) {
+				return false;
+			}
+			if( id !== null && component.getId() !== id ) {
+				return false;
+			}
+			for( i = 0, len = attributes.length; i < len; i++ ) {
+				if( !this.matchesAttribute( component, attributes[ i ] ) ) {
+					return false;
+				}
+			}
+			for( i = 0, len = pseudos.length; i < len; i++ ) {
+				if( !this.pseudos[ pseudos[ i ] ]( component ) ) {
+					return false;
+				}
+			}
+			return true;
+		},
+		
+		
+		/**
+		 * Determines if a `component` is of the given `type`. See {@link #filterByType} for details on how a type
+		 * name is resolved, and for why an unregistered type name simply doesn't match.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component The Component to test.
+		 * @param {String} type The component `type` name.
+		 * @return {Boolean} `true` if the `component` is an instance of the `type`, `false` otherwise.
+		 */
+		isOfType : function( component, type ) {
+			var ComponentManager = require( 'gui/ComponentManager' );
+			return ComponentManager.hasType( type ) && Class.isInstanceOf( component, ComponentManager.getType( type ) );
+		},
+		
+		
+		/**
+		 * Determines if a `component` matches an attribute selector. The `component`'s property value is converted to 
+		 * a string for comparison. A property which is `undefined` or `null` only matches the `!=` operator.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component The Component to test.
+		 * @param {Object} attribute The attribute selector, with properties `name`, `operator`, and `value`. See
+		 *   {@link #parseSelector}.
+		 * @return {Boolean} `true` if the `component` matches, `false` otherwise.
+		 */
+		matchesAttribute : function( component, attribute ) {
+			var propValue = component[ attribute.name ],
+			    operator = attribute.operator,
+			    value = attribute.value;
+			
+			if( propValue === undefined || propValue === null ) {
+				return ( operator === '!=' );
+			}
+			
+			propValue = String( propValue );
+			switch( operator ) {
+				case null : return true;  // presence of the property only
+				case '='  : return propValue === value;
+				case '!=' : return propValue !== value;
+				case '^=' : return value !== '' && propValue.indexOf( value ) === 0;
+				case '$=' : return value !== '' && propValue.length >= value.length && propValue.lastIndexOf( value ) === propValue.length - value.length;
+				case '*=' : return value !== '' && propValue.indexOf( value ) !== -1;
+			}
 		}
 		
 	} );
@@ -157,4 +525,4 @@ define( [
 	// Return singleton instance
 	return new ComponentQuery();
 	
-} );
\ No newline at end of file
+} );
@@ -6,9 +6,10 @@ define( [
 	'gui/Gui',
 	'gui/ComponentManager',
 	'gui/Component',
+	'gui/ComponentQuery',
 	'gui/layout/Layout',   // circular dependency, used with require() call
 	'gui/layout/Auto'      // circular dependency, used with require() call
-], function( require, _, Class, Gui, ComponentManager, Component ) {
+], function( require, _, Class, Gui, ComponentManager, Component, ComponentQuery ) {
 
 	/**
 	 * @class gui.Container
@@ -744,10 +745,21 @@ define( [
 		 * Note that a layout can only be done if the Container is rendered and visible. This method will automatically
 		 * be run when the Container's {@link #method-render} method runs. If the Container isn' visible when this method is called,
 		 * the layout will be deferred until the {@link #method-show} method is called.
+		 * 
+		 * If layouts are currently suspended (see {@link gui.Gui#suspendLayouts} and {@link #batchLayout}), the Container is
+		 * instead queued to be laid out when layouts are resumed.
 		 *
 		 * @method doLayout
 		 */
 		doLayout : function() {
+			if( Gui.isLayoutSuspended() ) {
+				Gui.queueLayout( this );
+				return;
+			}
+			
+			// This layout satisfies any layout that was queued for the Container
+			Gui.dequeueLayout( this );
+			
 			// Run the superclass's (gui.Component's) layout functionality first
 			this._super( arguments );
 			
@@ -769,11 +781,50 @@ define( [
 	
 				// Run the template method after layout has been executed, and fire the afterlayout event
 				this.onLayout();
+				this.syncResizeMonitor();  // the layout of the child components may have changed the Container's size
 				this.fireEvent( 'afterlayout', this );
 			}
 		},
 		
 		
+		/**
+		 * Requests a layout of the Container, which is run on the next animation frame (or when layouts are resumed, if 
+		 * they are currently {@link gui.Gui#suspendLayouts suspended}). Multiple requests made before then result in a
+		 * single layout, and a Container's layout is not run separately if an ancestor Container is also laid out. Use this
+		 * instead of {@link #doLayout} when the layout does not need to be run synchronously.
+		 * 
+		 * See {@link gui.Gui#flushLayouts} to run any requested layouts immediately.
+		 */
+		requestLayout : function() {
+			Gui.queueLayout( this );
+		},
+		
+		
+		/**
+		 * Runs a function with layouts {@link gui.Gui#suspendLayouts suspended}, so that any number of changes may be made
+		 * to this Container (and to any other Container) with only a single layout of each affected Container being run 
+		 * afterwards. Ex:
+		 * 
+		 *     container.batchLayout( function() {
+		 *         container.add( { type: 'label', text: "Name:" } );
+		 *         container.add( { type: 'textfield' } );
+		 *         container.remove( oldField );
+		 *     } );  // the container is laid out once, here
+		 * 
+		 * @param {Function} fn The function to run.
+		 * @param {Object} [scope=this] The scope (`this` reference) to run the function in. Defaults to this Container.
+		 * @return {Mixed} The return value of `fn`.
+		 */
+		batchLayout : function( fn, scope ) {
+			Gui.suspendLayouts();
+			try {
+				return fn.call( scope || this );
+			} finally {
+				Gui.resumeLayouts();
+			}
+		},
+		
+		
 		/**
 		 * Hook method that is executed just before the {@link #layout layout's} {@link gui.layout.Layout#doLayout doLayout}
 		 * method is executed to run the layout.
@@ -987,6 +1038,53 @@ define( [
 		},
 	
 	
+		/**
+		 * Finds all of the {@link gui.Component Components} under this Container at any level which match the given 
+		 * {@link gui.ComponentQuery ComponentQuery} `selector`. This Container itself is not included in the results. Example:
+		 * 
+		 *     var textFields = myPanel.query( 'textfield[inputName^=address]' );
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the descendant Components against.
+		 *   If not provided, all descendant Components are returned.
+		 * @return {gui.Component[]} The array of matching {@link gui.Component Components}, in the order that they appear in the
+		 *   Container/Component hierarchy.
+		 */
+		query : function( selector ) {
+			var descendants = ComponentQuery.getDescendants( this );
+			return ( selector ) ? ComponentQuery.filterBySelector( descendants, selector ) : descendants;
+		},
+		
+		
+		/**
+		 * Finds the first {@link gui.Component Component} under this Container at any level which matches the given
+		 * {@link gui.ComponentQuery ComponentQuery} `selector`. Example:
+		 * 
+		 *     var saveButton = myPanel.down( 'button#save' );
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the descendant Components against.
+		 *   If not provided, the first child Component is returned.
+		 * @return {gui.Component} The first matching {@link gui.Component Component}, or `null` if none was found.
+		 */
+		down : function( selector ) {
+			return this.query( selector )[ 0 ] || null;
+		},
+		
+		
+		/**
+		 * Finds the first direct child {@link gui.Component Component} of this Container which matches the given 
+		 * {@link gui.ComponentQuery ComponentQuery} `selector`. 
+		 * 
+		 * @param {String} [selector] The {@link gui.ComponentQuery ComponentQuery} selector to match the child Components against.
+		 *   If not provided, the first child Component is returned.
+		 * @return {gui.Component} The first matching child {@link gui.Component Component}, or `null` if none was found.
+		 */
+		child : function( selector ) {
+			var childComponents = this.childComponents;
+			
+			return ( selector ) ? ComponentQuery.filterBySelector( childComponents, selector )[ 0 ] || null : this.getItemAt( 0 );
+		},
+	
+	
 		// ----------------------------------------
 	
 	
@@ -1007,6 +1105,9 @@ define( [
 				this.layout.destroy();
 			}
 			
+			// Remove the Container from the layout queue, in case it requested a layout that has not yet been run
+			Gui.dequeueLayout( this );
+			
 			this._super( arguments );
 		}
 	
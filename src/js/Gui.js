@@ -41,6 +41,32 @@ define( [
 		 * The url of a blank (transparent) 1x1 gif image. Retrieve with {@link #getBlankImgUrl}.
 		 */
 		blankImgUrl : 'data:image/gif;base64,R0lGODlhAQABAIAAAP///wAAACH5BAEAAAAALAAAAAABAAEAAAICRAEAOw==',
+		
+		/**
+		 * @private
+		 * @property {Number} layoutSuspendCount
+		 * 
+		 * The number of outstanding calls to {@link #suspendLayouts} which have not yet been matched by a call to
+		 * {@link #resumeLayouts}. Layouts are suspended while this is greater than 0.
+		 */
+		layoutSuspendCount : 0,
+		
+		/**
+		 * @private
+		 * @property {gui.Container[]} pendingLayouts
+		 * 
+		 * The Containers which have requested a layout while layouts were suspended, or through 
+		 * {@link gui.Container#requestLayout}, and are waiting for the layout queue to be {@link #flushLayouts flushed}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Number} layoutFlushTimer
+		 * 
+		 * The id of the animation frame (or timeout, for browsers without `requestAnimationFrame`) which has been 
+		 * scheduled to {@link #flushLayouts flush} the layout queue. `null` when no flush is scheduled.
+		 */
+		layoutFlushTimer : null,
 
 	
 		/**
@@ -50,6 +76,7 @@ define( [
 			var userAgent = window.navigator.userAgent.toLowerCase();
 			
 			this.isIE = /msie/.test( userAgent ) && !( /opera/.test( userAgent ) );
+			this.pendingLayouts = [];
 		},
 
 		
@@ -189,6 +216,184 @@ define( [
 		 */
 		loadImage : function( image, callback, scope ) {
 			this.loadImages( [ image ], callback, scope );
+		},
+		
+		
+		// -----------------------------------
+		
+		// Layout batching
+		
+		
+		/**
+		 * Suspends the layouts of all {@link gui.Container Containers}. While layouts are suspended, calls to
+		 * {@link gui.Container#doLayout} (including those made by {@link gui.Container#method-add add}, 
+		 * {@link gui.Container#method-remove remove}, and the like) only queue the Container for a layout. The queued
+		 * layouts are run once, top-down, when layouts are resumed with {@link #resumeLayouts}.
+		 * 
+		 * Calls to this method may be nested, as long as each one is matched by a call to {@link #resumeLayouts}. Ex:
+		 * 
+		 *     Gui.suspendLayouts();
+		 *     try {
+		 *         container.add( ... );
+		 *         container.add( ... );
+		 *         otherContainer.remove( ... );
+		 *     } finally {
+		 *         Gui.resumeLayouts();  // lays out `container` and `otherContainer`, once each
+		 *     }
+		 * 
+		 * See also {@link gui.Container#batchLayout}, which does the above for a function.
+		 * 
+		 * @method suspendLayouts
+		 */
+		suspendLayouts : function() {
+			this.layoutSuspendCount++;
+		},
+		
+		
+		/**
+		 * Resumes layouts after a call to {@link #suspendLayouts}. When the last outstanding call to {@link #suspendLayouts}
+		 * has been matched, the layouts that were queued while layouts were suspended are run (unless the `flush` argument
+		 * is `false`, in which case they are run on the next animation frame).
+		 * 
+		 * @method resumeLayouts
+		 * @param {Boolean} [flush=true] `false` to defer the queued layouts to the next animation frame, instead of running
+		 *   them immediately.
+		 */
+		resumeLayouts : function( flush ) {
+			// <debug>
+			if( this.layoutSuspendCount === 0 ) {
+				throw new Error( "resumeLayouts() called without a matching call to suspendLayouts()" );
+			}
+			// </debug>
+			
+			if( --this.layoutSuspendCount === 0 && this.pendingLayouts.length > 0 ) {
+				if( flush === false ) {
+					this.scheduleLayoutFlush();
+				} else {
+					this.flushLayouts();
+				}
+			}
+		},
+		
+		
+		/**
+		 * Determines if layouts are currently suspended by {@link #suspendLayouts}.
+		 * 
+		 * @method isLayoutSuspended
+		 * @return {Boolean}
+		 */
+		isLayoutSuspended : function() {
+			return this.layoutSuspendCount > 0;
+		},
+		
+		
+		/**
+		 * Queues a {@link gui.Container Container} to be laid out the next time the layout queue is 
+		 * {@link #flushLayouts flushed}. A Container is only queued once, no matter how many times it is queued before the 
+		 * flush. 
+		 * 
+		 * If layouts are suspended, the queue is flushed when they are {@link #resumeLayouts resumed}. Otherwise, the queue 
+		 * is flushed on the next animation frame.
+		 * 
+		 * This method is called by {@link gui.Container#doLayout} while layouts are suspended, and by 
+		 * {@link gui.Container#requestLayout}. It should not normally need to be called directly.
+		 * 
+		 * @method queueLayout
+		 * @param {gui.Container} container
+		 */
+		queueLayout : function( container ) {
+			if( !_.contains( this.pendingLayouts, container ) ) {
+				this.pendingLayouts.push( container );
+			}
+			
+			if( !this.isLayoutSuspended() ) {
+				this.scheduleLayoutFlush();
+			}
+		},
+		
+		
+		/**
+		 * Removes a {@link gui.Container Container} from the layout queue. This is called by a Container when it is laid 
+		 * out (so that it is not laid out again when the queue is flushed), and when it is destroyed.
+		 * 
+		 * @method dequeueLayout
+		 * @param {gui.Container} container
+		 */
+		dequeueLayout : function( container ) {
+			_.pull( this.pendingLayouts, container );
+		},
+		
+		
+		/**
+		 * Runs the layouts of the Containers in the layout queue. The layouts are run top-down: a Container is laid out before
+		 * its descendant Containers, and as laying out a Container also lays out its descendants, a queued descendant of a
+		 * queued Container is not laid out a second time.
+		 * 
+		 * This is called automatically when layouts are {@link #resumeLayouts resumed}, or on the next animation frame after
+		 * a Container has been queued with {@link gui.Container#requestLayout}. It may be called directly to run any pending
+		 * layouts immediately (for instance, before measuring a Container which has requested a layout).
+		 * 
+		 * @method flushLayouts
+		 */
+		flushLayouts : function() {
+			this.cancelLayoutFlush();
+			
+			// Order the Containers by their depth in the Container/Component hierarchy, so that ancestors are laid out first
+			var pendingLayouts = _.sortBy( this.pendingLayouts, function( container ) {
+				var depth = 0;
+				while( ( container = container.getParentContainer() ) ) {
+					depth++;
+				}
+				return depth;
+			} );
+			
+			for( var i = 0, len = pendingLayouts.length; i < len; i++ ) {
+				// A Container removes itself from the queue when it is laid out, so if a Container is no longer in the queue, 
+				// it has already been laid out by an ancestor
+				if( _.contains( this.pendingLayouts, pendingLayouts[ i ] ) ) {
+					pendingLayouts[ i ].doLayout();
+				}
+			}
+		},
+		
+		
+		/**
+		 * Schedules a {@link #flushLayouts flush} of the layout queue on the next animation frame, if one is not already
+		 * scheduled.
+		 * 
+		 * @private
+		 * @method scheduleLayoutFlush
+		 */
+		scheduleLayoutFlush : function() {
+			if( this.layoutFlushTimer === null ) {
+				var me = this;
+				var flush = function() {
+					me.layoutFlushTimer = null;
+					if( !me.isLayoutSuspended() ) {  // if layouts have since been suspended, they will be flushed on resume
+						me.flushLayouts();
+					}
+				};
+				
+				this.layoutFlushTimer = ( window.requestAnimationFrame ) ? window.requestAnimationFrame( flush ) : window.setTimeout( flush, 16 );
+			}
+		},
+		
+		
+		/**
+		 * Cancels a {@link #flushLayouts flush} of the layout queue which was scheduled by {@link #scheduleLayoutFlush}.
+		 * 
+		 * @private
+		 * @method cancelLayoutFlush
+		 */
+		cancelLayoutFlush : function() {
+			if( this.layoutFlushTimer !== null ) {
+				if( window.cancelAnimationFrame ) {
+					window.cancelAnimationFrame( this.layoutFlushTimer );
+				} else {
+					window.clearTimeout( this.layoutFlushTimer );
+				}
+				this.layoutFlushTimer = null;
+			}
 		}
 		
 	} );
@@ -0,0 +1,756 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Container',
+	'gui/panel/Panel',
+	'gui/form/field/Field',
+	'gui/util/ModelBindable'
+], function( jQuery, _, ComponentManager, Container, Panel, Field, ModelBindable ) {
+	
+	/**
+	 * @class gui.form.Panel
+	 * @extends gui.panel.Panel
+	 * @mixins gui.util.ModelBindable
+	 * @alias type.form
+	 * @alias type.formpanel
+	 *
+	 * A {@link gui.panel.Panel Panel} which manages the {@link gui.form.field.Field Fields} that are descendants of it.
+	 * Fields may be nested at any depth within the Form (i.e. inside of other Containers), and are tracked as they are
+	 * added to and removed from the hierarchy.
+	 *
+	 * The Form provides methods for working with all of its Fields as a whole, such as retrieving their values keyed by
+	 * their {@link gui.form.field.Field#inputName inputName} ({@link #getValues}), setting values ({@link #setValues}),
+	 * and {@link #reset resetting} them. It also keeps track of whether any of its Fields have been modified (i.e. are
+	 * "dirty"), firing the {@link #dirtychange} event when this state changes. All of the Form's Fields may be validated
+	 * at once with {@link #validate}, which aggregates the errors of each Field.
+	 *
+	 * A {@link data.Model} may be bound to the Form with {@link #bindModel} (or the {@link #model} config), which binds
+	 * it to each Field that has a {@link gui.form.field.Field#bind bind} config. This two-way binds the Field's value to
+	 * the model attribute named by that config. Ex:
+	 *
+	 *     var form = new gui.form.Panel( {
+	 *         items : [
+	 *             { type: 'textfield', inputName: 'firstName', bind: 'firstName' },
+	 *             { type: 'textfield', inputName: 'street', bind: 'address.street', commitOnBlur: true }
+	 *         ]
+	 *     } );
+	 *     form.bindModel( user );
+	 *
+	 * The Form may also be {@link #submit submitted} to its {@link #url}. The request is made by a {@link #transport}
+	 * function, which by default uses `jQuery.ajax()`, but may be replaced to provide a different means of sending the
+	 * data (or to stub out the request in tests). Example:
+	 *
+	 *     var form = new gui.form.Panel( {
+	 *         url : '/users/save',
+	 *
+	 *         items : [
+	 *             { type: 'textfield', inputName: 'firstName', label: "First Name" },
+	 *             { type: 'textfield', inputName: 'lastName', label: "Last Name" }
+	 *         ]
+	 *     } );
+	 *
+	 *     form.submit().then( function( response ) {
+	 *         form.resetOriginalValues();  // the saved values are now the form's "clean" state
+	 *     } );
+	 */
+	var FormPanel = Panel.extend( {
+		mixins : [ ModelBindable ],
+		
+		/**
+		 * @cfg {String} url
+		 *
+		 * The URL to {@link #submit} the Form to.
+		 */
+		
+		/**
+		 * @cfg {String} method
+		 *
+		 * The HTTP method to use when {@link #submit submitting} the Form.
+		 */
+		method : 'POST',
+		
+		/**
+		 * @cfg {Boolean} jsonSubmit
+		 *
+		 * `true` to {@link #serialize} the Form's values as a JSON string when {@link #submit submitting}, or `false` to
+		 * serialize them as a URL-encoded string (i.e. as a standard HTML form would be submitted).
+		 */
+		jsonSubmit : false,
+		
+		/**
+		 * @cfg {Boolean} validateOnSubmit
+		 *
+		 * `true` to {@link #validate} the Form's Fields before it is {@link #submit submitted}, cancelling the
+		 * submission if any of them are invalid.
+		 */
+		validateOnSubmit : true,
+		
+		/**
+		 * @cfg {data.Model} model
+		 *
+		 * A Model to bind to the Form's {@link gui.form.field.Field Fields}. See {@link #bindModel} for details.
+		 */
+		
+		/**
+		 * @cfg {Function} transport
+		 *
+		 * A function which performs the actual request when the Form is {@link #submit submitted}. This may be provided
+		 * to send the Form's data by some means other than `jQuery.ajax()` (which is the default), or to stub out the
+		 * request in tests.
+		 *
+		 * The function is called in the scope of the Form, and is passed one argument: an object with the properties
+		 * `url`, `method`, `data` (the {@link #serialize serialized} values), and `contentType`. It must return a
+		 * jQuery Promise object, which should be resolved with the server's response when the request succeeds, or
+		 * rejected if it fails.
+		 */
+		
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		baseCls : 'gui-form',
+		
+		
+		/**
+		 * @private
+		 * @property {Boolean} dirty
+		 *
+		 * Flag which stores the last known "dirty" state of the Form, so that the {@link #dirtychange} event is only
+		 * fired when this state actually changes.
+		 */
+		dirty : false,
+		
+		/**
+		 * @private
+		 * @property {Number} dirtyCheckSuspended
+		 *
+		 * The number of times that {@link #checkDirty} has been suspended, while a number of Fields are updated at once.
+		 */
+		dirtyCheckSuspended : 0,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this.addEvents(
+				/**
+				 * Fires when the Form changes from having no modified Fields to having at least one modified Field, or
+				 * vice versa.
+				 *
+				 * @event dirtychange
+				 * @param {gui.form.Panel} form This Form instance.
+				 * @param {Boolean} isDirty `true` if the Form is now dirty, `false` if it is now clean.
+				 */
+				'dirtychange',
+				
+				/**
+				 * Fires before the Form is {@link #submit submitted}. Handlers may return `false` to cancel the submission.
+				 *
+				 * @event beforesubmit
+				 * @param {gui.form.Panel} form This Form instance.
+				 * @param {Object} values The values that are to be submitted, keyed by input name.
+				 * @preventable
+				 */
+				'beforesubmit',
+				
+				/**
+				 * Fires when the Form has been successfully {@link #submit submitted}.
+				 *
+				 * @event submit
+				 * @param {gui.form.Panel} form This Form instance.
+				 * @param {Mixed} response The response provided by the {@link #transport}.
+				 */
+				'submit',
+				
+				/**
+				 * Fires when the {@link #submit submission} of the Form has failed.
+				 *
+				 * @event submitfailure
+				 * @param {gui.form.Panel} form This Form instance.
+				 * @param {Mixed} error The error information provided by the {@link #transport}.
+				 */
+				'submitfailure'
+			);
+			
+			// Call the ModelBindable constructor
+			ModelBindable.call( this );
+			
+			// Note: Child items are added by the superclass's initComponent(), and are registered by onAdd(). Any 
+			// configured `model` is bound to Fields as they are registered.
+			this._super( arguments );
+			
+			if( this.model ) {
+				this.bindModel( this.model );
+			}
+		},
+		
+		
+		/**
+		 * Extension of the {@link gui.Container#onAdd} template method, which begins tracking any Fields that are
+		 * added to the Form (either directly, or nested inside of a Container that is added).
+		 *
+		 * @protected
+		 * @param {gui.Component} component The Component that was added.
+		 * @param {Number} index The index in the Form's child items that the Component was added at.
+		 */
+		onAdd : function( component, index ) {
+			this._super( arguments );
+			
+			this.registerComponent( component );
+			this.checkDirty();
+		},
+		
+		
+		/**
+		 * Extension of the {@link gui.Container#onRemove} template method, which stops tracking any Fields that are
+		 * removed from the Form (either directly, or nested inside of a Container that is removed).
+		 *
+		 * @protected
+		 * @param {gui.Component} component The Component that was removed.
+		 * @param {Number} index The index in the Form's child items that the Component was removed from.
+		 */
+		onRemove : function( component, index ) {
+			this._super( arguments );
+			
+			this.unregisterComponent( component );
+			this.checkDirty();
+		},
+		
+		
+		/**
+		 * Begins tracking a Component that has been added somewhere in the Form's hierarchy. Fields have their
+		 * {@link gui.form.field.Field#change change} event observed, while Containers have their add/remove events
+		 * observed (so that Fields added later on are tracked), and have each of their current child Components
+		 * registered as well.
+		 *
+		 * @private
+		 * @param {gui.Component} component
+		 */
+		registerComponent : function( component ) {
+			if( component instanceof Field ) {
+				component.on( 'change', this.onFieldChange, this );
+				
+				if( this.model && component.bind ) {
+					this.suspendDirtyCheck();
+					component.bindModel( this.model );
+					this.resumeDirtyCheck();
+				}
+			
+			} else if( component instanceof Container ) {
+				component.on( {
+					'add'    : this.onDescendantAdd,
+					'remove' : this.onDescendantRemove,
+					scope    : this
+				} );
+				
+				_.forEach( component.getItems(), this.registerComponent, this );
+			}
+		},
+		
+		
+		/**
+		 * Stops tracking a Component that has been removed from the Form's hierarchy. This is the reverse of
+		 * {@link #registerComponent}.
+		 *
+		 * @private
+		 * @param {gui.Component} component
+		 */
+		unregisterComponent : function( component ) {
+			if( component instanceof Field ) {
+				component.un( 'change', this.onFieldChange, this );
+				
+				if( this.model && component.getModel() === this.model ) {
+					component.unbindModel();
+				}
+			
+			} else if( component instanceof Container ) {
+				component.un( {
+					'add'    : this.onDescendantAdd,
+					'remove' : this.onDescendantRemove,
+					scope    : this
+				} );
+				
+				_.forEach( component.getItems(), this.unregisterComponent, this );
+			}
+		},
+		
+		
+		/**
+		 * Handles a Component being added to a Container nested within the Form.
+		 *
+		 * @private
+		 * @param {gui.Container} container The Container that the Component was added to.
+		 * @param {gui.Component} component The Component that was added.
+		 */
+		onDescendantAdd : function( container, component ) {
+			this.registerComponent( component );
+			this.checkDirty();
+		},
+		
+		
+		/**
+		 * Handles a Component being removed from a Container nested within the Form.
+		 *
+		 * @private
+		 * @param {gui.Container} container The Container that the Component was removed from.
+		 * @param {gui.Component} component The Component that was removed.
+		 */
+		onDescendantRemove : function( container, component ) {
+			this.unregisterComponent( component );
+			this.checkDirty();
+		},
+		
+		
+		/**
+		 * Handles a change to the value of one of the Form's Fields.
+		 *
+		 * @protected
+		 * @param {gui.form.field.Field} field The Field that changed.
+		 * @param {Mixed} newValue The new value of the Field.
+		 */
+		onFieldChange : function( field, newValue ) {
+			this.checkDirty();
+		},
+		
+		
+		// -----------------------------------
+		
+		// Field Values
+		
+		
+		/**
+		 * Retrieves all of the {@link gui.form.field.Field Fields} that are descendants of the Form.
+		 *
+		 * @return {gui.form.field.Field[]}
+		 */
+		getFields : function() {
+			return this.findBy( function( component ) {
+				return component instanceof Field;
+			} );
+		},
+		
+		
+		/**
+		 * Retrieves the first {@link gui.form.field.Field Field} in the Form that has the given
+		 * {@link gui.form.field.Field#inputName inputName}.
+		 *
+		 * @param {String} inputName
+		 * @return {gui.form.field.Field} The Field, or `null` if there is no Field with the given `inputName`.
+		 */
+		findField : function( inputName ) {
+			return _.find( this.getFields(), function( field ) {
+				return field.getInputName() === inputName;
+			} ) || null;
+		},
+		
+		
+		/**
+		 * Retrieves the values of all of the Form's {@link gui.form.field.Field Fields}, in an object keyed by each
+		 * Field's {@link gui.form.field.Field#inputName inputName}. Fields with an empty `inputName` are not included.
+		 *
+		 * If more than one Field shares the same `inputName`, the value for that name will be an array of each of
+		 * those Fields' values (in the order of the Fields in the Form). The values of any of those Fields which are
+		 * themselves arrays (such as a {@link gui.form.field.Tag Tag} field's) are concatenated into this array, rather
+		 * than being nested in it.
+		 *
+		 * @return {Object}
+		 */
+		getValues : function() {
+			return this.collectValues( this.getFields() );
+		},
+		
+		
+		/**
+		 * Retrieves the values of only the Form's {@link gui.form.field.Field#isDirty dirty} Fields. The returned
+		 * object is of the same form as {@link #getValues}.
+		 *
+		 * @return {Object}
+		 */
+		getDirtyValues : function() {
+			var dirtyFields = _.filter( this.getFields(), function( field ) { return field.isDirty(); } );
+			
+			return this.collectValues( dirtyFields );
+		},
+		
+		
+		/**
+		 * Builds the object of values for {@link #getValues} and {@link #getDirtyValues}.
+		 *
+		 * @private
+		 * @param {gui.form.field.Field[]} fields
+		 * @return {Object}
+		 */
+		collectValues : function( fields ) {
+			var values = {},
+			    counts = {};  // the number of Fields found for each input name, for combining the values of duplicates
+			
+			_.forEach( fields, function( field ) {
+				var inputName = field.getInputName();
+				if( !inputName ) return;  // Field not meant to be submitted
+				
+				var value = field.getValue(),
+				    count = counts[ inputName ] = ( counts[ inputName ] || 0 ) + 1;
+				
+				// Combine the values of Fields which share an input name into a single flat array. concat() creates a new
+				// array, so a Field's own array value is never modified
+				values[ inputName ] = ( count === 1 ) ? value : [].concat( values[ inputName ], value );
+			} );
+			
+			return values;
+		},
+		
+		
+		/**
+		 * Sets the values of the Form's {@link gui.form.field.Field Fields}. Each property name in the `values` object
+		 * is matched to the Field(s) with that {@link gui.form.field.Field#inputName inputName}. Fields without a
+		 * corresponding property in `values` are left unchanged.
+		 *
+		 * @param {Object} values
+		 * @chainable
+		 */
+		setValues : function( values ) {
+			_.forEach( this.getFields(), function( field ) {
+				var inputName = field.getInputName();
+				
+				if( inputName && values.hasOwnProperty( inputName ) ) {
+					field.setValue( values[ inputName ] );
+				}
+			} );
+			
+			this.checkDirty();  // not all Fields fire their 'change' event from setValue(), so check now
+			return this;
+		},
+		
+		
+		/**
+		 * Resets all of the Form's {@link gui.form.field.Field Fields} to their
+		 * {@link gui.form.field.Field#originalValue original values}.
+		 *
+		 * @chainable
+		 */
+		reset : function() {
+			_.invoke( this.getFields(), 'reset' );
+			
+			this.checkDirty();
+			return this;
+		},
+		
+		
+		/**
+		 * Sets the {@link gui.form.field.Field#originalValue original value} of each of the Form's
+		 * {@link gui.form.field.Field Fields} to its current value, making the Form no longer dirty. This is useful after
+		 * the Form's values have been saved.
+		 *
+		 * @chainable
+		 */
+		resetOriginalValues : function() {
+			_.invoke( this.getFields(), 'resetOriginalValue' );
+			
+			this.checkDirty();
+			return this;
+		},
+		
+		
+		/**
+		 * Determines if any of the Form's {@link gui.form.field.Field Fields} have been modified from their
+		 * {@link gui.form.field.Field#originalValue original values}.
+		 *
+		 * @return {Boolean}
+		 */
+		isDirty : function() {
+			return _.some( this.getFields(), function( field ) { return field.isDirty(); } );
+		},
+		
+		
+		/**
+		 * Checks the current dirty state of the Form, and fires the {@link #dirtychange} event if it has changed since
+		 * the last check.
+		 *
+		 * @protected
+		 */
+		checkDirty : function() {
+			if( this.dirtyCheckSuspended ) return;
+			
+			var isDirty = this.isDirty();
+			
+			if( isDirty !== this.dirty ) {
+				this.dirty = isDirty;
+				this.fireEvent( 'dirtychange', this, isDirty );
+			}
+		},
+		
+		
+		/**
+		 * Suspends {@link #checkDirty}, while a number of Fields are updated at once. Each call must be matched by a
+		 * call to {@link #resumeDirtyCheck}.
+		 *
+		 * @private
+		 */
+		suspendDirtyCheck : function() {
+			this.dirtyCheckSuspended++;
+		},
+		
+		
+		/**
+		 * Resumes {@link #checkDirty} after a call to {@link #suspendDirtyCheck}, and checks the dirty state of the Form
+		 * when it is no longer suspended.
+		 *
+		 * @private
+		 */
+		resumeDirtyCheck : function() {
+			if( --this.dirtyCheckSuspended === 0 ) {
+				this.checkDirty();
+			}
+		},
+		
+		
+		// -----------------------------------
+		
+		// Model Binding (implementation of ModelBindable mixin methods)
+		
+		
+		/**
+		 * Implementation of {@link gui.util.ModelBindable} mixin method. Binds the new {@link #model} to each of the
+		 * Form's {@link gui.form.field.Field Fields} which has a {@link gui.form.field.Field#bind bind} config, or
+		 * unbinds the previous model from them if the model was simply unbound.
+		 *
+		 * When a model is bound, each bound Field's value is loaded from its model attribute, and becomes the Field's
+		 * {@link gui.form.field.Field#originalValue original value}.
+		 *
+		 * @protected
+		 * @param {data.Model} model The newly bound model, or `null` if the previous model was simply unbound.
+		 * @param {data.Model} oldModel The model that was just unbound, or `null` if there was no previously-bound model.
+		 */
+		onModelBind : function( model, oldModel ) {
+			this.suspendDirtyCheck();
+			
+			_.forEach( this.getFields(), function( field ) {
+				if( field.bind && ( model || field.getModel() === oldModel ) ) {
+					field.bindModel( model );
+				}
+			} );
+			
+			this.resumeDirtyCheck();
+		},
+		
+		
+		// -----------------------------------
+		
+		// Validation
+		
+		
+		/**
+		 * Determines if all of the Form's {@link gui.form.field.Field Fields} pass their synchronous
+		 * {@link gui.form.field.Field#validators validators}. This method does not mark any Fields as invalid. Use
+		 * {@link #validate} for that.
+		 *
+		 * @return {Boolean}
+		 */
+		isValid : function() {
+			return _.every( this.getFields(), function( field ) { return field.isValid(); } );
+		},
+		
+		
+		/**
+		 * Retrieves the error messages of all of the Form's {@link gui.form.field.Field Fields}, from their synchronous
+		 * {@link gui.form.field.Field#validators validators}.
+		 *
+		 * @return {Object} An object keyed by each invalid Field's {@link gui.form.field.Field#inputName inputName} (or
+		 *   its {@link gui.Component#id id}, if it has no inputName), where the values are arrays of error messages.
+		 *   Fields which are valid are not included.
+		 */
+		getErrors : function() {
+			var errors = {};
+			
+			_.forEach( this.getFields(), function( field ) {
+				this.addFieldErrors( errors, field, field.getErrors() );
+			}, this );
+			
+			return errors;
+		},
+		
+		
+		/**
+		 * {@link gui.form.field.Field#validate Validates} all of the Form's {@link gui.form.field.Field Fields}
+		 * (including their asynchronous validators), marking the ones which are invalid.
+		 *
+		 * @return {jQuery.Promise} A Promise which is resolved when all Fields are valid, or rejected with an object of
+		 *   the error messages when any are invalid. The error messages object is of the same form as returned by
+		 *   {@link #getErrors}.
+		 */
+		validate : function() {
+			var me = this,
+			    deferred = new jQuery.Deferred(),
+			    fields = this.getFields(),
+			    pending = fields.length,
+			    errors = {};
+			
+			var onFieldComplete = function() {
+				if( --pending === 0 ) {
+					if( _.isEmpty( errors ) ) {
+						deferred.resolve();
+					} else {
+						deferred.reject( errors );
+					}
+				}
+			};
+			
+			if( pending === 0 ) {
+				deferred.resolve();
+			}
+			
+			_.forEach( fields, function( field ) {
+				field.validate()
+					.fail( function( fieldErrors ) { me.addFieldErrors( errors, field, fieldErrors ); } )
+					.always( onFieldComplete );
+			} );
+			
+			return deferred.promise();
+		},
+		
+		
+		/**
+		 * Adds the error messages for a Field to an errors object, as returned by {@link #getErrors}.
+		 *
+		 * @private
+		 * @param {Object} errors The errors object to add to.
+		 * @param {gui.form.field.Field} field
+		 * @param {String[]} fieldErrors The Field's error messages.
+		 */
+		addFieldErrors : function( errors, field, fieldErrors ) {
+			if( fieldErrors.length ) {
+				var key = field.getInputName() || field.getId();
+				
+				errors[ key ] = ( errors[ key ] || [] ).concat( fieldErrors );
+			}
+		},
+		
+		
+		/**
+		 * {@link gui.form.field.Field#clearInvalid Clears} any invalid state from all of the Form's
+		 * {@link gui.form.field.Field Fields}.
+		 *
+		 * @chainable
+		 */
+		clearInvalid : function() {
+			_.invoke( this.getFields(), 'clearInvalid' );
+			
+			return this;
+		},
+		
+		
+		// -----------------------------------
+		
+		// Submission
+		
+		
+		/**
+		 * Serializes the Form's {@link #getValues values} into a string, for submission. If the {@link #jsonSubmit}
+		 * config is `true`, the values are serialized as JSON. Otherwise, they are URL-encoded in the same way that a
+		 * standard HTML form would be (i.e. array values are submitted as multiple parameters with the same name).
+		 *
+		 * @param {Object} [values] The values to serialize. Defaults to the result of {@link #getValues}.
+		 * @return {String}
+		 */
+		serialize : function( values ) {
+			values = values || this.getValues();
+			
+			return ( this.jsonSubmit ) ? JSON.stringify( values ) : jQuery.param( values, /* traditional */ true );
+		},
+		
+		
+		/**
+		 * Submits the Form's {@link #getValues values} to its {@link #url}, using the {@link #transport}.
+		 *
+		 * If {@link #validateOnSubmit} is `true`, the Form is first {@link #validate validated}, and the submission is
+		 * cancelled if any Fields are invalid. Then, the {@link #beforesubmit} event is fired, and the submission is
+		 * cancelled if a handler returns `false`. Finally, the {@link #submit} event is fired on success, or the
+		 * {@link #submitfailure} event on failure.
+		 *
+		 * @return {jQuery.Promise} A Promise which is resolved with the response when the submission succeeds, or
+		 *   rejected if it fails. If the Form was invalid, the Promise is rejected with the errors object (see
+		 *   {@link #validate}). If the submission was cancelled by a {@link #beforesubmit} handler, the Promise is
+		 *   rejected with no arguments.
+		 */
+		submit : function() {
+			if( !this.validateOnSubmit ) {
+				return this.doSubmit();
+			}
+			return this.validate().then( _.bind( this.doSubmit, this ) );
+		},
+		
+		
+		/**
+		 * Performs the submission for {@link #submit}, after any validation has passed.
+		 *
+		 * @private
+		 * @return {jQuery.Promise}
+		 */
+		doSubmit : function() {
+			var values = this.getValues();
+			
+			if( this.fireEvent( 'beforesubmit', this, values ) === false ) {
+				return jQuery.Deferred().reject().promise();
+			}
+			
+			var transport = this.transport || this.ajaxTransport;
+			var request = {
+				url         : this.url,
+				method      : this.method,
+				data        : this.serialize( values ),
+				contentType : ( this.jsonSubmit ) ? 'application/json' : 'application/x-www-form-urlencoded; charset=UTF-8'
+			};
+			
+			return transport.call( this, request ).then(
+				_.bind( function( response ) {
+					this.fireEvent( 'submit', this, response );
+					return response;
+				}, this ),
+				
+				_.bind( function( error ) {
+					this.fireEvent( 'submitfailure', this, error );
+					return error;
+				}, this )
+			);
+		},
+		
+		
+		/**
+		 * The default {@link #transport}, which makes the request with `jQuery.ajax()`.
+		 *
+		 * @protected
+		 * @param {Object} request An object with properties `url`, `method`, `data`, and `contentType`.
+		 * @return {jQuery.Promise}
+		 */
+		ajaxTransport : function( request ) {
+			return jQuery.ajax( {
+				url         : request.url,
+				type        : request.method,
+				data        : request.data,
+				contentType : request.contentType
+			} );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			this.unbindModel();
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'form', FormPanel );
+	ComponentManager.registerType( 'formpanel', FormPanel );
+	
+	return FormPanel;
+
+} );
@@ -0,0 +1,228 @@
+/*global define */
+define( [
+	'lodash'
+], function( _ ) {
+	
+	/**
+	 * @class gui.form.Validators
+	 * @singleton
+	 *
+	 * Registry of the validator types that may be specified in a {@link gui.form.field.Field Field's}
+	 * {@link gui.form.field.Field#validators validators} config, and the utility which converts those configs into
+	 * validation functions.
+	 *
+	 * The built-in validator types are:
+	 *
+	 * - **required** : The value may not be empty (`undefined`, `null`, an empty string, or an empty array).
+	 * - **minLength** : The value must be at least `min` characters long (or have at least `min` elements, for an array).
+	 * - **maxLength** : The value may be at most `max` characters long (or have at most `max` elements, for an array).
+	 * - **regex** : The value must match the `regex` provided.
+	 * - **email** : The value must be an email address.
+	 * - **numberRange** : The value must be a number, and within the (optional) `min` and `max` bounds.
+	 *
+	 * With the exception of 'required', the built-in validators consider an empty value to be valid, so that optional
+	 * fields may be left blank. Combine them with 'required' when a value must be entered.
+	 *
+	 * Each validator accepts a `message` option to override its default error message. Additional types may be added
+	 * with {@link #register}.
+	 */
+	var Validators = {
+		
+		/**
+		 * @property {String} invalidText
+		 *
+		 * The error message used when a validation function returns `false` (or an async validator's promise is
+		 * rejected) without providing a message of its own.
+		 */
+		invalidText : "The value is invalid.",
+		
+		
+		/**
+		 * @private
+		 * @property {Object} types
+		 *
+		 * An Object (map) of the validator functions that have been {@link #register registered}, keyed by their type
+		 * name. Each function is called with the arguments `value`, `options` (the validator config object), and
+		 * `field`, and returns an error message string if the value is invalid, or `null` if it is valid.
+		 */
+		types : {
+			required : function( value, options ) {
+				return ( Validators.isEmpty( value ) ) ? options.message || "This field is required." : null;
+			},
+			
+			minLength : function( value, options ) {
+				if( Validators.isEmpty( value ) ) return null;
+				
+				var length = ( _.isArray( value ) ) ? value.length : String( value ).length;
+				return ( length < options.min ) ? options.message || "Must be at least " + options.min + " characters long." : null;
+			},
+			
+			maxLength : function( value, options ) {
+				if( Validators.isEmpty( value ) ) return null;
+				
+				var length = ( _.isArray( value ) ) ? value.length : String( value ).length;
+				return ( length > options.max ) ? options.message || "Must be no more than " + options.max + " characters long." : null;
+			},
+			
+			regex : function( value, options ) {
+				if( Validators.isEmpty( value ) ) return null;
+				
+				return ( !options.regex.test( String( value ) ) ) ? options.message || "The value is not in the correct format." : null;
+			},
+			
+			email : function( value, options ) {
+				if( Validators.isEmpty( value ) ) return null;
+				
+				return ( !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test( String( value ) ) ) ? options.message || "Must be a valid email address." : null;
+			},
+			
+			numberRange : function( value, options ) {
+				if( Validators.isEmpty( value ) ) return null;
+				
+				var num = ( typeof value === 'number' ) ? value : ( _.isString( value ) && /\S/.test( value ) ) ? +value : NaN,
+				    min = options.min,
+				    max = options.max;
+				
+				if( isNaN( num ) ) {
+					return options.message || "Must be a number.";
+				} else if( min !== undefined && num < min ) {
+					return options.message || "Must be at least " + min + ".";
+				} else if( max !== undefined && num > max ) {
+					return options.message || "Must be no more than " + max + ".";
+				}
+				return null;
+			}
+		},
+		
+		
+		/**
+		 * Registers a new validator type, which may then be referenced by name in a Field's
+		 * {@link gui.form.field.Field#validators validators} config.
+		 *
+		 * This method will throw an error if a type name is already registered.
+		 *
+		 * @param {String} type The type name for the validator.
+		 * @param {Function} fn The validation function. This function is called with three arguments: the `value` to
+		 *   validate, the `options` provided in the validator config (an empty object if the validator was specified by
+		 *   its name alone), and the `field` being validated. It should return an error message string if the value is
+		 *   invalid, or `null` if it is valid.
+		 */
+		register : function( type, fn ) {
+			if( !this.types[ type ] ) {
+				this.types[ type ] = fn;
+			// <debug>
+			} else {
+				throw new Error( "Error: gui.form.Validators already has a type '" + type + "'" );
+			// </debug>
+			}
+		},
+		
+		
+		/**
+		 * Converts a validator config into a validation function. The validator config may be one of:
+		 *
+		 * - A String, which is the type name of a {@link #register registered} validator. Ex: `'required'`
+		 * - An Object with a `type` property, and any options for that validator type. Ex: `{ type: 'minLength', min: 3 }`
+		 * - An Object with an `fn` property, which is a custom validation function (see below), and an optional
+		 *   `message` to use if the function returns `false`.
+		 * - A Function, which is a custom validation function.
+		 *
+		 * Custom validation functions are called in the scope of the Field, with the arguments `value` and `field`. They
+		 * may return `true` (or any empty value) if the value is valid, or an error message string (or `false`) if it is
+		 * invalid. For asynchronous validation (ex: checking with the server if a username is taken), the function may
+		 * return a Promise. The Promise should be resolved with any of the above return values, or rejected (optionally
+		 * with an error message) if the value is invalid.
+		 *
+		 * @param {String/Object/Function} validator The validator config.
+		 * @return {Function} A function which accepts the arguments `value` and `field`, and returns the result of the
+		 *   validator (which may be a Promise). The result may be normalized with {@link #normalizeResult}.
+		 */
+		create : function( validator ) {
+			var types = this.types,
+			    options, fn;
+			
+			if( _.isFunction( validator ) ) {
+				return function( value, field ) { return validator.call( field, value, field ); };
+			
+			} else if( _.isString( validator ) ) {
+				options = {};
+				fn = types[ validator ];
+			} else {
+				options = validator;
+				fn = ( options.fn ) ? this.createCustom( options ) : types[ options.type ];
+			}
+			
+			// <debug>
+			if( !fn ) {
+				throw new Error( "Error: gui.form.Validators has no type '" + ( options.type || validator ) + "'" );
+			}
+			// </debug>
+			
+			return function( value, field ) { return fn( value, options, field ); };
+		},
+		
+		
+		/**
+		 * Creates the function for a validator config object which specifies a custom `fn`, with an optional default
+		 * `message`.
+		 *
+		 * @private
+		 * @param {Object} options The validator config, with an `fn` property, and optional `message` and `scope`
+		 *   properties.
+		 * @return {Function}
+		 */
+		createCustom : function( options ) {
+			return function( value, opts, field ) {
+				var result = options.fn.call( options.scope || field, value, field );
+				
+				return ( result === false && options.message ) ? options.message : result;
+			};
+		},
+		
+		
+		/**
+		 * Normalizes the (non-Promise) result of a validation function into either an error message string, or `null`
+		 * if the value was valid.
+		 *
+		 * @param {Mixed} result The validation function's result.
+		 * @return {String} The error message, or `null` if the result indicates that the value is valid.
+		 */
+		normalizeResult : function( result ) {
+			if( result === false ) {
+				return this.invalidText;
+			} else if( _.isString( result ) && result !== "" ) {
+				return result;
+			} else {
+				return null;
+			}
+		},
+		
+		
+		/**
+		 * Determines if the given result of a validation function is a Promise (i.e. the validator is asynchronous).
+		 *
+		 * @param {Mixed} result
+		 * @return {Boolean}
+		 */
+		isPromise : function( result ) {
+			return !!result && _.isFunction( result.then );
+		},
+		
+		
+		/**
+		 * Determines if a value is "empty" for the purposes of validation. Empty values are `undefined`, `null`, an empty
+		 * string, and an empty array.
+		 *
+		 * @param {Mixed} value
+		 * @return {Boolean}
+		 */
+		isEmpty : function( value ) {
+			return value === undefined || value === null || value === "" || ( _.isArray( value ) && value.length === 0 );
+		}
+	
+	};
+	
+	
+	return Validators;
+
+} );
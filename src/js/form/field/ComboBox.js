@@ -0,0 +1,856 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/util/Css',
+	'gui/util/Html',
+	'gui/ComponentManager',
+	'gui/form/field/Text',
+	'gui/template/LoDash',
+	'gui/util/OptionsStore',
+	'gui/util/CollectionBindable',
+	'gui/util/OptionsMenu'
+], function( jQuery, _, Css, Html, ComponentManager, TextField, LoDashTpl, OptionsStore, CollectionBindable, OptionsMenu ) {
+	
+	/**
+	 * @class gui.form.field.ComboBox
+	 * @extends gui.form.field.Text
+	 * @mixins gui.util.CollectionBindable
+	 * @mixins gui.util.OptionsMenu
+	 * @alias type.combobox
+	 * 
+	 * An editable combo box: a text field which shows a menu of {@link #options} that match the text typed into it,
+	 * one of which may be selected.
+	 * 
+	 * The options may be provided locally with the {@link #options} config, in which case they are filtered as the user
+	 * types (see {@link #filterMode}). Alternatively, the options may be retrieved from a remote source with the
+	 * {@link #remoteFn} config, or by loading a {@link #collection}. Remote queries are made after the user stops typing
+	 * for the {@link #queryDelay}, and once at least {@link #minChars} characters have been typed.
+	 * 
+	 *     var comboBox = new ComboBox( {
+	 *         label : "Fruit",
+	 *         options : [ { text: "Apple", value: 1 }, { text: "Banana", value: 2 }, { text: "Cherry", value: 3 } ]
+	 *     } );
+	 * 
+	 * By default, the field's value may be free text: if the text typed does not match an option, the text itself is the
+	 * value. Set the {@link #forceSelection} config to `true` to only allow values from the options.
+	 * 
+	 * The field's value is kept in a hidden input with the field's {@link #inputName}, so that the value (as opposed to
+	 * the text of the selected option) is submitted with a standard form submission.
+	 * 
+	 * The field may be operated with the keyboard: the down arrow opens the menu, the up and down arrows move the
+	 * highlighted option, enter selects the highlighted option, and escape closes the menu.
+	 */
+	var ComboBox = TextField.extend( {
+		mixins : [ CollectionBindable, OptionsMenu ],
+		
+		
+		/**
+		 * @cfg {String[]/Object[]} options
+		 * 
+		 * The local options for the ComboBox. See the description of the {@link gui.util.OptionsStore#setOptions} method
+		 * for accepted formats. As with {@link gui.form.field.Dropdown}, options may have `cls` and `style` properties to
+		 * style their item in the menu.
+		 * 
+		 * When a {@link #remoteFn} or {@link #collection} is used, the options are replaced by the results of each query.
+		 */
+		
+		/**
+		 * @cfg {String} filterMode
+		 * 
+		 * How the local {@link #options} are matched against the text typed into the field. Either 'prefix' to show the
+		 * options whose text starts with the typed text, or 'substring' to show the options whose text contains the typed
+		 * text anywhere. Matching is case-insensitive.
+		 */
+		filterMode : 'prefix',
+		
+		/**
+		 * @cfg {Function} remoteFn
+		 * 
+		 * A function which retrieves the options for a query from a remote source. It is called with one argument: the
+		 * `query` text, and should return either an array of options (in any of the formats accepted by {@link #options}),
+		 * or a promise (such as a jQuery Deferred) which is resolved with the array of options. Ex:
+		 * 
+		 *     remoteFn : function( query ) {
+		 *         return jQuery.getJSON( '/fruits', { q: query } );
+		 *     }
+		 * 
+		 * The function is called in the scope of the {@link #remoteFnScope}, or the ComboBox if it is not provided.
+		 */
+		
+		/**
+		 * @cfg {Object} remoteFnScope
+		 * 
+		 * The scope (`this` reference) to call the {@link #remoteFn} in.
+		 */
+		
+		/**
+		 * @cfg {data.Collection} collection
+		 * 
+		 * A Collection to load the options from. For each query, the Collection is loaded with the query text provided
+		 * as the {@link #queryParam} parameter, and its models are converted to options using the {@link #displayAttr}
+		 * and {@link #valueAttr} attributes.
+		 */
+		
+		/**
+		 * @cfg {String} displayAttr
+		 * 
+		 * The name of the attribute of the {@link #collection collection's} models to use as the text of the options.
+		 */
+		displayAttr : 'text',
+		
+		/**
+		 * @cfg {String} valueAttr
+		 * 
+		 * The name of the attribute of the {@link #collection collection's} models to use as the value of the options.
+		 */
+		valueAttr : 'id',
+		
+		/**
+		 * @cfg {String} queryParam
+		 * 
+		 * The name of the parameter that the query text is provided as when loading the {@link #collection}.
+		 */
+		queryParam : 'query',
+		
+		/**
+		 * @cfg {Number} queryDelay
+		 * 
+		 * The number of milliseconds after the user stops typing that a remote query (with the {@link #remoteFn} or
+		 * {@link #collection}) is made. This prevents a query from being made for each key press.
+		 */
+		queryDelay : 250,
+		
+		/**
+		 * @cfg {Number} minChars
+		 * 
+		 * The minimum number of characters that must be typed before the menu of matching options is shown (and, for a
+		 * remote source, before a query is made). Opening the menu with the down arrow key or the expand button shows the
+		 * options regardless of this config.
+		 */
+		minChars : 0,
+		
+		/**
+		 * @cfg {Boolean} forceSelection
+		 * 
+		 * `true` to only allow the field's value to be one of the options. When the field loses focus with text that does
+		 * not match an option, the text is reverted to the text of the selected option (or is cleared, if the text was
+		 * erased).
+		 * 
+		 * When `false`, any text that does not match an option's text is the field's value.
+		 */
+		forceSelection : false,
+		
+		/**
+		 * @cfg {String} menuCls
+		 * 
+		 * Any additional css class(es) to add to the options menu. The menu is appended to the document body, and
+		 * therefore can not be styled by regular descendant css rules.
+		 */
+		menuCls : "",
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		componentCls : 'gui-form-field-comboBox',
+		
+		
+		/**
+		 * @private
+		 * @property {gui.util.OptionsStore} optionsStore
+		 * 
+		 * The OptionsStore instance used for managing the ComboBox's options.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object[]} menuOptions
+		 * 
+		 * The options that are currently shown in the options menu.
+		 */
+		
+		/**
+		 * @private
+		 * @property {String} text
+		 * 
+		 * The text that corresponds to the field's current {@link #value}. This is the text of the selected option (or
+		 * the free text value, when {@link #forceSelection} is false).
+		 */
+		text : "",
+		
+		/**
+		 * @private
+		 * @property {String} query
+		 * 
+		 * The text of the most recent query. Used to highlight the matched text in the options menu, and to ignore the
+		 * results of a remote query which has since been superseded.
+		 */
+		query : "",
+		
+		/**
+		 * @private
+		 * @property {String} lastInputText
+		 * 
+		 * The text of the input at the last time it was checked for a change by {@link #onTextInput}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Function} debouncedRemoteQuery
+		 * 
+		 * The debounced version of {@link #doRemoteQuery}, which is called after the {@link #queryDelay}.
+		 */
+		
+		
+		statics : {
+			
+			/**
+			 * @private
+			 * @static
+			 * @property {gui.template.LoDash} optionsMenuRenderTpl
+			 * 
+			 * The template to use to render each of the items in the options menu. The `markup` is the option's text,
+			 * with the matched text highlighted.
+			 */
+			optionsMenuRenderTpl : new LoDashTpl( [
+				'<li id="<%= optionId %>" role="option" aria-selected="<%= selected %>" data-optionidx="<%= optionIdx %>" class="<%= componentCls %>-menu-item <%= menuItemCls %>" style="<%= menuItemStyle %>">',
+					'<%= markup %>',
+				'</li>'
+			] )
+		
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			// Call CollectionBindable constructor
+			CollectionBindable.call( this );
+			
+			this._super( arguments );
+			
+			this.addEvents(
+				/**
+				 * Fires when an option is selected from the options menu (by the mouse or the keyboard).
+				 * 
+				 * @event select
+				 * @param {gui.form.field.ComboBox} comboBox This ComboBox instance.
+				 * @param {Object} option The option that was selected, with `text` and `value` properties.
+				 */
+				'select'
+			);
+			
+			// <debug>
+			if( !_.contains( [ 'prefix', 'substring' ], this.filterMode ) ) throw new Error( "`filterMode` must be 'prefix' or 'substring'" );
+			// </debug>
+			
+			this.optionsStore = new OptionsStore( this.options || [] );
+			this.menuOptions = [];
+			this.debouncedRemoteQuery = _.debounce( _.bind( this.doRemoteQuery, this ), this.queryDelay );
+			
+			if( this.collection ) {
+				this.bindCollection( this.collection );
+			}
+			
+			var option = this.optionsStore.getByValue( this.value );
+			this.text = ( option ) ? option.text : this.normalizeText( this.value );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var elId = this.elId,
+			    componentCls = this.componentCls,
+			    $inputEl = this.$inputEl;
+			
+			// The ComboBox's value is managed by the ComboBox itself (as opposed to the text of the input), so its value
+			// changes are not reported by the input's native 'change' event
+			$inputEl.off( 'change' );
+			$inputEl.on( 'input', _.bind( this.onTextInput, this ) );
+			this.lastInputText = $inputEl.val();
+			
+			// The hidden input holds the field's value for standard form submission
+			this.$hiddenInputEl = jQuery( '<input type="hidden" name="' + this.inputName + '" />' ).val( this.value ).appendTo( this.$inputContainerEl );
+			
+			this.$expandButton = jQuery( '<div id="' + elId + '-expandButton" class="' + componentCls + '-expandButton" />' )
+				.on( 'mousedown', function( evt ) { evt.preventDefault(); } )  // keep the focus in the input
+				.on( 'click', _.bind( this.onExpandButtonClick, this ) )
+				.appendTo( this.$inputContainerEl );
+			
+			this.createOptionsMenu().on( {
+				'mouseenter' : _.bind( this.onOptionMouseEnter, this ),
+				'click'      : _.bind( this.onOptionClick, this )
+			}, 'li' );
+		},
+		
+		
+		/**
+		 * Creates the text input for the ComboBox. Unlike the {@link gui.form.field.Text TextField's} input, it has no
+		 * `name`, as the field's value is submitted by a hidden input.
+		 * 
+		 * @protected
+		 * @return {jQuery}
+		 */
+		createInputEl : function() {
+			return jQuery( [
+				'<input type="text"',
+				' id="' + this.inputId + '"',
+				' class="' + this.componentCls + '-input"',
+				' value="' + Html.encode( this.text ) + '"',
+				' autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false"',
+				' aria-controls="' + this.elId + '-menu"',
+				( this.readOnly ? ' readonly="readonly"' : '' ),
+				'/>'
+			].join( "" ) );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Options management methods
+		
+		
+		/**
+		 * Sets the (local) options for the ComboBox. See the {@link #options} config for accepted formats. If the options
+		 * menu is open, it is updated for the new options.
+		 * 
+		 * @param {String[]/Object[]} options
+		 */
+		setOptions : function( options ) {
+			this.optionsStore.setOptions( options );
+			
+			if( this.optionsMenuOpen ) {
+				this.showOptions( this.filterOptions( this.query ) );
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the options of the ComboBox. See {@link gui.util.OptionsStore#getOptions}.
+		 * 
+		 * @return {Object[]}
+		 */
+		getOptions : function() {
+			return this.optionsStore.getOptions();
+		},
+		
+		
+		/**
+		 * Filters the options for the given `query` text, based on the {@link #filterMode}. This may be overridden to
+		 * implement a custom filter.
+		 * 
+		 * @protected
+		 * @param {String} query
+		 * @return {Object[]} The options that match the `query`.
+		 */
+		filterOptions : function( query ) {
+			var options = this.getOptions();
+			if( !query ) return options.slice( 0 );
+			
+			query = query.toLowerCase();
+			var isPrefix = ( this.filterMode === 'prefix' );
+			
+			return _.filter( options, function( option ) {
+				var idx = String( option.text ).toLowerCase().indexOf( query );
+				return ( isPrefix ) ? idx === 0 : idx !== -1;
+			} );
+		},
+		
+		
+		/**
+		 * Determines if the ComboBox retrieves its options from a remote source (a {@link #remoteFn} or {@link #collection}).
+		 * 
+		 * @return {Boolean}
+		 */
+		isRemote : function() {
+			return !!( this.remoteFn || this.collection );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Querying
+		
+		
+		/**
+		 * Runs a query for the given text, showing the matching options in the options menu. Local {@link #options} are
+		 * filtered immediately, while remote queries are made after the {@link #queryDelay}.
+		 * 
+		 * @param {String} query The text to query for.
+		 * @param {Boolean} [force=false] `true` to run the query even if the `query` is shorter than {@link #minChars}.
+		 */
+		doQuery : function( query, force ) {
+			this.query = query;
+			
+			if( !force && query.length < this.minChars ) {
+				this.hideOptionsMenu();
+			
+			} else if( this.isRemote() ) {
+				this.debouncedRemoteQuery( query );
+			
+			} else {
+				this.showOptions( this.filterOptions( query ) );
+			}
+		},
+		
+		
+		/**
+		 * Makes a remote query with the {@link #remoteFn} or {@link #collection}. Called after the {@link #queryDelay} by
+		 * {@link #doQuery}.
+		 * 
+		 * @protected
+		 * @param {String} query
+		 */
+		doRemoteQuery : function( query ) {
+			if( this.destroyed || query !== this.query ) return;  // destroyed, or superseded by a newer query before the delay elapsed
+			
+			if( this.remoteFn ) {
+				var me = this;
+				
+				jQuery.when( this.remoteFn.call( this.remoteFnScope || this, query ) ).done( function( options ) {
+					me.onRemoteLoad( query, options );
+				} );
+			
+			} else {
+				var params = {};
+				params[ this.queryParam ] = query;
+				
+				this.collection.load( { params: params } );  // handled by onCollectionLoad()
+			}
+		},
+		
+		
+		/**
+		 * Handles the results of a remote query, by setting them as the ComboBox's options and showing them in the menu.
+		 * 
+		 * @protected
+		 * @param {String} query The query that the results are for.
+		 * @param {String[]/Object[]} options
+		 */
+		onRemoteLoad : function( query, options ) {
+			if( this.destroyed || query !== this.query ) return;  // a newer query has been made since
+			
+			this.optionsStore.setOptions( options || [] );
+			
+			if( this.focused ) {
+				this.showOptions( this.getOptions() );  // remote results are already filtered by the query
+			}
+		},
+		
+		
+		/**
+		 * Implementation of {@link gui.util.CollectionBindable} mixin method used to retrieve the Object (map) of the listeners
+		 * that should be set up on the {@link #collection}.
+		 * 
+		 * @protected
+		 * @param {data.Collection} collection The Collection being bound.
+		 * @return {Object} An {@link Observable#addListener addListener} config object for the listeners.
+		 */
+		getCollectionListeners : function( collection ) {
+			return {
+				'load' : this.onCollectionLoad,
+				scope  : this
+			};
+		},
+		
+		
+		/**
+		 * Handles the {@link #collection} completing a load, by converting its models to options.
+		 * 
+		 * @protected
+		 * @param {data.Collection} collection
+		 */
+		onCollectionLoad : function( collection ) {
+			var displayAttr = this.displayAttr,
+			    valueAttr = this.valueAttr;
+			
+			var options = _.map( collection.getModels(), function( model ) {
+				return { text: model.get( displayAttr ), value: model.get( valueAttr ) };
+			} );
+			this.onRemoteLoad( this.query, options );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Options menu
+		
+		
+		/**
+		 * Shows the given options in the options menu, highlighting the text which matches the current query. The menu
+		 * is hidden if there are no options to show.
+		 * 
+		 * @protected
+		 * @param {Object[]} options
+		 */
+		showOptions : function( options ) {
+			if( !this.rendered ) return;
+			
+			this.menuOptions = options;
+			if( options.length === 0 ) {
+				this.hideOptionsMenu();
+				return;
+			}
+			
+			var optionsMenuRenderTpl = ComboBox.optionsMenuRenderTpl,
+			    componentCls = this.componentCls,
+			    selectedCls = componentCls + '-menu-item-selected',
+			    markup = [],
+			    selectedIdx = -1;
+			
+			for( var i = 0, len = options.length; i < len; i++ ) {
+				var option = options[ i ],
+				    selected = ( option.value === this.value && option.text === this.text );
+				
+				if( selected ) selectedIdx = i;
+				
+				markup.push( optionsMenuRenderTpl.apply( {
+					componentCls  : componentCls,
+					
+					optionId      : this.elId + '-option-' + i,
+					optionIdx     : i,
+					selected      : selected,
+					menuItemCls   : ( option.cls || "" ) + ( selected ? ' ' + selectedCls : '' ),
+					menuItemStyle : ( option.style ) ? Css.mapToString( option.style ) : '',
+					markup        : this.getOptionMarkup( option, this.query )
+				} ) );
+			}
+			this.$optionsMenu.html( markup.join( "" ) );
+			
+			this.showOptionsMenu();
+			this.highlightOption( ( selectedIdx !== -1 ) ? selectedIdx : 0 );
+		},
+		
+		
+		/**
+		 * Retrieves the HTML for an option in the options menu, with the portion of its text that matches the `query`
+		 * wrapped in a highlighting element.
+		 * 
+		 * @protected
+		 * @param {Object} option
+		 * @param {String} query
+		 * @return {String}
+		 */
+		getOptionMarkup : function( option, query ) {
+			var text = String( option.text ),
+			    idx = ( query ) ? text.toLowerCase().indexOf( query.toLowerCase() ) : -1;
+			
+			if( idx === -1 ) {
+				return Html.encode( text );
+			}
+			
+			return [
+				Html.encode( text.substr( 0, idx ) ),
+				'<span class="' + this.componentCls + '-menu-item-match">', Html.encode( text.substr( idx, query.length ) ), '</span>',
+				Html.encode( text.substr( idx + query.length ) )
+			].join( "" );
+		},
+		
+		
+		/**
+		 * Selects an option, setting the field's value and text to it, and closing the options menu.
+		 * 
+		 * @param {Object} option The option to select, with `text` and `value` properties.
+		 */
+		selectOption : function( option ) {
+			this.hideOptionsMenu();
+			this.updateValue( option.value, String( option.text ) );
+			
+			this.fireEvent( 'select', this, option );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Event handlers
+		
+		
+		/**
+		 * Handles the text of the input being changed by the user, by running a query for the new text. When
+		 * {@link #forceSelection} is false, the text also becomes the field's value (or the value of the option with that
+		 * text, if there is one).
+		 * 
+		 * @protected
+		 */
+		onTextInput : function() {
+			var text = this.$inputEl.val();
+			if( text === this.lastInputText ) return;  // no change (such as from a key which doesn't change the text)
+			this.lastInputText = text;
+			
+			if( !this.forceSelection ) {
+				var option = this.findOptionByText( text );
+				this.updateValue( ( option ) ? option.value : text, text );
+			}
+			
+			this.doQuery( text );
+		},
+		
+		
+		/**
+		 * Handles a click on the expand button, by toggling the options menu with all of the options.
+		 * 
+		 * @protected
+		 */
+		onExpandButtonClick : function() {
+			if( this.optionsMenuOpen ) {
+				this.hideOptionsMenu();
+			} else {
+				this.$inputEl.focus();
+				this.doQuery( "", /* force */ true );
+			}
+		},
+		
+		
+		/**
+		 * Handles the mouse entering an option in the menu, by highlighting it.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onOptionMouseEnter : function( evt ) {
+			this.highlightOption( +jQuery( evt.currentTarget ).attr( 'data-optionidx' ) );
+		},
+		
+		
+		/**
+		 * Handles a click on an option in the menu, by selecting it.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onOptionClick : function( evt ) {
+			var option = this.menuOptions[ +jQuery( evt.currentTarget ).attr( 'data-optionidx' ) ];
+			
+			if( option ) {
+				this.selectOption( option );
+			}
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to navigate the options menu with the keyboard.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			var menuOpen = this.optionsMenuOpen,
+			    numOptions = this.menuOptions.length;
+			
+			switch( evt.keyCode ) {
+				case 38 :  // up arrow
+				case 40 :  // down arrow
+					if( !menuOpen ) {
+						if( evt.keyCode === 40 ) {
+							this.doQuery( "", /* force */ true );  // show all of the options
+						}
+					} else {
+						var delta = ( evt.keyCode === 38 ) ? -1 : 1;
+						this.highlightOption( Math.max( Math.min( this.highlightedIdx + delta, numOptions - 1 ), 0 ) );
+					}
+					evt.preventDefault();  // prevent the cursor from moving to the start or end of the text
+					break;
+				
+				case 13 :  // enter
+					if( menuOpen && this.highlightedIdx !== -1 ) {
+						this.selectOption( this.menuOptions[ this.highlightedIdx ] );
+						evt.preventDefault();  // don't submit a form that the field is in
+					}
+					break;
+				
+				case 27 :  // escape
+					if( menuOpen ) {
+						this.hideOptionsMenu();
+						evt.stopPropagation();  // don't let an ancestor (such as a Window) react to the escape key which only closed the menu
+					}
+					break;
+				
+				case 9 :  // tab
+					this.hideOptionsMenu();
+					break;
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to run a query when the text has been changed by a key press (for browsers
+		 * which do not support the 'input' event).
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyUp : function( evt ) {
+			this.onTextInput();
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to close the options menu when the field loses focus. When
+		 * {@link #forceSelection} is true, the text typed is also resolved to an option here: the option with that text
+		 * (if any) is selected, and otherwise the text is reverted to the selected option's text.
+		 * 
+		 * @protected
+		 */
+		onBlur : function() {
+			this.hideOptionsMenu();
+			
+			if( this.forceSelection ) {
+				var text = this.$inputEl.val(),
+				    option;
+				
+				if( text !== this.text ) {
+					if( ( option = this.findOptionByText( text ) ) ) {
+						this.updateValue( option.value, String( option.text ) );
+					} else if( text === "" ) {
+						this.updateValue( "", "" );
+					} else {
+						this.$inputEl.val( this.text );  // revert to the text of the selected option
+					}
+					this.lastInputText = this.$inputEl.val();
+				}
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		// --------------------------------------
+		
+		
+		/**
+		 * Finds the option with the given text (case-insensitive).
+		 * 
+		 * @private
+		 * @param {String} text
+		 * @return {Object} The option, or `null` if there is no option with the text.
+		 */
+		findOptionByText : function( text ) {
+			text = text.toLowerCase();
+			
+			return _.find( this.getOptions(), function( option ) { return String( option.text ).toLowerCase() === text; } ) || null;
+		},
+		
+		
+		/**
+		 * Normalizes a value into the text to show for it when there is no option with the value.
+		 * 
+		 * @private
+		 * @param {Mixed} value
+		 * @return {String}
+		 */
+		normalizeText : function( value ) {
+			return ( value === undefined || value === null ) ? "" : String( value );
+		},
+		
+		
+		/**
+		 * Override of the superclass method, to allow values of any type (such as numbers), as they are the values of
+		 * the options. `undefined` and `null` are normalized to an empty string.
+		 * 
+		 * @protected
+		 * @param {Mixed} value
+		 * @return {Mixed}
+		 */
+		normalizeValue : function( value ) {
+			return ( value === undefined || value === null ) ? "" : value;
+		},
+		
+		
+		/**
+		 * Sets the field's value and text, updating the input and hidden input, and running {@link #onChange} if the
+		 * value has changed.
+		 * 
+		 * @private
+		 * @param {Mixed} value
+		 * @param {String} text
+		 */
+		updateValue : function( value, text ) {
+			var oldValue = this.value;
+			
+			this.value = value;
+			this.text = text;
+			
+			if( this.rendered ) {
+				if( this.$inputEl.val() !== text ) {
+					this.$inputEl.val( text );
+					this.lastInputText = text;
+				}
+				this.$hiddenInputEl.val( value );
+			}
+			
+			if( value !== oldValue ) {
+				this.onChange( value );
+			} else {
+				this.handleEmptyText();
+			}
+		},
+		
+		
+		/**
+		 * Sets the value of the field. If there is an option with the `value`, its text is shown in the field. Otherwise,
+		 * the `value` itself is shown.
+		 * 
+		 * @param {Mixed} value
+		 */
+		setValue : function( value ) {
+			value = this.normalizeValue( value );
+			var option = this.optionsStore.getByValue( value );
+			
+			this.updateValue( value, ( option ) ? String( option.text ) : this.normalizeText( value ) );
+		},
+		
+		
+		/**
+		 * Retrieves the value of the field: the value of the selected option, or the free text typed into the field (if
+		 * {@link #forceSelection} is false).
+		 * 
+		 * @return {Mixed} The value, or an empty string if there is no value.
+		 */
+		getValue : function() {
+			return this.value;
+		},
+		
+		
+		/**
+		 * Retrieves the text shown in the field.
+		 * 
+		 * @return {String}
+		 */
+		getText : function() {
+			return ( this.rendered ) ? this.$inputEl.val() : this.text;
+		},
+		
+		
+		// --------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.rendered ) {
+				this.$optionsMenu.remove();
+			}
+			this.unbindCollection();
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'combobox', ComboBox );
+	
+	return ComboBox;
+	
+} );
\ No newline at end of file
@@ -0,0 +1,530 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Overlay',
+	'gui/form/Validators',
+	'gui/form/field/Text',
+	'gui/picker/Date',
+	'gui/util/Date'
+], function( jQuery, _, ComponentManager, Overlay, Validators, TextField, DatePicker, DateUtil ) {
+	
+	/**
+	 * @class gui.form.field.Date
+	 * @extends gui.form.field.Text
+	 * @alias type.date
+	 * @alias type.datefield
+	 * 
+	 * A text field for entering a date. The date may be typed into the field in the field's {@link #format}, or picked
+	 * from a {@link gui.picker.Date calendar} which is opened in an overlay below the field by clicking the calendar
+	 * button, or by pressing the down arrow key in the field. {@link #getValue} returns a JavaScript Date (or `null` when
+	 * the field is empty).
+	 * 
+	 *     var dateField = new DateField( {
+	 *         label   : "Start Date",
+	 *         format  : 'yyyy-MM-dd',
+	 *         minDate : new Date()
+	 *     } );
+	 * 
+	 * Text which is not a valid date in the {@link #format}, or a date which may not be picked (see {@link #minDate},
+	 * {@link #maxDate}, {@link #disabledDates}, and {@link #disabledDays}), makes the field invalid when it is
+	 * {@link #validate validated}.
+	 */
+	var DateField = TextField.extend( {
+		
+		/**
+		 * @cfg {Date/String} value
+		 * 
+		 * The initial value for the field, if any. A string in the field's {@link #format} is accepted as well, and the
+		 * special string "now" may be used to set the field to the current date.
+		 */
+		
+		/**
+		 * @cfg {String} emptyText
+		 * 
+		 * The text to show in the field when the field is empty. For the Date field, this accepts the special string "now",
+		 * which sets the emptyText to the current date (in the field's {@link #format}).
+		 */
+		
+		/**
+		 * @cfg {String} format
+		 * 
+		 * The format of the date shown in the field, and the format that typed dates are parsed with. See
+		 * {@link gui.util.Date} for the accepted tokens.
+		 */
+		format : 'MM/dd/yyyy',
+		
+		/**
+		 * @cfg {Date} minDate
+		 * 
+		 * The earliest date that may be entered or picked, or `null` for no minimum.
+		 */
+		minDate : null,
+		
+		/**
+		 * @cfg {Date} maxDate
+		 * 
+		 * The latest date that may be entered or picked, or `null` for no maximum.
+		 */
+		maxDate : null,
+		
+		/**
+		 * @cfg {Date[]} disabledDates
+		 * 
+		 * Specific dates which may not be entered or picked.
+		 */
+		
+		/**
+		 * @cfg {Number[]} disabledDays
+		 * 
+		 * The days of the week which may not be entered or picked, where 0 is Sunday and 6 is Saturday.
+		 */
+		
+		/**
+		 * @cfg {Boolean} showWeekNumbers
+		 * 
+		 * `true` to show week numbers in the calendar. See {@link gui.picker.Date#showWeekNumbers}.
+		 */
+		showWeekNumbers : false,
+		
+		/**
+		 * @cfg {Number} startDay
+		 * 
+		 * The day that weeks start on in the calendar, where 0 is Sunday and 6 is Saturday.
+		 */
+		startDay : 0,
+		
+		/**
+		 * @cfg {String} invalidText
+		 * 
+		 * The error message for text which is not a valid date. The token `{format}` is replaced with the field's
+		 * {@link #format}.
+		 */
+		invalidText : "This is not a valid date. Please use the format {format}.",
+		
+		/**
+		 * @cfg {String} disabledDateText
+		 * 
+		 * The error message for a date which may not be picked, because it is outside of the {@link #minDate} and
+		 * {@link #maxDate}, or it is one of the {@link #disabledDates} or {@link #disabledDays}.
+		 */
+		disabledDateText : "This date is not available.",
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		componentCls : 'gui-form-field-date',
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $pickerButtonEl
+		 * 
+		 * The button which opens the calendar. This is only available after the field has been rendered.
+		 */
+		
+		/**
+		 * @private
+		 * @property {gui.picker.Date} picker
+		 * 
+		 * The calendar, which is lazily created by {@link #getPicker}.
+		 */
+		picker : null,
+		
+		/**
+		 * @private
+		 * @property {gui.Overlay} pickerOverlay
+		 * 
+		 * The overlay which holds the {@link #picker}, which is lazily created when the calendar is first shown.
+		 */
+		pickerOverlay : null,
+		
+		/**
+		 * @private
+		 * @property {Function} documentMouseDownHandler
+		 * 
+		 * The scope-bound handler for mousedown events on the document while the calendar is shown, which closes the
+		 * calendar when the mouse is pressed outside of the field. Stored so that it may be unbound.
+		 */
+		
+		
+		statics : {
+			
+			/**
+			 * @private
+			 * @static
+			 * @property {Function} PickerOverlay
+			 * 
+			 * The (concrete) {@link gui.Overlay} subclass which the calendar is shown in.
+			 */
+			PickerOverlay : Overlay.extend( {
+				componentCls : 'gui-form-field-date-pickerOverlay'
+			} )
+		
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this._super( arguments );
+			
+			this.emptyText = this.handleDateValue( this.emptyText );
+			
+			// Check that the text is a valid date before any other validators are run
+			this.validatorFns.unshift( Validators.create( this.validateDate ) );
+			
+			this.documentMouseDownHandler = _.bind( this.onDocumentMouseDown, this );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			this.addCls( this.componentCls + '-hasPickerButton' );
+			
+			this.$pickerButtonEl = jQuery( '<div class="' + this.componentCls + '-pickerButton gui-icon-calendar" role="button" />' )
+				.appendTo( this.$inputContainerEl )
+				.on( 'mousedown', function( evt ) { evt.preventDefault(); } )  // keep the focus in the input
+				.on( 'click', _.bind( this.onPickerButtonClick, this ) );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Value methods
+		
+		
+		/**
+		 * Converts the special value "now" into the current date.
+		 * 
+		 * @private
+		 * @param {Mixed} value
+		 * @return {Mixed} The current date (formatted in the field's {@link #format}) if `value` was "now", or `value`
+		 *   unchanged otherwise.
+		 */
+		handleDateValue : function( value ) {
+			return ( value === "now" ) ? DateUtil.format( new Date(), this.format ) : value;
+		},
+		
+		
+		/**
+		 * Override of the superclass method, to normalize the value into the text of the date in the field's
+		 * {@link #format}. A string which is not a valid date is left as-is, so that it may be corrected by the user.
+		 * 
+		 * @protected
+		 * @param {Date/String} value
+		 * @return {String}
+		 */
+		normalizeValue : function( value ) {
+			value = this.handleDateValue( value );
+			
+			if( _.isDate( value ) ) {
+				return DateUtil.format( value, this.format );
+			} else if( _.isString( value ) ) {
+				var date = DateUtil.parse( value, this.format );
+				return ( date ) ? DateUtil.format( date, this.format ) : value;
+			} else {
+				return this._super( arguments );
+			}
+		},
+		
+		
+		/**
+		 * Sets the value of the field. The date is formatted in the field using the {@link #format}.
+		 * 
+		 * @param {Date} value The date, or `null` for no value. A string in the field's {@link #format} is accepted as
+		 *   well, and the special string "now" sets the field to the current date.
+		 */
+		setValue : function( value ) {
+			var text = this.normalizeValue( value );
+			
+			if( !this.rendered ) {
+				this.value = text;  // If the Component has not yet been rendered, store the text as the initial value to render.
+			} else {
+				this.$inputEl.val( text );
+			}
+			
+			if( this.picker ) {
+				this.picker.setValue( this.getValue() );
+			}
+			this.onChange( this.getValue() );
+		},
+		
+		
+		/**
+		 * Retrieves the value of the field.
+		 * 
+		 * @return {Date} The date (at midnight), or `null` if the field is empty (or its text is not a valid date).
+		 */
+		getValue : function() {
+			return DateUtil.parse( this.getText(), this.format );
+		},
+		
+		
+		/**
+		 * Retrieves the raw text of the field.
+		 * 
+		 * @protected
+		 * @return {String}
+		 */
+		getText : function() {
+			return ( this.rendered ) ? this.$inputEl.val() : this.value;
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to accept the special value "now", which sets the emptyText to the current
+		 * date.
+		 * 
+		 * @param {String} emptyText
+		 */
+		setEmptyText : function( emptyText ) {
+			this._super( [ this.handleDateValue( emptyText ) ] );
+		},
+		
+		
+		/**
+		 * Sets the {@link #minDate}.
+		 * 
+		 * @param {Date} date The date, or `null` for no minimum.
+		 */
+		setMinDate : function( date ) {
+			this.minDate = date;
+			this.getPicker().setMinDate( date );
+		},
+		
+		
+		/**
+		 * Sets the {@link #maxDate}.
+		 * 
+		 * @param {Date} date The date, or `null` for no maximum.
+		 */
+		setMaxDate : function( date ) {
+			this.maxDate = date;
+			this.getPicker().setMaxDate( date );
+		},
+		
+		
+		/**
+		 * The validator function which checks that the field's text is a valid date which may be picked. This is run
+		 * before any of the field's {@link #validators}.
+		 * 
+		 * @private
+		 * @param {Date} value The field's value.
+		 * @return {String} The error message, or `null` if the date is valid.
+		 */
+		validateDate : function( value ) {
+			if( value === null ) {
+				return ( jQuery.trim( this.getText() ) !== "" ) ? this.invalidText.replace( '{format}', this.format ) : null;
+			}
+			return ( this.getPicker().isDateDisabled( value ) ) ? this.disabledDateText : null;
+		},
+		
+		
+		// --------------------------------------
+		
+		// Calendar
+		
+		
+		/**
+		 * Retrieves the {@link gui.picker.Date calendar} for the field, creating it if it does not yet exist.
+		 * 
+		 * @protected
+		 * @return {gui.picker.Date}
+		 */
+		getPicker : function() {
+			if( !this.picker ) {
+				this.picker = new DatePicker( {
+					value           : this.getValue(),
+					minDate         : this.minDate,
+					maxDate         : this.maxDate,
+					disabledDates   : this.disabledDates,
+					disabledDays    : this.disabledDays,
+					showWeekNumbers : this.showWeekNumbers,
+					startDay        : this.startDay,
+					
+					listeners : {
+						'select' : this.onPickerSelect,
+						'cancel' : this.onPickerCancel,
+						scope    : this
+					}
+				} );
+			}
+			return this.picker;
+		},
+		
+		
+		/**
+		 * Shows the calendar below the field, and focuses it. The calendar is not shown if the field is
+		 * {@link #readOnly}.
+		 */
+		showPicker : function() {
+			if( !this.rendered || this.readOnly || this.isPickerVisible() ) return;
+			
+			var picker = this.getPicker();
+			if( !this.pickerOverlay ) {
+				this.pickerOverlay = new DateField.PickerOverlay( { items: [ picker ] } );
+			}
+			
+			picker.setValue( this.getValue() );
+			this.pickerOverlay.show( {
+				anchor : { my: 'left top', at: 'left bottom', of: this.$inputContainerEl }
+			} );
+			picker.focus();
+			
+			jQuery( document ).on( 'mousedown', this.documentMouseDownHandler );
+		},
+		
+		
+		/**
+		 * Hides the calendar.
+		 */
+		hidePicker : function() {
+			if( !this.isPickerVisible() ) return;
+			
+			this.pickerOverlay.hide();
+			jQuery( document ).off( 'mousedown', this.documentMouseDownHandler );
+		},
+		
+		
+		/**
+		 * Determines if the calendar is currently shown.
+		 * 
+		 * @return {Boolean}
+		 */
+		isPickerVisible : function() {
+			return !!this.pickerOverlay && this.pickerOverlay.isVisible();
+		},
+		
+		
+		// --------------------------------------
+		
+		// Event handlers
+		
+		
+		/**
+		 * Handles a click on the {@link #$pickerButtonEl}, by showing or hiding the calendar.
+		 * 
+		 * @protected
+		 */
+		onPickerButtonClick : function() {
+			if( this.isPickerVisible() ) {
+				this.hidePicker();
+				this.focus();
+			} else {
+				this.showPicker();
+			}
+		},
+		
+		
+		/**
+		 * Handles the {@link gui.picker.Date#select select} event of the calendar, by setting the picked date to the
+		 * field.
+		 * 
+		 * @protected
+		 * @param {gui.picker.Date} picker
+		 * @param {Date} date
+		 */
+		onPickerSelect : function( picker, date ) {
+			this.setValue( date );
+			this.hidePicker();
+			this.focus();
+		},
+		
+		
+		/**
+		 * Handles the {@link gui.picker.Date#cancel cancel} event of the calendar (the escape key), by hiding the calendar
+		 * and returning the focus to the field.
+		 * 
+		 * @protected
+		 */
+		onPickerCancel : function() {
+			this.hidePicker();
+			this.focus();
+		},
+		
+		
+		/**
+		 * Handles a mousedown event on the document while the calendar is shown, by hiding the calendar if the mouse was
+		 * pressed outside of the field and the calendar.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onDocumentMouseDown : function( evt ) {
+			var target = evt.target;
+			
+			if( !jQuery.contains( this.$el[ 0 ], target ) && !jQuery.contains( this.pickerOverlay.getEl()[ 0 ], target ) ) {
+				this.hidePicker();
+			}
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to show the calendar when the down arrow key is pressed.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			if( evt.keyCode === 40 ) {  // down arrow (with or without alt)
+				this.showPicker();
+				evt.preventDefault();
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to reformat a valid date in the field when it loses focus (ex: "1/5/2014"
+		 * becomes "01/05/2014" with the default {@link #format}). Text which is not a valid date is left as-is.
+		 * 
+		 * @protected
+		 */
+		onBlur : function() {
+			var $inputEl = this.$inputEl,
+			    value = this.getValue();
+			
+			if( value !== null ) {
+				var text = DateUtil.format( value, this.format );
+				if( $inputEl.val() !== text ) {
+					$inputEl.val( text );
+				}
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			jQuery( document ).off( 'mousedown', this.documentMouseDownHandler );
+			
+			if( this.pickerOverlay ) {
+				this.pickerOverlay.destroy();  // destroys the picker as well, as it is a child of the overlay
+			} else if( this.picker ) {
+				this.picker.destroy();
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'date', DateField );
+	ComponentManager.registerType( 'datefield', DateField );
+	
+	return DateField;
+	
+} );
\ No newline at end of file
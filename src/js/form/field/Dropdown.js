@@ -6,18 +6,34 @@ define( [
 	'gui/ComponentManager',
 	'gui/form/field/Field',
 	'gui/template/LoDash',
-	'gui/util/OptionsStore'
-], function( jQuery, _, Css, ComponentManager, Field, LoDashTpl, OptionsStore ) {
+	'gui/util/OptionsStore',
+	'gui/util/OptionsMenu'
+], function( jQuery, _, Css, ComponentManager, Field, LoDashTpl, OptionsStore, OptionsMenu ) {
 	
 	/**
 	 * @class gui.form.field.Dropdown
 	 * @extends gui.form.field.Field
+	 * @mixins gui.util.OptionsMenu
 	 * @alias type.dropdown
 	 * @alias type.dropdownfield
 	 * 
 	 * Dropdown list where only one item may be selected.
+	 * 
+	 * The dropdown may be operated with the keyboard once it is focused:
+	 * 
+	 * - Up and down arrows: Open the options menu, or move the highlighted option when the menu is open.
+	 * - Home and end: Open the options menu (if needed), and highlight the first or last option.
+	 * - Enter and space: Open the options menu, or select the highlighted option when the menu is open.
+	 * - Escape: Close the options menu without changing the selection.
+	 * - Typing characters: Jumps to the next option whose text starts with the characters typed (see {@link #typeAheadDelay}).
+	 *   When the menu is closed, the option is selected immediately. When the menu is open, it is highlighted.
+	 * 
+	 * The dropdown is marked up with the ARIA `combobox`, `listbox`, and `option` roles, and the highlighted option is
+	 * referenced by the combobox's `aria-activedescendant` attribute while the menu is open.
 	 */
 	var DropdownField = Field.extend( {
+		mixins : [ OptionsMenu ],
+		
 		
 		/**
 		 * @cfg {Array/Function} options
@@ -43,13 +59,14 @@ define( [
 		menuCls : "",
 		
 		/**
-		 * @cfg {String} menuCollisionStrategy
+		 * @cfg {Number} typeAheadDelay
 		 * 
-		 * The strategy to use to re-position the dropdown menu when it collides with the edge of the screen.  Can be one of the following values:
-		 * 'flip', 'fit', or 'none'.  See the 'collision' option of jQuery UI's position utility for details. http://jqueryui.com/demos/position/  
-		 * Defaults to 'flip'.
+		 * The number of milliseconds after the last key press that characters typed into the dropdown are accumulated
+		 * for type-ahead. Typing "ca" within this delay jumps to an option starting with "ca", while typing "c", pausing,
+		 * and then typing "a" jumps to an option starting with "c", and then to an option starting with "a". Typing the 
+		 * same character repeatedly cycles through the options starting with that character.
 		 */
-		menuCollisionStrategy : 'flip',
+		typeAheadDelay : 500,
 		
 		/**
 		 * @cfg
@@ -67,11 +84,19 @@ define( [
 		
 		/**
 		 * @private
-		 * @property {Boolean} optionsMenuOpen
+		 * @property {String} typeAheadBuffer
+		 * 
+		 * The characters that have been typed into the dropdown within the {@link #typeAheadDelay}.
+		 */
+		typeAheadBuffer : "",
+		
+		/**
+		 * @private
+		 * @property {Number} typeAheadTimer
 		 * 
-		 * Flag that stores whether or not the options menu is open or closed.
+		 * The id of the timeout which clears the {@link #typeAheadBuffer} after the {@link #typeAheadDelay}.
 		 */
-		optionsMenuOpen : false,
+		typeAheadTimer : null,
 	
 	
 		
@@ -87,7 +112,7 @@ define( [
 			 */
 			dropdownRenderTpl : new LoDashTpl( [
 				'<input type="hidden" id="<%= inputId %>" name="<%= inputName %>" value="<%= initialValue %>" />',  // populated upon selection for standard form submission
-				'<div id="<%= elId %>-dropdownContainer" class="<%= componentCls %>-dropdownContainer">',
+				'<div id="<%= elId %>-dropdownContainer" class="<%= componentCls %>-dropdownContainer" tabindex="0" role="combobox" aria-haspopup="listbox" aria-expanded="false" aria-controls="<%= elId %>-menu"<% if( labelled ) { %> aria-labelledby="<%= elId %>-label"<% } %>>',
 					'<div id="<%= elId %>-selectText" class="<%= componentCls %>-selectText">',
 						'<div class="<%= optionClass %>" style="<%= optionStyles %>"><%= optionText %></div>',
 					'</div>',
@@ -104,7 +129,7 @@ define( [
 			 * The template to use to render the dropdown's options menu elements.
 			 */
 			optionsMenuRenderTpl : new LoDashTpl( [
-				'<li data-elem="gui-form-field-dropdown-menu-item" class="<%= componentCls %>-menu-item <%= menuItemCls %>" style="<%= menuItemStyle %>">',
+				'<li id="<%= optionId %>" role="option" aria-selected="<%= selected %>" data-elem="gui-form-field-dropdown-menu-item" class="<%= componentCls %>-menu-item <%= menuItemCls %>" style="<%= menuItemStyle %>">',
 					'<%= text %>',
 				'</li>'
 			] )
@@ -167,23 +192,6 @@ define( [
 			// Call superclass onRender() first, to render this Component's element
 			this._super( arguments );
 			
-			// Note: eventually we want the custom dropdown implementation to be able to be tabbed to in the browser, which may involve creating
-			// an actual dropdown field (<select> element). Leaving this (old) code here for now.  
-			/*
-			// Create the dropdown
-			this.$inputEl = jQuery( '<select id="' + this.inputId + '" name="' + this.inputName + '" class="gui-corner-all dropdown"></select>' )
-				.bind( {
-					change : _.bind( function() { this.onChange( this.getValue() ); }, this ),  // Call onChange() with the new value
-					focus  : _.bind( this.onFocus, this ),
-					blur   : _.bind( this.onBlur, this )
-				} )
-				.appendTo( this.$inputContainerEl );  // Append the dropdown to the input container
-			
-			// Fill the options
-			this.redrawOptions();
-			*/
-			
-			
 			var elId = this.elId,
 			    inputId = this.inputId,
 			    $inputContainerEl = this.$inputContainerEl,
@@ -198,6 +206,7 @@ define( [
 				inputId       : inputId,
 				inputName     : this.inputName,
 				initialValue  : fieldValue,
+				labelled      : !!this.label,
 				
 				// For the initially selected option
 				optionText    : ( option ) ? option.text : "",
@@ -217,9 +226,16 @@ define( [
 			this.$selectText.click( onDropdownClickDelegate );
 			this.$expandButton.click( onDropdownClickDelegate );
 			
+			// The dropdown container is the focusable element of the field (the combobox), which handles keyboard navigation
+			this.$dropdownContainer.on( {
+				'focus'   : _.bind( this.onFocus, this ),
+				'blur'    : _.bind( this.onBlur, this ),
+				'keydown' : _.bind( this.onKeyDown, this )
+			} );
+			
 			
 			// Create the dropdown menu, which is a <ul> element that holds the dropdown list. This is appended to the document body.
-			this.$optionsMenu = jQuery( '<ul class="' + this.componentCls + '-menu ' + this.menuCls + '" />' ).hide().appendTo( 'body' );
+			this.createOptionsMenu().on( 'mouseenter', 'li', _.bind( this.onOptionMouseEnter, this ) );
 			
 			// TODO: Add IE iframe shim
 			/*if ($.browser.msie && jQuery.browser.version < 7) {
@@ -230,27 +246,6 @@ define( [
 			this.redrawOptions();
 			
 			
-			// Add the key listener
-			/*
-			$select.keydown(function(e){
-				var selectedIndex = this.selectedIndex;
-				switch(e.keyCode){
-					case 40: // Down
-						if (selectedIndex < this.options.length - 1){ selectedIndex+=1; }
-						break;
-					case 38: // Up
-						if (selectedIndex > 0){ selectedIndex-=1; }
-						break;
-					default:
-						return;
-				}
-				$('ul a', $wrapper).removeClass('selected').eq(selectedIndex).addClass('selected');
-				$('span:eq(0)', $wrapper).html($('option:eq('+ selectedIndex +')', $select).attr('selected', 'selected').text());
-				return false;
-			}).focus(function(){ $wrapper.addClass('jNiceFocus'); }).blur(function(){ $wrapper.removeClass('jNiceFocus'); });
-			*/
-			
-			
 			// Add a handler to check for a click on the document. If the click wasn't over the dropdown's element
 			// or its menu, the dropdown's menu will be hidden.
 			this.documentClickHandler = _.bind( this.onDocumentClick, this );   // save a reference to the wrapped function so we can remove it later in onDestroy 
@@ -319,21 +314,215 @@ define( [
 		onOptionClick : function( evt ) {
 			evt.preventDefault();
 			
-			var $targetEl = jQuery( evt.target ),
-			    currentValue = this.getValue(),
-			    newValue = $targetEl.data( 'value' );
+			var $targetEl = jQuery( evt.currentTarget );
+			this.selectValue( $targetEl.data( 'value' ) );
 			
+			// Hide the dropdown menu
+			this.hideOptionsMenu();
+		},
+		
+		
+		/**
+		 * Handles the mouse entering an option in the dropdown's menu, by highlighting it.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onOptionMouseEnter : function( evt ) {
+			this.highlightOption( this.$optionsMenu.children( 'li' ).index( evt.currentTarget ) );
+		},
+		
+		
+		/**
+		 * Selects the option with the given `value`, as the result of a user action (as opposed to {@link #setValue}). If
+		 * the value is different from the current value, it is set and {@link #onChange} is run.
+		 * 
+		 * @private
+		 * @param {Mixed} newValue
+		 */
+		selectValue : function( newValue ) {
 			// Only make a change if the newly selected value is different from the current value
-			if( currentValue !== newValue ) {
+			if( this.getValue() !== newValue ) {
 				// Set the new value
 				this.setValue( newValue );
 				
 				// Run onChange with the new value
 				this.onChange( this.getValue() );
 			}
+		},
+		
+		
+		
+		// --------------------------------------
+		
+		
+		// Keyboard navigation
+		
+		/**
+		 * Handles a keydown on the focused dropdown, implementing the keyboard navigation described in the class description.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			var numOptions = this.optionsStore.getCount(),
+			    menuOpen = this.optionsMenuOpen,
+			    highlightedIdx = this.highlightedIdx;
+			
+			if( numOptions === 0 ) return;
+			
+			switch( evt.keyCode ) {
+				case 38 :  // up arrow
+				case 40 :  // down arrow
+					if( !menuOpen ) {
+						this.showOptionsMenu();
+					} else if( !evt.altKey ) {
+						var delta = ( evt.keyCode === 38 ) ? -1 : 1;
+						this.highlightOption( Math.max( Math.min( highlightedIdx + delta, numOptions - 1 ), 0 ) );
+					} else if( evt.keyCode === 38 ) {  // alt + up arrow
+						this.selectHighlightedOption();
+					}
+					break;
+				
+				case 36 :  // home
+				case 35 :  // end
+					if( !menuOpen ) {
+						this.showOptionsMenu();
+					}
+					this.highlightOption( ( evt.keyCode === 36 ) ? 0 : numOptions - 1 );
+					break;
+				
+				case 32 :  // space
+					if( this.typeAheadBuffer ) {  // a space within type-ahead text is part of the text being typed
+						this.typeAhead( " " );
+						break;
+					}
+					/* falls through */
+				case 13 :  // enter
+					if( menuOpen ) {
+						this.selectHighlightedOption();
+					} else {
+						this.showOptionsMenu();
+					}
+					break;
+				
+				case 27 :  // escape
+					if( !menuOpen ) return;
+					
+					this.hideOptionsMenu();
+					evt.stopPropagation();  // don't let an ancestor (such as a Window) react to the escape key which only closed the menu
+					break;
+				
+				case 9 :  // tab
+					this.hideOptionsMenu();
+					return;  // allow the focus to move to the next element
+				
+				default :
+					var chr = this.getTypeAheadChar( evt );
+					if( !chr ) return;
+					
+					this.typeAhead( chr );
+			}
+			
+			evt.preventDefault();  // prevent the arrow keys and space bar from scrolling the page
+		},
+		
+		
+		/**
+		 * Retrieves the printable character for a keydown event, to be used for type-ahead.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 * @return {String} The character, or an empty string if the key does not produce a character (or is a shortcut
+		 *   key combination).
+		 */
+		getTypeAheadChar : function( evt ) {
+			if( evt.ctrlKey || evt.metaKey || evt.altKey ) return "";
+			
+			var key = evt.originalEvent && evt.originalEvent.key,
+			    keyCode = evt.keyCode;
+			
+			if( typeof key === 'string' ) {
+				return ( key.length === 1 ) ? key : "";
+			} else if( ( keyCode >= 48 && keyCode <= 57 ) || ( keyCode >= 65 && keyCode <= 90 ) ) {  // digits and letters, for browsers without KeyboardEvent.key
+				return String.fromCharCode( keyCode );
+			}
+			return "";
+		},
+		
+		
+		/**
+		 * Adds a character to the {@link #typeAheadBuffer}, and jumps to the next option whose text starts with the
+		 * buffered characters (case-insensitive). If the menu is open, the option is highlighted. Otherwise, it is selected.
+		 * 
+		 * @private
+		 * @param {String} chr The character that was typed.
+		 */
+		typeAhead : function( chr ) {
+			var me = this,
+			    buffer = this.typeAheadBuffer = ( this.typeAheadBuffer + chr ).toLowerCase(),
+			    options = this.getOptions(),
+			    numOptions = options.length,
+			    currentIdx = ( this.optionsMenuOpen ) ? this.highlightedIdx : this.getSelectedIndex();
+			
+			window.clearTimeout( this.typeAheadTimer );
+			this.typeAheadTimer = window.setTimeout( function() { me.typeAheadBuffer = ""; }, this.typeAheadDelay );
+			
+			// When the same character is typed repeatedly, cycle through the options which start with that character
+			var isRepeatedChar = buffer.length > 1 && _.every( buffer.split( "" ), function( c ) { return c === buffer.charAt( 0 ); } );
+			if( isRepeatedChar ) {
+				buffer = buffer.charAt( 0 );
+			}
+			
+			// A new search starts from the option after the current one. A search which is continued as more characters
+			// are typed includes the current option, so that it remains selected while it still matches.
+			var startIdx = ( buffer.length === 1 ) ? currentIdx + 1 : Math.max( currentIdx, 0 );
+			for( var i = 0; i < numOptions; i++ ) {
+				var idx = ( startIdx + i ) % numOptions;
+				
+				if( String( options[ idx ].text ).toLowerCase().indexOf( buffer ) === 0 ) {
+					if( this.optionsMenuOpen ) {
+						this.highlightOption( idx );
+					} else {
+						this.selectValue( options[ idx ].value );
+					}
+					break;
+				}
+			}
+		},
+		
+		
+		/**
+		 * Selects the {@link #highlightedIdx highlighted} option (if any), and closes the options menu.
+		 * 
+		 * @private
+		 */
+		selectHighlightedOption : function() {
+			var option = this.optionsStore.getAtIndex( this.highlightedIdx );
 			
-			// Hide the dropdown menu
 			this.hideOptionsMenu();
+			if( option ) {
+				this.selectValue( option.value );
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the index of the selected option.
+		 * 
+		 * @protected
+		 * @return {Number} The index of the option with the dropdown's current value, or -1 if there is no selected option.
+		 */
+		getSelectedIndex : function() {
+			var value = this.getValue(),
+			    options = this.getOptions();
+			
+			for( var i = 0, len = options.length; i < len; i++ ) {
+				if( options[ i ].value === value ) {
+					return i;
+				}
+			}
+			return -1;
 		},
 		
 		
@@ -473,6 +662,8 @@ define( [
 						optionsMenuRenderTpl.apply( {
 							componentCls  : this.componentCls,
 							
+							optionId      : this.elId + '-option-' + i,
+							selected      : ( option.value === currentFieldValue ),
 							menuItemCls   : menuItemCls,
 							menuItemStyle : ( option.style ) ? Css.mapToString( option.style ) : '', 
 							text          : option.text
@@ -492,6 +683,11 @@ define( [
 				
 				// Attach a click handler to each of the menu items
 				$itemEls.click( _.bind( this.onOptionClick, this ) );
+				
+				// Re-apply the highlight to the redrawn items, if the menu is open
+				if( this.optionsMenuOpen ) {
+					this.highlightOption( Math.min( this.highlightedIdx, numOptions - 1 ) );
+				}
 			}
 		},
 		
@@ -500,33 +696,25 @@ define( [
 		
 		
 		/**
-		 * Expands and shows the options menu.
+		 * Implementation of {@link gui.util.OptionsMenu} method, which retrieves the dropdown container as the element
+		 * with the ARIA `combobox` role.
+		 * 
+		 * @protected
+		 * @return {jQuery}
 		 */
-		showOptionsMenu : function() {
-			this.optionsMenuOpen = true;
-			
-			this.$optionsMenu.show();
-			
-			// Size the width of the menu based on the width of the dropdown's elements
-			this.$optionsMenu.width( this.$inputContainerEl.innerWidth() );
-			
-			// Position the menu against the dropdown's elements
-			this.$optionsMenu.position( {
-				my : 'left top',
-				at : 'left bottom',
-				of : this.$inputContainerEl,
-				collision : this.menuCollisionStrategy
-			} );
+		getComboboxEl : function() {
+			return this.$dropdownContainer;
 		},
 		
 		
 		/**
-		 * Hides the options menu.
+		 * Handles the options menu being shown, by highlighting the selected option, so that keyboard navigation
+		 * starts from it.
+		 * 
+		 * @protected
 		 */
-		hideOptionsMenu : function( anim ) {
-			this.optionsMenuOpen = false;
-			
-			this.$optionsMenu.hide();
+		onOptionsMenuShow : function() {
+			this.highlightOption( this.getSelectedIndex() );
 		},
 		
 		
@@ -574,14 +762,14 @@ define( [
 					// Update the options menu
 					var $optionsMenu = this.$optionsMenu,
 					    selectedCls = this.componentCls + '-menu-item-selected';
-					$optionsMenu.find( 'li.' + selectedCls ).removeClass( selectedCls );  // De-select any currently selected item in the dropdown menu
+					$optionsMenu.find( 'li.' + selectedCls ).removeClass( selectedCls ).attr( 'aria-selected', 'false' );  // De-select any currently selected item in the dropdown menu
 					
 					// Select the item with the given value
 					var $itemEls = $optionsMenu.find( 'li[data-elem="gui-form-field-dropdown-menu-item"]' );
 					for( var i = 0, len = $itemEls.length; i < len; i++ ) {
 						var $item = $itemEls.eq( i );
 						if( $item.data( 'value' ) === value ) {
-							$item.addClass( selectedCls );
+							$item.addClass( selectedCls ).attr( 'aria-selected', 'true' );
 							break;
 						}
 					}
@@ -653,10 +841,57 @@ define( [
 		// ---------------------------------------------
 		
 		
+		/**
+		 * Focuses the dropdown, so that it may be operated with the keyboard.
+		 * 
+		 * @chainable
+		 */
+		focus : function() {
+			if( this.rendered ) {
+				this.$dropdownContainer.focus();  // the 'focus' handler runs onFocus()
+				return this;
+			}
+			return this._super( arguments );
+		},
+		
+		
+		/**
+		 * Blurs the dropdown.
+		 * 
+		 * @chainable
+		 */
+		blur : function() {
+			if( this.rendered ) {
+				this.$dropdownContainer.blur();  // the 'blur' handler runs onBlur()
+				return this;
+			}
+			return this._super( arguments );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to close the options menu when the focus leaves the dropdown.
+		 * 
+		 * @protected
+		 */
+		onBlur : function() {
+			if( this.optionsMenuOpen ) {
+				this.hideOptionsMenu();
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		// ---------------------------------------------
+		
+		
 		/**
 		 * @inheritdoc
 		 */
 		onDestroy : function() {
+			window.clearTimeout( this.typeAheadTimer );
+			
 			if( this.rendered ) {
 				// Remove the document click handler, which hides the dropdown menu when its not clicked
 				jQuery( document ).unbind( 'mousedown', this.documentClickHandler );
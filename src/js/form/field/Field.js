@@ -4,21 +4,31 @@ define( [
 	'lodash',
 	'Class',
 	'gui/Component',
+	'gui/form/Validators',
+	'gui/util/ModelBindable',
 	'gui/template/Template',
 	'gui/template/LoDash'
-], function( jQuery, _, Class, Component, Template, LoDashTpl ) {
+], function( jQuery, _, Class, Component, Validators, ModelBindable, Template, LoDashTpl ) {
 	
 	/**
 	 * @abstract
 	 * @class gui.form.field.Field
 	 * @extends gui.Component
+	 * @mixins gui.util.ModelBindable
 	 * 
 	 * Abstract base class for form fields, which lays out a label and a container for form field(s), while also 
 	 * providing the base functionality and other common field related tasks.
 	 * 
 	 * Each concrete subclass must implement the {@link #setValue} and {@link #getValue} methods.
+	 * 
+	 * A Field may be two-way bound to an attribute of a {@link data.Model} by providing the {@link #bind} config, and
+	 * a {@link #model} (usually by way of its {@link gui.form.Panel Form's} {@link gui.form.Panel#bindModel bindModel()}
+	 * method). Changes to the Field's value will then be set to the model attribute, and changes to the model attribute
+	 * will be reflected in the Field.
 	 */
 	var Field = Component.extend( {
+		mixins : [ ModelBindable ],
+		
 		abstractClass : true,
 		
 		/**
@@ -69,8 +79,66 @@ define( [
 		 * 
 		 * The initial value for the Field, if any.
 		 */
+		
+		/**
+		 * @cfg {String/Object/Function/Array} validators
+		 * 
+		 * One or more validators to check the Field's value against when it is {@link #validate validated}. Each may be
+		 * the name of a {@link gui.form.Validators validator type}, a config object for a validator type, or a custom 
+		 * validation function (which may return a Promise for asynchronous validation). See {@link gui.form.Validators#create}
+		 * for details. Ex:
+		 * 
+		 *     validators : [
+		 *         'required',
+		 *         { type: 'minLength', min: 3 },
+		 *         { type: 'regex', regex: /^[a-z]+$/, message: "Only lowercase letters please" },
+		 *         function( value ) { return value !== 'admin' || "That username is reserved"; }
+		 *     ]
+		 */
+		
+		/**
+		 * @cfg {Boolean} validateOnChange
+		 * 
+		 * `true` to {@link #validate} the Field each time its value changes.
+		 */
+		validateOnChange : false,
+		
+		/**
+		 * @cfg {String} bind
+		 * 
+		 * The name of the attribute of the bound {@link #model} that the Field's value should be two-way bound to. 
+		 * 
+		 * This may be a dot-delimited path to reach an attribute of a nested {@link data.Model} (ex: 'address.street'), 
+		 * where each part of the path but the last is an attribute which holds a nested Model. In this case, the Field 
+		 * is refreshed when the top level model fires the change event for the first attribute in the path (ex: 
+		 * 'change:address'), as it does for embedded models.
+		 */
+		
+		/**
+		 * @cfg {data.Model} model
+		 * 
+		 * The Model to bind the Field's value to, using the {@link #bind} config. This may also be provided at a later 
+		 * time with {@link #bindModel}, which is usually done by a {@link gui.form.Panel Form's} 
+		 * {@link gui.form.Panel#bindModel bindModel()} method.
+		 */
+		
+		/**
+		 * @cfg {Boolean} commitOnBlur
+		 * 
+		 * `true` to only set the Field's value to the bound {@link #model} attribute when the Field is blurred, instead 
+		 * of each time the value changes.
+		 */
+		commitOnBlur : false,
 		 
 		
+		/**
+		 * @protected
+		 * @property {Mixed} originalValue
+		 * 
+		 * The value that the Field is compared against to determine if it is {@link #isDirty dirty}. This is the Field's
+		 * value at the end of its construction, and may be updated to the current value with {@link #resetOriginalValue}.
+		 */
+		
 		/**
 		 * @protected
 		 * @property {String} inputId
@@ -110,6 +178,54 @@ define( [
 		 * The &lt;div&gt; element that wraps the "extra message" text.  Set HTML content to this element with {@link #setExtraMsg}.
 		 */
 		
+		/**
+		 * @protected
+		 * @property {jQuery} $errorMsgEl
+		 * 
+		 * The &lt;div&gt; element that displays the Field's error messages when it has been {@link #markInvalid marked invalid}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Function[]} validatorFns
+		 * 
+		 * The validation functions created from the {@link #validators} config.
+		 */
+		
+		/**
+		 * @private
+		 * @property {String[]} activeErrors
+		 * 
+		 * The error messages that the Field is currently {@link #markInvalid marked} with.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Number} validationCount
+		 * 
+		 * Incremented each time {@link #validate} is called, so that the results of an asynchronous validation that has
+		 * since been superseded by a newer one are not used to mark the Field.
+		 */
+		validationCount : 0,
+		
+		/**
+		 * @private
+		 * @property {Boolean} updatingModel
+		 * 
+		 * Flag which is set while the Field is setting its value to the bound {@link #model}, so that the resulting
+		 * model change event is not applied back to the Field.
+		 */
+		updatingModel : false,
+		
+		/**
+		 * @private
+		 * @property {Boolean} updatingFromModel
+		 * 
+		 * Flag which is set while the Field is updating its value from the bound {@link #model}, so that the resulting
+		 * Field change is not set back to the model.
+		 */
+		updatingFromModel : false,
+		
 		
 		/**
 		 * @cfg
@@ -163,6 +279,12 @@ define( [
 					'<div id="<%= elId %>-inputContainer" class="<%= baseCls %>-inputContainer" style="position: relative;"></div>',
 				'</td>',
 			'</tr>',
+			'<tr>',
+				'<td></td>',
+				'<td class="<%= baseCls %>-errorMsgCell">',
+					'<div id="<%= elId %>-errorMsg" class="<%= baseCls %>-errorMsg" style="display: none;"></div>',
+				'</td>',
+			'</tr>',
 			'<tr>',
 				'<td></td>',
 				'<td class="<%= baseCls %>-extraMsgCell">',
@@ -173,6 +295,25 @@ define( [
 		
 		
 		
+		/**
+		 * @constructor
+		 * @param {Object} config The configuration options for this Field, specified in an object (hash).
+		 */
+		constructor : function() {
+			this._super( arguments );
+			
+			// Bind any configured model now that subclasses have completed their initialization, so that the Field's
+			// setValue() method is ready to accept the model's value.
+			if( this.model ) {
+				this.bindModel( this.model );
+			}
+			
+			// Now that the Field (and any subclass's initComponent() method) has normalized the initial `value`, store
+			// it as the original value to determine if the Field is dirty.
+			this.resetOriginalValue();
+		},
+		
+		
 		/**
 		 * @inheritdoc
 		 */
@@ -201,9 +342,32 @@ define( [
 				 * @event blur
 				 * @param {gui.form.field.Field} field This Field object.
 				 */
-				'blur'
+				'blur',
+				
+				/**
+				 * Fires when the Field has been {@link #validate validated}, and its value was found to be invalid.
+				 * 
+				 * @event invalid
+				 * @param {gui.form.field.Field} field This Field object.
+				 * @param {String[]} errors The error messages.
+				 */
+				'invalid',
+				
+				/**
+				 * Fires when the Field has been {@link #validate validated}, and its value was found to be valid.
+				 * 
+				 * @event valid
+				 * @param {gui.form.field.Field} field This Field object.
+				 */
+				'valid'
 			);
 			
+			this.validatorFns = _.map( [].concat( this.validators || [] ), Validators.create, Validators );
+			this.activeErrors = [];
+			
+			// Call the ModelBindable constructor
+			ModelBindable.call( this );
+			
 			// Create the inputId based on the Component's element id
 			this.inputId = this.elId + '-input';
 			
@@ -271,6 +435,10 @@ define( [
 			this.$labelEl = jQuery( '#' + elId + '-label' );   // from the labelTpl
 			this.$inputContainerEl = jQuery( '#' + elId + '-inputContainer' );
 			this.$extraMsgEl = jQuery( '#' + elId + '-extraMsg' );
+			this.$errorMsgEl = jQuery( '#' + elId + '-errorMsg' );
+			
+			// If the Field was marked invalid before it was rendered, show the errors now
+			this.updateErrorDisplay();
 		},
 		
 		
@@ -374,6 +542,62 @@ define( [
 		 * @return {Mixed} The value of the field.
 		 */
 		getValue : Class.abstractMethod,
+		
+		
+		/**
+		 * Retrieves the Field's {@link #inputName}.
+		 * 
+		 * @return {String}
+		 */
+		getInputName : function() {
+			return this.inputName;
+		},
+		
+		
+		/**
+		 * Retrieves the {@link #originalValue} of the Field, which is the value that it is compared against to determine 
+		 * if it is {@link #isDirty dirty}.
+		 * 
+		 * @return {Mixed}
+		 */
+		getOriginalValue : function() {
+			return this.originalValue;
+		},
+		
+		
+		/**
+		 * Sets the Field's {@link #originalValue} to its current value, so that it is no longer {@link #isDirty dirty}.
+		 * This may be used, for example, after the Field's value has been saved.
+		 * 
+		 * @chainable
+		 */
+		resetOriginalValue : function() {
+			this.originalValue = this.getValue();
+			
+			return this;
+		},
+		
+		
+		/**
+		 * Determines if the Field's current value differs from its {@link #originalValue}.
+		 * 
+		 * @return {Boolean} `true` if the Field's value has changed, `false` otherwise.
+		 */
+		isDirty : function() {
+			return !_.isEqual( this.getValue(), this.originalValue );
+		},
+		
+		
+		/**
+		 * Resets the Field's value to its {@link #originalValue}.
+		 * 
+		 * @chainable
+		 */
+		reset : function() {
+			this.setValue( this.originalValue );
+			
+			return this;
+		},
 	    
 		
 		/**
@@ -384,10 +608,180 @@ define( [
 		 * @param {Mixed} newValue The new value of the field.
 		 */
 		onChange : function( newValue ) {
+			if( !this.commitOnBlur ) {
+				this.commitToModel();
+			}
+			if( this.validateOnChange ) {
+				this.validate();
+			}
+			
 			this.fireEvent( 'change', this, newValue );
 		},
 		
 		
+		// --------------------------------------
+		
+		// Validation
+		
+		
+		/**
+		 * Runs the Field's synchronous {@link #validators} against its current value, and returns any error messages. 
+		 * This method does not mark the Field as invalid. Use {@link #validate} for that.
+		 * 
+		 * Note that asynchronous validators (those which return a Promise) are not run by this method, as their results 
+		 * are not immediately available. Use {@link #validate} to include them.
+		 * 
+		 * @return {String[]} The error messages, or an empty array if the value is valid.
+		 */
+		getErrors : function() {
+			var value = this.getValue();
+			
+			return _.reduce( this.validatorFns, function( errors, validatorFn ) {
+				var result = validatorFn( value, this );
+				
+				if( !Validators.isPromise( result ) && ( result = Validators.normalizeResult( result ) ) ) {
+					errors.push( result );
+				}
+				return errors;
+			}, [], this );
+		},
+		
+		
+		/**
+		 * Determines if the Field's current value passes all of its synchronous {@link #validators}. This method does
+		 * not mark the Field as invalid. Use {@link #validate} for that.
+		 * 
+		 * @return {Boolean}
+		 */
+		isValid : function() {
+			return this.getErrors().length === 0;
+		},
+		
+		
+		/**
+		 * Validates the Field's current value against all of its {@link #validators} (including asynchronous ones), 
+		 * and then either {@link #markInvalid marks the Field invalid} and fires the {@link #invalid} event, or 
+		 * {@link #clearInvalid clears} any invalid state and fires the {@link #valid} event.
+		 * 
+		 * If the Field is validated again before an asynchronous validation completes, the earlier validation's results 
+		 * are not applied to the Field (although its Promise is still resolved or rejected).
+		 * 
+		 * @return {jQuery.Promise} A Promise which is resolved when the value is valid, or rejected with the array of
+		 *   error messages when it is invalid. If all validators are synchronous, the Promise is resolved or rejected
+		 *   before this method returns.
+		 */
+		validate : function() {
+			var me = this,
+			    value = this.getValue(),
+			    validationCount = ++this.validationCount,
+			    deferred = new jQuery.Deferred();
+			
+			var results = _.map( this.validatorFns, function( validatorFn ) {
+				return this.resolveValidatorResult( validatorFn( value, this ) );
+			}, this );
+			
+			jQuery.when.apply( jQuery, results ).done( function() {
+				var errors = _.compact( _.toArray( arguments ) );
+				
+				// Only apply the result if there hasn't been a newer validation started in the meantime
+				if( validationCount === me.validationCount ) {
+					if( errors.length ) {
+						me.markInvalid( errors );
+						me.fireEvent( 'invalid', me, errors );
+					} else {
+						me.clearInvalid();
+						me.fireEvent( 'valid', me );
+					}
+				}
+				
+				if( errors.length ) {
+					deferred.reject( errors );
+				} else {
+					deferred.resolve();
+				}
+			} );
+			
+			return deferred.promise();
+		},
+		
+		
+		/**
+		 * Converts the result of a validation function (which may be a Promise) into a jQuery Promise which is always 
+		 * resolved, with either an error message string or `null` (for a valid value).
+		 * 
+		 * @private
+		 * @param {Mixed} result
+		 * @return {jQuery.Promise}
+		 */
+		resolveValidatorResult : function( result ) {
+			var deferred = new jQuery.Deferred();
+			
+			if( Validators.isPromise( result ) ) {
+				result.then( 
+					function( asyncResult ) { deferred.resolve( Validators.normalizeResult( asyncResult ) ); },
+					function( error ) { deferred.resolve( Validators.normalizeResult( _.isString( error ) ? error : false ) ); }
+				);
+			} else {
+				deferred.resolve( Validators.normalizeResult( result ) );
+			}
+			return deferred.promise();
+		},
+		
+		
+		/**
+		 * Marks the Field as invalid, displaying the given error message(s) below the input. Note that this does not
+		 * fire the {@link #invalid} event, which is only fired by {@link #validate}.
+		 * 
+		 * @param {String/String[]} errors The error message(s).
+		 * @chainable
+		 */
+		markInvalid : function( errors ) {
+			this.activeErrors = [].concat( errors );
+			this.updateErrorDisplay();
+			
+			return this;
+		},
+		
+		
+		/**
+		 * Clears any invalid state (and error messages) from the Field.
+		 * 
+		 * @chainable
+		 */
+		clearInvalid : function() {
+			this.activeErrors = [];
+			this.updateErrorDisplay();
+			
+			return this;
+		},
+		
+		
+		/**
+		 * Retrieves the error messages that the Field is currently {@link #markInvalid marked} with.
+		 * 
+		 * @return {String[]}
+		 */
+		getActiveErrors : function() {
+			return this.activeErrors.slice( 0 );
+		},
+		
+		
+		/**
+		 * Updates the Field's invalid CSS class and error message element to reflect the {@link #activeErrors}.
+		 * 
+		 * @private
+		 */
+		updateErrorDisplay : function() {
+			var errors = this.activeErrors;
+			
+			this[ errors.length ? 'addCls' : 'removeCls' ]( this.baseCls + '-invalid' );
+			
+			if( this.rendered ) {
+				this.$errorMsgEl.html( errors.join( '<br />' ) ).toggle( errors.length > 0 );
+			}
+		},
+		
+		
 		/**
 		 * Focuses the field.
 		 * 
@@ -436,7 +830,142 @@ define( [
 		onBlur : function() {
 			this.removeCls( this.baseCls + '-focused' );
 			
+			if( this.commitOnBlur ) {
+				this.commitToModel();
+			}
+			
 			this.fireEvent( 'blur', this );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Model Binding (implementation of ModelBindable mixin methods)
+		
+		
+		/**
+		 * Implementation of {@link gui.util.ModelBindable} mixin method, which listens for changes to the {@link #model}
+		 * attribute that the Field is {@link #bind bound} to.
+		 * 
+		 * @protected
+		 * @param {data.Model} model The Model being bound.
+		 * @return {Object} An {@link Observable#addListener addListener} config object for the listeners.
+		 */
+		getModelListeners : function( model ) {
+			var listeners = { scope: this };
+			
+			if( this.bind ) {
+				listeners[ 'change:' + this.bind.split( '.' )[ 0 ] ] = this.onModelAttrChange;
+			}
+			return listeners;
+		},
+		
+		
+		/**
+		 * Implementation of {@link gui.util.ModelBindable} mixin method. When a new {@link #model} is bound, the Field's 
+		 * value is updated from the {@link #bind bound} attribute, and becomes the Field's 
+		 * {@link #originalValue original value}.
+		 * 
+		 * @protected
+		 * @param {data.Model} model The newly bound model, or `null` if the previous model was simply unbound.
+		 * @param {data.Model} oldModel The model that was just unbound, or `null` if there was no previously-bound model.
+		 */
+		onModelBind : function( model, oldModel ) {
+			if( model && this.bind ) {
+				this.updateFromModel();
+				this.resetOriginalValue();
+			}
+		},
+		
+		
+		/**
+		 * Handles a change to the {@link #bind bound} attribute of the {@link #model}, by updating the Field's value.
+		 * 
+		 * @protected
+		 */
+		onModelAttrChange : function() {
+			if( !this.updatingModel ) {
+				this.updateFromModel();
+			}
+		},
+		
+		
+		/**
+		 * Sets the Field's value from the {@link #bind bound} attribute of the {@link #model}.
+		 * 
+		 * @private
+		 */
+		updateFromModel : function() {
+			var target = this.getBindTarget();
+			
+			if( target ) {
+				this.updatingFromModel = true;
+				try {
+					this.setValue( target.model.get( target.attr ) );
+				} finally {
+					this.updatingFromModel = false;
+				}
+			}
+		},
+		
+		
+		/**
+		 * Sets the Field's current value to the {@link #bind bound} attribute of the {@link #model}. This is called 
+		 * automatically when the Field's value changes (or when it is blurred, if {@link #commitOnBlur} is `true`), but
+		 * may also be called directly.
+		 * 
+		 * @chainable
+		 */
+		commitToModel : function() {
+			var target = this.getBindTarget();
+			
+			if( target && !this.updatingFromModel ) {
+				var value = this.getValue();
+				
+				if( !_.isEqual( target.model.get( target.attr ), value ) ) {
+					this.updatingModel = true;
+					try {
+						target.model.set( target.attr, value );
+					} finally {
+						this.updatingModel = false;
+					}
+				}
+			}
+			return this;
+		},
+		
+		
+		/**
+		 * Resolves the {@link #bind} path against the {@link #model}, to determine the Model and attribute name that the 
+		 * Field is bound to. For a nested path, the Model is the nested Model which holds the last attribute in the path.
+		 * 
+		 * @private
+		 * @return {Object} An object with properties `model` and `attr`, or `null` if there is no bound model, no 
+		 *   {@link #bind} config, or a nested Model in the path is not present.
+		 */
+		getBindTarget : function() {
+			var model = this.getModel(),
+			    bind = this.bind;
+			
+			if( !model || !bind ) return null;
+			
+			var path = bind.split( '.' ),
+			    attr = path.pop();
+			
+			for( var i = 0, len = path.length; i < len && model; i++ ) {
+				model = model.get( path[ i ] );
+			}
+			return ( model ) ? { model: model, attr: attr } : null;
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			this.unbindModel();
+			
+			this._super( arguments );
 		}
 		
 	} );
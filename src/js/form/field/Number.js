@@ -0,0 +1,490 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/form/field/Text'
+], function( jQuery, _, ComponentManager, TextField ) {
+	
+	/**
+	 * @class gui.form.field.Number
+	 * @extends gui.form.field.Text
+	 * @alias type.number
+	 * @alias type.numberfield
+	 * 
+	 * A text field for entering a number. Only numeric characters (digits, the {@link #decimalSeparator}, the
+	 * {@link #thousandsSeparator}, and a minus sign) may be typed into the field, and {@link #getValue} returns a
+	 * JavaScript number (or `null` when the field is empty).
+	 * 
+	 *     var numberField = new NumberField( {
+	 *         label    : "Quantity",
+	 *         minValue : 0,
+	 *         maxValue : 100,
+	 *         step     : 5
+	 *     } );
+	 * 
+	 * The value is constrained to the {@link #minValue} and {@link #maxValue}, and is rounded to the {@link #precision}
+	 * (if provided). The number is formatted in the field (using the {@link #decimalSeparator} and
+	 * {@link #thousandsSeparator}) when it is set, and when the field loses focus.
+	 * 
+	 * The value may be incremented or decremented by the {@link #step} amount with the up and down arrow keys, the mouse
+	 * wheel (while the field is focused), or the spinner buttons (see {@link #showSpinner}).
+	 */
+	var NumberField = TextField.extend( {
+		
+		/**
+		 * @cfg {Number} value
+		 * 
+		 * The initial value for the field, if any. A string in the field's number format is accepted as well.
+		 */
+		
+		/**
+		 * @cfg {Number} minValue
+		 * 
+		 * The minimum value for the field, or `null` for no minimum. If this is 0 or greater, the minus sign may not be
+		 * typed into the field.
+		 */
+		minValue : null,
+		
+		/**
+		 * @cfg {Number} maxValue
+		 * 
+		 * The maximum value for the field, or `null` for no maximum.
+		 */
+		maxValue : null,
+		
+		/**
+		 * @cfg {Number} step
+		 * 
+		 * The amount to increment or decrement the value by when stepping with the arrow keys, mouse wheel, or spinner
+		 * buttons.
+		 */
+		step : 1,
+		
+		/**
+		 * @cfg {Number} precision
+		 * 
+		 * The number of decimal places to round the value to, and to show when the value is formatted. For example, with
+		 * a precision of 2, the value 1.5 is shown as "1.50". Leave as `null` to not round the value, and to show as many
+		 * decimal places as the value has.
+		 */
+		precision : null,
+		
+		/**
+		 * @cfg {Boolean} allowDecimals
+		 * 
+		 * `false` to only allow whole numbers. The {@link #decimalSeparator} may not be typed into the field, and the value
+		 * is rounded to a whole number.
+		 */
+		allowDecimals : true,
+		
+		/**
+		 * @cfg {String} decimalSeparator
+		 * 
+		 * The character which separates the whole part of the number from its decimal part.
+		 */
+		decimalSeparator : '.',
+		
+		/**
+		 * @cfg {String} thousandsSeparator
+		 * 
+		 * The character used to group the thousands of the whole part of the number when it is formatted (ex: ',' to show
+		 * "1,234,567"). The separator may also be typed into the field, and is ignored when the text is parsed. Leave as an
+		 * empty string to not group the thousands.
+		 */
+		thousandsSeparator : '',
+		
+		/**
+		 * @cfg {Boolean} showSpinner
+		 * 
+		 * `true` to show spinner buttons at the right of the field, which increment and decrement the value by the
+		 * {@link #step} amount.
+		 */
+		showSpinner : true,
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		componentCls : 'gui-form-field-number',
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $spinnerEl
+		 * 
+		 * The element which holds the spinner buttons, if the {@link #showSpinner} config is true. This is only available
+		 * after the field has been rendered.
+		 */
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			// <debug>
+			if( typeof this.step !== 'number' || this.step <= 0 ) throw new Error( "`step` must be a number greater than 0" );
+			if( this.decimalSeparator === this.thousandsSeparator ) throw new Error( "`decimalSeparator` and `thousandsSeparator` must be different" );
+			// </debug>
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var componentCls = this.componentCls;
+			
+			this.$inputEl.on( 'wheel mousewheel DOMMouseScroll', _.bind( this.onMouseWheel, this ) );
+			
+			if( this.showSpinner ) {
+				this.addCls( componentCls + '-spinnable' );
+				
+				this.$spinnerEl = jQuery( [
+					'<div class="' + componentCls + '-spinner">',
+						'<div class="' + componentCls + '-spinner-up gui-icon-triangle-1-n" data-direction="1"></div>',
+						'<div class="' + componentCls + '-spinner-down gui-icon-triangle-1-s" data-direction="-1"></div>',
+					'</div>'
+				].join( "" ) )
+					.appendTo( this.$inputContainerEl )
+					.on( 'mousedown', function( evt ) { evt.preventDefault(); } )  // keep the focus in the input
+					.on( 'click', '[data-direction]', _.bind( this.onSpinnerClick, this ) );
+			}
+		},
+		
+		
+		// --------------------------------------
+		
+		// Parsing and formatting
+		
+		
+		/**
+		 * Parses the text of the field into a number. The {@link #thousandsSeparator} is ignored, and the
+		 * {@link #decimalSeparator} is used to find the decimal part of the number.
+		 * 
+		 * @protected
+		 * @param {String/Number} text The text to parse. A number is returned as-is.
+		 * @return {Number} The number, or `null` if the text is empty or is not a valid number.
+		 */
+		parseNumber : function( text ) {
+			if( typeof text === 'number' ) {
+				return ( isFinite( text ) ) ? text : null;
+			}
+			if( text === undefined || text === null ) {
+				return null;
+			}
+			
+			text = jQuery.trim( String( text ) );
+			if( this.thousandsSeparator ) {
+				text = text.split( this.thousandsSeparator ).join( "" );
+			}
+			text = text.split( this.decimalSeparator ).join( '.' );
+			
+			return ( /^-?(\d+\.?\d*|\.\d+)$/.test( text ) ) ? parseFloat( text ) : null;
+		},
+		
+		
+		/**
+		 * Formats a number into the text to show in the field, rounding it to the {@link #precision} (if provided), and
+		 * using the {@link #decimalSeparator} and {@link #thousandsSeparator}.
+		 * 
+		 * @protected
+		 * @param {Number} number The number to format, or `null` for no value.
+		 * @return {String} The formatted text, or an empty string for a `null` number.
+		 */
+		formatNumber : function( number ) {
+			if( number === null ) {
+				return "";
+			}
+			
+			var precision = this.getPrecision(),
+			    parts = ( ( precision !== null ) ? number.toFixed( precision ) : String( number ) ).split( '.' ),
+			    thousandsSeparator = this.thousandsSeparator;
+			
+			if( thousandsSeparator ) {
+				parts[ 0 ] = parts[ 0 ].replace( /\B(?=(\d{3})+(?!\d))/g, thousandsSeparator );
+			}
+			return parts.join( this.decimalSeparator );
+		},
+		
+		
+		/**
+		 * Retrieves the number of decimal places that the value is rounded to: 0 if {@link #allowDecimals} is false, and
+		 * otherwise the {@link #precision}.
+		 * 
+		 * @protected
+		 * @return {Number} The number of decimal places, or `null` if the value is not rounded.
+		 */
+		getPrecision : function() {
+			return ( !this.allowDecimals ) ? 0 : this.precision;
+		},
+		
+		
+		/**
+		 * Rounds a number to the {@link #getPrecision precision}, and clamps it to the {@link #minValue} and
+		 * {@link #maxValue}.
+		 * 
+		 * @protected
+		 * @param {Number} number The number, or `null` for no value.
+		 * @return {Number} The constrained number, or `null` if `null` was provided.
+		 */
+		constrainNumber : function( number ) {
+			if( number === null ) {
+				return null;
+			}
+			
+			var precision = this.getPrecision();
+			if( precision !== null ) {
+				number = parseFloat( number.toFixed( precision ) );
+			}
+			if( this.minValue !== null && number < this.minValue ) {
+				number = this.minValue;
+			}
+			if( this.maxValue !== null && number > this.maxValue ) {
+				number = this.maxValue;
+			}
+			return number;
+		},
+		
+		
+		// --------------------------------------
+		
+		// Value methods
+		
+		
+		/**
+		 * Override of the superclass method, to normalize the value into the formatted text of the (constrained) number.
+		 * 
+		 * @protected
+		 * @param {Number/String} value
+		 * @return {String}
+		 */
+		normalizeValue : function( value ) {
+			return this.formatNumber( this.constrainNumber( this.parseNumber( value ) ) );
+		},
+		
+		
+		/**
+		 * Sets the value of the field. The number is constrained to the {@link #minValue} and {@link #maxValue}, and
+		 * formatted in the field.
+		 * 
+		 * @param {Number} value The number, or `null` for no value. A string in the field's number format is accepted as
+		 *   well.
+		 */
+		setValue : function( value ) {
+			var text = this.normalizeValue( value );
+			
+			if( !this.rendered ) {
+				this.value = text;  // If the Component has not yet been rendered, store the text as the initial value to render.
+			} else {
+				this.$inputEl.val( text );
+			}
+			
+			this.onChange( this.getValue() );
+		},
+		
+		
+		/**
+		 * Retrieves the value of the field, constrained to the {@link #minValue} and {@link #maxValue}.
+		 * 
+		 * @return {Number} The number, or `null` if the field is empty (or its text is not a valid number).
+		 */
+		getValue : function() {
+			return this.constrainNumber( this.parseNumber( this._super( arguments ) ) );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Stepping
+		
+		
+		/**
+		 * Increments the value by the {@link #step} amount.
+		 */
+		stepUp : function() {
+			this.doStep( 1 );
+		},
+		
+		
+		/**
+		 * Decrements the value by the {@link #step} amount.
+		 */
+		stepDown : function() {
+			this.doStep( -1 );
+		},
+		
+		
+		/**
+		 * Increments or decrements the value by the {@link #step} amount. If the field is empty, stepping starts from the
+		 * {@link #minValue} (or 0, if there is no minimum, or it is negative).
+		 * 
+		 * @protected
+		 * @param {Number} direction 1 to increment the value, or -1 to decrement it.
+		 */
+		doStep : function( direction ) {
+			if( this.readOnly ) return;
+			
+			var value = this.getValue(),
+			    newValue;
+			
+			if( value === null ) {
+				newValue = ( this.minValue !== null && this.minValue > 0 ) ? this.minValue : 0;
+			} else {
+				// Round the result to the number of decimal places of the value or step, to avoid floating point errors
+				// such as 0.1 + 0.2 = 0.30000000000000004
+				var decimals = Math.max( this.countDecimals( value ), this.countDecimals( this.step ) );
+				newValue = parseFloat( ( value + direction * this.step ).toFixed( decimals ) );
+			}
+			
+			if( this.constrainNumber( newValue ) !== value ) {
+				this.setValue( newValue );
+			}
+		},
+		
+		
+		/**
+		 * Counts the decimal places of a number.
+		 * 
+		 * @private
+		 * @param {Number} number
+		 * @return {Number}
+		 */
+		countDecimals : function( number ) {
+			var match = /\.(\d+)$/.exec( String( number ) );
+			
+			return ( match ) ? match[ 1 ].length : 0;
+		},
+		
+		
+		// --------------------------------------
+		
+		// Event handlers
+		
+		
+		/**
+		 * Extension of the superclass method, to prevent characters which are not part of a number from being typed into
+		 * the field.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyPress : function( evt ) {
+			var charCode = evt.which;
+			
+			// Allow control keys (which Firefox fires keypress events for), and key combinations such as ctrl+c
+			if( charCode !== 0 && charCode !== 8 && !evt.ctrlKey && !evt.metaKey && !this.isAllowedChar( String.fromCharCode( charCode ) ) ) {
+				evt.preventDefault();
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Determines if a character may be typed into the field.
+		 * 
+		 * @protected
+		 * @param {String} chr
+		 * @return {Boolean}
+		 */
+		isAllowedChar : function( chr ) {
+			return ( chr >= '0' && chr <= '9' ) ||
+			       ( chr === this.decimalSeparator && this.allowDecimals ) ||
+			       ( chr === this.thousandsSeparator ) ||
+			       ( chr === '-' && ( this.minValue === null || this.minValue < 0 ) );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to step the value with the up and down arrow keys.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			switch( evt.keyCode ) {
+				case 38 :  // up arrow
+					this.stepUp();
+					evt.preventDefault();
+					break;
+				
+				case 40 :  // down arrow
+					this.stepDown();
+					evt.preventDefault();
+					break;
+			}
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Handles a mouse wheel event over the input, by stepping the value. The value is only stepped while the field is
+		 * focused, so that the page may be scrolled over the field otherwise.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onMouseWheel : function( evt ) {
+			if( !this.focused ) return;
+			
+			var originalEvent = evt.originalEvent,
+			    delta;
+			
+			if( originalEvent.deltaY !== undefined ) {
+				delta = -originalEvent.deltaY;  // 'wheel' event: positive deltaY is scrolling down
+			} else if( originalEvent.wheelDelta !== undefined ) {
+				delta = originalEvent.wheelDelta;  // 'mousewheel' event
+			} else {
+				delta = -originalEvent.detail;  // Firefox 'DOMMouseScroll' event
+			}
+			
+			if( delta ) {
+				this.doStep( ( delta > 0 ) ? 1 : -1 );
+				evt.preventDefault();
+			}
+		},
+		
+		
+		/**
+		 * Handles a click on a spinner button, by stepping the value in the button's direction.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onSpinnerClick : function( evt ) {
+			this.doStep( +jQuery( evt.currentTarget ).attr( 'data-direction' ) );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to format the number in the field when it loses focus. Text which is not a
+		 * valid number is cleared.
+		 * 
+		 * @protected
+		 */
+		onBlur : function() {
+			var $inputEl = this.$inputEl,
+			    text = this.formatNumber( this.getValue() );
+			
+			if( $inputEl.val() !== text ) {
+				$inputEl.val( text );
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'number', NumberField );
+	ComponentManager.registerType( 'numberfield', NumberField );
+	
+	return NumberField;
+	
+} );
\ No newline at end of file
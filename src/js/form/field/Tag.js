@@ -0,0 +1,681 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/util/Html',
+	'gui/ComponentManager',
+	'gui/form/field/Field',
+	'gui/template/LoDash',
+	'gui/util/OptionsStore',
+	'gui/util/OptionsMenu'
+], function( jQuery, _, Html, ComponentManager, Field, LoDashTpl, OptionsStore, OptionsMenu ) {
+	
+	/**
+	 * @class gui.form.field.Tag
+	 * @extends gui.form.field.Field
+	 * @mixins gui.util.OptionsMenu
+	 * @alias type.tag
+	 * @alias type.tagfield
+	 * 
+	 * A multi-select field, where each of the selected values is shown as a removable "chip" (or tag) in the field's
+	 * input area, followed by a text input for adding more values.
+	 * 
+	 *     var tagField = new TagField( {
+	 *         label   : "Fruits",
+	 *         options : [ { text: "Apple", value: 1 }, { text: "Banana", value: 2 }, { text: "Cherry", value: 3 } ],
+	 *         value   : [ 1, 3 ]
+	 *     } );
+	 * 
+	 * As the user types into the text input, a menu of the {@link #options} which contain the typed text (and which are
+	 * not already selected) is shown. An option is added by clicking it, or by highlighting it with the up and down arrow
+	 * keys and pressing enter. If no option is highlighted when enter is pressed, the typed text itself is added as a new
+	 * value, unless {@link #allowNewValues} is false. Pressing backspace in the empty text input removes the last value.
+	 * 
+	 * The field's value is an array of the selected values (see {@link #getValue}). For a standard form submission, the
+	 * field renders a hidden input for each value, all with the field's {@link #inputName}.
+	 */
+	var TagField = Field.extend( {
+		mixins : [ OptionsMenu ],
+		
+		
+		/**
+		 * @cfg {String[]/Object[]} options
+		 * 
+		 * The options that may be selected. See the description of the {@link gui.util.OptionsStore#setOptions} method
+		 * for accepted formats.
+		 */
+		
+		/**
+		 * @cfg {Array} value
+		 * 
+		 * The initial values for the field. A single value (not in an array) is accepted as well.
+		 */
+		
+		/**
+		 * @cfg {Boolean} allowNewValues
+		 * 
+		 * `true` to allow the user to add values which are not one of the {@link #options}, by typing the text of the new
+		 * value and pressing enter. `false` to only allow values from the options.
+		 */
+		allowNewValues : true,
+		
+		/**
+		 * @cfg {Number} maxSelections
+		 * 
+		 * The maximum number of values that may be selected, or `null` for no limit. Once this number of values has been
+		 * selected, no more may be added until one is removed.
+		 */
+		maxSelections : null,
+		
+		/**
+		 * @cfg {String} emptyText
+		 * 
+		 * The text to show in the text input when no values are selected.
+		 */
+		emptyText : "",
+		
+		/**
+		 * @cfg {String} menuCls
+		 * 
+		 * Any additional css class(es) to add to the options menu. The menu is appended to the document body, and
+		 * therefore can not be styled by regular descendant css rules.
+		 */
+		menuCls : "",
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		componentCls : 'gui-form-field-tag',
+		
+		
+		/**
+		 * @private
+		 * @property {gui.util.OptionsStore} optionsStore
+		 * 
+		 * The OptionsStore instance used for managing the field's options.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object[]} menuOptions
+		 * 
+		 * The options that are currently shown in the options menu.
+		 */
+		
+		
+		statics : {
+			
+			/**
+			 * @private
+			 * @static
+			 * @property {gui.template.LoDash} chipTpl
+			 * 
+			 * The template to use to render each of the selected values' chips.
+			 */
+			chipTpl : new LoDashTpl( [
+				'<li class="<%= componentCls %>-chip" data-valueidx="<%= valueIdx %>">',
+					'<span class="<%= componentCls %>-chip-text"><%= text %></span>',
+					'<span class="<%= componentCls %>-chip-remove gui-icon-close" title="Remove"></span>',
+				'</li>'
+			] ),
+			
+			/**
+			 * @private
+			 * @static
+			 * @property {gui.template.LoDash} optionsMenuRenderTpl
+			 * 
+			 * The template to use to render each of the items in the options menu.
+			 */
+			optionsMenuRenderTpl : new LoDashTpl( [
+				'<li id="<%= optionId %>" role="option" data-optionidx="<%= optionIdx %>" class="<%= componentCls %>-menu-item <%= menuItemCls %>">',
+					'<%= text %>',
+				'</li>'
+			] )
+		
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this._super( arguments );
+			
+			this.addEvents(
+				/**
+				 * Fires when a value is added to the field.
+				 * 
+				 * @event add
+				 * @param {gui.form.field.Tag} tagField This TagField instance.
+				 * @param {Mixed} value The value that was added.
+				 */
+				'add',
+				
+				/**
+				 * Fires when a value is removed from the field.
+				 * 
+				 * @event remove
+				 * @param {gui.form.field.Tag} tagField This TagField instance.
+				 * @param {Mixed} value The value that was removed.
+				 */
+				'remove'
+			);
+			
+			this.optionsStore = new OptionsStore( this.options || [] );
+			this.menuOptions = [];
+			this.value = this.normalizeValue( this.value );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var elId = this.elId,
+			    componentCls = this.componentCls,
+			    $inputContainerEl = this.$inputContainerEl;
+			
+			this.$chipsEl = jQuery( '<ul class="' + componentCls + '-chips" />' ).appendTo( $inputContainerEl );
+			this.$inputEl = jQuery( [
+				'<input type="text"',
+				' id="' + this.inputId + '"',
+				' class="' + componentCls + '-input"',
+				' placeholder="' + Html.encode( this.emptyText ) + '"',
+				' autocomplete="off" role="combobox" aria-autocomplete="list" aria-expanded="false"',
+				' aria-controls="' + elId + '-menu"',
+				'/>'
+			].join( "" ) );
+			jQuery( '<li class="' + componentCls + '-inputItem" />' ).append( this.$inputEl ).appendTo( this.$chipsEl );
+			
+			// The hidden inputs which submit each of the values are held in this element
+			this.$hiddenInputsEl = jQuery( '<div class="' + componentCls + '-hiddenInputs" />' ).appendTo( $inputContainerEl );
+			
+			this.$inputEl.on( {
+				'input'   : _.bind( this.onTextInput, this ),
+				'focus'   : _.bind( this.onFocus, this ),
+				'blur'    : _.bind( this.onBlur, this ),
+				'keydown' : _.bind( this.onKeyDown, this )
+			} );
+			
+			this.$chipsEl.on( 'click', '.' + componentCls + '-chip-remove', _.bind( this.onChipRemoveClick, this ) );
+			$inputContainerEl.on( 'click', _.bind( function( evt ) {
+				if( !jQuery( evt.target ).closest( '.' + componentCls + '-chip-remove' ).length ) {
+					this.$inputEl.focus();  // clicking anywhere in the input area (other than a remove icon) focuses the text input
+				}
+			}, this ) );
+			
+			this.createOptionsMenu().on( {
+				'mouseenter' : _.bind( this.onOptionMouseEnter, this ),
+				'click'      : _.bind( this.onOptionClick, this )
+			}, 'li' );
+			
+			this.redrawValues();
+		},
+		
+		
+		// --------------------------------------
+		
+		// Options management methods
+		
+		
+		/**
+		 * Sets the options for the field. See the {@link #options} config for accepted formats. The chips of the selected
+		 * values are updated for the text of the new options.
+		 * 
+		 * @param {String[]/Object[]} options
+		 */
+		setOptions : function( options ) {
+			this.optionsStore.setOptions( options );
+			
+			this.redrawValues();
+			if( this.optionsMenuOpen ) {
+				this.showOptions();
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the options of the field. See {@link gui.util.OptionsStore#getOptions}.
+		 * 
+		 * @return {Object[]}
+		 */
+		getOptions : function() {
+			return this.optionsStore.getOptions();
+		},
+		
+		
+		/**
+		 * Retrieves the text for a value: the text of the option with the value, or the value itself if there is no option
+		 * with it.
+		 * 
+		 * @protected
+		 * @param {Mixed} value
+		 * @return {String}
+		 */
+		getValueText : function( value ) {
+			var option = this.optionsStore.getByValue( value );
+			
+			return String( ( option ) ? option.text : value );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Value management
+		
+		
+		/**
+		 * Adds a value to the field. The value is not added if it is already selected, or if the {@link #maxSelections}
+		 * has been reached.
+		 * 
+		 * @param {Mixed} value
+		 * @return {Boolean} `true` if the value was added, `false` otherwise.
+		 */
+		addValue : function( value ) {
+			if( this.hasValue( value ) || this.isFull() ) {
+				return false;
+			}
+			
+			this.value = this.value.concat( [ value ] );
+			this.onValuesChange();
+			this.fireEvent( 'add', this, value );
+			
+			return true;
+		},
+		
+		
+		/**
+		 * Removes a value from the field.
+		 * 
+		 * @param {Mixed} value
+		 * @return {Boolean} `true` if the value was removed, `false` if it was not selected.
+		 */
+		removeValue : function( value ) {
+			if( !this.hasValue( value ) ) {
+				return false;
+			}
+			
+			this.value = _.without( this.value, value );
+			this.onValuesChange();
+			this.fireEvent( 'remove', this, value );
+			
+			return true;
+		},
+		
+		
+		/**
+		 * Determines if a value is currently selected in the field.
+		 * 
+		 * @param {Mixed} value
+		 * @return {Boolean}
+		 */
+		hasValue : function( value ) {
+			return _.contains( this.value, value );
+		},
+		
+		
+		/**
+		 * Determines if the {@link #maxSelections} number of values has been selected, in which case no more values may be
+		 * added.
+		 * 
+		 * @return {Boolean}
+		 */
+		isFull : function() {
+			var maxSelections = this.maxSelections;
+			
+			return ( maxSelections !== null && maxSelections !== undefined ) && this.value.length >= maxSelections;
+		},
+		
+		
+		/**
+		 * Normalizes a value for the field into an array of unique values, truncated to the {@link #maxSelections}.
+		 * `undefined`, `null`, and an empty string are normalized to an empty array, and any other single value is wrapped
+		 * in an array.
+		 * 
+		 * @protected
+		 * @param {Mixed} value
+		 * @return {Array}
+		 */
+		normalizeValue : function( value ) {
+			if( value === undefined || value === null || value === "" ) {
+				value = [];
+			} else if( !_.isArray( value ) ) {
+				value = [ value ];
+			}
+			
+			value = _.uniq( value );
+			if( this.maxSelections !== null && this.maxSelections !== undefined ) {
+				value = value.slice( 0, this.maxSelections );
+			}
+			return value;
+		},
+		
+		
+		/**
+		 * Implementation of {@link gui.form.field.Field Field}'s setValue() method, which sets the values of the field.
+		 * 
+		 * @param {Array} value The values for the field. A single value is accepted as well.
+		 */
+		setValue : function( value ) {
+			value = this.normalizeValue( value );
+			
+			if( !_.isEqual( value, this.value ) ) {
+				this.value = value;
+				this.onValuesChange();
+			}
+		},
+		
+		
+		/**
+		 * Implementation of {@link gui.form.field.Field Field}'s getValue() method, which returns the values of the field.
+		 * 
+		 * @return {Array} The selected values, in the order they were added. Returns an empty array if there are no values.
+		 */
+		getValue : function() {
+			return this.value.slice( 0 );
+		},
+		
+		
+		/**
+		 * Handles a change to the field's values, by redrawing its chips and hidden inputs, and running {@link #onChange}.
+		 * 
+		 * @private
+		 */
+		onValuesChange : function() {
+			this.redrawValues();
+			
+			if( this.optionsMenuOpen ) {
+				this.showOptions();  // remove the newly selected value from the menu (or add a removed one back)
+			}
+			this.onChange( this.getValue() );
+		},
+		
+		
+		/**
+		 * Renders a chip and a hidden input for each of the field's values.
+		 * 
+		 * @protected
+		 */
+		redrawValues : function() {
+			if( !this.rendered ) return;
+			
+			var chipTpl = TagField.chipTpl,
+			    componentCls = this.componentCls,
+			    inputName = this.inputName,
+			    $hiddenInputsEl = this.$hiddenInputsEl.empty(),
+			    values = this.value,
+			    markup = [];
+			
+			for( var i = 0, len = values.length; i < len; i++ ) {
+				markup.push( chipTpl.apply( {
+					componentCls : componentCls,
+					valueIdx     : i,
+					text         : Html.encode( this.getValueText( values[ i ] ) )
+				} ) );
+				
+				if( inputName ) {
+					jQuery( '<input type="hidden" name="' + inputName + '" />' ).val( values[ i ] ).appendTo( $hiddenInputsEl );
+				}
+			}
+			
+			this.$chipsEl.children( '.' + componentCls + '-chip' ).remove();
+			this.$chipsEl.prepend( markup.join( "" ) );
+			
+			this.$inputEl.attr( 'placeholder', ( values.length === 0 ) ? this.emptyText : "" );
+			this[ this.isFull() ? 'addCls' : 'removeCls' ]( componentCls + '-full' );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Options menu
+		
+		
+		/**
+		 * Shows the options that contain the text in the text input (and which are not already selected) in the options
+		 * menu. The menu is hidden if there are no such options, or if no more values may be added.
+		 * 
+		 * @protected
+		 */
+		showOptions : function() {
+			if( !this.rendered ) return;
+			
+			var query = this.$inputEl.val().toLowerCase(),
+			    menuOptions = this.menuOptions = ( this.isFull() ) ? [] : _.filter( this.getOptions(), function( option ) {
+					return !this.hasValue( option.value ) && String( option.text ).toLowerCase().indexOf( query ) !== -1;
+				}, this );
+			
+			if( menuOptions.length === 0 ) {
+				this.hideOptionsMenu();
+				return;
+			}
+			
+			var optionsMenuRenderTpl = TagField.optionsMenuRenderTpl,
+			    componentCls = this.componentCls,
+			    markup = [];
+			
+			for( var i = 0, len = menuOptions.length; i < len; i++ ) {
+				markup.push( optionsMenuRenderTpl.apply( {
+					componentCls : componentCls,
+					
+					optionId     : this.elId + '-option-' + i,
+					optionIdx    : i,
+					menuItemCls  : menuOptions[ i ].cls || "",
+					text         : Html.encode( String( menuOptions[ i ].text ) )
+				} ) );
+			}
+			this.$optionsMenu.html( markup.join( "" ) );
+			
+			this.showOptionsMenu();
+			this.highlightOption( ( query && !this.allowNewValues ) ? 0 : -1 );  // when new values may be created, enter adds the typed text unless an option is highlighted
+		},
+		
+		
+		/**
+		 * Adds the value of an option from the options menu, and clears the typed text.
+		 * 
+		 * @private
+		 * @param {Object} option
+		 */
+		selectOption : function( option ) {
+			this.$inputEl.val( "" );
+			this.addValue( option.value );
+			
+			this.showOptions();
+		},
+		
+		
+		// --------------------------------------
+		
+		// Event handlers
+		
+		
+		/**
+		 * Handles the text of the input being changed by the user, by showing the options that match the text.
+		 * 
+		 * @protected
+		 */
+		onTextInput : function() {
+			this.showOptions();
+		},
+		
+		
+		/**
+		 * Handles a keydown event in the text input.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			var $inputEl = this.$inputEl,
+			    text = $inputEl.val();
+			
+			switch( evt.keyCode ) {
+				case 38 :  // up arrow
+				case 40 :  // down arrow
+					if( !this.optionsMenuOpen ) {
+						this.showOptions();
+					} else {
+						var delta = ( evt.keyCode === 38 ) ? -1 : 1;
+						this.highlightOption( Math.max( Math.min( this.highlightedIdx + delta, this.menuOptions.length - 1 ), -1 ) );
+					}
+					evt.preventDefault();
+					break;
+				
+				case 13 :  // enter
+					if( this.optionsMenuOpen && this.highlightedIdx !== -1 ) {
+						this.selectOption( this.menuOptions[ this.highlightedIdx ] );
+						evt.preventDefault();  // don't submit a form that the field is in
+					
+					} else if( jQuery.trim( text ) !== "" ) {
+						this.addText( jQuery.trim( text ) );
+						evt.preventDefault();
+					}
+					break;
+				
+				case 8 :  // backspace
+					if( text === "" && this.value.length > 0 ) {
+						this.removeValue( _.last( this.value ) );
+						evt.preventDefault();
+					}
+					break;
+				
+				case 27 :  // escape
+					if( this.optionsMenuOpen ) {
+						this.hideOptionsMenu();
+						evt.stopPropagation();  // this escape was used to close the menu. With the menu already closed, an escape is left to bubble (to close a Window, for instance)
+					}
+					break;
+				
+				case 9 :  // tab
+					this.hideOptionsMenu();
+					break;
+			}
+		},
+		
+		
+		/**
+		 * Adds the value for text typed into the text input and submitted with the enter key: the value of the option with
+		 * the text (case-insensitive), or the text itself as a new value if {@link #allowNewValues} is true. The text input
+		 * is cleared if a value was added (or if the value was already selected).
+		 * 
+		 * @private
+		 * @param {String} text
+		 */
+		addText : function( text ) {
+			var lowerText = text.toLowerCase(),
+			    option = _.find( this.getOptions(), function( option ) { return String( option.text ).toLowerCase() === lowerText; } );
+			
+			var value = ( option ) ? option.value : ( this.allowNewValues ) ? text : undefined;
+			if( value !== undefined && ( this.hasValue( value ) || this.addValue( value ) ) ) {
+				this.$inputEl.val( "" );
+				this.hideOptionsMenu();
+			}
+		},
+		
+		
+		/**
+		 * Handles a click on a chip's remove icon, by removing its value.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onChipRemoveClick : function( evt ) {
+			var valueIdx = +jQuery( evt.currentTarget ).closest( 'li' ).attr( 'data-valueidx' );
+			
+			this.removeValue( this.value[ valueIdx ] );
+		},
+		
+		
+		/**
+		 * Handles the mouse entering an option in the menu, by highlighting it.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onOptionMouseEnter : function( evt ) {
+			this.highlightOption( +jQuery( evt.currentTarget ).attr( 'data-optionidx' ) );
+		},
+		
+		
+		/**
+		 * Handles a click on an option in the menu, by adding its value.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onOptionClick : function( evt ) {
+			var option = this.menuOptions[ +jQuery( evt.currentTarget ).attr( 'data-optionidx' ) ];
+			
+			if( option ) {
+				this.selectOption( option );
+			}
+		},
+		
+		
+		/**
+		 * Focuses the field's text input.
+		 * 
+		 * @chainable
+		 */
+		focus : function() {
+			if( this.rendered ) {
+				this.$inputEl.focus();  // the 'focus' handler runs onFocus()
+				return this;
+			}
+			return this._super( arguments );
+		},
+		
+		
+		/**
+		 * Blurs the field's text input.
+		 * 
+		 * @chainable
+		 */
+		blur : function() {
+			if( this.rendered ) {
+				this.$inputEl.blur();  // the 'blur' handler runs onBlur()
+				return this;
+			}
+			return this._super( arguments );
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, to close the options menu when the field loses focus.
+		 * 
+		 * @protected
+		 */
+		onBlur : function() {
+			this.hideOptionsMenu();
+			
+			this._super( arguments );
+		},
+		
+		
+		// --------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.rendered ) {
+				this.$optionsMenu.remove();
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'tag', TagField );
+	ComponentManager.registerType( 'tagfield', TagField );
+	
+	return TagField;
+	
+} );
\ No newline at end of file
@@ -390,8 +390,9 @@ define( [
 		 */
 		handleEmptyText : function() {
 			if( this.rendered ) {
-				// Field is not focused and its value is empty, show the empty text. Otherwise, hide it.
-				this.$emptyTextEl[ ( !this.focused && this.getValue() === "" ) ? 'show' : 'hide' ]();
+				// Field is not focused and its input is empty, show the empty text. Otherwise, hide it. The input's text is
+				// checked (as opposed to the value) for subclasses whose value is not the raw text of the input.
+				this.$emptyTextEl[ ( !this.focused && this.$inputEl.val() === "" ) ? 'show' : 'hide' ]();
 			}
 		}
 		
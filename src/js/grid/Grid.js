@@ -0,0 +1,963 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Component',
+	'gui/util/CollectionBindable',
+	'gui/util/Html',
+	'gui/template/LoDash'
+], function( jQuery, _, ComponentManager, Component, CollectionBindable, Html, LoDashTpl ) {
+	
+	/**
+	 * @class gui.grid.Grid
+	 * @extends gui.Component
+	 * @mixins gui.util.CollectionBindable
+	 * @alias type.grid
+	 *
+	 * A tabular view of the {@link data.Model Models} in a {@link data.Collection}. Each Model is displayed as a row, and
+	 * the {@link #columns} config determines the cells that are shown for each row. Ex:
+	 *
+	 *     var grid = new gui.grid.Grid( {
+	 *         collection : usersCollection,
+	 *         height     : 300,
+	 *
+	 *         columns : [
+	 *             { header: "First Name", dataIndex: 'firstName', width: 150 },
+	 *             { header: "Last Name", dataIndex: 'lastName', flex: 1 },
+	 *             { header: "Age", dataIndex: 'age', width: 60, renderer: function( value ) { return value + " yrs"; } }
+	 *         ]
+	 *     } );
+	 *
+	 * The header remains fixed in place while the rows scroll beneath it, when the Grid has been given a height (either
+	 * by the {@link #height} config, or by the layout of its parent {@link gui.Container Container}). Without a height,
+	 * the Grid simply grows to fit its rows.
+	 *
+	 * Clicking the header of a {@link #cfg-columns sortable} column {@link #sort sorts} the bound {@link #collection}
+	 * by that column. Clicking a row selects it (see {@link #selectionMode}).
+	 *
+	 * Unlike the {@link gui.view.Collection Collection View}, changes to the {@link #collection} are applied to the Grid
+	 * incrementally: only the rows of the models that were added, removed, moved, or changed are updated.
+	 */
+	var Grid = Component.extend( {
+		mixins : [ CollectionBindable ],
+		
+		
+		/**
+		 * @cfg {data.Collection} collection
+		 *
+		 * The Collection to display. This does not need to be provided upon instantiation, and may be provided at a
+		 * later time with the {@link #bindCollection} method.
+		 */
+		
+		/**
+		 * @cfg {Object[]} columns (required)
+		 *
+		 * The column definitions for the Grid. Each column is an object which may have the following properties:
+		 *
+		 * - **header** (String) : The text (or HTML) for the column's header. Defaults to an empty string.
+		 * - **dataIndex** (String) : The name of the model attribute to display in the column.
+		 * - **renderer** (Function) : A function to produce the HTML for each of the column's cells. It is called with
+		 *   the arguments `value` (the value of the `dataIndex` attribute), `model`, and `column`, in the scope of the
+		 *   column's `scope` property (or the Grid if there is none). If not provided, the value is HTML-encoded and
+		 *   displayed as-is.
+		 * - **width** (Number) : The width of the column, in pixels.
+		 * - **flex** (Number) : A flex value for the column, which sizes it proportionally to the other flexed columns
+		 *   within the width that is left over after the fixed `width` columns. Columns with neither a `width` nor a
+		 *   `flex` are given a `flex` of 1.
+		 * - **sortable** (Boolean) : `false` to prevent clicking the column's header from sorting the Grid. Columns
+		 *   without a `dataIndex` are never sortable.
+		 * - **cls** (String) : A CSS class to add to the column's header and cells.
+		 */
+		
+		/**
+		 * @cfg {String} selectionMode
+		 *
+		 * The mode for selecting rows. May be one of:
+		 *
+		 * - **single** : A click selects a single row, deselecting any other row.
+		 * - **multi** : A click selects a single row, while a ctrl-click (or cmd-click) toggles the selection of a row,
+		 *   keeping the other selected rows selected.
+		 * - **none** : Rows may not be selected.
+		 */
+		selectionMode : 'single',
+		
+		/**
+		 * @cfg {Boolean} maskOnLoad
+		 *
+		 * True to automatically mask the Grid while the bound {@link #collection} is loading. The mask that is shown can
+		 * be configured with the {@link #maskConfig} configuration option, or defaults to showing the message "Loading..."
+		 */
+		maskOnLoad : true,
+		
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		baseCls : 'gui-grid',
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		renderTpl : new LoDashTpl( [
+			'<div id="<%= elId %>-header" class="<%= baseCls %>-header">',
+				'<table class="<%= baseCls %>-table" cellspacing="0" cellpadding="0">',
+					'<colgroup>',
+						'<% _.forEach( columns, function() { %><col /><% } ) %>',
+					'</colgroup>',
+					'<thead>',
+						'<tr>',
+							'<% _.forEach( columns, function( column, idx ) { %>',
+								'<th class="<%= baseCls %>-headerCell<% if( column.sortable ) { %> <%= baseCls %>-sortable<% } %><% if( column.cls ) { %> <%= column.cls %><% } %>" data-column-idx="<%= idx %>">',
+									'<%= column.header %>',
+									'<span class="<%= baseCls %>-sortIndicator"></span>',
+								'</th>',
+							'<% } ) %>',
+						'</tr>',
+					'</thead>',
+				'</table>',
+			'</div>',
+			'<div id="<%= elId %>-body" class="<%= baseCls %>-body">',
+				'<table class="<%= baseCls %>-table" cellspacing="0" cellpadding="0">',
+					'<colgroup>',
+						'<% _.forEach( columns, function() { %><col /><% } ) %>',
+					'</colgroup>',
+					'<tbody id="<%= elId %>-rows"></tbody>',
+				'</table>',
+			'</div>'
+		] ),
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $headerEl
+		 *
+		 * The element which holds the header table. Available after the Grid has been rendered.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $bodyEl
+		 *
+		 * The (scrolling) element which holds the table of rows. Available after the Grid has been rendered.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $rowsEl
+		 *
+		 * The &lt;tbody&gt; element which holds the rows. Available after the Grid has been rendered.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {Object} rowElCache
+		 *
+		 * An Object (map) which is keyed by models' {@link data.Model#getClientId clientId}, and which stores the
+		 * &lt;tr&gt; element (wrapped in a jQuery set) which displays the model.
+		 */
+		
+		/**
+		 * @private
+		 * @property {data.Model[]} selectedModels
+		 *
+		 * The models which are currently selected.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} sortState
+		 *
+		 * The current sort of the Grid, set by {@link #sort}. Has properties `dataIndex` and `direction`, or is `null` if
+		 * the Grid has not been sorted.
+		 */
+		sortState : null,
+		
+		/**
+		 * @private
+		 * @property {Boolean} sorting
+		 *
+		 * Flag which is set to true while the Grid is {@link #sort sorting} the {@link #collection}, so that the rows are
+		 * reordered once when the sort is complete, instead of once for each model that is moved.
+		 */
+		sorting : false,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this.addEvents(
+				/**
+				 * Fires when a row in the Grid is clicked.
+				 *
+				 * @event rowclick
+				 * @param {gui.grid.Grid} grid This Grid instance.
+				 * @param {data.Model} model The model for the row that was clicked.
+				 * @param {jQuery.Event} evt The click event.
+				 */
+				'rowclick',
+				
+				/**
+				 * Fires when the Grid has been {@link #sort sorted}.
+				 *
+				 * @event sort
+				 * @param {gui.grid.Grid} grid This Grid instance.
+				 * @param {String} dataIndex The `dataIndex` that the Grid was sorted by.
+				 * @param {String} direction The sort direction: 'ASC' or 'DESC'.
+				 */
+				'sort',
+				
+				/**
+				 * Fires when the set of selected rows changes.
+				 *
+				 * @event selectionchange
+				 * @param {gui.grid.Grid} grid This Grid instance.
+				 * @param {data.Model[]} selectedModels The models which are now selected.
+				 */
+				'selectionchange'
+			);
+			
+			// Call CollectionBindable constructor
+			CollectionBindable.call( this );
+			
+			this._super( arguments );
+			
+			// <debug>
+			if( !this.columns ) throw new Error( "`columns` config required" );
+			// </debug>
+			
+			this.columns = _.map( this.columns, this.normalizeColumn, this );
+			this.rowElCache = {};
+			this.selectedModels = [];
+			
+			if( this.collection ) {
+				this.bindCollection( this.collection );
+			}
+			
+			// Set up the maskConfig if there is not a user-defined one. This is for masking the Grid while the
+			// collection is loading.
+			this.maskConfig = this.maskConfig || { spinner: true, msg: "Loading..." };
+		},
+		
+		
+		/**
+		 * Applies the defaults to a column definition from the {@link #columns} config.
+		 *
+		 * @private
+		 * @param {Object} column
+		 * @return {Object} A new object for the column, with defaults applied.
+		 */
+		normalizeColumn : function( column ) {
+			column = _.assign( { header: "", sortable: true }, column );
+			column.sortable = !!( column.sortable && column.dataIndex );
+			
+			if( !column.width && !column.flex ) {
+				column.flex = 1;
+			}
+			return column;
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		getRenderTplData : function() {
+			return _.assign( this._super( arguments ), {
+				columns : this.columns
+			} );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var elId = this.elId;
+			this.$headerEl = jQuery( '#' + elId + '-header' );
+			this.$bodyEl = jQuery( '#' + elId + '-body' );
+			this.$rowsEl = jQuery( '#' + elId + '-rows' );
+			
+			this.$headerEl.on( 'click', 'th', _.bind( this.onHeaderClick, this ) );
+			this.$rowsEl.on( 'click', 'tr', _.bind( this.onRowClick, this ) );
+			this.$bodyEl.on( 'scroll', _.bind( this.onBodyScroll, this ) );
+			
+			this.refresh();
+			this.updateSortIndicator();
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onAfterRender : function() {
+			this._super( arguments );
+			
+			// Mask the Grid if the Collection is currently loading when the Grid is rendered
+			if( this.maskOnLoad && this.collection && this.collection.isLoading() ) {
+				this.mask();
+			}
+		},
+		
+		
+		/**
+		 * Extension of the {@link gui.Component#onComponentLayout} hook method, which sizes the columns, and the
+		 * scrolling body element (when the Grid has a height).
+		 *
+		 * @protected
+		 */
+		onComponentLayout : function() {
+			this._super( arguments );
+			
+			if( this.getConfiguredHeight() !== undefined ) {
+				this.$bodyEl.height( Math.max( this.getHeight() - this.$headerEl.outerHeight(), 0 ) );
+			}
+			this.sizeColumns();
+		},
+		
+		
+		/**
+		 * Sets the widths of the columns, distributing the width that is left over from the fixed-width columns to the
+		 * flexed columns.
+		 *
+		 * @protected
+		 */
+		sizeColumns : function() {
+			var columns = this.columns,
+			    availableWidth = this.$bodyEl[ 0 ].clientWidth,  // excludes any vertical scrollbar
+			    fixedWidth = 0,
+			    totalFlex = 0,
+			    widths = [],
+			    i, len, column;
+			
+			for( i = 0, len = columns.length; i < len; i++ ) {
+				column = columns[ i ];
+				if( column.width ) {
+					fixedWidth += column.width;
+				} else {
+					totalFlex += column.flex;
+				}
+			}
+			
+			var flexWidth = Math.max( availableWidth - fixedWidth, 0 ),
+			    remainingFlexWidth = flexWidth;
+			
+			for( i = 0; i < len; i++ ) {
+				column = columns[ i ];
+				if( column.width ) {
+					widths[ i ] = column.width;
+				} else {
+					widths[ i ] = Math.floor( flexWidth * ( column.flex / totalFlex ) );
+					remainingFlexWidth -= widths[ i ];
+				}
+			}
+			
+			// Give any leftover pixels from the rounding down of the flexed widths to the last flexed column
+			var lastFlexIdx = _.findLastIndex( columns, function( column ) { return !column.width; } );
+			if( lastFlexIdx > -1 ) {
+				widths[ lastFlexIdx ] += remainingFlexWidth;
+			}
+			
+			var tableWidth = _.reduce( widths, function( sum, width ) { return sum + width; }, 0 ),
+			    $tables = this.$el.find( 'table.' + this.baseCls + '-table' );
+			
+			$tables.width( tableWidth );
+			$tables.each( function() {
+				jQuery( this ).find( 'col' ).each( function( idx ) {
+					jQuery( this ).css( 'width', widths[ idx ] + 'px' );
+				} );
+			} );
+		},
+		
+		
+		/**
+		 * Retrieves the Grid's {@link #columns} (with defaults applied).
+		 *
+		 * @return {Object[]}
+		 */
+		getColumns : function() {
+			return this.columns;
+		},
+		
+		
+		// -----------------------------------
+		
+		// Implementation of CollectionBindable mixin methods
+		
+		
+		/**
+		 * Implementation of {@link gui.util.CollectionBindable} mixin method used to retrieve the Object (map) of the listeners
+		 * that should be set up on the {@link #collection}, when a {@link data.Collection} is bound to the Grid.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection The Collection being bound.
+		 * @return {Object} An {@link Observable#addListener addListener} config object for the listeners.
+		 */
+		getCollectionListeners : function( collection ) {
+			return {
+				'loadbegin' : this.onLoadBegin,
+				'load'      : this.onLoadComplete,
+				'addset'    : this.onModelsAdd,
+				'removeset' : this.onModelsRemove,
+				'reorder'   : this.onModelReorder,
+				'changeset' : this.onModelChange,
+				scope : this
+			};
+		},
+		
+		
+		/**
+		 * Implementation of {@link gui.util.CollectionBindable} mixin method. Handles when a new {@link #collection} has been
+		 * bound to the Grid, by clearing the selection and re-rendering all rows.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection The newly bound collection, or `null` if the previous collection was simply
+		 *   unbound.
+		 * @param {data.Collection} oldCollection The collection that was just unbound, or `null` if there was no
+		 *   previously-bound collection.
+		 */
+		onCollectionBind : function( collection ) {
+			this.sortState = null;
+			this.updateSortIndicator();
+			
+			if( this.selectedModels.length ) {
+				this.selectedModels = [];
+				this.fireEvent( 'selectionchange', this, [] );
+			}
+			this.refresh();
+		},
+		
+		
+		// -----------------------------------
+		
+		
+		/**
+		 * Handles the {@link #collection} starting to load, by displaying the "loading" mask over the Grid if the
+		 * {@link #maskOnLoad} config is true.
+		 *
+		 * @protected
+		 */
+		onLoadBegin : function() {
+			if( this.maskOnLoad && this.rendered ) {
+				this.mask();
+			}
+		},
+		
+		
+		/**
+		 * Handles the {@link #collection} completing its load, by removing the "loading" mask from the Grid.
+		 *
+		 * Note: The rows are updated due to the addition/removal of models, and don't need to be refreshed from this
+		 * method.
+		 *
+		 * @protected
+		 */
+		onLoadComplete : function() {
+			if( this.maskOnLoad && this.rendered ) {
+				this.unMask();
+			}
+		},
+		
+		
+		// -----------------------------------
+		
+		// Rows
+		
+		
+		/**
+		 * Re-renders all of the Grid's rows from the {@link #collection}. This method should normally not need to be
+		 * called directly, as the Grid is automatically updated when the {@link #collection} changes.
+		 */
+		refresh : function() {
+			if( !this.rendered ) return;
+			
+			var models = ( this.collection ) ? this.collection.getModels() : [],
+			    $rowsEl = this.$rowsEl.empty();
+			
+			this.rowElCache = {};
+			for( var i = 0, len = models.length; i < len; i++ ) {
+				$rowsEl.append( this.createRow( models[ i ] ) );
+			}
+		},
+		
+		
+		/**
+		 * Creates the &lt;tr&gt; element for a model, and stores it in the {@link #rowElCache}.
+		 *
+		 * @protected
+		 * @param {data.Model} model
+		 * @return {jQuery} The row element.
+		 */
+		createRow : function( model ) {
+			var baseCls = this.baseCls,
+			    clientId = model.getClientId();
+			
+			var cellsMarkup = _.map( this.columns, function( column ) {
+				return '<td class="' + baseCls + '-cell' + ( column.cls ? ' ' + column.cls : '' ) + '">' + this.renderCell( model, column ) + '</td>';
+			}, this );
+			
+			var $row = jQuery( '<tr class="' + baseCls + '-row" data-grid-clientId="' + clientId + '">' + cellsMarkup.join( '' ) + '</tr>' );
+			if( this.isSelected( model ) ) {
+				$row.addClass( baseCls + '-row-selected' );
+			}
+			
+			this.rowElCache[ clientId ] = $row;
+			return $row;
+		},
+		
+		
+		/**
+		 * Produces the HTML for a single cell, using the column's `renderer` if it has one.
+		 *
+		 * @protected
+		 * @param {data.Model} model
+		 * @param {Object} column
+		 * @return {String}
+		 */
+		renderCell : function( model, column ) {
+			var value = ( column.dataIndex ) ? model.get( column.dataIndex ) : undefined;
+			
+			if( column.renderer ) {
+				return column.renderer.call( column.scope || this, value, model, column );
+			} else {
+				return Html.encode( ( value === undefined || value === null ) ? "" : String( value ) );
+			}
+		},
+		
+		
+		/**
+		 * Inserts the row for a model at the model's position in the {@link #collection}.
+		 *
+		 * @private
+		 * @param {data.Model} model
+		 * @param {jQuery} $row
+		 */
+		insertRow : function( model, $row ) {
+			var collection = this.collection,
+			    nextModel = collection.getAt( collection.indexOf( model ) + 1 ),
+			    $nextRow = ( nextModel ) ? this.rowElCache[ nextModel.getClientId() ] : null;
+			
+			if( $nextRow && $nextRow[ 0 ] !== $row[ 0 ] ) {
+				$row.insertBefore( $nextRow );
+			} else {
+				this.$rowsEl.append( $row );
+			}
+		},
+		
+		
+		/**
+		 * Handles models being added to the {@link #collection}, by inserting rows for them.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection
+		 * @param {data.Model[]} models The models that were added.
+		 */
+		onModelsAdd : function( collection, models ) {
+			if( !this.rendered ) return;
+			
+			// Insert the rows in collection order, so that the following row is always present for the insertion
+			var sortedModels = _.sortBy( models, function( model ) { return collection.indexOf( model ); } );
+			
+			_.forEach( sortedModels, function( model ) {
+				this.insertRow( model, this.createRow( model ) );
+			}, this );
+			this.sizeColumns();  // in case a vertical scrollbar has appeared
+		},
+		
+		
+		/**
+		 * Handles models being removed from the {@link #collection}, by removing their rows, and removing them from the
+		 * selection.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection
+		 * @param {data.Model[]} models The models that were removed.
+		 */
+		onModelsRemove : function( collection, models ) {
+			var rowElCache = this.rowElCache;
+			
+			_.forEach( models, function( model ) {
+				var clientId = model.getClientId();
+				
+				if( rowElCache[ clientId ] ) {
+					rowElCache[ clientId ].remove();
+					delete rowElCache[ clientId ];
+				}
+			} );
+			
+			var selectedModels = _.difference( this.selectedModels, models );
+			if( selectedModels.length !== this.selectedModels.length ) {
+				this.selectedModels = selectedModels;
+				this.fireEvent( 'selectionchange', this, this.getSelection() );
+			}
+			
+			if( this.rendered ) {
+				this.sizeColumns();  // in case a vertical scrollbar has disappeared
+			}
+		},
+		
+		
+		/**
+		 * Handles a model being moved to a new position in the {@link #collection}, by moving its row.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection
+		 * @param {data.Model} model The model that was moved.
+		 */
+		onModelReorder : function( collection, model ) {
+			if( this.sorting ) return;  // the rows are reordered all at once when the sort is complete
+			
+			var $row = this.rowElCache[ model.getClientId() ];
+			
+			if( $row ) {
+				this.insertRow( model, $row.detach() );
+			}
+		},
+		
+		
+		/**
+		 * Handles a set of changes to the attributes of a model in the {@link #collection}, by re-rendering that model's
+		 * row. The row is re-rendered once, no matter how many attributes were changed.
+		 *
+		 * @protected
+		 * @param {data.Collection} collection
+		 * @param {data.Model} model The model that changed.
+		 */
+		onModelChange : function( collection, model ) {
+			var $oldRow = this.rowElCache[ model.getClientId() ];
+			
+			if( $oldRow ) {
+				$oldRow.replaceWith( this.createRow( model ) );
+			}
+		},
+		
+		
+		/**
+		 * Moves all of the rows into the order of their models in the {@link #collection}, in a single operation.
+		 *
+		 * @private
+		 */
+		syncRowOrder : function() {
+			if( !this.rendered || !this.collection ) return;
+			
+			var rowElCache = this.rowElCache,
+			    models = this.collection.getModels(),
+			    rowEls = [];
+			
+			for( var i = 0, len = models.length; i < len; i++ ) {
+				var $row = rowElCache[ models[ i ].getClientId() ];
+				if( $row ) rowEls.push( $row[ 0 ] );
+			}
+			this.$rowsEl.append( rowEls );  // appending the existing rows moves them
+		},
+		
+		
+		/**
+		 * Retrieves the &lt;tr&gt; element for the given model.
+		 *
+		 * @param {data.Model} model
+		 * @return {jQuery} The row element, or `null` if there is no row for the model (or the Grid is not rendered).
+		 */
+		getRowEl : function( model ) {
+			return this.rowElCache[ model.getClientId() ] || null;
+		},
+		
+		
+		/**
+		 * Retrieves the model for the given row element, or an element within it.
+		 *
+		 * @param {HTMLElement/jQuery} el
+		 * @return {data.Model} The model, or `null` if the element is not within one of the Grid's rows.
+		 */
+		getModelFromEl : function( el ) {
+			var $row = jQuery( el ).closest( 'tr.' + this.baseCls + '-row' );
+			
+			return ( $row.length && this.collection ) ? this.collection.getByClientId( $row.attr( 'data-grid-clientId' ) ) || null : null;
+		},
+		
+		
+		/**
+		 * Handles a click on one of the Grid's rows, by updating the selection and firing the {@link #rowclick} event.
+		 *
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onRowClick : function( evt ) {
+			var model = this.getModelFromEl( evt.currentTarget );
+			if( !model ) return;
+			
+			var selectionMode = this.selectionMode;
+			if( selectionMode === 'multi' && ( evt.ctrlKey || evt.metaKey ) ) {
+				if( this.isSelected( model ) ) {
+					this.deselect( model );
+				} else {
+					this.select( model, /* keepExisting */ true );
+				}
+			} else if( selectionMode !== 'none' ) {
+				this.select( model );
+			}
+			
+			this.fireEvent( 'rowclick', this, model, evt );
+		},
+		
+		
+		/**
+		 * Keeps the header horizontally in line with the body, when the body is scrolled.
+		 *
+		 * @private
+		 */
+		onBodyScroll : function() {
+			this.$headerEl.scrollLeft( this.$bodyEl.scrollLeft() );
+		},
+		
+		
+		// -----------------------------------
+		
+		// Sorting
+		
+		
+		/**
+		 * Handles a click on a column header, by {@link #sort sorting} by that column. If the Grid is already sorted
+		 * by the column, the sort direction is reversed.
+		 *
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onHeaderClick : function( evt ) {
+			var column = this.columns[ +jQuery( evt.currentTarget ).attr( 'data-column-idx' ) ],
+			    sortState = this.sortState;
+			
+			if( column && column.sortable ) {
+				var direction = ( sortState && sortState.dataIndex === column.dataIndex && sortState.direction === 'ASC' ) ? 'DESC' : 'ASC';
+				this.sort( column.dataIndex, direction );
+			}
+		},
+		
+		
+		/**
+		 * Sorts the bound {@link #collection} by the given model attribute. The Grid's rows are reordered once the
+		 * collection has been sorted.
+		 *
+		 * @param {String} dataIndex The name of the model attribute to sort by.
+		 * @param {String} [direction='ASC'] The sort direction: 'ASC' or 'DESC'.
+		 * @chainable
+		 */
+		sort : function( dataIndex, direction ) {
+			direction = ( direction || 'ASC' ).toUpperCase();
+			
+			var collection = this.collection;
+			if( collection ) {
+				var multiplier = ( direction === 'DESC' ) ? -1 : 1,
+				    models = collection.getModels();
+				
+				// Sort by the attribute, falling back to the current position so that the sort is stable
+				var sortedModels = _.map( models, function( model, idx ) { return { model: model, idx: idx }; } ).sort( _.bind( function( a, b ) {
+					return ( multiplier * this.compareValues( a.model.get( dataIndex ), b.model.get( dataIndex ) ) ) || ( a.idx - b.idx );
+				}, this ) );
+				
+				this.sorting = true;
+				try {
+					for( var i = 0, len = sortedModels.length; i < len; i++ ) {
+						if( collection.getAt( i ) !== sortedModels[ i ].model ) {
+							collection.add( sortedModels[ i ].model, { at: i } );  // moves the model, firing the 'reorder' event
+						}
+					}
+				} finally {
+					this.sorting = false;
+				}
+				this.syncRowOrder();
+			}
+			
+			this.sortState = { dataIndex: dataIndex, direction: direction };
+			this.updateSortIndicator();
+			this.fireEvent( 'sort', this, dataIndex, direction );
+			
+			return this;
+		},
+		
+		
+		/**
+		 * Compares two attribute values for {@link #sort sorting}. `undefined` and `null` values sort before all others,
+		 * and strings are compared case-insensitively.
+		 *
+		 * @protected
+		 * @param {Mixed} a
+		 * @param {Mixed} b
+		 * @return {Number} A negative number if `a` sorts first, a positive number if `b` sorts first, or 0 if they are
+		 *   equal.
+		 */
+		compareValues : function( a, b ) {
+			var aEmpty = ( a === undefined || a === null ),
+			    bEmpty = ( b === undefined || b === null );
+			
+			if( aEmpty || bEmpty ) {
+				return ( aEmpty ? 0 : 1 ) - ( bEmpty ? 0 : 1 );
+			}
+			if( typeof a === 'string' && typeof b === 'string' ) {
+				a = a.toLowerCase();
+				b = b.toLowerCase();
+			}
+			return ( a < b ) ? -1 : ( a > b ) ? 1 : 0;
+		},
+		
+		
+		/**
+		 * Retrieves the current sort of the Grid.
+		 *
+		 * @return {Object} An object with properties `dataIndex` and `direction`, or `null` if the Grid has not been
+		 *   sorted.
+		 */
+		getSortState : function() {
+			return this.sortState;
+		},
+		
+		
+		/**
+		 * Updates the CSS classes of the column headers to show the current sort.
+		 *
+		 * @private
+		 */
+		updateSortIndicator : function() {
+			if( !this.rendered ) return;
+			
+			var baseCls = this.baseCls,
+			    sortState = this.sortState,
+			    columns = this.columns;
+			
+			this.$headerEl.find( 'th' ).each( function( idx ) {
+				var isSorted = !!sortState && columns[ idx ].dataIndex === sortState.dataIndex;
+				
+				jQuery( this )
+					.toggleClass( baseCls + '-sorted-asc', isSorted && sortState.direction === 'ASC' )
+					.toggleClass( baseCls + '-sorted-desc', isSorted && sortState.direction === 'DESC' );
+			} );
+		},
+		
+		
+		// -----------------------------------
+		
+		// Selection
+		
+		
+		/**
+		 * Selects the row for a model.
+		 *
+		 * @param {data.Model} model
+		 * @param {Boolean} [keepExisting=false] `true` to keep the currently selected rows selected. Only applies when
+		 *   the {@link #selectionMode} is 'multi'.
+		 * @chainable
+		 */
+		select : function( model, keepExisting ) {
+			var selection = ( keepExisting && this.selectionMode === 'multi' ) ? this.selectedModels.concat( model ) : [ model ];
+			
+			return this.setSelection( selection );
+		},
+		
+		
+		/**
+		 * Deselects the row for a model.
+		 *
+		 * @param {data.Model} model
+		 * @chainable
+		 */
+		deselect : function( model ) {
+			return this.setSelection( _.without( this.selectedModels, model ) );
+		},
+		
+		
+		/**
+		 * Deselects all rows.
+		 *
+		 * @chainable
+		 */
+		clearSelection : function() {
+			return this.setSelection( [] );
+		},
+		
+		
+		/**
+		 * Sets the selected rows, by their models. Fires the {@link #selectionchange} event if the selection changes.
+		 *
+		 * @param {data.Model[]} models The models to select. Any models that are not in the {@link #collection} are
+		 *   ignored, and only the first is used if the {@link #selectionMode} is 'single'.
+		 * @chainable
+		 */
+		setSelection : function( models ) {
+			var collection = this.collection,
+			    selectionMode = this.selectionMode;
+			
+			var newSelection = _.unique( _.filter( [].concat( models ), function( model ) {
+				return !!collection && !!collection.getByClientId( model.getClientId() );
+			} ) );
+			
+			if( selectionMode === 'none' ) {
+				newSelection = [];
+			} else if( selectionMode === 'single' ) {
+				newSelection = newSelection.slice( 0, 1 );
+			}
+			
+			var oldSelection = this.selectedModels;
+			if( _.difference( oldSelection, newSelection ).length || _.difference( newSelection, oldSelection ).length ) {
+				this.selectedModels = newSelection;
+				
+				var selectedCls = this.baseCls + '-row-selected';
+				_.forEach( oldSelection, function( model ) {
+					var $row = this.getRowEl( model );
+					if( $row ) $row.removeClass( selectedCls );
+				}, this );
+				_.forEach( newSelection, function( model ) {
+					var $row = this.getRowEl( model );
+					if( $row ) $row.addClass( selectedCls );
+				}, this );
+				
+				this.fireEvent( 'selectionchange', this, this.getSelection() );
+			}
+			return this;
+		},
+		
+		
+		/**
+		 * Retrieves the models for the selected rows.
+		 *
+		 * @return {data.Model[]}
+		 */
+		getSelection : function() {
+			return this.selectedModels.slice( 0 );
+		},
+		
+		
+		/**
+		 * Determines if the row for a model is selected.
+		 *
+		 * @param {data.Model} model
+		 * @return {Boolean}
+		 */
+		isSelected : function( model ) {
+			return _.contains( this.selectedModels, model );
+		},
+		
+		
+		// -----------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			this.unbindCollection();
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'grid', Grid );
+	
+	return Grid;
+
+} );
@@ -0,0 +1,538 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/Component',
+	'gui/Container',
+	'gui/layout/Layout',
+	'gui/panel/Panel',
+	'gui/anim/Animation'
+], function( jQuery, _, Component, Container, Layout, Panel, Animation ) {
+	
+	/**
+	 * @class gui.layout.Accordion
+	 * @extends gui.layout.Layout
+	 * @alias layout.accordion
+	 * 
+	 * A layout that renders a {@link gui.Container Container's} child {@link gui.panel.Panel Panels} as an accordion.
+	 * Each Panel's {@link gui.panel.Panel#property-header header} is used as the clickable bar to expand the Panel, and
+	 * only the headers of collapsed Panels are shown.
+	 * 
+	 * By default, only one Panel may be expanded at a time, and the expanded Panel fills the remaining height of the
+	 * {@link #container} (see {@link #fill}). Set the {@link #multi} config to `true` to allow any number of Panels to be
+	 * expanded at once, where clicking a Panel's header toggles it.
+	 * 
+	 *     layout : { type: 'accordion', activeItem: 1 },
+	 *     items : [
+	 *         { type: 'panel', title: "Mail", html: "..." },
+	 *         { type: 'panel', title: "Contacts", html: "..." },
+	 *         { type: 'panel', title: "Calendar", html: "..." }
+	 *     ]
+	 * 
+	 * This class is usually not meant to be instantiated directly, but created by its layout type name 'accordion'.
+	 */
+	var AccordionLayout = Layout.extend( {
+		
+		/**
+		 * @cfg {Number/gui.panel.Panel} activeItem
+		 * 
+		 * The item index or {@link gui.panel.Panel Panel} reference to initially expand. Defaults to 0 (for the first item).
+		 * May be set to `null` to have all items initially collapsed. If this is a {@link gui.panel.Panel Panel}, it should
+		 * be a Panel that exists in the {@link #container}.
+		 */
+		activeItem : 0,
+		
+		/**
+		 * @cfg {Boolean} multi
+		 * 
+		 * `false` to only allow one item to be expanded at a time (expanding an item collapses the others), or `true` to
+		 * allow any number of items to be expanded at once. In multi-expand mode, clicking an item's header toggles it.
+		 */
+		multi : false,
+		
+		/**
+		 * @cfg {Boolean} fill
+		 * 
+		 * `true` to size the expanded item to fill the height of the {@link #container} that remains after the headers
+		 * of the other items. This only applies when {@link #multi} is `false`. When `false`, (or in multi-expand mode),
+		 * each expanded item takes its natural height.
+		 */
+		fill : true,
+		
+		/**
+		 * @cfg {Boolean} animate
+		 * 
+		 * `true` to animate the expanding and collapsing of items, using a {@link gui.anim.Animation}. `false` to
+		 * expand and collapse items immediately.
+		 */
+		animate : true,
+		
+		/**
+		 * @cfg {Number} duration
+		 * 
+		 * The duration, in milliseconds, of the expand and collapse animations, when {@link #animate} is `true`.
+		 */
+		duration : 250,
+		
+		
+		/**
+		 * @private
+		 * @property {Boolean} initialized
+		 * 
+		 * Flag which is set to `true` after the {@link #activeItem} config has been processed. See {@link #initExpandedItems}.
+		 */
+		initialized : false,
+		
+		/**
+		 * @private
+		 * @property {Object} expandedItems
+		 * 
+		 * An Object (map) of the items which are expanded, keyed by their {@link gui.Component#getUuid uuid}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} headerClickHandlers
+		 * 
+		 * An Object (map) of the click handlers which have been attached to each item's header element, keyed by the
+		 * item's {@link gui.Component#getUuid uuid}. Each value is an Object with properties `$el` and `fn`, so that the
+		 * handlers may be removed when the layout is destroyed.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} animations
+		 * 
+		 * An Object (map) of the {@link gui.anim.Animation Animations} which are currently running, keyed by the
+		 * animated item's {@link gui.Component#getUuid uuid}.
+		 */
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initLayout : function() {
+			this.addEvents(
+				/**
+				 * Fires before an item is expanded. Handlers may return `false` to prevent the item from being expanded.
+				 * 
+				 * @event beforeexpand
+				 * @param {gui.layout.Accordion} accordionLayout This AccordionLayout instance.
+				 * @param {gui.panel.Panel} item The item that is about to be expanded.
+				 * @preventable
+				 */
+				'beforeexpand',
+				
+				/**
+				 * Fires when an item has been expanded.
+				 * 
+				 * @event expand
+				 * @param {gui.layout.Accordion} accordionLayout This AccordionLayout instance.
+				 * @param {gui.panel.Panel} item The item that was expanded.
+				 */
+				'expand',
+				
+				/**
+				 * Fires when an item has been collapsed.
+				 * 
+				 * @event collapse
+				 * @param {gui.layout.Accordion} accordionLayout This AccordionLayout instance.
+				 * @param {gui.panel.Panel} item The item that was collapsed.
+				 */
+				'collapse'
+			);
+			
+			this.expandedItems = {};
+			this.headerClickHandlers = {};
+			this.animations = {};
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * Layout implementation for AccordionLayout, which renders each child Panel into the Container's content target
+		 * (see {@link gui.Component#getContentTarget}), hides the bodies of the collapsed Panels, and sizes the expanded
+		 * Panel if the {@link #fill} config is `true`.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} childComponents The child components that should be rendered and laid out.
+		 * @param {jQuery} $targetEl The target element, where child components should be rendered into.
+		 */
+		onLayout : function( childComponents, $targetEl ) {
+			this._super( arguments );
+			
+			$targetEl.addClass( 'gui-layout-accordion' );
+			this.initExpandedItems();
+			
+			var i, len, item;
+			for( i = 0, len = childComponents.length; i < len; i++ ) {
+				item = childComponents[ i ];
+				
+				// <debug>
+				if( !( item instanceof Panel ) ) throw new Error( "Each child component in an accordion layout must be a gui.panel.Panel" );
+				// </debug>
+				
+				item.addCls( 'gui-layout-accordion-item' );
+				item.getHeader().addCls( 'gui-layout-accordion-header' );  // note: creates the header if the Panel doesn't have one
+				
+				this.renderComponent( item, $targetEl, { position: i } );
+				this.attachHeaderClickHandler( item );
+				this.applyExpandedState( item );
+			}
+			
+			if( this.fill && !this.multi ) {
+				var expandedItem = this.getActiveItem();
+				
+				if( expandedItem && !expandedItem.isHidden() ) {
+					this.sizeBodyToFill( expandedItem, childComponents, $targetEl.height() );
+					expandedItem.doLayout();
+				}
+			}
+		},
+		
+		
+		/**
+		 * Initializes the {@link #expandedItems} from the {@link #activeItem} config, if this has not been done already.
+		 * This is done lazily, as the {@link #container} may not have its items when the layout is created.
+		 * 
+		 * @private
+		 */
+		initExpandedItems : function() {
+			if( !this.initialized && this.container.getItems().length > 0 ) {
+				this.initialized = true;
+				
+				var activeItem = this.resolveItem( this.activeItem );
+				if( activeItem ) {
+					this.expandedItems[ activeItem.getUuid() ] = true;
+				}
+			}
+		},
+		
+		
+		/**
+		 * Shows or hides the body (and footer) of an item, based on whether or not it is expanded.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel} item
+		 */
+		applyExpandedState : function( item ) {
+			var expanded = this.isExpanded( item );
+			
+			item.getBodyEl()[ expanded ? 'show' : 'hide' ]();
+			if( item.footer ) {
+				item.footer.getEl()[ expanded ? 'show' : 'hide' ]();
+			}
+			
+			item.getEl().toggleClass( 'gui-layout-accordion-item-collapsed', !expanded );
+		},
+		
+		
+		/**
+		 * Sizes the body of the expanded `item` so that the item fills the `targetHeight` that remains after the other
+		 * items' headers.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel} item The expanded item.
+		 * @param {gui.Component[]} childComponents All of the container's child components.
+		 * @param {Number} targetHeight The height of the container's content target.
+		 */
+		sizeBodyToFill : function( item, childComponents, targetHeight ) {
+			var $bodyEl = item.getBodyEl(),
+			    bodyFrameHeight,
+			    chromeHeight = 0;  // the height taken up by everything except the expanded item's body
+			
+			for( var i = 0, len = childComponents.length; i < len; i++ ) {
+				var childComponent = childComponents[ i ];
+				
+				if( !childComponent.isHidden() ) {
+					chromeHeight += childComponent.getOuterHeight( /* includeMargin */ true );
+				}
+			}
+			chromeHeight -= $bodyEl.outerHeight( /* includeMargin */ true );
+			bodyFrameHeight = $bodyEl.outerHeight( /* includeMargin */ true ) - $bodyEl.height();
+			
+			$bodyEl.height( Math.max( targetHeight - chromeHeight - bodyFrameHeight, 0 ) );
+		},
+		
+		
+		/**
+		 * Attaches a click handler to an item's header element, if one has not been attached already.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel} item
+		 */
+		attachHeaderClickHandler : function( item ) {
+			var uuid = item.getUuid(),
+			    $headerEl = item.getHeader().getEl(),
+			    handler = this.headerClickHandlers[ uuid ];
+			
+			if( !handler || handler.$el[ 0 ] !== $headerEl[ 0 ] ) {
+				if( handler ) handler.$el.off( 'click', handler.fn );
+				
+				handler = this.headerClickHandlers[ uuid ] = {
+					$el : $headerEl,
+					fn  : _.bind( this.onHeaderClick, this, item )
+				};
+				$headerEl.on( 'click', handler.fn );
+			}
+		},
+		
+		
+		/**
+		 * Handles a click on an item's header. In single-expand mode, expands the item. In {@link #multi multi-expand}
+		 * mode, toggles the item.
+		 * 
+		 * @protected
+		 * @param {gui.panel.Panel} item The item whose header was clicked.
+		 */
+		onHeaderClick : function( item ) {
+			if( this.multi ) {
+				this.toggle( item );
+			} else {
+				this.expand( item );
+			}
+		},
+		
+		
+		// --------------------------------
+		
+		
+		/**
+		 * Expands an item. In single-expand mode (i.e. {@link #multi} is `false`), the other items are collapsed.
+		 * 
+		 * Fires the {@link #beforeexpand} event, which may be used to prevent the item from being expanded, and then
+		 * the {@link #expand} event (and the {@link #collapse} event for any items which were collapsed).
+		 * 
+		 * @param {gui.panel.Panel/Number} item The Panel to expand, or its index in the {@link #container}.
+		 */
+		expand : function( item ) {
+			item = this.resolveItem( item );
+			if( !item || this.isExpanded( item ) || this.fireEvent( 'beforeexpand', this, item ) === false ) {
+				return;
+			}
+			
+			var collapsedItems = ( this.multi ) ? [] : this.getExpandedItems();
+			
+			this.expandedItems[ item.getUuid() ] = true;
+			_.forEach( collapsedItems, function( collapsedItem ) {
+				delete this.expandedItems[ collapsedItem.getUuid() ];
+			}, this );
+			
+			this.updateItems( [ item ], collapsedItems );
+			
+			_.forEach( collapsedItems, function( collapsedItem ) {
+				this.fireEvent( 'collapse', this, collapsedItem );
+			}, this );
+			this.fireEvent( 'expand', this, item );
+		},
+		
+		
+		/**
+		 * Collapses an item. Fires the {@link #collapse} event.
+		 * 
+		 * @param {gui.panel.Panel/Number} item The Panel to collapse, or its index in the {@link #container}.
+		 */
+		collapse : function( item ) {
+			item = this.resolveItem( item );
+			if( !item || !this.isExpanded( item ) ) {
+				return;
+			}
+			
+			delete this.expandedItems[ item.getUuid() ];
+			this.updateItems( [], [ item ] );
+			
+			this.fireEvent( 'collapse', this, item );
+		},
+		
+		
+		/**
+		 * Expands an item if it is collapsed, or collapses it if it is expanded.
+		 * 
+		 * @param {gui.panel.Panel/Number} item The Panel to toggle, or its index in the {@link #container}.
+		 */
+		toggle : function( item ) {
+			item = this.resolveItem( item );
+			
+			if( this.isExpanded( item ) ) {
+				this.collapse( item );
+			} else {
+				this.expand( item );
+			}
+		},
+		
+		
+		/**
+		 * Determines if an item is expanded.
+		 * 
+		 * @param {gui.panel.Panel/Number} item The Panel, or its index in the {@link #container}.
+		 * @return {Boolean}
+		 */
+		isExpanded : function( item ) {
+			item = this.resolveItem( item );
+			this.initExpandedItems();
+			
+			return !!item && !!this.expandedItems[ item.getUuid() ];
+		},
+		
+		
+		/**
+		 * Retrieves the items which are currently expanded, in the order that they appear in the {@link #container}.
+		 * 
+		 * @return {gui.panel.Panel[]}
+		 */
+		getExpandedItems : function() {
+			return _.filter( this.container.getItems(), this.isExpanded, this );
+		},
+		
+		
+		/**
+		 * Expands the given item. This is an alias of {@link #expand}, for compatibility with the {@link gui.layout.Card}
+		 * layout's interface.
+		 * 
+		 * @param {gui.panel.Panel/Number} item The Panel to expand, or its index in the {@link #container}.
+		 */
+		setActiveItem : function( item ) {
+			this.expand( item );
+		},
+		
+		
+		/**
+		 * Retrieves the (first) expanded item.
+		 * 
+		 * @return {gui.panel.Panel} The expanded item, or `null` if there is none.
+		 */
+		getActiveItem : function() {
+			return this.getExpandedItems()[ 0 ] || null;
+		},
+		
+		
+		/**
+		 * Resolves an item index or Panel to the Panel in the {@link #container}.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel/Number} item
+		 * @return {gui.panel.Panel} The Panel, or `null` if it is not in the {@link #container}.
+		 */
+		resolveItem : function( item ) {
+			var container = this.container;
+			
+			if( typeof item === 'number' ) {
+				return container.getItemAt( item );
+			} else if( item instanceof Component && container.has( item ) ) {
+				return item;
+			} else {
+				return null;
+			}
+		},
+		
+		
+		// --------------------------------
+		
+		
+		/**
+		 * Updates the DOM for items which have been expanded and collapsed, animating the change if the {@link #animate}
+		 * config is `true`.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel[]} expandedItems The items which have been expanded.
+		 * @param {gui.panel.Panel[]} collapsedItems The items which have been collapsed.
+		 */
+		updateItems : function( expandedItems, collapsedItems ) {
+			var container = this.container;
+			if( !container.isRendered() ) {
+				return;  // will be applied when the container is laid out
+			}
+			
+			var changedItems = expandedItems.concat( collapsedItems ),
+			    animate = this.animate && !container.isHidden( /* checkDom */ true ),
+			    startHeights = {};
+			
+			_.forEach( changedItems, function( item ) {
+				var uuid = item.getUuid();
+				
+				if( this.animations[ uuid ] ) {
+					this.animations[ uuid ].end();
+				}
+				startHeights[ uuid ] = ( item.getBodyEl().is( ':visible' ) ) ? item.getBodyEl().height() : 0;
+			}, this );
+			
+			// Run the layout to put each item into its final state (and size the expanded item, if filling)
+			container.doLayout();
+			
+			if( animate ) {
+				_.forEach( changedItems, function( item ) {
+					this.animateBody( item, startHeights[ item.getUuid() ] );
+				}, this );
+			}
+		},
+		
+		
+		/**
+		 * Animates the body of an item from the given `startHeight` to the height that it was given by the last layout run
+		 * (or to 0 if the item is collapsed).
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel} item
+		 * @param {Number} startHeight
+		 */
+		animateBody : function( item, startHeight ) {
+			var uuid = item.getUuid(),
+			    $bodyEl = item.getBodyEl(),
+			    expanded = this.isExpanded( item ),
+			    endHeight = ( expanded ) ? $bodyEl.height() : 0,
+			    restoreHeight = $bodyEl[ 0 ].style.height;  // the height set by the layout (if any), to restore when the animation is complete
+			
+			$bodyEl.show();
+			
+			var animation = this.animations[ uuid ] = new Animation( {
+				target   : $bodyEl,
+				from     : { height: startHeight, overflow: 'hidden' },
+				to       : { height: endHeight },
+				duration : this.duration,
+				callback : function() {
+					$bodyEl.css( { height: restoreHeight, overflow: '' } );
+					if( !expanded ) {
+						$bodyEl.hide();
+					}
+					if( this.animations[ uuid ] === animation ) {
+						delete this.animations[ uuid ];
+					}
+				},
+				scope    : this
+			} );
+			animation.start();
+		},
+		
+		
+		// --------------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			_.forOwn( this.animations, function( animation ) {
+				animation.end();
+			} );
+			_.forOwn( this.headerClickHandlers, function( handler ) {
+				handler.$el.off( 'click', handler.fn );
+			} );
+			
+			var container = this.container;
+			if( container && container.isRendered() ) {
+				container.getContentTarget().removeClass( 'gui-layout-accordion' );
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	// Register the layout type with the gui.Container class, which is used to be able to instantiate the layout via its type name.
+	Container.registerLayout( 'accordion', AccordionLayout );
+	
+	return AccordionLayout;
+
+} );
@@ -0,0 +1,806 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/Container',
+	'gui/layout/Layout'
+], function( jQuery, _, Container, Layout ) {
+	
+	/**
+	 * @class gui.layout.Border
+	 * @extends gui.layout.Layout
+	 * @alias layout.border
+	 * 
+	 * A layout that arranges its {@link #container container's} child components into five regions: 'north', 'south',
+	 * 'east', 'west', and 'center'. This is most useful for application "shells", usually in a {@link gui.Viewport}, where
+	 * the layout is re-run when the browser window is resized.
+	 * 
+	 * Each child component must have a {@link #region} config. The 'north' and 'south' regions span the full width of the
+	 * container, and take their configured (or natural) height. The 'west' and 'east' regions fill the height between
+	 * them, and take their configured (or natural) width. The 'center' region, which is required, is sized to fill the
+	 * remaining space.
+	 * 
+	 *     layout : 'border',
+	 *     items : [
+	 *         { region: 'north', height: 50, html: "Header" },
+	 *         { region: 'west', width: 200, split: true, collapsible: true, html: "Navigation" },
+	 *         { region: 'center', html: "Content" }
+	 *     ]
+	 * 
+	 * Edge regions may be made drag-resizable with the {@link #split} config, and collapsible with the {@link #collapsible}
+	 * config. Regions may also be collapsed, expanded, and resized programmatically with {@link #collapseRegion},
+	 * {@link #expandRegion}, and {@link #setRegionSize}.
+	 * 
+	 * This class is usually not meant to be instantiated directly, but created by its layout type name 'border'.
+	 */
+	var BorderLayout = Layout.extend( {
+		
+		/**
+		 * @cfg {String} region
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container}. The region that the child
+		 * component should be placed into. One of: 'north', 'south', 'east', 'west', or 'center'. Only one child
+		 * component may be placed into each region, and a 'center' region component is required.
+		 */
+		
+		/**
+		 * @cfg {Boolean} split
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container} which are in an edge region
+		 * (i.e. not the 'center' region). `true` to place a splitter between the region and the center region, which
+		 * may be dragged to resize the region. See also {@link #minSize} and {@link #maxSize}.
+		 */
+		
+		/**
+		 * @cfg {Boolean} collapsible
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container} which are in an edge region
+		 * (i.e. not the 'center' region). `true` to allow the region to be collapsed by the user. A collapsible region
+		 * has a tool in its splitter to collapse it, and when collapsed, is replaced by a bar (of {@link #collapsedSize})
+		 * which may be clicked to expand it again.
+		 */
+		
+		/**
+		 * @cfg {Boolean} collapsed
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container} which are in an edge region
+		 * (i.e. not the 'center' region). `true` to have the region initially collapsed.
+		 */
+		
+		/**
+		 * @cfg {Number} minSize
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container} which are in an edge region
+		 * (i.e. not the 'center' region). The minimum size (height for 'north'/'south', width for 'west'/'east') that
+		 * the region may be resized to with its splitter. Defaults to 50.
+		 */
+		
+		/**
+		 * @cfg {Number} maxSize
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container} which are in an edge region
+		 * (i.e. not the 'center' region). The maximum size (height for 'north'/'south', width for 'west'/'east') that
+		 * the region may be resized to with its splitter. If not provided, the region may be resized until the center
+		 * region has no space left.
+		 */
+		
+		/**
+		 * @cfg {Number} splitterSize
+		 * 
+		 * The size, in pixels, of the splitters between {@link #split} or {@link #collapsible} regions and the center region.
+		 */
+		splitterSize : 5,
+		
+		/**
+		 * @cfg {Number} collapsedSize
+		 * 
+		 * The size, in pixels, of the bar that is shown in place of a collapsed region.
+		 */
+		collapsedSize : 24,
+		
+		/**
+		 * @cfg {Number} splitterDragInterval
+		 * 
+		 * The minimum time, in milliseconds, between the layouts that are run to resize a region while its splitter is
+		 * being dragged. The final size is always applied when the drag ends.
+		 */
+		splitterDragInterval : 30,
+		
+		
+		/**
+		 * @private
+		 * @property {Object} regionStates
+		 * 
+		 * An Object (map) of the state of each edge region's child component, keyed by the component's
+		 * {@link gui.Component#getUuid uuid}. Each value is an Object with properties `collapsed` (Boolean),
+		 * and `size` (Number), where `size` is only set when the region has been resized by its splitter or
+		 * {@link #setRegionSize}. A component's entry is removed when the component is removed from the
+		 * {@link #container}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {gui.Container} listenedContainer
+		 * 
+		 * The Container that this layout has subscribed to the 'remove' event of. See {@link #onContainerSet}.
+		 */
+		listenedContainer : null,
+		
+		/**
+		 * @private
+		 * @property {Object} regionComponents
+		 * 
+		 * An Object (map) of the child components in each region, keyed by region name, from the last layout run.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} splitterEls
+		 * 
+		 * An Object (map) of the splitter elements that have been created, keyed by region name.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} collapsedEls
+		 * 
+		 * An Object (map) of the bar elements that are shown in place of collapsed regions, keyed by region name.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} centerBox
+		 * 
+		 * An Object (map) with the `width` and `height` of the center region from the last layout run. Used to limit
+		 * the size that regions may be resized to.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} dragState
+		 * 
+		 * An Object (map) which holds the state of a splitter drag operation while one is in progress. Has properties
+		 * `region`, `startPos`, `startSize`, `minSize`, `maxSize`, `size` (the latest size that the region was dragged
+		 * to), and `applySize` (a function, throttled by the {@link #splitterDragInterval}, which resizes the region to
+		 * `size`).
+		 */
+		dragState : null,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initLayout : function() {
+			this._super( arguments );
+			
+			this.addEvents(
+				/**
+				 * Fires when a region is collapsed.
+				 * 
+				 * @event collapse
+				 * @param {gui.layout.Border} layout This BorderLayout instance.
+				 * @param {gui.Component} component The component in the region that was collapsed.
+				 * @param {String} region The name of the region.
+				 */
+				'collapse',
+				
+				/**
+				 * Fires when a region is expanded.
+				 * 
+				 * @event expand
+				 * @param {gui.layout.Border} layout This BorderLayout instance.
+				 * @param {gui.Component} component The component in the region that was expanded.
+				 * @param {String} region The name of the region.
+				 */
+				'expand',
+				
+				/**
+				 * Fires when a region is resized with its splitter, or with {@link #setRegionSize}.
+				 * 
+				 * @event regionresize
+				 * @param {gui.layout.Border} layout This BorderLayout instance.
+				 * @param {gui.Component} component The component in the region that was resized.
+				 * @param {String} region The name of the region.
+				 * @param {Number} size The new size of the region.
+				 */
+				'regionresize'
+			);
+			
+			this.regionStates = {};
+			this.regionComponents = {};
+			this.splitterEls = {};
+			this.collapsedEls = {};
+			this.centerBox = { width: 0, height: 0 };
+		},
+		
+		
+		/**
+		 * Extension of onContainerSet, which subscribes to the new Container's 'remove' event (and unsubscribes from the
+		 * previous Container's), so that the state of removed components may be discarded.
+		 * 
+		 * @protected
+		 * @param {gui.Container} container The Container that was set, or `null` if the container was removed.
+		 */
+		onContainerSet : function( container ) {
+			this._super( arguments );
+			
+			if( this.listenedContainer ) {
+				this.listenedContainer.un( 'remove', this.onContainerRemove, this );
+			}
+			if( container ) {
+				container.on( 'remove', this.onContainerRemove, this );
+			}
+			this.listenedContainer = container;
+		},
+		
+		
+		/**
+		 * Handles a component being removed from the {@link #container}, by discarding its entry in the
+		 * {@link #regionStates}.
+		 * 
+		 * @private
+		 * @param {gui.Container} container
+		 * @param {gui.Component} component The component that was removed.
+		 */
+		onContainerRemove : function( container, component ) {
+			delete this.regionStates[ component.getUuid() ];
+		},
+		
+		
+		/**
+		 * Implementation of the BorderLayout, which positions and sizes each of the {@link #container container's}
+		 * child components based on their {@link #region}.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} childComponents The child components that should be rendered and laid out.
+		 * @param {jQuery} $targetEl The target element, where child components should be rendered into.
+		 */
+		onLayout : function( childComponents, $targetEl ) {
+			this._super( arguments );
+			
+			$targetEl.addClass( 'gui-layout-border' );
+			
+			var regionComponents = this.regionComponents = this.getRegionComponents( childComponents ),
+			    splitterSize = this.splitterSize,
+			    box = { top: 0, left: 0, right: $targetEl.width(), bottom: $targetEl.height() },  // the box that is remaining for the center region
+			    edgeRegions = [ 'north', 'south', 'west', 'east' ],
+			    i, len, region, component;
+			
+			for( i = 0, len = edgeRegions.length; i < len; i++ ) {
+				region = edgeRegions[ i ];
+				component = regionComponents[ region ];
+				
+				if( !component || component.isHidden() ) {
+					this.removeRegionEls( region );
+					if( component ) this.renderComponent( component, $targetEl );  // keep hidden components in the container's element
+					continue;
+				}
+				
+				var collapsed = this.isRegionCollapsed( region ),
+				    size, splitterBox;
+				
+				this.renderComponent( component, $targetEl );
+				component.addCls( 'gui-layout-border-region' );
+				component.getEl()[ collapsed ? 'hide' : 'show' ]();
+				
+				if( collapsed ) {
+					size = this.collapsedSize;
+					this.setElBox( this.getCollapsedEl( region, $targetEl ), this.getRegionBox( region, box, size ) );
+					this.removeSplitterEl( region );
+				
+				} else {
+					size = this.getRegionSize( component, region );
+					
+					var regionBox = this.getRegionBox( region, box, size );
+					this.setElBox( component.getEl(), regionBox );
+					this.sizeComponent( component, regionBox.width, regionBox.height );
+					component.doLayout();
+					this.removeCollapsedEl( region );
+					
+					if( component.split || component.collapsible ) {
+						this.shrinkBox( region, box, size );
+						size = splitterSize;
+						this.setElBox( this.getSplitterEl( region, component, $targetEl ), this.getRegionBox( region, box, size ) );
+					} else {
+						this.removeSplitterEl( region );
+					}
+				}
+				
+				this.shrinkBox( region, box, size );
+			}
+			
+			// Finally, the center region takes up the remaining space
+			var centerComponent = regionComponents.center,
+			    centerBox = this.centerBox = this.getRegionBox( 'center', box );
+			
+			this.renderComponent( centerComponent, $targetEl );
+			centerComponent.addCls( 'gui-layout-border-region' );
+			this.setElBox( centerComponent.getEl(), centerBox );
+			this.sizeComponent( centerComponent, centerBox.width, centerBox.height );
+		},
+		
+		
+		/**
+		 * Builds the map of the child components in each region, checking that each component has a valid {@link #region}.
+		 * 
+		 * @private
+		 * @param {gui.Component[]} childComponents
+		 * @return {Object} An Object (map) of the child components, keyed by their region name.
+		 */
+		getRegionComponents : function( childComponents ) {
+			var regionComponents = {};
+			
+			for( var i = 0, len = childComponents.length; i < len; i++ ) {
+				var component = childComponents[ i ],
+				    region = component.region;
+				
+				// <debug>
+				if( !_.contains( [ 'north', 'south', 'east', 'west', 'center' ], region ) ) {
+					throw new Error( "Each child component in a border layout requires a `region` config of 'north', 'south', 'east', 'west', or 'center'" );
+				}
+				if( regionComponents[ region ] ) throw new Error( "Only one child component may be placed into the '" + region + "' region" );
+				// </debug>
+				
+				regionComponents[ region ] = component;
+			}
+			
+			// <debug>
+			if( !regionComponents.center ) throw new Error( "A border layout requires a child component in the 'center' region" );
+			// </debug>
+			
+			return regionComponents;
+		},
+		
+		
+		/**
+		 * Retrieves the size of an (expanded) edge region's component. This is the size that it was resized to, or
+		 * otherwise its configured height (for 'north'/'south') or width (for 'west'/'east'), or otherwise its natural
+		 * size.
+		 * 
+		 * @private
+		 * @param {gui.Component} component
+		 * @param {String} region
+		 * @return {Number}
+		 */
+		getRegionSize : function( component, region ) {
+			var isVertical = ( region === 'north' || region === 'south' ),
+			    size = this.getRegionState( component ).size;
+			
+			if( size === undefined ) {
+				size = ( isVertical ) ? component.getConfiguredHeight() : component.getConfiguredWidth();
+			}
+			if( typeof size !== 'number' ) {
+				component.doLayout();
+				size = ( isVertical ) ? component.getOuterHeight( /* includeMargin */ true ) : component.getOuterWidth( /* includeMargin */ true );
+			}
+			return size;
+		},
+		
+		
+		/**
+		 * Retrieves the state object for an edge region's component, creating it if need be. See {@link #regionStates}.
+		 * 
+		 * @private
+		 * @param {gui.Component} component
+		 * @return {Object}
+		 */
+		getRegionState : function( component ) {
+			var uuid = component.getUuid();
+			
+			return this.regionStates[ uuid ] || ( this.regionStates[ uuid ] = { collapsed: !!component.collapsed } );
+		},
+		
+		
+		/**
+		 * Computes the box (top, left, width, and height) for a region, given the `box` that is remaining in the
+		 * container.
+		 * 
+		 * @private
+		 * @param {String} region
+		 * @param {Object} box The remaining box, with `top`, `left`, `right`, and `bottom` properties.
+		 * @param {Number} [size] The size of the region. Not used for the 'center' region.
+		 * @return {Object} An Object with properties `top`, `left`, `width`, and `height`.
+		 */
+		getRegionBox : function( region, box, size ) {
+			var width = Math.max( box.right - box.left, 0 ),
+			    height = Math.max( box.bottom - box.top, 0 );
+			
+			switch( region ) {
+				case 'north' : return { top: box.top, left: box.left, width: width, height: size };
+				case 'south' : return { top: box.bottom - size, left: box.left, width: width, height: size };
+				case 'west'  : return { top: box.top, left: box.left, width: size, height: height };
+				case 'east'  : return { top: box.top, left: box.right - size, width: size, height: height };
+				default      : return { top: box.top, left: box.left, width: width, height: height };  // 'center'
+			}
+		},
+		
+		
+		/**
+		 * Shrinks the remaining `box` by the `size` taken up by a region (or splitter) on the given side.
+		 * 
+		 * @private
+		 * @param {String} region
+		 * @param {Object} box The remaining box, with `top`, `left`, `right`, and `bottom` properties. Modified in place.
+		 * @param {Number} size
+		 */
+		shrinkBox : function( region, box, size ) {
+			switch( region ) {
+				case 'north' : box.top += size; break;
+				case 'south' : box.bottom -= size; break;
+				case 'west'  : box.left += size; break;
+				case 'east'  : box.right -= size; break;
+			}
+		},
+		
+		
+		/**
+		 * Positions an element at the given box. Only the position is set on component elements, as they are sized
+		 * with {@link #sizeComponent}.
+		 * 
+		 * @private
+		 * @param {jQuery} $el
+		 * @param {Object} box An Object with properties `top`, `left`, `width`, and `height`.
+		 */
+		setElBox : function( $el, box ) {
+			$el.css( { top: box.top, left: box.left } );
+			
+			if( !$el.hasClass( 'gui-layout-border-region' ) ) {
+				$el.css( { width: box.width, height: box.height } );
+			}
+		},
+		
+		
+		// ------------------------------------------------
+		
+		// Splitters and collapsed bars
+		
+		
+		/**
+		 * Retrieves the splitter element for a region, creating it and appending it to the `$targetEl` if need be.
+		 * 
+		 * @private
+		 * @param {String} region
+		 * @param {gui.Component} component The component in the region.
+		 * @param {jQuery} $targetEl
+		 * @return {jQuery}
+		 */
+		getSplitterEl : function( region, component, $targetEl ) {
+			var $splitterEl = this.splitterEls[ region ];
+			
+			if( !$splitterEl ) {
+				var splitterCls = 'gui-layout-border-splitter';
+				$splitterEl = this.splitterEls[ region ] = jQuery( '<div class="' + splitterCls + ' ' + splitterCls + '-' + region + '" />' );
+				
+				$splitterEl.on( 'mousedown', _.bind( this.onSplitterMouseDown, this, region ) );
+				$splitterEl.on( 'click', '.' + splitterCls + '-collapseTool', _.bind( this.collapseRegion, this, region ) );
+			}
+			
+			// Update for the component in the region, which may have changed since the last layout
+			var $collapseToolEl = $splitterEl.children();
+			if( component.collapsible && !$collapseToolEl.length ) {
+				$splitterEl.append( '<div class="gui-layout-border-splitter-collapseTool" />' );
+			} else if( !component.collapsible ) {
+				$collapseToolEl.remove();
+			}
+			$splitterEl.toggleClass( 'gui-layout-border-splitter-draggable', !!component.split );
+			
+			if( $splitterEl.parent()[ 0 ] !== $targetEl[ 0 ] ) {
+				$splitterEl.appendTo( $targetEl );
+			}
+			return $splitterEl;
+		},
+		
+		
+		/**
+		 * Retrieves the bar element that is shown in place of a collapsed region, creating it and appending it to
+		 * the `$targetEl` if need be.
+		 * 
+		 * @private
+		 * @param {String} region
+		 * @param {jQuery} $targetEl
+		 * @return {jQuery}
+		 */
+		getCollapsedEl : function( region, $targetEl ) {
+			var $collapsedEl = this.collapsedEls[ region ];
+			
+			if( !$collapsedEl ) {
+				$collapsedEl = this.collapsedEls[ region ] = jQuery( '<div class="gui-layout-border-collapsed gui-layout-border-collapsed-' + region + '" />' );
+				$collapsedEl.on( 'click', _.bind( this.expandRegion, this, region ) );
+			}
+			
+			if( $collapsedEl.parent()[ 0 ] !== $targetEl[ 0 ] ) {
+				$collapsedEl.appendTo( $targetEl );
+			}
+			return $collapsedEl;
+		},
+		
+		
+		/**
+		 * Removes the splitter element for a region, if one exists.
+		 * 
+		 * @private
+		 * @param {String} region
+		 */
+		removeSplitterEl : function( region ) {
+			if( this.splitterEls[ region ] ) {
+				this.splitterEls[ region ].remove();
+				delete this.splitterEls[ region ];
+			}
+		},
+		
+		
+		/**
+		 * Removes the collapsed bar element for a region, if one exists.
+		 * 
+		 * @private
+		 * @param {String} region
+		 */
+		removeCollapsedEl : function( region ) {
+			if( this.collapsedEls[ region ] ) {
+				this.collapsedEls[ region ].remove();
+				delete this.collapsedEls[ region ];
+			}
+		},
+		
+		
+		/**
+		 * Removes both the splitter and collapsed bar elements for a region.
+		 * 
+		 * @private
+		 * @param {String} region
+		 */
+		removeRegionEls : function( region ) {
+			this.removeSplitterEl( region );
+			this.removeCollapsedEl( region );
+		},
+		
+		
+		/**
+		 * Handles a mousedown on a splitter, to start a drag operation which resizes the region.
+		 * 
+		 * @protected
+		 * @param {String} region The region that the splitter belongs to.
+		 * @param {jQuery.Event} evt
+		 */
+		onSplitterMouseDown : function( region, evt ) {
+			var component = this.regionComponents[ region ];
+			if( !component || !component.split || jQuery( evt.target ).hasClass( 'gui-layout-border-splitter-collapseTool' ) ) {
+				return;
+			}
+			evt.preventDefault();  // prevent text selection while dragging
+			
+			var isVertical = ( region === 'north' || region === 'south' ),
+			    startSize = this.getRegionSize( component, region ),
+			    availableSize = startSize + ( isVertical ? this.centerBox.height : this.centerBox.width );
+			
+			var dragState = this.dragState = {
+				region    : region,
+				startPos  : ( isVertical ) ? evt.pageY : evt.pageX,
+				startSize : startSize,
+				minSize   : ( component.minSize !== undefined ) ? component.minSize : 50,
+				maxSize   : Math.min( ( component.maxSize !== undefined ) ? component.maxSize : Infinity, availableSize ),
+				size      : startSize
+			};
+			
+			// Each resize runs the container's layout, so throttle them while the mouse moves. The trailing call is
+			// ignored if the drag has since ended, as the final size has already been applied by onSplitterDragEnd()
+			dragState.applySize = _.throttle( _.bind( function() {
+				if( this.dragState === dragState ) {
+					this.setRegionSize( region, dragState.size );
+				}
+			}, this ), this.splitterDragInterval );
+			
+			this.splitterEls[ region ].addClass( 'gui-layout-border-splitter-dragging' );
+			
+			jQuery( document ).on( {
+				'mousemove.guiBorderLayout' : _.bind( this.onSplitterDrag, this ),
+				'mouseup.guiBorderLayout'   : _.bind( this.onSplitterDragEnd, this )
+			} );
+		},
+		
+		
+		/**
+		 * Handles the mouse being moved during a splitter drag operation, resizing the region (at most once per
+		 * {@link #splitterDragInterval}).
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onSplitterDrag : function( evt ) {
+			var dragState = this.dragState,
+			    region = dragState.region,
+			    isVertical = ( region === 'north' || region === 'south' ),
+			    delta = ( isVertical ? evt.pageY : evt.pageX ) - dragState.startPos;
+			
+			if( region === 'south' || region === 'east' ) {
+				delta = -delta;  // these regions grow as the splitter moves up/left
+			}
+			
+			dragState.size = Math.max( Math.min( dragState.startSize + delta, dragState.maxSize ), dragState.minSize );
+			dragState.applySize();
+		},
+		
+		
+		/**
+		 * Handles the mouse button being released at the end of a splitter drag operation, applying the region's final
+		 * size.
+		 * 
+		 * @protected
+		 */
+		onSplitterDragEnd : function() {
+			var dragState = this.dragState;
+			
+			this.endSplitterDrag();
+			this.setRegionSize( dragState.region, dragState.size );
+		},
+		
+		
+		/**
+		 * Ends a splitter drag operation, without applying any further size to the region.
+		 * 
+		 * @private
+		 */
+		endSplitterDrag : function() {
+			var $splitterEl = this.splitterEls[ this.dragState.region ];
+			if( $splitterEl ) {
+				$splitterEl.removeClass( 'gui-layout-border-splitter-dragging' );
+			}
+			
+			jQuery( document ).off( '.guiBorderLayout' );
+			this.dragState = null;
+		},
+		
+		
+		// ------------------------------------------------
+		
+		// Public region methods
+		
+		
+		/**
+		 * Retrieves the child component in the given region, as of the last layout run.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', 'west', or 'center'.
+		 * @return {gui.Component} The component, or `null` if there is no component in the region.
+		 */
+		getRegionComponent : function( region ) {
+			var regionComponents = this.regionComponents,
+			    component = regionComponents[ region ];
+			
+			if( !component && this.container ) {  // layout may not have run yet
+				component = _.find( this.container.getItems(), function( item ) { return item.region === region; } );
+			}
+			return component || null;
+		},
+		
+		
+		/**
+		 * Determines if the given edge region is collapsed.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', or 'west'.
+		 * @return {Boolean}
+		 */
+		isRegionCollapsed : function( region ) {
+			var component = this.getRegionComponent( region );
+			
+			return !!component && this.getRegionState( component ).collapsed;
+		},
+		
+		
+		/**
+		 * Collapses the given edge region, and re-runs the {@link #container container's} layout.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', or 'west'.
+		 */
+		collapseRegion : function( region ) {
+			this.setRegionCollapsed( region, true );
+		},
+		
+		
+		/**
+		 * Expands the given edge region, and re-runs the {@link #container container's} layout.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', or 'west'.
+		 */
+		expandRegion : function( region ) {
+			this.setRegionCollapsed( region, false );
+		},
+		
+		
+		/**
+		 * Collapses the given edge region if it is expanded, or expands it if it is collapsed.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', or 'west'.
+		 */
+		toggleRegion : function( region ) {
+			this.setRegionCollapsed( region, !this.isRegionCollapsed( region ) );
+		},
+		
+		
+		/**
+		 * Sets the collapsed state of an edge region, firing the {@link #collapse} or {@link #expand} event if the
+		 * state changed.
+		 * 
+		 * @private
+		 * @param {String} region
+		 * @param {Boolean} collapsed
+		 */
+		setRegionCollapsed : function( region, collapsed ) {
+			var component = this.getRegionComponent( region );
+			
+			// <debug>
+			if( region === 'center' ) throw new Error( "The 'center' region may not be collapsed" );
+			// </debug>
+			
+			if( component ) {
+				var state = this.getRegionState( component );
+				
+				if( state.collapsed !== collapsed ) {
+					state.collapsed = collapsed;
+					this.container.doLayout();
+					
+					this.fireEvent( collapsed ? 'collapse' : 'expand', this, component, region );
+				}
+			}
+		},
+		
+		
+		/**
+		 * Sets the size of an edge region (height for 'north'/'south', width for 'west'/'east'), and re-runs the
+		 * {@link #container container's} layout. Fires the {@link #regionresize} event.
+		 * 
+		 * @param {String} region One of 'north', 'south', 'east', or 'west'.
+		 * @param {Number} size The new size, in pixels.
+		 */
+		setRegionSize : function( region, size ) {
+			var component = this.getRegionComponent( region );
+			
+			// <debug>
+			if( region === 'center' ) throw new Error( "The 'center' region is sized to the remaining space, and may not be sized directly" );
+			// </debug>
+			
+			if( component ) {
+				var state = this.getRegionState( component );
+				
+				if( state.size !== size ) {
+					state.size = size;
+					this.container.doLayout();
+					
+					this.fireEvent( 'regionresize', this, component, region, size );
+				}
+			}
+		},
+		
+		
+		// ------------------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.dragState ) {
+				this.endSplitterDrag();
+			}
+			
+			_.forEach( [ 'north', 'south', 'west', 'east' ], this.removeRegionEls, this );
+			_.forEach( this.regionComponents, function( component ) {
+				component.removeCls( 'gui-layout-border-region' );
+			} );
+			
+			var container = this.container;
+			if( container && container.isRendered() ) {
+				container.getContentTarget().removeClass( 'gui-layout-border' );
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	// Register the layout type with the gui.Container class, which is used to be able to instantiate the layout via its type name.
+	Container.registerLayout( 'border', BorderLayout );
+	
+	return BorderLayout;
+
+} );
@@ -0,0 +1,279 @@
+/*global define */
+define( [
+	'lodash',
+	'gui/layout/Layout'
+], function( _, Layout ) {
+	
+	/**
+	 * @abstract
+	 * @class gui.layout.Box
+	 * @extends gui.layout.Layout
+	 * 
+	 * Base class for the {@link gui.layout.HBox HBox} and {@link gui.layout.VBox VBox} layouts, which lay out their
+	 * {@link #container container's} child components along a single axis (the "main" axis), flexing child components
+	 * with a `flex` config into the remaining space.
+	 * 
+	 * This class implements the options that are shared between the two layouts:
+	 * 
+	 * - {@link #align}: How child components are aligned on the cross axis.
+	 * - {@link #pack}: How child components are packed along the main axis, when there is space remaining.
+	 * - {@link #margins}: Per-component margins.
+	 * - The `minWidth`/`maxWidth` (HBox) and `minHeight`/`maxHeight` (VBox) configs of flexed child components, which
+	 *   are honored when distributing the remaining space (see {@link #computeFlexedSizes}).
+	 */
+	var BoxLayout = Layout.extend( {
+		abstractClass : true,
+		
+		
+		/**
+		 * @cfg {Number/String/Object} margins
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container}. The margins to apply around the
+		 * child component, which are accounted for when sizing and flexing it. May be:
+		 * 
+		 * - A number, for the same margin (in pixels) on all sides.
+		 * - A string in the form of the CSS `margin` property. Ex: '5 10' or '5px 10px 0 10px'. Numbers without units are
+		 *   treated as pixels.
+		 * - An object with any of the properties `top`, `right`, `bottom`, and `left`.
+		 */
+		
+		/**
+		 * @cfg {String} align
+		 * 
+		 * How child components are aligned on the cross axis (vertically for the {@link gui.layout.HBox HBox} layout, and
+		 * horizontally for the {@link gui.layout.VBox VBox} layout). One of:
+		 * 
+		 * - **start**: Align child components to the top (HBox) or left (VBox) of the container.
+		 * - **center**: Center child components in the container.
+		 * - **end**: Align child components to the bottom (HBox) or right (VBox) of the container.
+		 * - **stretch**: Size child components to the full height (HBox) or width (VBox) of the container.
+		 */
+		
+		/**
+		 * @cfg {String} pack
+		 * 
+		 * How child components are packed along the main axis, when there is space remaining after the child components
+		 * have been sized (i.e. when there are no flexed child components, or when the flexed child components have
+		 * reached their maximum sizes). One of:
+		 * 
+		 * - **start**: Pack child components at the start of the container.
+		 * - **center**: Pack child components in the center of the container.
+		 * - **end**: Pack child components at the end of the container.
+		 * - **space-between**: Distribute the remaining space evenly between the child components.
+		 */
+		pack : 'start',
+		
+		
+		/**
+		 * @protected
+		 * @property {String} orientation
+		 * 
+		 * The orientation of the main axis of the layout, which must be set by subclasses. Either 'horizontal' or 'vertical'.
+		 */
+		orientation : null,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initLayout : function() {
+			this._super( arguments );
+			
+			// <debug>
+			if( !_.contains( [ 'start', 'center', 'end', 'stretch' ], this.align ) ) {
+				throw new Error( "Invalid `align` config '" + this.align + "'. Must be one of: 'start', 'center', 'end', 'stretch'" );
+			}
+			if( !_.contains( [ 'start', 'center', 'end', 'space-between' ], this.pack ) ) {
+				throw new Error( "Invalid `pack` config '" + this.pack + "'. Must be one of: 'start', 'center', 'end', 'space-between'" );
+			}
+			// </debug>
+		},
+		
+		
+		/**
+		 * Applies a child component's {@link #margins} config (if it has one) to its element. This should be done before
+		 * the component is measured or sized.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component
+		 */
+		applyMargins : function( component ) {
+			var margins = component.margins;
+			
+			if( margins !== undefined && margins !== null ) {
+				component.getEl().css( 'margin', this.normalizeMargins( margins ) );
+			}
+		},
+		
+		
+		/**
+		 * Normalizes a {@link #margins} config value into a CSS `margin` value.
+		 * 
+		 * @protected
+		 * @param {Number/String/Object} margins
+		 * @return {String}
+		 */
+		normalizeMargins : function( margins ) {
+			var toCss = function( value ) {
+				return ( value === undefined || value === null ) ? '0' : ( /^-?[\d.]+$/.test( String( value ) ) ) ? value + 'px' : String( value );
+			};
+			
+			if( typeof margins === 'object' ) {
+				return _.map( [ margins.top, margins.right, margins.bottom, margins.left ], toCss ).join( ' ' );
+			} else {
+				return _.map( _.compact( String( margins ).split( /\s+/ ) ), toCss ).join( ' ' );
+			}
+		},
+		
+		
+		/**
+		 * Computes the sizes of the flexed child components along the main axis, distributing the `availableSize` between
+		 * them based on their `flex` values.
+		 * 
+		 * If a child component's share would violate its `minWidth`/`maxWidth` (or `minHeight`/`maxHeight`) config (if
+		 * provided as a number), the component is fixed at that limit, and the remaining space is redistributed between the
+		 * other flexed components.
+		 * 
+		 * Sizes are floored to whole pixels, and the pixels that are trimmed off are added to the last component that is not
+		 * fixed at a limit, so that the components fill the `availableSize` exactly.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} components The flexed child components.
+		 * @param {Number} availableSize The space available for the flexed components.
+		 * @param {Number} [lastAdjustment=0] A number of pixels to add to (or subtract from) the size of the last component
+		 *   which is not fixed at a limit.
+		 * @return {Number[]} The sizes of each of the `components`, which include their margin, padding, and border.
+		 */
+		computeFlexedSizes : function( components, availableSize, lastAdjustment ) {
+			var numComponents = components.length,
+			    sizes = [],
+			    limited = [],  // flags for the components which have been fixed at their min or max size
+			    remainingSize = availableSize,
+			    totalFlex, limitedSize, violated, i, size, limits;
+			
+			// Fix the components which violate their limits at those limits, and repeat with the remaining space until no
+			// more components violate their limits
+			do {
+				totalFlex = 0;
+				limitedSize = 0;
+				violated = false;
+				
+				for( i = 0; i < numComponents; i++ ) {
+					if( !limited[ i ] ) totalFlex += components[ i ].flex;
+				}
+				
+				for( i = 0; i < numComponents; i++ ) {
+					if( limited[ i ] ) continue;
+					
+					size = ( components[ i ].flex / totalFlex ) * remainingSize;
+					limits = this.getSizeLimits( components[ i ] );
+					
+					if( size < limits.min || size > limits.max ) {
+						sizes[ i ] = ( size < limits.min ) ? limits.min : limits.max;
+						limited[ i ] = true;
+						limitedSize += sizes[ i ];
+						violated = true;
+					}
+				}
+				
+				remainingSize -= limitedSize;
+			} while( violated );
+			
+			
+			var trimmedPixels = 0,  // Stores the decimal values resulting in the division of the remainingSize divided by the flex value.
+			    lastIdx = -1;       // The pixels that are trimmed off of each of the child components is added to the last (non-limited) item to fill the extra space.
+			
+			for( i = 0; i < numComponents; i++ ) {
+				if( limited[ i ] ) continue;
+				
+				size = ( components[ i ].flex / totalFlex ) * remainingSize;
+				trimmedPixels += size % 1;     // take the decimal value from the child size. Ex: 3.25 % 1 == 0.25  (We'll use this later).
+				sizes[ i ] = Math.floor( size );  // and do the actual trimming off of the decimal for the new child size
+				lastIdx = i;
+			}
+			
+			if( lastIdx !== -1 ) {
+				sizes[ lastIdx ] += Math.floor( trimmedPixels ) + ( lastAdjustment || 0 );
+			}
+			
+			return sizes;
+		},
+		
+		
+		/**
+		 * Retrieves the minimum and maximum sizes of a child component along the main axis, from its `minWidth`/`maxWidth`
+		 * (HBox) or `minHeight`/`maxHeight` (VBox) configs. Only numeric (pixel) limits are used. The returned sizes include
+		 * the component's margin, padding, and border, to be compared with the sizes from {@link #computeFlexedSizes}.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component
+		 * @return {Object} An object with properties `min` and `max`. These are `-Infinity` and `Infinity` respectively
+		 *   when the component does not have a limit.
+		 */
+		getSizeLimits : function( component ) {
+			var isHorizontal = ( this.orientation === 'horizontal' ),
+			    min = isHorizontal ? component.minWidth : component.minHeight,
+			    max = isHorizontal ? component.maxWidth : component.maxHeight,
+			    limits = { min: -Infinity, max: Infinity };
+			
+			if( typeof min === 'number' || typeof max === 'number' ) {
+				var frameSize = component.getFrameSize( isHorizontal ? 'lr' : 'tb' );
+				
+				if( typeof min === 'number' ) limits.min = min + frameSize;
+				if( typeof max === 'number' ) limits.max = Math.max( max + frameSize, limits.min );
+			}
+			return limits;
+		},
+		
+		
+		/**
+		 * Positions the (visible) child components based on the {@link #pack} and {@link #align} configs. The components
+		 * are offset from their natural positions using relative positioning.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} components The visible child components, in order.
+		 * @param {Number} remainingSize The space remaining on the main axis after the components have been sized.
+		 * @param {Number} crossSize The size of the container's content target element on the cross axis.
+		 */
+		positionComponents : function( components, remainingSize, crossSize ) {
+			var isHorizontal = ( this.orientation === 'horizontal' ),
+			    pack = this.pack,
+			    align = this.align,
+			    numComponents = components.length;
+			
+			remainingSize = Math.max( remainingSize, 0 );
+			
+			for( var i = 0; i < numComponents; i++ ) {
+				var component = components[ i ],
+				    mainOffset = 0,
+				    crossOffset = 0;
+				
+				switch( pack ) {
+					case 'center' : mainOffset = remainingSize / 2; break;
+					case 'end'    : mainOffset = remainingSize; break;
+					case 'space-between' : mainOffset = ( numComponents > 1 ) ? i * remainingSize / ( numComponents - 1 ) : 0; break;
+				}
+				
+				if( align === 'center' || align === 'end' ) {
+					var componentCrossSize = isHorizontal ? component.getOuterHeight( /* includeMargin */ true ) : component.getOuterWidth( /* includeMargin */ true );
+					
+					crossOffset = Math.max( crossSize - componentCrossSize, 0 );
+					if( align === 'center' ) crossOffset = crossOffset / 2;
+				}
+				
+				mainOffset = Math.floor( mainOffset ) || '';  // empty string to remove the style when there is no offset
+				crossOffset = Math.floor( crossOffset ) || '';
+				
+				component.getEl().css( {
+					position : ( mainOffset || crossOffset ) ? 'relative' : '',
+					left     : isHorizontal ? mainOffset : crossOffset,
+					top      : isHorizontal ? crossOffset : mainOffset
+				} );
+			}
+		}
+	
+	} );
+	
+	return BoxLayout;
+
+} );
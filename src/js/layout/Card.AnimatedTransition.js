@@ -0,0 +1,279 @@
+/*global define */
+define( [
+	'lodash',
+	'Class',
+	'gui/Container',
+	'gui/layout/Card.Transition'
+], function( _, Class, Container, CardTransition ) {
+	
+	/**
+	 * @abstract
+	 * @class gui.layout.Card.AnimatedTransition
+	 * @extends gui.layout.Card.AbstractTransition
+	 * 
+	 * Base class for {@link gui.layout.Card} transition strategies which animate the change of the active card.
+	 * 
+	 * This class queues card changes which are requested while a previous transition's animation is still running, and
+	 * runs them in turn once the animation is complete. Each transition's callback (and therefore the
+	 * {@link gui.layout.Card#cardchange cardchange} event) is only called when its animation has ended.
+	 * 
+	 * Subclasses implement {@link #animate} to perform the animation. Changes which can't be animated (i.e. when there is
+	 * no currently active card, no new card, or the container is not visible) are made immediately, without calling
+	 * {@link #animate}.
+	 */
+	var CardAnimatedTransition = CardTransition.extend( {
+		abstractClass : true,
+		
+		
+		/**
+		 * @cfg {Number} duration
+		 * 
+		 * The duration, in milliseconds, of the animation. May be overridden for a single change by providing a `duration`
+		 * option to {@link gui.layout.Card#setActiveItem}.
+		 */
+		duration : 400,
+		
+		
+		/**
+		 * @private
+		 * @property {Object[]} queue
+		 * 
+		 * The queue of card changes which have been requested while a transition is running. Each entry is an Object
+		 * with properties `cardsLayout`, `currentItem`, `newItem`, `options`, and `callback`.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Object} current
+		 * 
+		 * The {@link #queue} entry for the transition which is currently running, or `null` if there is none.
+		 */
+		current : null,
+		
+		/**
+		 * @private
+		 * @property {Boolean} running
+		 * 
+		 * Flag which is `true` while a transition is running.
+		 */
+		running : false,
+		
+		/**
+		 * @private
+		 * @property {Boolean} ending
+		 * 
+		 * Flag which is set to `true` when the transition is being destroyed, so that any running and queued transitions
+		 * are completed immediately.
+		 */
+		ending : false,
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $animEl
+		 * 
+		 * The element (or jQuery-wrapped object) which is currently being animated by {@link #animateEl}, if any.
+		 */
+		$animEl : null,
+		
+		
+		/**
+		 * @constructor
+		 * @param {Object} [config] The configuration options for this instance.
+		 */
+		constructor : function( config ) {
+			_.assign( this, config );
+			
+			this.queue = [];
+		},
+		
+		
+		/**
+		 * Sets the active item that should be transitioned to. If a transition is currently running, the change is queued
+		 * to be run when it (and any other queued changes) are complete.
+		 * 
+		 * @param {gui.layout.Card} cardsLayout The CardsLayout instance that is using this transition strategy.
+		 * @param {gui.Component} currentItem The currently active item. This may be null if the CardsLayout does not currently have an active item.
+		 * @param {gui.Component} newItem The item to activate. This may be null if there is no new item to activate (for just hiding the currentItem).
+		 * @param {Object} [options] An object which may contain the options for the subclass being used, as well as:
+		 * @param {Number} [options.duration] The duration of the animation, overriding the {@link #duration} config.
+		 * @param {Function} [callback] A function to call when the transition is complete.
+		 */
+		setActiveItem : function( cardsLayout, currentItem, newItem, options, callback ) {
+			this.queue.push( {
+				cardsLayout : cardsLayout,
+				currentItem : currentItem,
+				newItem     : newItem,
+				options     : options || {},
+				callback    : callback
+			} );
+			
+			if( !this.running ) {
+				this.processQueue();
+			}
+		},
+		
+		
+		/**
+		 * Runs the next transition in the {@link #queue}, if there is one.
+		 * 
+		 * @private
+		 */
+		processQueue : function() {
+			var next = this.queue.shift();
+			if( !next ) {
+				return;
+			}
+			
+			var me = this,
+			    currentItem = next.currentItem,
+			    newItem = next.newItem,
+			    container = next.cardsLayout.getContainer();
+			
+			var onComplete = function() {
+				me.running = false;
+				me.current = null;
+				if( next.callback ) {
+					next.callback();
+				}
+				me.processQueue();
+			};
+			
+			this.running = true;
+			this.current = next;
+			
+			if( this.ending || !currentItem || !newItem || currentItem === newItem || container.isHidden( /* checkDom */ true ) ) {
+				// Nothing to animate. Switch the cards immediately.
+				if( currentItem && currentItem !== newItem ) {
+					currentItem.hide();
+				}
+				if( newItem ) {
+					this.showItem( newItem );
+				}
+				onComplete();
+			
+			} else {
+				this.animate( next.cardsLayout, currentItem, newItem, next.options, onComplete );
+			}
+		},
+		
+		
+		/**
+		 * Determines if the given card is the current or new card of the running transition, or the current card of a
+		 * queued transition. These are shown and hidden by the transitions themselves, once their animations run.
+		 * 
+		 * @param {gui.Component} item
+		 * @return {Boolean}
+		 */
+		isTransitioning : function( item ) {
+			var current = this.current;
+			if( current && ( current.currentItem === item || current.newItem === item ) ) {
+				return true;
+			}
+			
+			return _.some( this.queue, function( entry ) { return entry.currentItem === item; } );
+		},
+		
+		
+		/**
+		 * Performs the animation from the `currentItem` to the `newItem`. When complete, the `currentItem` must be hidden,
+		 * the `newItem` must be shown, and the `onComplete` function must be called.
+		 * 
+		 * @protected
+		 * @abstract
+		 * @method animate
+		 * @param {gui.layout.Card} cardsLayout The CardsLayout instance that is using this transition strategy.
+		 * @param {gui.Component} currentItem The currently active item.
+		 * @param {gui.Component} newItem The item to activate.
+		 * @param {Object} options The options provided to {@link #setActiveItem}.
+		 * @param {Function} onComplete The function to call when the animation is complete.
+		 */
+		animate : Class.abstractMethod,
+		
+		
+		/**
+		 * Shows an item, and lays it out if it is a {@link gui.Container}.
+		 * 
+		 * @protected
+		 * @param {gui.Component} item
+		 */
+		showItem : function( item ) {
+			item.show();
+			
+			if( item instanceof Container ) {
+				item.doLayout();
+			}
+		},
+		
+		
+		/**
+		 * Utility method for subclasses to animate an element (or a jQuery-wrapped plain object), keeping track of it in
+		 * {@link #$animEl} so that the animation may be ended early with {@link #endAnimation}.
+		 * 
+		 * @protected
+		 * @param {jQuery} $el The element to animate.
+		 * @param {Object} props The properties to animate to.
+		 * @param {Number} duration The duration of the animation.
+		 * @param {Function} [step] A function to call for each step of the animation. See jQuery's `animate()`.
+		 * @param {Function} complete A function to call when the animation is complete. Called in the scope of this object.
+		 */
+		animateEl : function( $el, props, duration, step, complete ) {
+			this.$animEl = $el;
+			
+			$el.animate( props, {
+				duration : duration,
+				step     : step,
+				complete : _.bind( function() {
+					if( this.$animEl === $el ) {
+						this.$animEl = null;
+					}
+					complete.call( this );
+				}, this )
+			} );
+		},
+		
+		
+		/**
+		 * Retrieves the duration to use for a transition, from the `options` provided to {@link #setActiveItem}, or the
+		 * {@link #duration} config.
+		 * 
+		 * @protected
+		 * @param {Object} options
+		 * @return {Number}
+		 */
+		getDuration : function( options ) {
+			return ( options.duration !== undefined ) ? options.duration : this.duration;
+		},
+		
+		
+		/**
+		 * Ends the running animation (and any queued transitions) immediately, jumping to their end states.
+		 * 
+		 * @protected
+		 */
+		endAnimation : function() {
+			var $animEl;
+			
+			// Note: stopping an animation may start another (the next stage of the animation, or the next queued transition),
+			// so loop until there are no more
+			while( ( $animEl = this.$animEl ) ) {
+				this.$animEl = null;
+				$animEl.stop( /* clearQueue */ true, /* jumpToEnd */ true );
+			}
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			this.ending = true;  // any queued transitions will be run immediately
+			this.endAnimation();
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	return CardAnimatedTransition;
+
+} );
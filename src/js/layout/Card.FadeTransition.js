@@ -0,0 +1,45 @@
+/*global define */
+define( [
+	'gui/layout/Card.AnimatedTransition'
+], function( CardAnimatedTransition ) {
+	
+	/**
+	 * @class gui.layout.Card.FadeTransition
+	 * @extends gui.layout.Card.AnimatedTransition
+	 * 
+	 * {@link gui.layout.Card} transition strategy for switching cards by fading out the currently active card, and then
+	 * fading in the newly active card. Each half of the transition takes half of the {@link #duration}.
+	 */
+	var CardFadeTransition = CardAnimatedTransition.extend( {
+		
+		/**
+		 * @protected
+		 * @inheritdoc
+		 */
+		animate : function( cardsLayout, currentItem, newItem, options, onComplete ) {
+			var $currentItemEl = currentItem.getEl(),
+			    $newItemEl = newItem.getEl(),
+			    currentItemOpacity = $currentItemEl[ 0 ].style.opacity,
+			    newItemOpacity = $newItemEl[ 0 ].style.opacity,
+			    halfDuration = this.getDuration( options ) / 2;
+			
+			this.animateEl( $currentItemEl, { opacity: 0 }, halfDuration, null, function() {
+				currentItem.hide();
+				$currentItemEl.css( 'opacity', currentItemOpacity );
+				
+				$newItemEl.css( 'opacity', 0 );
+				this.showItem( newItem );
+				
+				this.animateEl( $newItemEl, { opacity: 1 }, halfDuration, null, function() {
+					$newItemEl.css( 'opacity', newItemOpacity );
+					
+					onComplete();
+				} );
+			} );
+		}
+	
+	} );
+	
+	return CardFadeTransition;
+
+} );
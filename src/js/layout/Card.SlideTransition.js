@@ -0,0 +1,121 @@
+/*global define */
+define( [
+	'jquery',
+	'gui/layout/Card.AnimatedTransition'
+], function( jQuery, CardAnimatedTransition ) {
+	
+	/**
+	 * @class gui.layout.Card.SlideTransition
+	 * @extends gui.layout.Card.AnimatedTransition
+	 * 
+	 * {@link gui.layout.Card} transition strategy for switching cards by sliding the currently active card out, while
+	 * sliding the newly active card in. The height of the container's content area is animated from the height of the
+	 * current card to the height of the new card as the cards slide.
+	 * 
+	 * By default, the direction of the slide is determined by the positions of the cards in the container: when the new
+	 * card comes after the current card, the cards slide to the left (the new card enters from the right), and when the
+	 * new card comes before the current card, the cards slide to the right. The direction may be overridden for a single
+	 * change by providing the `direction` option to {@link gui.layout.Card#setActiveItem}. Ex:
+	 * 
+	 *     cardLayout.setActiveItem( 0, { direction: 'left', duration: 200 } );
+	 */
+	var CardSlideTransition = CardAnimatedTransition.extend( {
+		
+		/**
+		 * Sets the active item that should be transitioned to.
+		 * 
+		 * @method setActiveItem
+		 * @param {gui.layout.Card} cardsLayout The CardsLayout instance that is using this transition strategy.
+		 * @param {gui.Component} currentItem The currently active item. This may be null if the CardsLayout does not currently have an active item.
+		 * @param {gui.Component} newItem The item to activate. This may be null if there is no new item to activate (for just hiding the currentItem).
+		 * @param {Object} [options] An object which may contain the following properties:
+		 * @param {String} [options.direction] The direction that the cards should slide in. May be 'left' or 'right'. Defaults
+		 *   to the direction determined by the positions of the cards in the container.
+		 * @param {Number} [options.duration] The duration of the animation, overriding the {@link #duration} config.
+		 * @param {Function} [callback] A function to call when the transition is complete.
+		 */
+		
+		
+		/**
+		 * @protected
+		 * @inheritdoc
+		 */
+		animate : function( cardsLayout, currentItem, newItem, options, onComplete ) {
+			var container = cardsLayout.getContainer(),
+			    $targetEl = container.getContentTarget(),
+			    $currentItemEl = currentItem.getEl(),
+			    $newItemEl = newItem.getEl(),
+			    direction = options.direction || this.getDirection( container, currentItem, newItem ),
+			    targetStyles = this.saveStyles( $targetEl, [ 'position', 'overflow', 'height' ] ),
+			    currentItemStyles = this.saveStyles( $currentItemEl, [ 'position', 'top', 'left', 'width' ] ),
+			    newItemStyles = this.saveStyles( $newItemEl, [ 'position', 'top', 'left', 'width' ] );
+			
+			var width = $targetEl.width(),
+			    startHeight = $targetEl.height();
+			
+			// Lock the target element's size, and absolutely position the cards within it, so that they can be slid side by side
+			$targetEl.css( { position: 'relative', overflow: 'hidden', height: startHeight } );
+			$currentItemEl.css( { position: 'absolute', top: 0, left: 0, width: width } );
+			$newItemEl.css( { position: 'absolute', top: 0, left: ( direction === 'left' ) ? width : -width, width: width } );
+			
+			this.showItem( newItem );
+			
+			var endHeight = $newItemEl.outerHeight( /* includeMargin */ true ),
+			    offset = ( direction === 'left' ) ? -width : width;
+			
+			this.animateEl( jQuery( { pos: 0 } ), { pos: 1 }, this.getDuration( options ), function( now ) {
+				$currentItemEl.css( 'left', offset * now );
+				$newItemEl.css( 'left', offset * now - offset );
+				$targetEl.css( 'height', startHeight + ( endHeight - startHeight ) * now );
+			
+			}, function() {
+				currentItem.hide();
+				
+				$targetEl.css( targetStyles );
+				$currentItemEl.css( currentItemStyles );
+				$newItemEl.css( newItemStyles );
+				
+				onComplete();
+			} );
+		},
+		
+		
+		/**
+		 * Determines the direction that the cards should slide in, based on the positions of the `currentItem` and `newItem`
+		 * in the `container`.
+		 * 
+		 * @protected
+		 * @param {gui.Container} container The Container that the card layout belongs to.
+		 * @param {gui.Component} currentItem The currently active item.
+		 * @param {gui.Component} newItem The item being activated.
+		 * @return {String} 'left' if the `newItem` comes after the `currentItem` (i.e. the new item enters from the right),
+		 *   or 'right' otherwise.
+		 */
+		getDirection : function( container, currentItem, newItem ) {
+			return ( container.getItemIndex( newItem ) > container.getItemIndex( currentItem ) ) ? 'left' : 'right';
+		},
+		
+		
+		/**
+		 * Retrieves the inline styles of an element, so that they can be restored after the animation.
+		 * 
+		 * @private
+		 * @param {jQuery} $el
+		 * @param {String[]} props The names of the style properties to retrieve.
+		 * @return {Object} An object keyed by the style property names, with their inline values (which may be empty strings).
+		 */
+		saveStyles : function( $el, props ) {
+			var elStyle = $el[ 0 ].style,
+			    styles = {};
+			
+			for( var i = 0, len = props.length; i < len; i++ ) {
+				styles[ props[ i ] ] = elStyle[ props[ i ] ];
+			}
+			return styles;
+		}
+	
+	} );
+	
+	return CardSlideTransition;
+
+} );
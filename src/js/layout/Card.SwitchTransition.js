@@ -22,8 +22,9 @@ define( [
 		 * @param {gui.Component} currentItem The currently active item. This may be null if the CardsLayout does not currently have an active item.
 		 * @param {gui.Component} newItem The item to activate. This may be null if there is no new item to activate (for just hiding the currentItem).
 		 * @param {Object} options There are no options for this {@link gui.layout.Card.AbstractTransition} subclass, so this argument is ignored.
+		 * @param {Function} [callback] A function to call when the transition is complete. For this transition, it is called immediately.
 		 */
-		setActiveItem : function( cardsLayout, currentItem, newItem, options ) {
+		setActiveItem : function( cardsLayout, currentItem, newItem, options, callback ) {
 			// First, hide the currently active item, if the currently active item is an instantiated component (i.e. not null)
 			if( currentItem ) {
 				currentItem.hide();
@@ -37,6 +38,10 @@ define( [
 					newItem.doLayout();
 				}
 			}
+			
+			if( callback ) {
+				callback();
+			}
 		}
 		
 	} );
@@ -24,10 +24,28 @@ define( [
 		 * @param {gui.Component} currentItem The currently active item. This may be null if the CardsLayout does not currently have an active item.
 		 * @param {gui.Component} newItem The item to activate. This may be null if there is no new item to activate (for just hiding the currentItem).
 		 * @param {Object} options An object which may contain options for the given AbstractTransition subclass that is being used.
+		 * @param {Function} [callback] A function which must be called when the transition is complete (i.e. after any animation
+		 *   has finished). The {@link gui.layout.Card} uses this to fire its {@link gui.layout.Card#cardchange cardchange} event.
 		 */
 		setActiveItem : Class.abstractMethod,
 		
 		
+		/**
+		 * Determines if the given card is taking part in a transition which has not yet completed. The
+		 * {@link gui.layout.Card} does not hide such a card when it is laid out, as the transition will hide it when it
+		 * is done with it.
+		 * 
+		 * This implementation always returns `false`, for transitions which change the cards immediately. Subclasses
+		 * which change the cards at a later time should override it.
+		 * 
+		 * @param {gui.Component} item
+		 * @return {Boolean}
+		 */
+		isTransitioning : function( item ) {
+			return false;
+		},
+		
+		
 		/**
 		 * Destroys the CardsLayout transition strategy. Subclasses should extend the onDestroy method to implement 
 		 * any destruction process they specifically need.
@@ -1,10 +1,11 @@
 /*global define */
 define( [
+	'lodash',
 	'gui/Component',
 	'gui/Container',
 	'gui/layout/Layout',
 	'gui/layout/Card.SwitchTransition'
-], function( Component, Container, Layout, SwitchTransition ) {
+], function( _, Component, Container, Layout, SwitchTransition ) {
 	
 	/**
 	 * @class gui.layout.Card
@@ -40,7 +41,12 @@ define( [
 		 * @cfg {gui.layout.Card.AbstractTransition} transition The {@link gui.layout.Card.AbstractTransition AbstractTransition} subclass to use
 		 * for switching between cards. The default transition is the {@link gui.layout.Card.SwitchTransition SwitchTransition}, which simply hides
 		 * the currently active card, and shows the new card. This may be changed to provide a different method of changing cards, such as to implement
-		 * animation. 
+		 * animation. See the {@link gui.layout.Card.SlideTransition SlideTransition} and {@link gui.layout.Card.FadeTransition FadeTransition}. Ex:
+		 * 
+		 *     layout : {
+		 *         type       : 'card',
+		 *         transition : new CardSlideTransition( { duration: 400 } )
+		 *     }
 		 */
 		
 		/**
@@ -70,6 +76,9 @@ define( [
 				/**
 				 * Fires when the active item has been changed.
 				 * 
+				 * Note that when an animated {@link #transition} is used, this event fires when the transition's animation is
+				 * complete.
+				 * 
 				 * @event cardchange
 				 * @param {gui.layout.Card} cardLayout This CardLayout instance.
 				 * @param {gui.Component} card The {@link gui.Component} instance of the card that was activated. If no card has
@@ -127,7 +136,9 @@ define( [
 					
 					// Hide the child Component if it is not the activeItem.
 					// This sets the initial state of the CardLayout to show the activeItem, while all others are hidden.
-					if( this.activeItem !== childComponents[ i ] ) {
+					// A card which is still taking part in an animated transition (such as the card being transitioned
+					// away from) is left to the transition to hide, once its animation has finished.
+					if( this.activeItem !== childComponents[ i ] && !this.transition.isTransitioning( childComponents[ i ] ) ) {
 						childComponents[ i ].hide();
 					}
 				}
@@ -215,18 +226,24 @@ define( [
 						previousActiveItem = null;
 					}
 					
-					// Render the card (Component) if it is not yet rendered (and of course, exists)
+					// Render the card (Component) if it is not yet rendered (and of course, exists). A newly rendered card is 
+					// hidden until the transition shows it, as an animated transition may not run until a running one is complete.
 					if( item !== null ) {
-						var $targetEl = this.container.getContentTarget();
+						var $targetEl = this.container.getContentTarget(),
+						    wasRendered = item.isRendered();
+						
 						this.renderAndSizeCard( item, $targetEl, $targetEl.width(), $targetEl.height() );
+						if( !wasRendered ) {
+							item.hide();
+						}
 					}
 					
-					// Then delegate to the transition to make the change
-					this.transition.setActiveItem( this, previousActiveItem, item, options );
-					
-					// store the new currently active item (even if it is null), and fire the event
+					// Store the new currently active item (even if it is null), and then delegate to the transition to make 
+					// the change. The event is fired when the transition is complete, which may be after an animation.
 					this.activeItem = item;
-					this.fireEvent( 'cardchange', this, item, previousActiveItem );
+					this.transition.setActiveItem( this, previousActiveItem, item, options, _.bind( function() {
+						this.fireEvent( 'cardchange', this, item, previousActiveItem );
+					}, this ) );
 				}
 			}
 		},
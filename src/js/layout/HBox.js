@@ -3,12 +3,12 @@ define( [
 	'jquery',
 	'gui/Component',
 	'gui/Container',
-	'gui/layout/Layout'
-], function( jQuery, Component, Container, Layout ) {
+	'gui/layout/Box'
+], function( jQuery, Component, Container, BoxLayout ) {
 
 	/**
 	 * @class gui.layout.HBox
-	 * @extends gui.layout.Layout
+	 * @extends gui.layout.Box
 	 * @alias layout.hbox
 	 * 
 	 * A layout that renders its {@link #container container's} child components using a "flexbox" scheme. Each child component
@@ -16,8 +16,20 @@ define( [
 	 * element should have a special property named {@link #flex}, that determines how wide the box should be in relation to the
 	 * available area.  This property is a number, relative to other children. If a {@link #flex} not provided, the layout uses 
 	 * the component's width instead.
+	 * 
+	 * Child components may be aligned vertically with the {@link #align} config, and packed horizontally (when there is 
+	 * space remaining) with the {@link #pack} config. Ex:
+	 * 
+	 *     layout : { type: 'hbox', align: 'center', pack: 'end' },
+	 *     items : [
+	 *         { html: "Button 1", margins: '0 5' },
+	 *         { html: "Button 2", margins: '0 5' }
+	 *     ]
+	 * 
+	 * Flexed child components with a numeric `minWidth` or `maxWidth` config are kept within those limits, with the remaining 
+	 * space being redistributed between the other flexed components.
 	 */
-	var HBoxLayout = Layout.extend( {
+	var HBoxLayout = BoxLayout.extend( {
 		
 		/**
 		 * @cfg {Number} flex
@@ -58,6 +70,20 @@ define( [
 		 *     ]
 		 */
 		
+		/**
+		 * @cfg {String} align
+		 * @inheritdoc
+		 */
+		align : 'start',
+		
+		/**
+		 * @protected
+		 * @property {String} orientation
+		 * @inheritdoc
+		 */
+		orientation : 'horizontal',
+		
+		
 		/**
 		 * @protected
 		 * @property {jQuery} $clearEl
@@ -78,13 +104,16 @@ define( [
 			this._super( arguments );
 			
 			
-			var flexedComponents = [],
-			    totalFlex = 0,
+			var align = this.align,
+			    visibleComponents = [],
+			    flexedComponents = [],
 			    totalUnflexedWidth = 0,
+			    totalFlexedWidth = 0,
+			    targetHeight = ( align === 'stretch' ) ? $targetEl.height() : undefined,
 			    i, len, childComponent, numChildComponents = childComponents.length;
 			
 			// First, render and lay out each of the child components that don't have a 'flex' value.
-			// While we're at it, we'll add up the total flex that components which *do* have a flex value have.
+			// While we're at it, we'll collect the components which *do* have a flex value.
 			for( i = 0; i < numChildComponents; i++ ) {
 				childComponent = childComponents[ i ];
 				
@@ -97,8 +126,14 @@ define( [
 				
 				// Only process the child component if it is not hidden
 				if( !childComponent.isHidden() ) {
+					visibleComponents.push( childComponent );
+					this.applyMargins( childComponent );
+					
 					if( !childComponent.flex ) {
-						// Not a flexed component, do its layout
+						// Not a flexed component, size its height if stretching, and do its layout
+						if( align === 'stretch' ) {
+							this.sizeComponent( childComponent, undefined, targetHeight );
+						}
 						childComponent.doLayout();
 						
 						// Sadly, the element being measured may have a sub-pixel width, but jQuery returns the floor value of 
@@ -110,34 +145,21 @@ define( [
 					} else {
 						// Flexed component: push it onto the flexed components processing array for the next step
 						flexedComponents.push( childComponent );
-						totalFlex += childComponent.flex;
 					}
 				}
 			}
 			
+			var targetWidth = $targetEl.width();
+			
 			// Now go through and size the other child components based on their flex values and the remaining space.
-			if( totalFlex > 0 ) {
-				var targetWidth = $targetEl.width(),
-				    targetHeight = $targetEl.height(),
-				    remainingTargetWidth = targetWidth - totalUnflexedWidth,
-				    trimmedPixels = 0;  // Stores the decimal values resulting in the division of the remainingTargetWidth divided by the flex value. 
-				                        // The pixels that are trimmed off of each of the child components is added to the last item to fill the extra space.
+			// Taking off a pixel from the last flexed component to attempt to fix the accidental browser wrapping issue 
+			// with sub-pixel widths...
+			if( flexedComponents.length > 0 ) {
+				var flexedWidths = this.computeFlexedSizes( flexedComponents, targetWidth - totalUnflexedWidth, -1 );
 				
 				for( i = 0, len = flexedComponents.length; i < len; i++ ) {
-					childComponent = flexedComponents[ i ];
-					
-					// Now size the flexed component based on the flex value
-					var newChildWidth = ( childComponent.flex / totalFlex ) * remainingTargetWidth;
-					trimmedPixels += newChildWidth % 1;            // take the decimal value from the child height. Ex: 3.25 % 1 == 0.25  (We'll use this later).
-					newChildWidth = Math.floor( newChildWidth );  // and do the actual trimming off of the decimal for the new child height
-					
-					// If sizing the last component, add in (the smallest whole number of) the decimal value pixels that were trimmed from previous components
-					if( i === len - 1 ) {
-						newChildWidth += Math.floor( trimmedPixels );
-						newChildWidth--;  // and take off a pixel to attempt to fix the accidental browser wrapping issue with sub-pixel widths...
-					}
-					
-					this.sizeComponent( childComponent, newChildWidth, undefined );
+					this.sizeComponent( flexedComponents[ i ], flexedWidths[ i ], targetHeight );
+					totalFlexedWidth += flexedWidths[ i ];
 				}
 			}
 			
@@ -145,6 +167,9 @@ define( [
 				this.$clearEl = jQuery( '<div class="gui-layout-hbox-clear" />' );  // to clear the floats
 			}
 			$targetEl.append( this.$clearEl );
+			
+			// Finally, position the components for the `pack` and `align` configs
+			this.positionComponents( visibleComponents, targetWidth - totalUnflexedWidth - totalFlexedWidth, $targetEl.height() );
 		},
 		
 		
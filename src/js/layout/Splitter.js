@@ -0,0 +1,453 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Component'
+], function( jQuery, _, ComponentManager, Component ) {
+	
+	/**
+	 * @class gui.layout.Splitter
+	 * @extends gui.Component
+	 * @alias type.splitter
+	 * 
+	 * A component which may be placed between two child components of a Container with an {@link gui.layout.HBox HBox} or
+	 * {@link gui.layout.VBox VBox} layout, which the user may drag to resize those two components. In an HBox layout, the
+	 * splitter is a vertical bar which is dragged left and right, and in a VBox layout, it is a horizontal bar which is
+	 * dragged up and down.
+	 * 
+	 *     layout : 'hbox',
+	 *     items : [
+	 *         { type: 'panel', title: "Navigation", width: 200, minWidth: 100 },
+	 *         { type: 'splitter' },
+	 *         { type: 'panel', title: "Content", flex: 1 }
+	 *     ]
+	 * 
+	 * When a drag is complete, the new sizes are applied to the neighbouring components as follows:
+	 * 
+	 * - If both components are flexed, their `flex` values are updated to the ratio of their new sizes (keeping the sum
+	 *   of their `flex` values the same, so that any other flexed components in the Container are not affected).
+	 * - Otherwise, a component which is not flexed is set to its new pixel size, and a flexed component takes up the
+	 *   remaining space.
+	 * 
+	 * Numeric `minWidth`/`maxWidth` (HBox) or `minHeight`/`maxHeight` (VBox) configs of the neighbouring components are
+	 * respected while dragging.
+	 * 
+	 * The {@link #resize} event fires when a drag is complete, so that applications may persist the new sizes. If the
+	 * {@link #collapsible} config is true, double-clicking the splitter collapses (hides) the component given by the
+	 * {@link #collapseTarget} config, and double-clicking it again expands it.
+	 */
+	var Splitter = Component.extend( {
+		
+		/**
+		 * @cfg {Number} size
+		 * 
+		 * The thickness of the splitter, in pixels. This is its width in an HBox layout, or its height in a VBox layout.
+		 */
+		size : 5,
+		
+		/**
+		 * @cfg {Boolean} collapsible
+		 * 
+		 * `true` to allow the user to collapse the {@link #collapseTarget} component by double-clicking the splitter.
+		 */
+		collapsible : true,
+		
+		/**
+		 * @cfg {String} collapseTarget
+		 * 
+		 * The neighbouring component which is collapsed by {@link #collapse}. Either 'prev' for the component before the
+		 * splitter, or 'next' for the component after it.
+		 */
+		collapseTarget : 'prev',
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		baseCls : 'gui-layout-splitter',
+		
+		
+		/**
+		 * @private
+		 * @property {Boolean} collapsed
+		 * 
+		 * Flag which is set to `true` while the {@link #collapseTarget} component is collapsed.
+		 */
+		collapsed : false,
+		
+		/**
+		 * @private
+		 * @property {Object} dragState
+		 * 
+		 * An Object (map) which holds the state of a drag operation while one is in progress. Has properties `startPos`,
+		 * `prevItem`, `nextItem`, `startPrevSize`, `prevSize`, `totalSize`, `minPrevSize`, and `maxPrevSize`. `null` when
+		 * there is no drag operation in progress.
+		 */
+		dragState : null,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this.addEvents(
+				/**
+				 * Fires when the user has finished dragging the splitter, and the neighbouring components have been resized.
+				 * 
+				 * @event resize
+				 * @param {gui.layout.Splitter} splitter This Splitter instance.
+				 * @param {gui.Component} prevItem The component before the splitter.
+				 * @param {gui.Component} nextItem The component after the splitter.
+				 * @param {Number} prevSize The new size of the `prevItem` (its width in an HBox layout, or height in a VBox
+				 *   layout), including its margin, padding, and border.
+				 * @param {Number} nextSize The new size of the `nextItem`, including its margin, padding, and border.
+				 */
+				'resize',
+				
+				/**
+				 * Fires when the {@link #collapseTarget} component has been collapsed.
+				 * 
+				 * @event collapse
+				 * @param {gui.layout.Splitter} splitter This Splitter instance.
+				 * @param {gui.Component} item The component that was collapsed.
+				 */
+				'collapse',
+				
+				/**
+				 * Fires when the {@link #collapseTarget} component has been expanded.
+				 * 
+				 * @event expand
+				 * @param {gui.layout.Splitter} splitter This Splitter instance.
+				 * @param {gui.Component} item The component that was expanded.
+				 */
+				'expand'
+			);
+			
+			this._super( arguments );
+			
+			// <debug>
+			if( this.collapseTarget !== 'prev' && this.collapseTarget !== 'next' ) {
+				throw new Error( "The `collapseTarget` config must be either 'prev' or 'next'" );
+			}
+			// </debug>
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			this.$el.on( {
+				'mousedown' : _.bind( this.onMouseDown, this ),
+				'dblclick'  : _.bind( this.onDblClick, this )
+			} );
+		},
+		
+		
+		/**
+		 * Sizes the splitter when it is laid out by its {@link #parentContainer}: to its {@link #size} along the layout's
+		 * main axis, and to the full size of the container on the cross axis (if the layout is not already stretching it).
+		 * 
+		 * @protected
+		 */
+		onComponentLayout : function() {
+			this._super( arguments );
+			
+			var isVertical = this.isVertical(),
+			    parentContainer = this.parentContainer,
+			    isStretched = !!parentContainer && parentContainer.getLayout().align === 'stretch';
+			
+			this.removeCls( 'gui-layout-splitter-' + ( isVertical ? 'horizontal' : 'vertical' ) );
+			this.addCls( 'gui-layout-splitter-' + ( isVertical ? 'vertical' : 'horizontal' ) );
+			
+			if( isVertical ) {
+				this.setSize( isStretched ? undefined : '100%', this.size );
+			} else {
+				this.setSize( this.size, ( isStretched || !parentContainer ) ? undefined : parentContainer.getContentTarget().height() );
+			}
+		},
+		
+		
+		/**
+		 * Determines if the splitter is in a vertical layout (i.e. a {@link gui.layout.VBox VBox} layout), where it is
+		 * dragged up and down to resize the components above and below it.
+		 * 
+		 * @protected
+		 * @return {Boolean}
+		 */
+		isVertical : function() {
+			var parentContainer = this.parentContainer,
+			    layout = parentContainer && parentContainer.getLayout();
+			
+			return !!layout && layout.orientation === 'vertical';
+		},
+		
+		
+		/**
+		 * Retrieves the component that is collapsed by {@link #collapse}, based on the {@link #collapseTarget} config.
+		 * 
+		 * @return {gui.Component} The component, or `null` if there is none.
+		 */
+		getCollapseTargetItem : function() {
+			return ( this.collapseTarget === 'next' ) ? this.nextSibling() : this.previousSibling();
+		},
+		
+		
+		// ------------------------------------------------
+		
+		// Dragging
+		
+		
+		/**
+		 * Handles a mousedown on the splitter, to start a drag operation which resizes the neighbouring components.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onMouseDown : function( evt ) {
+			var prevItem = this.previousSibling(),
+			    nextItem = this.nextSibling();
+			
+			if( this.collapsed || !prevItem || !nextItem || prevItem.isHidden() || nextItem.isHidden() ) {
+				return;
+			}
+			evt.preventDefault();  // prevent text selection while dragging
+			
+			var isVertical = this.isVertical(),
+			    prevSize = this.getItemSize( prevItem ),
+			    totalSize = prevSize + this.getItemSize( nextItem ),
+			    prevLimits = this.getItemSizeLimits( prevItem ),
+			    nextLimits = this.getItemSizeLimits( nextItem );
+			
+			this.dragState = {
+				startPos      : ( isVertical ) ? evt.pageY : evt.pageX,
+				prevItem      : prevItem,
+				nextItem      : nextItem,
+				startPrevSize : prevSize,
+				prevSize      : prevSize,
+				totalSize     : totalSize,
+				minPrevSize   : Math.max( prevLimits.min, totalSize - nextLimits.max, 0 ),
+				maxPrevSize   : Math.min( prevLimits.max, totalSize - nextLimits.min, totalSize )
+			};
+			this.addCls( 'gui-layout-splitter-dragging' );
+			
+			var dragEventNs = this.getDragEventNs();
+			jQuery( document )
+				.on( 'mousemove' + dragEventNs, _.bind( this.onDrag, this ) )
+				.on( 'mouseup' + dragEventNs, _.bind( this.onDragEnd, this ) );
+		},
+		
+		
+		/**
+		 * Retrieves the namespace of the document event handlers which are bound during a drag. The namespace is unique
+		 * to this Splitter, so that unbinding its handlers doesn't unbind those of another Splitter.
+		 * 
+		 * @private
+		 * @return {String}
+		 */
+		getDragEventNs : function() {
+			return '.guiSplitter-' + this.getUuid();
+		},
+		
+		
+		/**
+		 * Handles the mouse being moved during a drag operation, resizing the neighbouring components.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onDrag : function( evt ) {
+			var dragState = this.dragState,
+			    delta = ( this.isVertical() ? evt.pageY : evt.pageX ) - dragState.startPos,
+			    prevSize = Math.max( Math.min( dragState.startPrevSize + delta, dragState.maxPrevSize ), dragState.minPrevSize );
+			
+			if( prevSize !== dragState.prevSize ) {
+				dragState.prevSize = prevSize;
+				this.applySizes( dragState.prevItem, dragState.nextItem, prevSize, dragState.totalSize - prevSize );
+			}
+		},
+		
+		
+		/**
+		 * Handles the mouse button being released at the end of a drag operation, firing the {@link #resize} event if the
+		 * neighbouring components were resized.
+		 * 
+		 * @protected
+		 */
+		onDragEnd : function() {
+			var dragState = this.dragState;
+			
+			this.removeCls( 'gui-layout-splitter-dragging' );
+			jQuery( document ).off( this.getDragEventNs() );
+			this.dragState = null;
+			
+			if( dragState.prevSize !== dragState.startPrevSize ) {
+				this.fireEvent( 'resize', this, dragState.prevItem, dragState.nextItem, dragState.prevSize, dragState.totalSize - dragState.prevSize );
+			}
+		},
+		
+		
+		/**
+		 * Applies new sizes to the neighbouring components, and lays out the {@link #parentContainer}. See the class
+		 * description for how the sizes are applied to flexed and non-flexed components.
+		 * 
+		 * @protected
+		 * @param {gui.Component} prevItem The component before the splitter.
+		 * @param {gui.Component} nextItem The component after the splitter.
+		 * @param {Number} prevSize The new size of the `prevItem`, including its margin, padding, and border.
+		 * @param {Number} nextSize The new size of the `nextItem`, including its margin, padding, and border.
+		 */
+		applySizes : function( prevItem, nextItem, prevSize, nextSize ) {
+			if( prevItem.flex && nextItem.flex ) {
+				// Keep the sum of the two flex values the same, so that the other flexed components are not affected
+				var totalFlex = prevItem.flex + nextItem.flex;
+				
+				prevItem.flex = totalFlex * prevSize / ( prevSize + nextSize );
+				nextItem.flex = totalFlex - prevItem.flex;
+			
+			} else {
+				if( !prevItem.flex ) this.setItemSize( prevItem, prevSize );
+				if( !nextItem.flex ) this.setItemSize( nextItem, nextSize );
+			}
+			
+			this.parentContainer.doLayout();
+		},
+		
+		
+		/**
+		 * Retrieves the size of a neighbouring component along the layout's main axis, including its margin, padding, and
+		 * border.
+		 * 
+		 * @private
+		 * @param {gui.Component} item
+		 * @return {Number}
+		 */
+		getItemSize : function( item ) {
+			return ( this.isVertical() ) ? item.getOuterHeight( /* includeMargin */ true ) : item.getOuterWidth( /* includeMargin */ true );
+		},
+		
+		
+		/**
+		 * Sets the size of a (non-flexed) neighbouring component along the layout's main axis.
+		 * 
+		 * @private
+		 * @param {gui.Component} item
+		 * @param {Number} size The new size, including the component's margin, padding, and border.
+		 */
+		setItemSize : function( item, size ) {
+			if( this.isVertical() ) {
+				item.setHeight( size - item.getFrameSize( 'tb' ) );
+			} else {
+				item.setWidth( size - item.getFrameSize( 'lr' ) );
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the minimum and maximum sizes of a neighbouring component, using the {@link gui.layout.Box Box} layout's
+		 * {@link gui.layout.Box#getSizeLimits getSizeLimits} method.
+		 * 
+		 * @private
+		 * @param {gui.Component} item
+		 * @return {Object} An object with properties `min` and `max`.
+		 */
+		getItemSizeLimits : function( item ) {
+			return this.parentContainer.getLayout().getSizeLimits( item );
+		},
+		
+		
+		// ------------------------------------------------
+		
+		// Collapsing
+		
+		
+		/**
+		 * Handles a double-click on the splitter, to toggle the collapsed state of the {@link #collapseTarget} component
+		 * if the splitter is {@link #collapsible}.
+		 * 
+		 * @protected
+		 */
+		onDblClick : function() {
+			if( this.collapsible ) {
+				this.toggleCollapse();
+			}
+		},
+		
+		
+		/**
+		 * Collapses (hides) the {@link #collapseTarget} component, allowing the other components to take up its space.
+		 */
+		collapse : function() {
+			var item = this.getCollapseTargetItem();
+			if( this.collapsed || !item ) return;
+			
+			this.collapsed = true;
+			this.addCls( 'gui-layout-splitter-collapsed' );
+			item.hide();
+			this.parentContainer.doLayout();
+			
+			this.fireEvent( 'collapse', this, item );
+		},
+		
+		
+		/**
+		 * Expands (shows) the {@link #collapseTarget} component, after it has been {@link #collapse collapsed}.
+		 */
+		expand : function() {
+			var item = this.getCollapseTargetItem();
+			if( !this.collapsed || !item ) return;
+			
+			this.collapsed = false;
+			this.removeCls( 'gui-layout-splitter-collapsed' );
+			item.show();
+			this.parentContainer.doLayout();
+			
+			this.fireEvent( 'expand', this, item );
+		},
+		
+		
+		/**
+		 * Toggles the collapsed state of the {@link #collapseTarget} component.
+		 */
+		toggleCollapse : function() {
+			this[ this.collapsed ? 'expand' : 'collapse' ]();
+		},
+		
+		
+		/**
+		 * Determines if the {@link #collapseTarget} component is currently collapsed by the splitter.
+		 * 
+		 * @return {Boolean}
+		 */
+		isCollapsed : function() {
+			return this.collapsed;
+		},
+		
+		
+		// ------------------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.dragState ) {
+				jQuery( document ).off( this.getDragEventNs() );  // abandon a drag in progress, without firing the 'resize' event
+				this.dragState = null;
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	// Register the class so it can be created by the type string 'splitter'
+	ComponentManager.registerType( 'splitter', Splitter );
+	
+	return Splitter;
+
+} );
@@ -0,0 +1,504 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/Container',
+	'gui/layout/Layout'
+], function( jQuery, _, Container, Layout ) {
+	
+	/**
+	 * @class gui.layout.Table
+	 * @extends gui.layout.Layout
+	 * @alias layout.table
+	 * 
+	 * A layout that arranges its {@link #container container's} child components into a grid of {@link #columns}, where
+	 * child components may span multiple columns and rows. This is useful for laying out dense forms and dashboards without
+	 * nesting many {@link gui.layout.HBox HBox} and {@link gui.layout.VBox VBox} containers.
+	 * 
+	 * Child components are placed into the grid from left to right, top to bottom, skipping over any cells which are
+	 * already taken up by a component that spans from a previous row. Each child component may specify how many columns
+	 * and rows it takes up with the {@link #colspan} and {@link #rowspan} configs, or may be placed at an explicit position
+	 * with the {@link #gridArea} config.
+	 * 
+	 *     layout : { type: 'table', columns: 3, columnWidths: [ 100 ] },
+	 *     items : [
+	 *         { html: "Name" },      { type: 'textfield', colspan: 2 },
+	 *         { html: "Address" },   { type: 'textareafield', colspan: 2, rowspan: 2 },
+	 *         { html: "(Optional)" }
+	 *     ]
+	 * 
+	 * Each child component is sized to the width of the column(s) that it spans (using {@link #sizeComponent}, so that its
+	 * margin, padding, and border are accounted for). If the {@link #rowHeight} config is provided, each child component is
+	 * also sized to the height of the row(s) that it spans. Otherwise, rows take the height of their tallest component.
+	 * 
+	 * This class is usually not meant to be instantiated directly, but created by its layout type name 'table'.
+	 */
+	var TableLayout = Layout.extend( {
+		
+		/**
+		 * @cfg {Number} colspan
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container}. The number of columns that the
+		 * child component takes up. May not be greater than the layout's {@link #columns}.
+		 */
+		
+		/**
+		 * @cfg {Number} rowspan
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container}. The number of rows that the
+		 * child component takes up.
+		 */
+		
+		/**
+		 * @cfg {String} gridArea
+		 * 
+		 * This config is to be placed on **child components** of the {@link #container}. An explicit position for the child
+		 * component in the grid, which uses the same syntax as the CSS `grid-area` property: `'rowStart / columnStart / rowEnd / columnEnd'`,
+		 * where each value is a 1-based grid line number, and the end lines are exclusive. For example, `'1 / 2 / 3 / 4'`
+		 * places the component in the first row and second column, spanning 2 rows and 2 columns.
+		 * 
+		 * The end lines may be omitted (ex: `'2 / 1'`), in which case the component's {@link #colspan} and {@link #rowspan}
+		 * (if any) are used.
+		 * 
+		 * Components with a `gridArea` are placed into the grid before the other components, which then flow around them.
+		 */
+		
+		
+		/**
+		 * @cfg {Number} columns (required)
+		 * 
+		 * The number of columns in the grid.
+		 */
+		columns : null,
+		
+		/**
+		 * @cfg {Number[]/String[]} columnWidths
+		 * 
+		 * The widths of the columns. Each element may be a number of pixels, a pixel string (ex: '100px'), or a percentage
+		 * string (ex: '25%') of the container's width. Columns which do not have a width specified here (either by this array being shorter than the
+		 * number of {@link #columns}, or by having a `null` element) share the remaining width equally.
+		 * 
+		 * Defaults to all columns sharing the container's width equally.
+		 */
+		columnWidths : null,
+		
+		/**
+		 * @cfg {Number} rowHeight
+		 * 
+		 * A fixed height, in pixels, for each row. If provided, each child component is sized to the height of the row(s)
+		 * that it spans. If not provided, each row takes the height of its tallest component, and child components keep
+		 * their own heights.
+		 */
+		rowHeight : null,
+		
+		
+		/**
+		 * @private
+		 * @property {jQuery} $tableEl
+		 * 
+		 * The table element which the child components are rendered into. This is created on the first layout run, and
+		 * replaced when the arrangement of the grid changes.
+		 */
+		$tableEl : null,
+		
+		/**
+		 * @private
+		 * @property {String} gridSignature
+		 * 
+		 * A string which describes the current arrangement of the grid (the components, and the cells that they are placed
+		 * in), which is used to determine if the {@link #$tableEl} needs to be re-created on a layout run.
+		 */
+		gridSignature : "",
+		
+		/**
+		 * @private
+		 * @property {RegExp} columnWidthRe
+		 * 
+		 * The regular expression used to parse the string elements of the {@link #columnWidths}: a number, with an optional
+		 * 'px' or '%' unit.
+		 */
+		columnWidthRe : /^\s*(\d+(?:\.\d+)?)\s*(px|%)?\s*$/,
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initLayout : function() {
+			this._super( arguments );
+			
+			// <debug>
+			if( typeof this.columns !== 'number' || this.columns < 1 ) throw new Error( "A table layout requires a `columns` config" );
+			_.forEach( this.columnWidths || [], function( width ) {
+				if( typeof width === 'string' && !this.columnWidthRe.test( width ) ) {
+					throw new Error( "Invalid `columnWidths` value '" + width + "'. Expected a number of pixels, or a string such as '100px' or '25%'" );
+				}
+			}, this );
+			// </debug>
+		},
+		
+		
+		/**
+		 * Implementation of the TableLayout, which places each of the {@link #container container's} child components
+		 * into a cell of the grid, and sizes them to the width (and optionally, the height) of the cell.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} childComponents The child components that should be rendered and laid out.
+		 * @param {jQuery} $targetEl The target element, where child components should be rendered into.
+		 */
+		onLayout : function( childComponents, $targetEl ) {
+			this._super( arguments );
+			
+			var visibleComponents = [],
+			    i, len;
+			
+			for( i = 0, len = childComponents.length; i < len; i++ ) {
+				if( childComponents[ i ].isHidden() ) {
+					this.renderComponent( childComponents[ i ], $targetEl );  // keep hidden components in the container's element, outside of the grid
+				} else {
+					visibleComponents.push( childComponents[ i ] );
+				}
+			}
+			
+			var cells = this.computeCells( visibleComponents ),
+			    columnWidths = this.computeColumnWidths( $targetEl.width() ),
+			    rowHeight = this.rowHeight,
+			    $cellEls = this.getCellEls( cells, columnWidths, $targetEl );
+			
+			for( i = 0, len = cells.length; i < len; i++ ) {
+				var cell = cells[ i ],
+				    component = cell.component,
+				    cellWidth = 0;
+				
+				for( var col = cell.column; col < cell.column + cell.colspan; col++ ) {
+					cellWidth += columnWidths[ col ];
+				}
+				
+				this.renderComponent( component, $cellEls.eq( i ) );
+				this.sizeComponent( component, cellWidth, ( rowHeight !== null ) ? rowHeight * cell.rowspan : undefined );
+			}
+		},
+		
+		
+		/**
+		 * Places each of the `components` into the grid, returning the cell information for each of them.
+		 * 
+		 * Components with a {@link #gridArea} are placed first, and then the rest of the components are placed into the
+		 * first available cells, from left to right, top to bottom.
+		 * 
+		 * @protected
+		 * @param {gui.Component[]} components The (visible) child components to place.
+		 * @return {Object[]} An array of the cells, in the order of the `components`. Each has properties `component`,
+		 *   `row`, `column`, `rowspan`, and `colspan`, where `row` and `column` are 0-based.
+		 */
+		computeCells : function( components ) {
+			var columns = this.columns,
+			    occupied = [],  // 2D array (rows, then columns) of flags for the cells which have been taken up
+			    cells = [],
+			    i, len, component, cell;
+			
+			var isFree = function( cell ) {
+				for( var row = cell.row; row < cell.row + cell.rowspan; row++ ) {
+					for( var col = cell.column; col < cell.column + cell.colspan; col++ ) {
+						if( occupied[ row ] && occupied[ row ][ col ] ) {
+							return false;
+						}
+					}
+				}
+				return true;
+			};
+			var occupy = function( cell ) {
+				for( var row = cell.row; row < cell.row + cell.rowspan; row++ ) {
+					occupied[ row ] = occupied[ row ] || [];
+					
+					for( var col = cell.column; col < cell.column + cell.colspan; col++ ) {
+						occupied[ row ][ col ] = true;
+					}
+				}
+			};
+			
+			// First, create the cell objects, and place the components which have an explicit gridArea
+			for( i = 0, len = components.length; i < len; i++ ) {
+				component = components[ i ];
+				cell = cells[ i ] = this.createCell( component );
+				
+				// <debug>
+				if( component.colspan > columns ) throw new Error( "A child component's `colspan` (" + component.colspan + ") may not exceed the table layout's `columns` (" + columns + ")" );
+				// </debug>
+				
+				if( cell.row !== null ) {
+					// <debug>
+					if( cell.column + cell.colspan > columns ) throw new Error( "The `gridArea` '" + component.gridArea + "' is outside of the table layout's " + columns + " columns" );
+					if( !isFree( cell ) ) throw new Error( "The `gridArea` '" + component.gridArea + "' overlaps another child component in the table layout" );
+					// </debug>
+					
+					occupy( cell );
+				}
+			}
+			
+			// Then, flow the rest of the components into the first available cells
+			var nextRow = 0,
+			    nextColumn = 0;
+			
+			for( i = 0, len = cells.length; i < len; i++ ) {
+				cell = cells[ i ];
+				if( cell.row !== null ) continue;  // already placed by its gridArea
+				
+				cell.row = nextRow;
+				cell.column = nextColumn;
+				while( cell.column + cell.colspan > columns || !isFree( cell ) ) {
+					if( ++cell.column >= columns ) {
+						cell.column = 0;
+						cell.row++;
+					}
+				}
+				occupy( cell );
+				
+				nextRow = cell.row;
+				nextColumn = cell.column + cell.colspan;
+			}
+			
+			return cells;
+		},
+		
+		
+		/**
+		 * Creates the cell object for a component, from its {@link #gridArea}, {@link #colspan}, and {@link #rowspan} configs.
+		 * 
+		 * @private
+		 * @param {gui.Component} component
+		 * @return {Object} An object with properties `component`, `row`, `column`, `rowspan`, and `colspan`. `row` and
+		 *   `column` are `null` if the component does not have a `gridArea`.
+		 */
+		createCell : function( component ) {
+			var cell = {
+				component : component,
+				row       : null,
+				column    : null,
+				rowspan   : Math.max( component.rowspan || 1, 1 ),
+				colspan   : Math.min( Math.max( component.colspan || 1, 1 ), this.columns )  // a cell wider than the grid could never be placed
+			};
+			
+			var gridArea = component.gridArea;
+			if( gridArea ) {
+				var lines = _.map( String( gridArea ).split( '/' ), function( line ) { return parseInt( line, 10 ); } );
+				
+				// <debug>
+				if( ( lines.length !== 2 && lines.length !== 4 ) || _.some( lines, function( line ) { return isNaN( line ) || line < 1; } ) ) {
+					throw new Error( "Invalid `gridArea` '" + gridArea + "'. Expected the form 'rowStart / columnStart / rowEnd / columnEnd', or 'rowStart / columnStart'" );
+				}
+				// </debug>
+				
+				cell.row = lines[ 0 ] - 1;
+				cell.column = lines[ 1 ] - 1;
+				if( lines.length === 4 ) {
+					cell.rowspan = Math.max( lines[ 2 ] - lines[ 0 ], 1 );
+					cell.colspan = Math.max( lines[ 3 ] - lines[ 1 ], 1 );
+				}
+			}
+			
+			return cell;
+		},
+		
+		
+		/**
+		 * Computes the width of each column, from the {@link #columnWidths} config and the available width.
+		 * 
+		 * @protected
+		 * @param {Number} availableWidth The width of the container's content target element.
+		 * @return {Number[]} The width of each column, in pixels.
+		 */
+		computeColumnWidths : function( availableWidth ) {
+			var columns = this.columns,
+			    configuredWidths = this.columnWidths || [],
+			    widths = [],
+			    remainingWidth = availableWidth,
+			    autoColumns = [],
+			    i;
+			
+			for( i = 0; i < columns; i++ ) {
+				var width = configuredWidths[ i ],
+				    match;
+				
+				if( typeof width === 'string' && ( match = this.columnWidthRe.exec( width ) ) ) {
+					width = ( match[ 2 ] === '%' ) ? Math.floor( availableWidth * parseFloat( match[ 1 ] ) / 100 ) : parseFloat( match[ 1 ] );
+				}
+				
+				if( typeof width === 'number' ) {
+					widths[ i ] = width;
+					remainingWidth -= width;
+				} else {
+					autoColumns.push( i );
+				}
+			}
+			
+			// Share the remaining width between the columns without a configured width. Any leftover pixels from rounding
+			// are given to the last of these columns, so that the columns fill the available width exactly.
+			var numAutoColumns = autoColumns.length,
+			    autoWidth = Math.max( Math.floor( remainingWidth / numAutoColumns ), 0 );
+			
+			for( i = 0; i < numAutoColumns; i++ ) {
+				widths[ autoColumns[ i ] ] = autoWidth;
+			}
+			if( numAutoColumns > 0 ) {
+				widths[ autoColumns[ numAutoColumns - 1 ] ] += Math.max( remainingWidth - autoWidth * numAutoColumns, 0 );
+			}
+			
+			return widths;
+		},
+		
+		
+		/**
+		 * Retrieves the cell (`td`) elements for the given `cells`, creating (or re-creating) the {@link #$tableEl} if the
+		 * arrangement of the grid has changed since the last layout run.
+		 * 
+		 * @private
+		 * @param {Object[]} cells The cells, from {@link #computeCells}.
+		 * @param {Number[]} columnWidths The column widths, from {@link #computeColumnWidths}.
+		 * @param {jQuery} $targetEl The container's content target element.
+		 * @return {jQuery} The cell elements, in the order of the `cells`.
+		 */
+		getCellEls : function( cells, columnWidths, $targetEl ) {
+			var signature = _.map( cells, function( cell ) {
+				return [ cell.component.getUuid(), cell.row, cell.column, cell.rowspan, cell.colspan ].join( ':' );
+			} ).join( ',' );
+			
+			var $tableEl = this.$tableEl;
+			if( !$tableEl || signature !== this.gridSignature || $tableEl.parent()[ 0 ] !== $targetEl[ 0 ] ) {
+				var $oldTableEl = $tableEl;
+				
+				$tableEl = this.$tableEl = jQuery( this.createTableMarkup( cells ) ).appendTo( $targetEl );
+				this.gridSignature = signature;
+				
+				// The old table is removed after the new one has been created, so that components which are moved into the new
+				// table are not removed from the DOM along with it.
+				if( $oldTableEl ) {
+					this.moveComponentsOut( $oldTableEl, $targetEl );
+					$oldTableEl.remove();
+				}
+			}
+			
+			// Size the columns. The table itself is given the total width, as a fixed table layout requires a width.
+			$tableEl.css( 'width', _.reduce( columnWidths, function( total, width ) { return total + width; }, 0 ) );
+			$tableEl.find( 'col' ).each( function( idx, colEl ) {
+				colEl.style.width = columnWidths[ idx ] + 'px';
+			} );
+			
+			// Map the cells to their td elements, which were created with a data-cell attribute of their index in the `cells` array
+			var $cellEls = $tableEl.find( 'td[data-cell]' ),
+			    orderedCellEls = [];
+			
+			$cellEls.each( function( idx, tdEl ) {
+				orderedCellEls[ +tdEl.getAttribute( 'data-cell' ) ] = tdEl;
+			} );
+			return jQuery( orderedCellEls );
+		},
+		
+		
+		/**
+		 * Creates the markup for the {@link #$tableEl}. Grid positions which are not taken up by a component are filled
+		 * with empty cells, so that the rows line up.
+		 * 
+		 * @private
+		 * @param {Object[]} cells The cells, from {@link #computeCells}.
+		 * @return {String}
+		 */
+		createTableMarkup : function( cells ) {
+			var columns = this.columns,
+			    rowHeight = this.rowHeight,
+			    occupied = [],
+			    cellStarts = {},  // map of "row,column" keys to the index of the cell which starts there
+			    numRows = 0,
+			    i, len, row, col;
+			
+			for( i = 0, len = cells.length; i < len; i++ ) {
+				var cell = cells[ i ];
+				cellStarts[ cell.row + ',' + cell.column ] = i;
+				
+				for( row = cell.row; row < cell.row + cell.rowspan; row++ ) {
+					occupied[ row ] = occupied[ row ] || [];
+					for( col = cell.column; col < cell.column + cell.colspan; col++ ) {
+						occupied[ row ][ col ] = true;
+					}
+				}
+				numRows = Math.max( numRows, cell.row + cell.rowspan );
+			}
+			
+			var markup = [ '<table class="gui-layout-table"><colgroup>' ];
+			for( col = 0; col < columns; col++ ) {
+				markup.push( '<col />' );
+			}
+			markup.push( '</colgroup><tbody>' );
+			
+			for( row = 0; row < numRows; row++ ) {
+				markup.push( ( rowHeight !== null ) ? '<tr style="height: ' + rowHeight + 'px">' : '<tr>' );
+				
+				for( col = 0; col < columns; col++ ) {
+					var cellIdx = cellStarts[ row + ',' + col ];
+					
+					if( cellIdx !== undefined ) {
+						markup.push(
+							'<td class="gui-layout-table-cell" data-cell="' + cellIdx + '"',
+							' colspan="' + cells[ cellIdx ].colspan + '" rowspan="' + cells[ cellIdx ].rowspan + '"></td>'
+						);
+						col += cells[ cellIdx ].colspan - 1;
+					
+					} else if( !( occupied[ row ] && occupied[ row ][ col ] ) ) {
+						markup.push( '<td class="gui-layout-table-cell"></td>' );  // empty cell
+					}
+				}
+				markup.push( '</tr>' );
+			}
+			markup.push( '</tbody></table>' );
+			
+			return markup.join( '' );
+		},
+		
+		
+		/**
+		 * Moves any child component elements that are in the given `$tableEl` out to the `$targetEl`, so that they are not
+		 * removed from the DOM when the table element is removed.
+		 * 
+		 * @private
+		 * @param {jQuery} $tableEl
+		 * @param {jQuery} $targetEl
+		 */
+		moveComponentsOut : function( $tableEl, $targetEl ) {
+			var tableEl = $tableEl[ 0 ],
+			    components = this.container ? this.container.getItems() : [];
+			
+			for( var i = 0, len = components.length; i < len; i++ ) {
+				var component = components[ i ];
+				
+				if( component.isRendered() && jQuery.contains( tableEl, component.getEl()[ 0 ] ) ) {
+					$targetEl.append( component.getEl() );
+				}
+			}
+		},
+		
+		
+		// ------------------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			var $tableEl = this.$tableEl;
+			
+			if( $tableEl ) {
+				this.moveComponentsOut( $tableEl, $tableEl.parent() );
+				$tableEl.remove();
+			}
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	
+	// Register the layout type with the gui.Container class, which is used to be able to instantiate the layout via its type name.
+	Container.registerLayout( 'table', TableLayout );
+	
+	return TableLayout;
+
+} );
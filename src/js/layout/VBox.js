@@ -1,12 +1,13 @@
 /*global define */
 define( [
+	'jquery',
 	'gui/Container',
-	'gui/layout/Layout'
-], function( Container, Layout ) {
+	'gui/layout/Box'
+], function( jQuery, Container, BoxLayout ) {
 
 	/**
 	 * @class gui.layout.VBox
-	 * @extends gui.layout.Layout
+	 * @extends gui.layout.Box
 	 * @alias layout.vbox
 	 * 
 	 * A layout that renders its {@link #container container's} child components using a "flexbox" scheme. Each child component
@@ -14,8 +15,21 @@ define( [
 	 * element should have a special property named {@link #flex}, that determines how tall the box should be in relation to the
 	 * available area.  This property is a number, relative to other children. If a {@link #flex} not provided, the layout uses 
 	 * the component's height instead.
+	 * 
+	 * By default, child components take up the full width of the container. They may instead be aligned horizontally with 
+	 * the {@link #align} config, and packed vertically (when there is space remaining) with the {@link #pack} config. Ex:
+	 * 
+	 *     height : 300,
+	 *     layout : { type: 'vbox', align: 'center', pack: 'center' },
+	 *     items : [
+	 *         { html: "Title", margins: { bottom: 10 } },
+	 *         { html: "Subtitle" }
+	 *     ]
+	 * 
+	 * Flexed child components with a numeric `minHeight` or `maxHeight` config are kept within those limits, with the remaining 
+	 * space being redistributed between the other flexed components.
 	 */
-	var VBoxLayout = Layout.extend( {
+	var VBoxLayout = BoxLayout.extend( {
 		
 		/**
 		 * @cfg {Number} flex
@@ -57,6 +71,29 @@ define( [
 		 */
 		
 		
+		/**
+		 * @cfg {String} align
+		 * @inheritdoc
+		 */
+		align : 'stretch',
+		
+		/**
+		 * @protected
+		 * @property {String} orientation
+		 * @inheritdoc
+		 */
+		orientation : 'vertical',
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $clearEl
+		 * 
+		 * The element used to clear the floats which are used to shrink wrap the child components when the {@link #align}
+		 * config is not 'stretch'.
+		 */
+		
+		
 		/**
 		 * Hook method for subclasses to override to implement their layout strategy. Implements the VBoxLayout algorithm.
 		 * 
@@ -70,21 +107,29 @@ define( [
 			this._super( arguments );
 			
 			
-			var flexedComponents = [],
-			    totalFlex = 0,
+			var isStretch = ( this.align === 'stretch' ),
+			    visibleComponents = [],
+			    flexedComponents = [],
 			    totalUnflexedHeight = 0,
+			    totalFlexedHeight = 0,
 			    i, len, childComponent, numChildComponents = childComponents.length;
 			
 			// First, render and lay out each of the child components that don't have a 'flex' value.
-			// While we're at it, we'll add up the total flex that components which *do* have a flex value have.
+			// While we're at it, we'll collect the components which *do* have a flex value.
 			for( i = 0; i < numChildComponents; i++ ) {
 				childComponent = childComponents[ i ];
 				
 				// Render the component (note: it is only rendered if it is not yet rendered already, or in the wrong position in the DOM)
 				this.renderComponent( childComponent, $targetEl, { position: i } );
 				
+				// When not stretching, components are floated so that they are sized to their content, and may be aligned
+				childComponent[ isStretch ? 'removeCls' : 'addCls' ]( 'gui-layout-vbox-component-shrinkWrap' );
+				
 				// Only process the child component if it is not hidden
 				if( !childComponent.isHidden() ) {
+					visibleComponents.push( childComponent );
+					this.applyMargins( childComponent );
+					
 					if( !childComponent.flex ) {
 						// Not a flexed component, do its layout
 						childComponent.doLayout();
@@ -93,35 +138,66 @@ define( [
 					} else {
 						// Flexed component: push it onto the flexed components processing array for the next step
 						flexedComponents.push( childComponent );
-						totalFlex += childComponent.flex;
 					}
 				}
 			}
 			
+			var targetHeight = $targetEl.height();
+			
 			// Now go through and size the other child components based on their flex values and the remaining space.
-			if( totalFlex > 0 ) {
-				var targetWidth = '100%', //$targetEl.width(),
-				    targetHeight = $targetEl.height(),
-				    remainingTargetHeight = targetHeight - totalUnflexedHeight,
-				    trimmedPixels = 0;  // Stores the decimal values resulting in the division of the remainingTargetHeight divided by the flex value. 
-				                        // The pixels that are trimmed off of each of the child components is added to the last item to fill the extra space.
+			if( flexedComponents.length > 0 ) {
+				var flexedHeights = this.computeFlexedSizes( flexedComponents, targetHeight - totalUnflexedHeight );
 				
 				for( i = 0, len = flexedComponents.length; i < len; i++ ) {
 					childComponent = flexedComponents[ i ];
 					
-					// Now size the flexed component based on the flex value
-					var newChildHeight = ( childComponent.flex / totalFlex ) * remainingTargetHeight;
-					trimmedPixels += newChildHeight % 1;            // take the decimal value from the child height. Ex: 3.25 % 1 == 0.25  (We'll use this later).
-					newChildHeight = Math.floor( newChildHeight );  // and do the actual trimming off of the decimal for the new child height
-					
-					// If sizing the last component, add in (the smallest whole number of) the decimal value pixels that were trimmed from previous components
-					if( i === len - 1 ) {
-						newChildHeight += Math.floor( trimmedPixels );
-					}
-					
-					this.sizeComponent( childComponent, targetWidth, newChildHeight );
+					this.sizeComponent( childComponent, ( isStretch ) ? this.getStretchWidth( childComponent, $targetEl ) : undefined, flexedHeights[ i ] );
+					totalFlexedHeight += flexedHeights[ i ];
+				}
+			}
+			
+			if( !isStretch ) {
+				if( !this.$clearEl ) {
+					this.$clearEl = jQuery( '<div class="gui-layout-vbox-clear" />' );  // to clear the floats
 				}
+				$targetEl.append( this.$clearEl );
+			
+			} else if( this.$clearEl ) {
+				this.$clearEl.detach();
 			}
+			
+			// Finally, position the components for the `pack` and `align` configs
+			this.positionComponents( visibleComponents, targetHeight - totalUnflexedHeight - totalFlexedHeight, $targetEl.width() );
+		},
+		
+		
+		/**
+		 * Retrieves the width to size a flexed child component to when the {@link #align} config is 'stretch'.
+		 * 
+		 * A width of '100%' is used when possible to allow the browser to resize the component, but this can only be used
+		 * when the component has no horizontal margin, padding, or border. Otherwise, the width of the `$targetEl` is used.
+		 * 
+		 * @protected
+		 * @param {gui.Component} component
+		 * @param {jQuery} $targetEl
+		 * @return {Number/String}
+		 */
+		getStretchWidth : function( component, $targetEl ) {
+			var frameWidth = component.getMargin( 'lr' ) + component.getPadding( 'lr' ) + component.getBorderWidth( 'lr' );
+			
+			return ( frameWidth === 0 ) ? '100%' : $targetEl.width();
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.$clearEl ) {
+				this.$clearEl.remove();
+			}
+			
+			this._super( arguments );
 		}
 		
 	} );
@@ -0,0 +1,632 @@
+/*global define */
+define( [
+	'jquery',
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Component',
+	'gui/template/LoDash',
+	'gui/util/Date'
+], function( jQuery, _, ComponentManager, Component, LoDashTpl, DateUtil ) {
+	
+	/**
+	 * @class gui.picker.Date
+	 * @extends gui.Component
+	 * @alias type.datepicker
+	 * 
+	 * A calendar for picking a date. One month is shown at a time, which may be changed with the previous and next month
+	 * buttons. A date is picked by clicking it, which fires the {@link #select} event.
+	 * 
+	 *     var picker = new DatePicker( {
+	 *         renderTo : 'body',
+	 *         minDate  : new Date(),  // no dates in the past
+	 *         disabledDays : [ 0, 6 ],  // no weekends
+	 * 
+	 *         listeners : {
+	 *             'select' : function( picker, date ) { console.log( "Picked: ", date ); }
+	 *         }
+	 *     } );
+	 * 
+	 * Dates before the {@link #minDate}, after the {@link #maxDate}, or which are in the {@link #disabledDates} or
+	 * {@link #disabledDays} may not be picked. Week numbers may be shown with the {@link #showWeekNumbers} config.
+	 * 
+	 * The calendar may be operated with the keyboard once it is focused:
+	 * 
+	 * - The arrow keys move the active date by a day (left and right) or a week (up and down).
+	 * - Page Up and Page Down move the active date by a month, or by a year when shift is held.
+	 * - Home and End move the active date to the first or last day of the month.
+	 * - Enter or space picks the active date.
+	 * - Escape fires the {@link #cancel} event.
+	 */
+	var DatePicker = Component.extend( {
+		
+		/**
+		 * @cfg {Date} value
+		 * 
+		 * The initially selected date, if any.
+		 */
+		value : null,
+		
+		/**
+		 * @cfg {Date} minDate
+		 * 
+		 * The earliest date that may be picked, or `null` for no minimum.
+		 */
+		minDate : null,
+		
+		/**
+		 * @cfg {Date} maxDate
+		 * 
+		 * The latest date that may be picked, or `null` for no maximum.
+		 */
+		maxDate : null,
+		
+		/**
+		 * @cfg {Date[]} disabledDates
+		 * 
+		 * Specific dates which may not be picked.
+		 */
+		
+		/**
+		 * @cfg {Number[]} disabledDays
+		 * 
+		 * The days of the week which may not be picked, where 0 is Sunday and 6 is Saturday. Ex: `[ 0, 6 ]` to disable
+		 * weekends.
+		 */
+		
+		/**
+		 * @cfg {Boolean} showWeekNumbers
+		 * 
+		 * `true` to show the ISO 8601 week number of each week in a column to the left of the calendar.
+		 */
+		showWeekNumbers : false,
+		
+		/**
+		 * @cfg {Number} startDay
+		 * 
+		 * The day that weeks start on, where 0 is Sunday and 6 is Saturday.
+		 */
+		startDay : 0,
+		
+		/**
+		 * @cfg {String[]} dayNames
+		 * 
+		 * The (abbreviated) names of the days of the week to show in the calendar's header, starting with Sunday. These may
+		 * be replaced for localization. The month names are taken from {@link gui.util.Date#monthNames}.
+		 */
+		dayNames : [ 'Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa' ],
+		
+		/**
+		 * @cfg {String} weekNumberHeaderText
+		 * 
+		 * The text for the header of the week numbers column, when {@link #showWeekNumbers} is true.
+		 */
+		weekNumberHeaderText : "Wk",
+		
+		/**
+		 * @cfg {String} prevMonthText
+		 * 
+		 * The tooltip text for the previous month button.
+		 */
+		prevMonthText : "Previous Month",
+		
+		/**
+		 * @cfg {String} nextMonthText
+		 * 
+		 * The tooltip text for the next month button.
+		 */
+		nextMonthText : "Next Month",
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		baseCls : 'gui-picker-date',
+		
+		
+		/**
+		 * @private
+		 * @property {Date} viewDate
+		 * 
+		 * The first day of the month that is currently shown.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Date} activeDate
+		 * 
+		 * The date which is the target of keyboard navigation, and which is picked when enter is pressed.
+		 */
+		
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		renderTpl : new LoDashTpl( [
+			'<div class="<%= baseCls %>-header">',
+				'<div id="<%= elId %>-prevBtn" class="<%= baseCls %>-prevBtn gui-icon-triangle-1-w" role="button" title="<%= prevMonthText %>"></div>',
+				'<div id="<%= elId %>-title" class="<%= baseCls %>-title" aria-live="polite"></div>',
+				'<div id="<%= elId %>-nextBtn" class="<%= baseCls %>-nextBtn gui-icon-triangle-1-e" role="button" title="<%= nextMonthText %>"></div>',
+			'</div>',
+			'<table id="<%= elId %>-grid" class="<%= baseCls %>-grid" role="grid" tabindex="0" aria-labelledby="<%= elId %>-title"></table>'
+		] ),
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			this._super( arguments );
+			
+			this.addEvents(
+				/**
+				 * Fires when a date is picked, by clicking it or with the keyboard.
+				 * 
+				 * @event select
+				 * @param {gui.picker.Date} picker This DatePicker instance.
+				 * @param {Date} date The picked date.
+				 */
+				'select',
+				
+				/**
+				 * Fires when the escape key is pressed in the calendar. This may be used by a {@link gui.form.field.Date}
+				 * to close the picker without picking a date.
+				 * 
+				 * @event cancel
+				 * @param {gui.picker.Date} picker This DatePicker instance.
+				 */
+				'cancel'
+			);
+			
+			this.value = ( this.value ) ? DateUtil.clearTime( this.value ) : null;
+			this.minDate = ( this.minDate ) ? DateUtil.clearTime( this.minDate ) : null;
+			this.maxDate = ( this.maxDate ) ? DateUtil.clearTime( this.maxDate ) : null;
+			
+			this.activeDate = this.constrainDate( this.value || DateUtil.clearTime( new Date() ) );
+			this.viewDate = this.getFirstOfMonth( this.activeDate );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		getRenderTplData : function() {
+			return _.assign( this._super( arguments ), {
+				prevMonthText : this.prevMonthText,
+				nextMonthText : this.nextMonthText
+			} );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var elId = this.elId;
+			
+			this.$titleEl = jQuery( '#' + elId + '-title' );
+			this.$prevBtn = jQuery( '#' + elId + '-prevBtn' ).on( 'click', _.bind( this.showPrevMonth, this ) );
+			this.$nextBtn = jQuery( '#' + elId + '-nextBtn' ).on( 'click', _.bind( this.showNextMonth, this ) );
+			
+			this.$gridEl = jQuery( '#' + elId + '-grid' )
+				.on( 'keydown', _.bind( this.onKeyDown, this ) )
+				.on( 'click', 'td[data-date]', _.bind( this.onDateClick, this ) );
+			
+			this.redraw();
+		},
+		
+		
+		// --------------------------------------
+		
+		// Value and configuration
+		
+		
+		/**
+		 * Sets the selected date, and shows its month.
+		 * 
+		 * @param {Date} date The date, or `null` for no selected date.
+		 */
+		setValue : function( date ) {
+			this.value = ( date ) ? DateUtil.clearTime( date ) : null;
+			
+			this.setActiveDate( this.value || DateUtil.clearTime( new Date() ) );
+			this.redraw();
+		},
+		
+		
+		/**
+		 * Retrieves the selected date.
+		 * 
+		 * @return {Date} The selected date, or `null` if there is none.
+		 */
+		getValue : function() {
+			return ( this.value ) ? new Date( this.value.getTime() ) : null;
+		},
+		
+		
+		/**
+		 * Sets the {@link #minDate}.
+		 * 
+		 * @param {Date} date The date, or `null` for no minimum.
+		 */
+		setMinDate : function( date ) {
+			this.minDate = ( date ) ? DateUtil.clearTime( date ) : null;
+			
+			this.setActiveDate( this.activeDate );
+			this.redraw();
+		},
+		
+		
+		/**
+		 * Sets the {@link #maxDate}.
+		 * 
+		 * @param {Date} date The date, or `null` for no maximum.
+		 */
+		setMaxDate : function( date ) {
+			this.maxDate = ( date ) ? DateUtil.clearTime( date ) : null;
+			
+			this.setActiveDate( this.activeDate );
+			this.redraw();
+		},
+		
+		
+		/**
+		 * Determines if a date may not be picked, because it is outside of the {@link #minDate} and {@link #maxDate}, or it
+		 * is one of the {@link #disabledDates} or {@link #disabledDays}.
+		 * 
+		 * @param {Date} date
+		 * @return {Boolean}
+		 */
+		isDateDisabled : function( date ) {
+			date = DateUtil.clearTime( date );
+			
+			return ( !!this.minDate && date < this.minDate ) ||
+			       ( !!this.maxDate && date > this.maxDate ) ||
+			       _.contains( this.disabledDays || [], date.getDay() ) ||
+			       _.some( this.disabledDates || [], function( disabledDate ) { return DateUtil.isSameDay( date, disabledDate ); } );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Navigation
+		
+		
+		/**
+		 * Shows the month of the given date. A month which is entirely before the {@link #minDate} or after the
+		 * {@link #maxDate} is not shown.
+		 * 
+		 * @param {Date} date
+		 */
+		showMonth : function( date ) {
+			var firstOfMonth = this.getFirstOfMonth( date ),
+			    lastOfMonth = DateUtil.addDays( DateUtil.addMonths( firstOfMonth, 1 ), -1 );
+			
+			if( ( this.minDate && lastOfMonth < this.minDate ) || ( this.maxDate && firstOfMonth > this.maxDate ) ) {
+				return;
+			}
+			
+			this.viewDate = firstOfMonth;
+			
+			// Keep the active date in the shown month, so that keyboard navigation continues from there
+			if( !this.isInViewMonth( this.activeDate ) ) {
+				this.activeDate = this.constrainDate( DateUtil.addMonths( this.activeDate, this.getMonthDiff( this.activeDate, date ) ) );
+			}
+			this.redraw();
+		},
+		
+		
+		/**
+		 * Shows the previous month.
+		 */
+		showPrevMonth : function() {
+			this.showMonth( DateUtil.addMonths( this.viewDate, -1 ) );
+		},
+		
+		
+		/**
+		 * Shows the next month.
+		 */
+		showNextMonth : function() {
+			this.showMonth( DateUtil.addMonths( this.viewDate, 1 ) );
+		},
+		
+		
+		/**
+		 * Sets the {@link #activeDate} (constrained to the {@link #minDate} and {@link #maxDate}), showing its month if it
+		 * is not the currently shown one.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 */
+		setActiveDate : function( date ) {
+			date = this.constrainDate( date );
+			this.activeDate = date;
+			
+			if( !this.isInViewMonth( date ) ) {
+				this.viewDate = this.getFirstOfMonth( date );
+				this.redraw();
+			
+			} else if( this.rendered ) {
+				var activeCls = this.baseCls + '-day-active',
+				    $cellEl = this.getDateCell( date );
+				
+				this.$gridEl.find( '.' + activeCls ).removeClass( activeCls );
+				$cellEl.addClass( activeCls );
+				this.$gridEl.attr( 'aria-activedescendant', $cellEl.attr( 'id' ) );
+			}
+		},
+		
+		
+		/**
+		 * Picks a date: sets it as the value, and fires the {@link #select} event.
+		 * 
+		 * @protected
+		 * @param {Date} date
+		 */
+		selectDate : function( date ) {
+			if( this.isDateDisabled( date ) ) return;
+			
+			this.setValue( date );
+			this.fireEvent( 'select', this, this.getValue() );
+		},
+		
+		
+		/**
+		 * Focuses the calendar, for keyboard navigation.
+		 * 
+		 * @chainable
+		 */
+		focus : function() {
+			if( this.rendered ) {
+				this.$gridEl.focus();
+			}
+			return this;
+		},
+		
+		
+		// --------------------------------------
+		
+		// Rendering
+		
+		
+		/**
+		 * Renders the shown month into the calendar's grid.
+		 * 
+		 * @protected
+		 */
+		redraw : function() {
+			if( !this.rendered ) return;
+			
+			var baseCls = this.baseCls,
+			    viewDate = this.viewDate,
+			    startDay = this.startDay,
+			    dayNames = this.dayNames,
+			    showWeekNumbers = this.showWeekNumbers,
+			    today = DateUtil.clearTime( new Date() ),
+			    gridStart = DateUtil.addDays( viewDate, -( ( viewDate.getDay() - startDay + 7 ) % 7 ) ),
+			    markup = [ '<thead><tr>' ],
+			    i;
+			
+			if( showWeekNumbers ) {
+				markup.push( '<th class="' + baseCls + '-weekNumberHeader" scope="col">' + this.weekNumberHeaderText + '</th>' );
+			}
+			for( i = 0; i < 7; i++ ) {
+				markup.push( '<th scope="col">' + dayNames[ ( startDay + i ) % 7 ] + '</th>' );
+			}
+			markup.push( '</tr></thead><tbody>' );
+			
+			// Always render 6 weeks, so that the calendar's height doesn't change between months
+			for( var week = 0; week < 6; week++ ) {
+				var weekStart = DateUtil.addDays( gridStart, week * 7 );
+				markup.push( '<tr>' );
+				
+				if( showWeekNumbers ) {
+					var thursday = DateUtil.addDays( weekStart, ( 4 - startDay + 7 ) % 7 );  // an ISO week is numbered by its Thursday
+					markup.push( '<td class="' + baseCls + '-weekNumber">' + DateUtil.getWeekOfYear( thursday ) + '</td>' );
+				}
+				
+				for( i = 0; i < 7; i++ ) {
+					markup.push( this.getDateCellMarkup( DateUtil.addDays( weekStart, i ), today ) );
+				}
+				markup.push( '</tr>' );
+			}
+			markup.push( '</tbody>' );
+			
+			this.$gridEl.html( markup.join( "" ) );
+			this.$gridEl.attr( 'aria-activedescendant', this.elId + '-' + DateUtil.format( this.activeDate, 'yyyyMMdd' ) );
+			this.$titleEl.html( DateUtil.format( viewDate, 'MMMM yyyy' ) );
+			
+			// Disable the previous and next month buttons if there are no dates to pick in those months
+			var disabledBtnCls = baseCls + '-navBtn-disabled';
+			this.$prevBtn.toggleClass( disabledBtnCls, !!this.minDate && DateUtil.addDays( viewDate, -1 ) < this.minDate );
+			this.$nextBtn.toggleClass( disabledBtnCls, !!this.maxDate && DateUtil.addMonths( viewDate, 1 ) > this.maxDate );
+		},
+		
+		
+		/**
+		 * Retrieves the markup for the grid cell of a date.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 * @param {Date} today Today's date, which is highlighted.
+		 * @return {String}
+		 */
+		getDateCellMarkup : function( date, today ) {
+			var baseCls = this.baseCls,
+			    dayCls = baseCls + '-day',
+			    disabled = this.isDateDisabled( date ),
+			    selected = DateUtil.isSameDay( date, this.value ),
+			    cls = [ dayCls ];
+			
+			if( !this.isInViewMonth( date ) ) cls.push( dayCls + '-otherMonth' );
+			if( DateUtil.isSameDay( date, today ) ) cls.push( dayCls + '-today' );
+			if( selected ) cls.push( dayCls + '-selected' );
+			if( disabled ) cls.push( dayCls + '-disabled' );
+			if( DateUtil.isSameDay( date, this.activeDate ) ) cls.push( dayCls + '-active' );
+			
+			return [
+				'<td id="' + this.elId + '-' + DateUtil.format( date, 'yyyyMMdd' ) + '"',
+				' class="' + cls.join( " " ) + '"',
+				' data-date="' + DateUtil.format( date, 'yyyy-MM-dd' ) + '"',
+				' role="gridcell" aria-selected="' + selected + '"',
+				( disabled ? ' aria-disabled="true"' : '' ),
+				'>',
+					date.getDate(),
+				'</td>'
+			].join( "" );
+		},
+		
+		
+		/**
+		 * Retrieves the grid cell for a date in the shown month.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 * @return {jQuery}
+		 */
+		getDateCell : function( date ) {
+			return this.$gridEl.find( 'td[data-date="' + DateUtil.format( date, 'yyyy-MM-dd' ) + '"]' );
+		},
+		
+		
+		// --------------------------------------
+		
+		// Event handlers
+		
+		
+		/**
+		 * Handles a click on a date in the calendar, by picking it.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onDateClick : function( evt ) {
+			this.selectDate( DateUtil.parse( jQuery( evt.currentTarget ).attr( 'data-date' ), 'yyyy-MM-dd' ) );
+		},
+		
+		
+		/**
+		 * Handles a keydown event in the calendar's grid, to navigate and pick dates with the keyboard.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onKeyDown : function( evt ) {
+			var activeDate = this.activeDate;
+			
+			switch( evt.keyCode ) {
+				case 37 :  // left arrow
+					this.setActiveDate( DateUtil.addDays( activeDate, -1 ) );
+					break;
+				
+				case 39 :  // right arrow
+					this.setActiveDate( DateUtil.addDays( activeDate, 1 ) );
+					break;
+				
+				case 38 :  // up arrow
+					this.setActiveDate( DateUtil.addDays( activeDate, -7 ) );
+					break;
+				
+				case 40 :  // down arrow
+					this.setActiveDate( DateUtil.addDays( activeDate, 7 ) );
+					break;
+				
+				case 33 :  // page up
+					this.setActiveDate( DateUtil.addMonths( activeDate, evt.shiftKey ? -12 : -1 ) );
+					break;
+				
+				case 34 :  // page down
+					this.setActiveDate( DateUtil.addMonths( activeDate, evt.shiftKey ? 12 : 1 ) );
+					break;
+				
+				case 36 :  // home
+					this.setActiveDate( this.getFirstOfMonth( activeDate ) );
+					break;
+				
+				case 35 :  // end
+					this.setActiveDate( new Date( activeDate.getFullYear(), activeDate.getMonth(), DateUtil.getDaysInMonth( activeDate.getFullYear(), activeDate.getMonth() ) ) );
+					break;
+				
+				case 13 :  // enter
+				case 32 :  // space
+					this.selectDate( activeDate );
+					break;
+				
+				case 27 :  // escape
+					this.fireEvent( 'cancel', this );
+					evt.stopPropagation();  // don't let an ancestor (such as a Window) react to the escape key as well
+					break;
+				
+				default :
+					return;  // not a key that the calendar handles
+			}
+			evt.preventDefault();
+		},
+		
+		
+		// --------------------------------------
+		
+		// Utility methods
+		
+		
+		/**
+		 * Constrains a date to the {@link #minDate} and {@link #maxDate}.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 * @return {Date}
+		 */
+		constrainDate : function( date ) {
+			if( this.minDate && date < this.minDate ) return this.minDate;
+			if( this.maxDate && date > this.maxDate ) return this.maxDate;
+			return date;
+		},
+		
+		
+		/**
+		 * Determines if a date is in the month that is currently shown.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 * @return {Boolean}
+		 */
+		isInViewMonth : function( date ) {
+			return date.getFullYear() === this.viewDate.getFullYear() && date.getMonth() === this.viewDate.getMonth();
+		},
+		
+		
+		/**
+		 * Retrieves the first day of a date's month.
+		 * 
+		 * @private
+		 * @param {Date} date
+		 * @return {Date}
+		 */
+		getFirstOfMonth : function( date ) {
+			return new Date( date.getFullYear(), date.getMonth(), 1 );
+		},
+		
+		
+		/**
+		 * Retrieves the number of months from one date's month to another's.
+		 * 
+		 * @private
+		 * @param {Date} fromDate
+		 * @param {Date} toDate
+		 * @return {Number}
+		 */
+		getMonthDiff : function( fromDate, toDate ) {
+			return ( toDate.getFullYear() - fromDate.getFullYear() ) * 12 + ( toDate.getMonth() - fromDate.getMonth() );
+		}
+	
+	} );
+	
+	
+	ComponentManager.registerType( 'datepicker', DatePicker );
+	
+	return DatePicker;
+	
+} );
\ No newline at end of file
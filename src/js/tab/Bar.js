@@ -1,9 +1,13 @@
 /*global define */
 define( [
+	'jquery',
+	'lodash',
 	'gui/ComponentManager',
 	'gui/Container',
-	'gui/tab/Tab'
-], function( ComponentManager, Container, Tab ) {
+	'gui/tab/Tab',
+	'gui/template/LoDash',
+	'jquery-ui/position'  // jQuery UI's `position` plugin
+], function( jQuery, _, ComponentManager, Container, Tab, LoDashTpl ) {
 	
 	/**
 	 * @class gui.tab.Bar
@@ -11,9 +15,47 @@ define( [
 	 * @alias type.tabbar
 	 * 
 	 * Specialized container for a {@link gui.tab.Panel Tab Panel's} tabs.
+	 * 
+	 * The tabs are laid out in a single row. When there are more tabs than fit in the width of the bar, scroll arrows
+	 * are shown at either end of the bar (if the {@link #scrollable} config is true), and an overflow menu button which
+	 * lists all of the tabs may be shown as well (if the {@link #overflowMenu} config is true). The active tab is
+	 * automatically scrolled into view when it is set with {@link #setActiveTab}.
+	 * 
+	 * When the parent TabPanel is {@link gui.tab.Panel#reorderable reorderable}, the TabBar shows a drop indicator
+	 * while a tab is being dragged (see {@link #showDropIndicator}).
 	 */
 	var TabBar = Container.extend( {
 		
+		/**
+		 * @cfg {Boolean} scrollable
+		 * 
+		 * `true` to show scroll arrows at either end of the bar when the tabs do not fit in the width of the bar.
+		 * Clicking an arrow scrolls the tabs by the {@link #scrollIncrement}.
+		 */
+		scrollable : true,
+		
+		/**
+		 * @cfg {Number} scrollIncrement
+		 * 
+		 * The number of pixels to scroll the tabs by when one of the scroll arrows is clicked.
+		 */
+		scrollIncrement : 100,
+		
+		/**
+		 * @cfg {Number} scrollDuration
+		 * 
+		 * The duration, in milliseconds, of the animation when scrolling the tabs. Set to 0 for no animation.
+		 */
+		scrollDuration : 200,
+		
+		/**
+		 * @cfg {Boolean} overflowMenu
+		 * 
+		 * `true` to show a button at the end of the bar when the tabs do not fit in the width of the bar, which opens
+		 * a menu listing all of the tabs. Selecting a tab from the menu activates it, as if it had been clicked.
+		 */
+		overflowMenu : false,
+		
 		/**
 		 * @cfg
 		 * @inheritdoc
@@ -26,10 +68,129 @@ define( [
 		 */
 		componentCls : 'gui-tabPanel-bar',
 		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		renderTpl : new LoDashTpl( [
+			'<div id="<%= elId %>-scrollLeft" class="<%= componentCls %>-scroller <%= componentCls %>-scroller-left gui-icon-triangle-1-w"></div>',
+			'<div id="<%= elId %>-strip" class="<%= componentCls %>-strip">',
+				'<div id="<%= elId %>-body" class="<%= componentCls %>-body"></div>',
+			'</div>',
+			'<div id="<%= elId %>-scrollRight" class="<%= componentCls %>-scroller <%= componentCls %>-scroller-right gui-icon-triangle-1-e"></div>',
+			'<% if( overflowMenu ) { %>',
+				'<div id="<%= elId %>-overflowBtn" class="<%= componentCls %>-overflowBtn gui-icon-triangle-1-s"></div>',
+			'<% } %>'
+		] ),
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $stripEl
+		 * 
+		 * The element which clips the tabs to the width of the bar, and is scrolled to bring tabs into view. Created
+		 * when the TabBar is rendered.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $bodyEl
+		 * 
+		 * The element which the tabs are rendered into. Created when the TabBar is rendered.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $overflowMenu
+		 * 
+		 * The overflow menu element, which is appended to the document body. Only created when the {@link #overflowMenu}
+		 * config is true, and the TabBar is rendered.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Boolean} overflowMenuOpen
+		 * 
+		 * Flag which is set to `true` while the {@link #$overflowMenu overflow menu} is shown.
+		 */
+		overflowMenuOpen : false,
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $dropIndicatorEl
+		 * 
+		 * The element which marks the position that a tab being dragged will be dropped at. Lazily created by
+		 * {@link #showDropIndicator}.
+		 */
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		getRenderTplData : function() {
+			return _.assign( this._super( arguments ), {
+				overflowMenu : this.overflowMenu
+			} );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			var elId = this.elId;
+			this.$stripEl = jQuery( '#' + elId + '-strip' );
+			this.$bodyEl = jQuery( '#' + elId + '-body' );
+			
+			jQuery( '#' + elId + '-scrollLeft' ).on( 'click', _.bind( this.onScrollerClick, this, -1 ) );
+			jQuery( '#' + elId + '-scrollRight' ).on( 'click', _.bind( this.onScrollerClick, this, 1 ) );
+			
+			if( this.overflowMenu ) {
+				this.$overflowBtnEl = jQuery( '#' + elId + '-overflowBtn' ).on( 'click', _.bind( this.toggleOverflowMenu, this ) );
+				
+				this.$overflowMenu = jQuery( '<ul class="' + this.componentCls + '-overflowMenu" />' ).hide().appendTo( 'body' );
+				this.$overflowMenu.on( 'click', 'li', _.bind( this.onOverflowMenuItemClick, this ) );
+				
+				this.documentMouseDownHandler = _.bind( this.onDocumentMouseDown, this );  // save a reference to the wrapped function so it can be unbound later
+			}
+		},
+		
+		
+		/**
+		 * Override of superclass method, used to specify the {@link #$bodyEl} as the target for the tabs.
+		 * 
+		 * @protected
+		 * @return {jQuery}
+		 */
+		getContentTarget : function() {
+			return this.$bodyEl;
+		},
+		
+		
+		/**
+		 * Extension of the superclass method, used to show or hide the scroll arrows and overflow menu button for the
+		 * new set of tabs, and to keep the active tab in view.
+		 * 
+		 * @protected
+		 */
+		onLayout : function() {
+			this._super( arguments );
+			
+			this.updateOverflow();
+			
+			var activeTab = this.getActiveTab();
+			if( activeTab ) {
+				this.scrollTabIntoView( activeTab, /* animate */ false );
+			}
+		},
+		
 		
 		/**
 		 * Sets the "active" tab based on the given activated {@link gui.panel.Panel Panel} which corresponds
-		 * to it. All other tabs will be set to "inactive".
+		 * to it. All other tabs will be set to "inactive". If the TabBar is rendered, the active tab is scrolled
+		 * into view.
 		 * 
 		 * @param {gui.panel.Panel} panel The Panel that corresponds to the Tab that should be made active.
 		 *   If `null` is provided, or a Panel that does not have a corresponding Tab, then all tabs will
@@ -37,7 +198,7 @@ define( [
 		 * @chainable
 		 */
 		setActiveTab : function( panel ) {
-			var tabs = this.getItems(), 
+			var tabs = this.getItems(),
 			    tab;
 			
 			for( var i = 0, len = tabs.length; i < len; i++ ) {
@@ -45,9 +206,349 @@ define( [
 				
 				tab[ ( tab.getCorrespondingPanel() === panel ) ? 'setActive' : 'setInactive' ]();
 			}
+			
+			var activeTab = this.getActiveTab();
+			if( activeTab && this.rendered ) {
+				this.scrollTabIntoView( activeTab );
+			}
 			return this;
-		}
+		},
+		
+		
+		/**
+		 * Retrieves the active {@link gui.tab.Tab Tab}.
+		 * 
+		 * @return {gui.tab.Tab} The active Tab, or `null` if there is no active Tab.
+		 */
+		getActiveTab : function() {
+			return _.find( this.getItems(), function( tab ) { return tab.isActive(); } ) || null;
+		},
 		
+		
+		// ------------------------------------------
+		
+		// Scrolling
+		
+		
+		/**
+		 * Determines if the tabs are wider than the bar, in which case the scroll arrows (if {@link #scrollable}) and
+		 * overflow menu button (if {@link #overflowMenu} is enabled) are shown.
+		 * 
+		 * @return {Boolean} `true` if the tabs overflow the bar. Always `false` if the TabBar is not rendered.
+		 */
+		isOverflowing : function() {
+			return this.rendered && this.$bodyEl[ 0 ].scrollWidth > this.$el.width();
+		},
+		
+		
+		/**
+		 * Shows or hides the scroll arrows and overflow menu button, based on if the tabs {@link #isOverflowing overflow}
+		 * the bar.
+		 * 
+		 * @protected
+		 */
+		updateOverflow : function() {
+			if( !this.rendered ) return;
+			
+			var componentCls = this.componentCls,
+			    overflowing = this.isOverflowing();
+			
+			this.$el.toggleClass( componentCls + '-scrolling', overflowing && this.scrollable );
+			this.$el.toggleClass( componentCls + '-showOverflowBtn', overflowing && this.overflowMenu );
+			
+			if( !overflowing ) {
+				this.$stripEl.stop( true ).scrollLeft( 0 );
+				this.hideOverflowMenu();
+			}
+			this.updateScrollers( this.$stripEl.scrollLeft() );
+		},
+		
+		
+		/**
+		 * Enables or disables the scroll arrows, based on if the tabs may be scrolled any further in each direction.
+		 * 
+		 * @private
+		 * @param {Number} scrollPos The (target) scroll position of the tabs.
+		 */
+		updateScrollers : function( scrollPos ) {
+			var disabledCls = this.componentCls + '-scroller-disabled';
+			
+			jQuery( '#' + this.elId + '-scrollLeft' ).toggleClass( disabledCls, scrollPos <= 0 );
+			jQuery( '#' + this.elId + '-scrollRight' ).toggleClass( disabledCls, scrollPos >= this.getMaxScrollPosition() );
+		},
+		
+		
+		/**
+		 * Retrieves the maximum position that the tabs may be scrolled to.
+		 * 
+		 * @protected
+		 * @return {Number}
+		 */
+		getMaxScrollPosition : function() {
+			var stripEl = this.$stripEl[ 0 ];
+			
+			return Math.max( stripEl.scrollWidth - stripEl.clientWidth, 0 );
+		},
+		
+		
+		/**
+		 * Scrolls the tabs to the given position.
+		 * 
+		 * @param {Number} scrollPos The position (in pixels from the start of the first tab) to scroll to. This is limited
+		 *   to the range that the tabs may be scrolled in.
+		 * @param {Boolean} [animate=true] `false` to scroll the tabs without animating. The tabs are also scrolled without
+		 *   animating if the {@link #scrollDuration} config is 0.
+		 */
+		scrollTo : function( scrollPos, animate ) {
+			if( !this.rendered ) return;
+			
+			var $stripEl = this.$stripEl;
+			
+			scrollPos = Math.max( Math.min( scrollPos, this.getMaxScrollPosition() ), 0 );
+			$stripEl.stop( true );
+			
+			if( animate !== false && this.scrollDuration > 0 ) {
+				$stripEl.animate( { scrollLeft: scrollPos }, this.scrollDuration );
+			} else {
+				$stripEl.scrollLeft( scrollPos );
+			}
+			this.updateScrollers( scrollPos );
+		},
+		
+		
+		/**
+		 * Scrolls the tabs by the given number of pixels from their current position.
+		 * 
+		 * @param {Number} delta The number of pixels to scroll by. A negative number scrolls towards the first tab.
+		 * @param {Boolean} [animate=true] `false` to scroll the tabs without animating.
+		 */
+		scrollBy : function( delta, animate ) {
+			if( this.rendered ) {
+				this.scrollTo( this.$stripEl.scrollLeft() + delta, animate );
+			}
+		},
+		
+		
+		/**
+		 * Scrolls the tabs the least amount necessary to bring the given `tab` completely into view.
+		 * 
+		 * @param {gui.tab.Tab} tab
+		 * @param {Boolean} [animate=true] `false` to scroll the tabs without animating.
+		 */
+		scrollTabIntoView : function( tab, animate ) {
+			if( !this.rendered || !tab.isRendered() ) return;
+			
+			var stripEl = this.$stripEl[ 0 ],
+			    tabEl = tab.getEl()[ 0 ],
+			    tabLeft = tabEl.offsetLeft,  // relative to the strip element, which is the tab's offsetParent
+			    tabRight = tabLeft + tabEl.offsetWidth,
+			    scrollPos = stripEl.scrollLeft;
+			
+			if( tabLeft < scrollPos ) {
+				this.scrollTo( tabLeft, animate );
+			} else if( tabRight > scrollPos + stripEl.clientWidth ) {
+				this.scrollTo( tabRight - stripEl.clientWidth, animate );
+			}
+		},
+		
+		
+		/**
+		 * Handles a click to one of the scroll arrows.
+		 * 
+		 * @protected
+		 * @param {Number} direction -1 for the left arrow, or 1 for the right arrow.
+		 */
+		onScrollerClick : function( direction ) {
+			this.scrollBy( direction * this.scrollIncrement );
+		},
+		
+		
+		// ------------------------------------------
+		
+		// Overflow menu
+		
+		
+		/**
+		 * Shows the {@link #overflowMenu overflow menu}, listing all of the (visible) tabs. Has no effect if the
+		 * {@link #overflowMenu} config is false, or the TabBar is not rendered.
+		 */
+		showOverflowMenu : function() {
+			if( !this.$overflowMenu || this.overflowMenuOpen ) return;
+			
+			var componentCls = this.componentCls,
+			    itemCls = componentCls + '-overflowMenu-item',
+			    tabs = this.getItems(),
+			    markup = [];
+			
+			for( var i = 0, len = tabs.length; i < len; i++ ) {
+				if( !tabs[ i ].isHidden() ) {
+					markup.push(
+						'<li class="' + itemCls + ( tabs[ i ].isActive() ? ' ' + itemCls + '-active' : '' ) + '" data-tabidx="' + i + '">',
+							tabs[ i ].text,
+						'</li>'
+					);
+				}
+			}
+			
+			this.overflowMenuOpen = true;
+			this.$overflowMenu.html( markup.join( "" ) ).show();
+			this.$overflowMenu.position( {
+				my : 'right top',
+				at : 'right bottom',
+				of : this.$overflowBtnEl,
+				collision : 'flipfit'
+			} );
+			
+			jQuery( document ).on( 'mousedown', this.documentMouseDownHandler );
+		},
+		
+		
+		/**
+		 * Hides the {@link #overflowMenu overflow menu}, if it is shown.
+		 */
+		hideOverflowMenu : function() {
+			if( !this.overflowMenuOpen ) return;
+			
+			this.overflowMenuOpen = false;
+			this.$overflowMenu.hide();
+			
+			jQuery( document ).off( 'mousedown', this.documentMouseDownHandler );
+		},
+		
+		
+		/**
+		 * Toggles the {@link #overflowMenu overflow menu}. If it is currently shown, it will be hidden, and vice versa.
+		 */
+		toggleOverflowMenu : function() {
+			this[ this.overflowMenuOpen ? 'hideOverflowMenu' : 'showOverflowMenu' ]();
+		},
+		
+		
+		/**
+		 * Handles a click to an item in the {@link #overflowMenu overflow menu}, by hiding the menu and activating the
+		 * tab, as if it had been clicked.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onOverflowMenuItemClick : function( evt ) {
+			var tab = this.getItemAt( +jQuery( evt.currentTarget ).attr( 'data-tabidx' ) );
+			
+			this.hideOverflowMenu();
+			if( tab ) {
+				tab.onClick( evt );
+			}
+		},
+		
+		
+		/**
+		 * Handles a mousedown on the document while the {@link #overflowMenu overflow menu} is shown, to hide the menu
+		 * when the mousedown is outside of both the menu and the overflow menu button.
+		 * 
+		 * @private
+		 * @param {jQuery.Event} evt
+		 */
+		onDocumentMouseDown : function( evt ) {
+			var $target = jQuery( evt.target );
+			
+			if( !$target.closest( this.$overflowMenu ).length && !$target.closest( this.$overflowBtnEl ).length ) {
+				this.hideOverflowMenu();
+			}
+		},
+		
+		
+		// ------------------------------------------
+		
+		// Drop indicator (for drag and drop reordering of tabs by the parent gui.tab.Panel)
+		
+		
+		/**
+		 * Determines the index at which a tab being dragged would be inserted if it were dropped at the given horizontal
+		 * page position, based on the midpoints of the (visible) tabs.
+		 * 
+		 * @param {Number} pageX The horizontal position of the mouse, relative to the document.
+		 * @return {Number} The insertion index, from 0 (before the first tab) to the number of tabs (after the last tab).
+		 *   Always 0 if the TabBar is not rendered.
+		 */
+		getDropIndex : function( pageX ) {
+			if( !this.rendered ) return 0;
+			
+			var tabs = this.getItems(),
+			    tab, $tabEl;
+			
+			for( var i = 0, len = tabs.length; i < len; i++ ) {
+				tab = tabs[ i ];
+				
+				if( tab.isRendered() && !tab.isHidden() ) {
+					$tabEl = tab.getEl();
+					
+					if( pageX < $tabEl.offset().left + $tabEl.outerWidth() / 2 ) {
+						return i;
+					}
+				}
+			}
+			return tabs.length;
+		},
+		
+		
+		/**
+		 * Shows the drop indicator, which marks the position that a tab being dragged will be inserted at when it is dropped.
+		 * Has no effect if the TabBar is not rendered.
+		 * 
+		 * @param {Number} idx The insertion index, as returned by {@link #getDropIndex}.
+		 */
+		showDropIndicator : function( idx ) {
+			if( !this.rendered ) return;
+			
+			var $dropIndicatorEl = this.$dropIndicatorEl,
+			    tabs = _.filter( this.getItems().slice( 0, idx ), function( tab ) { return tab.isRendered() && !tab.isHidden(); } ),
+			    nextTab = this.getItemAt( idx ),
+			    left = 0,
+			    tabEl;
+			
+			if( !$dropIndicatorEl ) {
+				$dropIndicatorEl = this.$dropIndicatorEl = jQuery( '<div class="' + this.componentCls + '-dropIndicator" />' ).appendTo( this.$stripEl );
+			}
+			
+			// Position the indicator at the start of the tab at the insertion index, or at the end of the last (visible) tab before it
+			if( nextTab && nextTab.isRendered() && !nextTab.isHidden() ) {
+				left = nextTab.getEl()[ 0 ].offsetLeft;  // relative to the strip element, which is the tab's offsetParent
+			} else if( tabs.length ) {
+				tabEl = tabs[ tabs.length - 1 ].getEl()[ 0 ];
+				left = tabEl.offsetLeft + tabEl.offsetWidth;
+			}
+			$dropIndicatorEl.css( 'left', left ).show();
+		},
+		
+		
+		/**
+		 * Hides the drop indicator shown by {@link #showDropIndicator}.
+		 */
+		hideDropIndicator : function() {
+			if( this.$dropIndicatorEl ) {
+				this.$dropIndicatorEl.hide();
+			}
+		},
+		
+		
+		// ------------------------------------------
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			if( this.$overflowMenu ) {
+				this.hideOverflowMenu();
+				this.$overflowMenu.remove();
+			}
+			if( this.rendered ) {
+				this.$stripEl.stop( true );
+			}
+			
+			this._super( arguments );
+		}
+	
 	} );
 	
 	
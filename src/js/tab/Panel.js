@@ -26,9 +26,36 @@ define( [
 	 * By default, each child Panel has its header hidden, and takes its {@link gui.panel.Panel#title} config
 	 * to use as the tab's title. To not hide each panel's header, set the {@link #hideChildPanelHeaders} config
 	 * to `false`.
+	 * 
+	 * Child panels may be configured with `closable: true` to show a close icon on their tab, which closes the panel
+	 * (see {@link #closeTab}).
+	 * 
+	 * When the {@link #reorderable} config is true, the user may drag the tabs to reorder the Panels. Tabs may also be
+	 * dragged between TabPanels in the same {@link gui.Viewport Viewport} which share a {@link #dragGroup}.
 	 */
 	var TabPanel = Panel.extend( {
 		
+		statics : {
+			
+			/**
+			 * @private
+			 * @static
+			 * @property {gui.tab.Panel[]} dragGroupTabPanels
+			 * 
+			 * The rendered {@link #reorderable} TabPanels which have a {@link #dragGroup}, which tabs may be dragged between.
+			 */
+			dragGroupTabPanels : []
+			
+		},
+		
+		
+		/**
+		 * @cfg {Boolean} closable
+		 * 
+		 * This config is to be placed on **child panels** of the TabPanel. `true` to show a close icon on the panel's
+		 * tab, which closes the panel with {@link #closeTab} when clicked.
+		 */
+		
 		/**
 		 * @cfg {Number/gui.Component} activeTab
 		 * 
@@ -46,6 +73,26 @@ define( [
 		 */
 		hideChildPanelHeaders : true,
 		
+		/**
+		 * @cfg {Boolean} reorderable
+		 * 
+		 * `true` to allow the user to drag the tabs to reorder the Panels of the TabPanel. A drop indicator is shown in
+		 * the {@link #tabBar} while a tab is being dragged, and the {@link #tabreorder} event is fired when it is dropped 
+		 * at a new position.
+		 */
+		reorderable : false,
+		
+		/**
+		 * @cfg {String} dragGroup
+		 * 
+		 * The name of a group of {@link #reorderable} TabPanels that tabs may be dragged between. A tab may be dragged from
+		 * this TabPanel into the tab bar of another TabPanel with the same `dragGroup`, as long as both TabPanels are
+		 * descendants of the same {@link gui.Viewport Viewport}. The tab's Panel is then moved into the other TabPanel.
+		 * 
+		 * If this config is not set, tabs may only be reordered within this TabPanel.
+		 */
+		dragGroup : null,
+		
 		/**
 		 * @cfg
 		 * @inheritdoc
@@ -90,6 +137,25 @@ define( [
 		 * The Container that holds the TabPanel's tabs.
 		 */
 		
+		/**
+		 * @private
+		 * @property {Object} tabDragState
+		 * 
+		 * An Object (map) which holds the state of a tab drag operation while one is in progress. Has properties `tab`,
+		 * `startX`, `startY`, `dragging` (false until the mouse has moved past the {@link #tabDragThreshold}), 
+		 * `targetTabPanel`, and `dropIdx`.
+		 */
+		tabDragState : null,
+		
+		/**
+		 * @private
+		 * @property {Number} tabDragThreshold
+		 * 
+		 * The distance, in pixels, that the mouse must be moved with the button held down on a tab before a drag is started.
+		 * This allows a tab to be clicked without it being dragged.
+		 */
+		tabDragThreshold : 5,
+		
 		
 		/**
 		 * @inheritdoc
@@ -117,7 +183,45 @@ define( [
 				 * @param {gui.panel.Panel} oldPanel The Panel instance of the tab that was de-activated. 
 				 *   Will be null if there was no previously activated tab.
 				 */
-				'tabchange'
+				'tabchange',
+				
+				/**
+				 * Fires before a tab's Panel is closed by {@link #closeTab} (such as when the close icon of a 
+				 * {@link #closable} tab is clicked). Handlers may return `false` to prevent the Panel from being closed.
+				 * 
+				 * @event beforeclose
+				 * @param {gui.tab.Panel} tabPanel This TabPanel instance.
+				 * @param {gui.panel.Panel} panel The Panel that is to be closed.
+				 * @preventable
+				 */
+				'beforeclose',
+				
+				/**
+				 * Fires when a tab's Panel has been closed by {@link #closeTab}, and removed from the TabPanel.
+				 * 
+				 * @event close
+				 * @param {gui.tab.Panel} tabPanel This TabPanel instance.
+				 * @param {gui.panel.Panel} panel The Panel that was closed. Note that this Panel will have been destroyed
+				 *   if the {@link #destroyRemoved} config is true.
+				 */
+				'close',
+				
+				/**
+				 * Fires when a tab has been dragged to a new position by the user, and its Panel has been moved to the
+				 * corresponding position in the TabPanel (when the TabPanel is {@link #reorderable}). 
+				 * 
+				 * When a tab is dragged in from another TabPanel in the same {@link #dragGroup}, this event is fired 
+				 * on the TabPanel that the Panel was moved into.
+				 * 
+				 * @event tabreorder
+				 * @param {gui.tab.Panel} tabPanel This TabPanel instance.
+				 * @param {gui.panel.Panel} panel The Panel that was moved.
+				 * @param {Number} newIdx The new index of the Panel in this TabPanel.
+				 * @param {Number} oldIdx The previous index of the Panel in the `sourceTabPanel`.
+				 * @param {gui.tab.Panel} sourceTabPanel The TabPanel that the Panel was moved from. This is this TabPanel
+				 *   instance, unless the tab was dragged in from another TabPanel.
+				 */
+				'tabreorder'
 			);
 			
 			this.tabBar = this.createTabBar();
@@ -136,6 +240,14 @@ define( [
 			this._super( arguments );
 			
 			this.tabBar.render( this.$el, /* insert before */ this.$bodyEl );
+			
+			if( this.reorderable ) {
+				this.tabBar.getEl().on( 'mousedown', '.' + Tab.prototype.componentCls, _.bind( this.onTabMouseDown, this ) );
+				
+				if( this.dragGroup ) {
+					TabPanel.dragGroupTabPanels.push( this );
+				}
+			}
 		},
 		
 		
@@ -171,6 +283,7 @@ define( [
 		createTab : function( panel ) {
 			return new Tab( {
 				text : panel.getTitle(),
+				closable : !!panel.closable,
 				correspondingPanel : panel
 			} );
 		},
@@ -189,7 +302,11 @@ define( [
 			
 			// Create a Tab for the panel
 			var tab = this.createTab( panel );
-			tab.on( 'click', this.onTabClick, this );
+			tab.on( {
+				'click'      : this.onTabClick,
+				'closeclick' : this.onTabCloseClick,
+				scope : this
+			} );
 			this.tabBar.insert( tab, idx );
 			
 			// Add the "Tab Panel Child" CSS classes to the Panel
@@ -288,6 +405,59 @@ define( [
 		},
 		
 		
+		/**
+		 * Handles a click to the close icon of a {@link gui.tab.Tab#closable closable} {@link gui.tab.Tab Tab} in the TabBar.
+		 * 
+		 * @protected
+		 * @param {gui.tab.Tab} tab The Tab whose close icon was clicked.
+		 */
+		onTabCloseClick : function( tab ) {
+			this.closeTab( tab.getCorrespondingPanel() );
+		},
+		
+		
+		/**
+		 * Closes a tab, removing its {@link gui.panel.Panel Panel} from the TabPanel (which destroys the Panel if the 
+		 * {@link #destroyRemoved} config is true). Fires the {@link #beforeclose} event first, which may prevent the Panel
+		 * from being closed. 
+		 * 
+		 * If the Panel is the active tab, the next tab is activated (or the previous tab, if the Panel is the last tab).
+		 * 
+		 * @param {gui.panel.Panel/Number} panel The Panel to close, or the index of the Panel in the TabPanel.
+		 * @return {Boolean} `true` if the Panel was closed, or `false` if it was not (because a {@link #beforeclose}
+		 *   handler returned `false`, or the Panel is not in the TabPanel).
+		 */
+		closeTab : function( panel ) {
+			if( typeof panel === 'number' ) {
+				panel = this.getItemAt( panel );
+			}
+			if( !panel || !this.has( panel ) || this.fireEvent( 'beforeclose', this, panel ) === false ) {
+				return false;
+			}
+			
+			this.activateAdjacentTab( panel );
+			this.remove( panel );
+			
+			this.fireEvent( 'close', this, panel );
+			return true;
+		},
+		
+		
+		/**
+		 * If the given `panel` is the active tab, activates the next tab (or the previous tab, if the `panel` is the last
+		 * tab). Used when the `panel` is about to be removed from the TabPanel.
+		 * 
+		 * @private
+		 * @param {gui.panel.Panel} panel
+		 */
+		activateAdjacentTab : function( panel ) {
+			if( panel === this.getActiveTab() ) {
+				var idx = this.getItemIndex( panel );
+				this.setActiveTab( this.getItemAt( idx + 1 ) || this.getItemAt( idx - 1 ) );  // Note: getItemAt() returns null for an out of range index
+			}
+		},
+		
+		
 		/**
 		 * Method that is run after a new tab has been activated (shown).
 		 * 
@@ -301,6 +471,170 @@ define( [
 		},
 		
 		
+		// ------------------------------------------
+		
+		// Drag and drop reordering of tabs
+		
+		
+		/**
+		 * Handles a mousedown on a tab when the TabPanel is {@link #reorderable}, to prepare for the tab being dragged.
+		 * The drag is not started until the mouse has been moved past the {@link #tabDragThreshold}.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onTabMouseDown : function( evt ) {
+			if( evt.which > 1 || this.tabDragState ) return;  // only drag with the primary mouse button
+			
+			var tabEl = evt.currentTarget,
+			    tab = _.find( this.tabBar.getItems(), function( tab ) { return tab.getEl()[ 0 ] === tabEl; } );
+			
+			// Don't start a drag from a tab's close icon
+			if( !tab || jQuery( evt.target ).closest( '.' + Tab.prototype.componentCls + '-closeIcon' ).length ) {
+				return;
+			}
+			evt.preventDefault();  // prevent text selection while dragging
+			
+			this.tabDragState = {
+				tab            : tab,
+				startX         : evt.pageX,
+				startY         : evt.pageY,
+				dragging       : false,
+				targetTabPanel : null,
+				dropIdx        : -1
+			};
+			
+			jQuery( document ).on( {
+				'mousemove.guiTabDrag' : _.bind( this.onTabDrag, this ),
+				'mouseup.guiTabDrag'   : _.bind( this.onTabDragEnd, this )
+			} );
+		},
+		
+		
+		/**
+		 * Handles the mouse being moved while a tab is being dragged, showing the drop indicator in the tab bar of the 
+		 * TabPanel that the tab would be dropped into.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onTabDrag : function( evt ) {
+			var dragState = this.tabDragState;
+			
+			if( !dragState.dragging ) {
+				var threshold = this.tabDragThreshold;
+				if( Math.abs( evt.pageX - dragState.startX ) < threshold && Math.abs( evt.pageY - dragState.startY ) < threshold ) {
+					return;
+				}
+				
+				dragState.dragging = true;
+				dragState.tab.addCls( Tab.prototype.componentCls + '-dragging' );
+			}
+			
+			var targetTabPanel = this.getTabDropTarget( evt.pageX, evt.pageY );
+			if( dragState.targetTabPanel && dragState.targetTabPanel !== targetTabPanel ) {
+				dragState.targetTabPanel.getTabBar().hideDropIndicator();
+			}
+			
+			var targetTabBar = targetTabPanel.getTabBar();
+			dragState.targetTabPanel = targetTabPanel;
+			dragState.dropIdx = targetTabBar.getDropIndex( evt.pageX );
+			targetTabBar.showDropIndicator( dragState.dropIdx );
+		},
+		
+		
+		/**
+		 * Handles the mouse button being released at the end of a tab drag, moving the dragged tab's Panel to the
+		 * position that it was dropped at.
+		 * 
+		 * @protected
+		 */
+		onTabDragEnd : function() {
+			var dragState = this.tabDragState;
+			
+			jQuery( document ).off( '.guiTabDrag' );
+			this.tabDragState = null;
+			
+			if( dragState.dragging ) {
+				dragState.tab.removeCls( Tab.prototype.componentCls + '-dragging' );
+				dragState.targetTabPanel.getTabBar().hideDropIndicator();
+				
+				this.onTabDrop( dragState.tab.getCorrespondingPanel(), dragState.targetTabPanel, dragState.dropIdx );
+			}
+		},
+		
+		
+		/**
+		 * Determines the TabPanel that a tab being dragged from this TabPanel would be dropped into, if it were dropped at
+		 * the given page position. This is another TabPanel in the same {@link #dragGroup} (and {@link gui.Viewport Viewport})
+		 * if the position is over its tab bar, or otherwise this TabPanel.
+		 * 
+		 * @protected
+		 * @param {Number} pageX The horizontal position of the mouse, relative to the document.
+		 * @param {Number} pageY The vertical position of the mouse, relative to the document.
+		 * @return {gui.tab.Panel}
+		 */
+		getTabDropTarget : function( pageX, pageY ) {
+			var dragGroup = this.dragGroup,
+			    dragGroupTabPanels = TabPanel.dragGroupTabPanels,
+			    viewport = this.findParentByType( 'viewport' );
+			
+			if( dragGroup && viewport ) {
+				for( var i = 0, len = dragGroupTabPanels.length; i < len; i++ ) {
+					var tabPanel = dragGroupTabPanels[ i ];
+					
+					if( tabPanel !== this && tabPanel.dragGroup === dragGroup && !tabPanel.isHidden() && tabPanel.findParentByType( 'viewport' ) === viewport ) {
+						var $tabBarEl = tabPanel.getTabBar().getEl(),
+						    offset = $tabBarEl.offset();
+						
+						if( pageX >= offset.left && pageX < offset.left + $tabBarEl.outerWidth() && 
+						    pageY >= offset.top && pageY < offset.top + $tabBarEl.outerHeight() 
+						) {
+							return tabPanel;
+						}
+					}
+				}
+			}
+			return this;
+		},
+		
+		
+		/**
+		 * Moves the Panel of a tab which has been dragged and dropped, firing the {@link #tabreorder} event on the TabPanel
+		 * that it was moved into. 
+		 * 
+		 * Panels are moved with {@link #insert}, so that the {@link gui.layout.Card Card} layout is kept consistent with
+		 * the tabs. A Panel dropped into another TabPanel is removed from this TabPanel (without being destroyed), and is
+		 * made the active tab of the other TabPanel.
+		 * 
+		 * @protected
+		 * @param {gui.panel.Panel} panel The Panel of the tab that was dropped.
+		 * @param {gui.tab.Panel} targetTabPanel The TabPanel that the tab was dropped into. This may be this TabPanel.
+		 * @param {Number} dropIdx The index that the tab was dropped at in the `targetTabPanel`'s tab bar, as returned by 
+		 *   {@link gui.tab.Bar#getDropIndex}.
+		 */
+		onTabDrop : function( panel, targetTabPanel, dropIdx ) {
+			var oldIdx = this.getItemIndex( panel );
+			
+			if( targetTabPanel === this ) {
+				var newIdx = ( dropIdx > oldIdx ) ? dropIdx - 1 : dropIdx;  // account for the Panel being removed from its old position
+				
+				if( newIdx !== oldIdx ) {
+					this.insert( panel, newIdx );  // reorders the Panel, and its tab (see onReorder())
+					this.fireEvent( 'tabreorder', this, panel, newIdx, oldIdx, this );
+				}
+				
+			} else {
+				this.activateAdjacentTab( panel );
+				
+				if( targetTabPanel.insert( panel, dropIdx ) ) {  // removes the Panel from this TabPanel (without destroying it)
+					targetTabPanel.setActiveTab( panel );
+					targetTabPanel.fireEvent( 'tabreorder', targetTabPanel, panel, targetTabPanel.getItemIndex( panel ), oldIdx, this );
+				}
+			}
+		},
+		
+		
 		// ------------------------------------------
 		
 		
@@ -308,6 +642,12 @@ define( [
 		 * @inheritdoc
 		 */
 		onDestroy : function() {
+			if( this.tabDragState ) {
+				jQuery( document ).off( '.guiTabDrag' );  // abandon a tab drag in progress
+				this.tabDragState = null;
+			}
+			_.pull( TabPanel.dragGroupTabPanels, this );
+			
 			this.tabBar.destroy();
 			
 			this._super( arguments );
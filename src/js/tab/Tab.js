@@ -23,6 +23,15 @@ define( [
 		 * {@link gui.tab.Panel TabPanel}, and is needed to map the Tab to the Panel it shows.
 		 */
 		
+		/**
+		 * @cfg {Boolean} closable
+		 * 
+		 * `true` to show a close icon on the tab. Clicking the icon fires the {@link #closeclick} event (instead of the 
+		 * {@link #click} event), which the parent {@link gui.tab.Panel TabPanel} handles by closing the 
+		 * {@link #correspondingPanel}.
+		 */
+		closable : false,
+		
 		/**
 		 * @cfg
 		 * @inheritdoc
@@ -48,7 +57,34 @@ define( [
 			if( !this.correspondingPanel ) throw new Error( "`correspondingPanel` cfg required" );
 			// </debug>
 			
+			this.addEvents(
+				/**
+				 * Fires when the tab's close icon has been clicked. Only applicable when the {@link #closable} config is true.
+				 * 
+				 * @event closeclick
+				 * @param {gui.tab.Tab} tab This Tab instance.
+				 */
+				'closeclick'
+			);
+			
+			this._super( arguments );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
 			this._super( arguments );
+			
+			if( this.closable ) {
+				var closeIconCls = this.componentCls + '-closeIcon';
+				
+				this.addCls( this.componentCls + '-closable' );
+				this.$closeIconEl = jQuery( '<span class="' + closeIconCls + ' gui-icon-close" />' )
+					.appendTo( this.$el )
+					.on( 'click', _.bind( this.onCloseIconClick, this ) );
+			}
 		},
 		
 		
@@ -102,6 +138,21 @@ define( [
 		 */
 		isActive : function() {
 			return this.active;
+		},
+		
+		
+		/**
+		 * Handles a click to the tab's close icon, when the tab is {@link #closable}. The click is prevented from 
+		 * propagating to the tab itself, so that the tab is not activated.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onCloseIconClick : function( evt ) {
+			evt.preventDefault();
+			evt.stopPropagation();
+			
+			this.fireEvent( 'closeclick', this );
 		}
 		
 	} );
@@ -0,0 +1,414 @@
+/*global define */
+define( [
+	'lodash',
+	'gui/ComponentManager',
+	'gui/Container',
+	'gui/Label',
+	'gui/button/Button',
+	'gui/form/field/Text',
+	'gui/layout/HBox'
+], function( _, ComponentManager, Container, Label, Button, TextField ) {
+	
+	/**
+	 * @class gui.toolbar.Paging
+	 * @extends gui.Container
+	 * 
+	 * A toolbar which is used to navigate the pages of a {@link gui.view.Collection Collection View} that has the
+	 * {@link gui.view.Collection#paging paging} config. It has first/previous/next/last page buttons, a page number input
+	 * field, and text which describes the models being displayed (ex: "Showing 1 - 25 of 100").
+	 * 
+	 * The toolbar is kept in sync with the view's {@link gui.view.Collection#pagingchange pagingchange} event, so the
+	 * text and buttons are updated as pages are loaded, and as the total number of models changes.
+	 * 
+	 *     var view = new CollectionView( {
+	 *         collection : usersCollection,
+	 *         paging     : { pageSize: 25, remote: true },
+	 *         // ...
+	 *     } );
+	 * 
+	 *     var panel = new Panel( {
+	 *         items : [
+	 *             view,
+	 *             { type: 'pagingtoolbar', view: view }
+	 *         ]
+	 *     } );
+	 */
+	var PagingToolbar = Container.extend( {
+		
+		/**
+		 * @cfg {gui.view.Collection} view
+		 * 
+		 * The Collection View that the toolbar navigates. The view must have the {@link gui.view.Collection#paging paging}
+		 * config. May also be set after instantiation with {@link #bindView}.
+		 */
+		view : null,
+		
+		/**
+		 * @cfg {String} displayMsg
+		 * 
+		 * The message to display when there are models being displayed. The following tokens are replaced:
+		 * 
+		 * - **{0}** : The (1-based) index of the first model on the page.
+		 * - **{1}** : The (1-based) index of the last model on the page.
+		 * - **{2}** : The total number of models.
+		 */
+		displayMsg : "Showing {0} - {1} of {2}",
+		
+		/**
+		 * @cfg {String} unknownTotalDisplayMsg
+		 * 
+		 * The message to display in place of the {@link #displayMsg} when the total number of models is not yet known
+		 * (for server-side paging, until the server reports a total count). The following tokens are replaced:
+		 * 
+		 * - **{0}** : The (1-based) index of the first model on the page.
+		 * - **{1}** : The (1-based) index of the last model on the page.
+		 */
+		unknownTotalDisplayMsg : "Showing {0} - {1}",
+		
+		/**
+		 * @cfg {String} emptyMsg
+		 * 
+		 * The message to display when there are no models to display.
+		 */
+		emptyMsg : "No items to display",
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		layout : 'hbox',
+		
+		/**
+		 * @cfg
+		 * @inheritdoc
+		 */
+		componentCls : 'gui-toolbar-paging',
+		
+		
+		/**
+		 * @protected
+		 * @property {gui.button.Button} firstButton
+		 * 
+		 * The button which navigates to the first page.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.button.Button} prevButton
+		 * 
+		 * The button which navigates to the previous page.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.form.field.Text} pageField
+		 * 
+		 * The field which displays the current page, and which may be used to enter a page to navigate to.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.Label} pageCountLabel
+		 * 
+		 * The label which displays the total number of pages (ex: "of 4").
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.button.Button} nextButton
+		 * 
+		 * The button which navigates to the next page.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.button.Button} lastButton
+		 * 
+		 * The button which navigates to the last page.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {gui.Label} displayLabel
+		 * 
+		 * The label which displays the {@link #displayMsg} or {@link #emptyMsg}.
+		 */
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		initComponent : function() {
+			var cls = this.componentCls;
+			
+			this.firstButton = new Button( { cls: cls + '-first', text: "&laquo;", tooltip: "First Page", handler: this.onFirstClick, scope: this } );
+			this.prevButton = new Button( { cls: cls + '-prev', text: "&lsaquo;", tooltip: "Previous Page", handler: this.onPrevClick, scope: this } );
+			this.nextButton = new Button( { cls: cls + '-next', text: "&rsaquo;", tooltip: "Next Page", handler: this.onNextClick, scope: this } );
+			this.lastButton = new Button( { cls: cls + '-last', text: "&raquo;", tooltip: "Last Page", handler: this.onLastClick, scope: this } );
+			
+			this.pageField = new TextField( {
+				cls   : cls + '-pageField',
+				value : "1",
+				listeners : {
+					'keydown' : this.onPageFieldKeyDown,
+					'blur'    : this.onPageFieldBlur,
+					scope     : this
+				}
+			} );
+			this.pageCountLabel = new Label( { cls: cls + '-pageCount', text: "of 1" } );
+			this.displayLabel = new Label( { cls: cls + '-display', text: this.emptyMsg } );
+			
+			this.items = this.buildItems();
+			
+			this._super( arguments );
+			
+			var view = this.view;
+			this.view = null;  // so that bindView() does not see the view as already bound
+			this.bindView( view );
+		},
+		
+		
+		/**
+		 * Builds the array of the toolbar's child items.
+		 * 
+		 * @protected
+		 * @return {Object[]} The child items.
+		 */
+		buildItems : function() {
+			return [
+				this.firstButton,
+				this.prevButton,
+				new Label( { cls: this.componentCls + '-pageText', text: "Page" } ),
+				this.pageField,
+				this.pageCountLabel,
+				this.nextButton,
+				this.lastButton,
+				{ type: 'component', flex: 1 },  // take up the middle space, to effectively right-align the display label
+				this.displayLabel
+			];
+		},
+		
+		
+		/**
+		 * Binds a {@link gui.view.Collection Collection View} to the toolbar, unbinding any previously-bound view.
+		 * 
+		 * @param {gui.view.Collection} view The view to bind, or `null` to unbind the current view.
+		 */
+		bindView : function( view ) {
+			var currentView = this.view;
+			if( view === currentView ) return;
+			
+			// <debug>
+			if( view && !view.paging ) throw new Error( "The view bound to a gui.toolbar.Paging must have the `paging` config" );
+			// </debug>
+			
+			if( currentView ) {
+				currentView.un( 'pagingchange', this.onPagingChange, this );
+			}
+			
+			this.view = view;
+			
+			if( view ) {
+				view.on( 'pagingchange', this.onPagingChange, this );
+				this.onPagingChange( view, view.getPage(), view.getPageCount(), view.getTotalCount() );
+			} else {
+				this.onPagingChange( null, 1, 1, 0 );
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the {@link gui.view.Collection Collection View} that is bound to the toolbar.
+		 * 
+		 * @return {gui.view.Collection} The view, or `null` if there is none.
+		 */
+		getView : function() {
+			return this.view;
+		},
+		
+		
+		/**
+		 * Handles the bound {@link #view view's} {@link gui.view.Collection#pagingchange pagingchange} event, by
+		 * updating the page field, the labels, and the enabled state of the buttons.
+		 * 
+		 * @protected
+		 * @param {gui.view.Collection} view The view. `null` when the view is unbound.
+		 * @param {Number} page The current page.
+		 * @param {Number} pageCount The total number of pages.
+		 * @param {Number} totalCount The total number of models.
+		 */
+		onPagingChange : function( view, page, pageCount, totalCount ) {
+			var totalCountKnown = !view || view.isTotalCountKnown(),  // not known for server-side paging until a total count is reported
+			    isFirst = ( page <= 1 ),
+			    isLast = ( totalCountKnown && page >= pageCount );
+			
+			this.firstButton.setDisabled( !view || isFirst );
+			this.prevButton.setDisabled( !view || isFirst );
+			this.nextButton.setDisabled( !view || isLast );
+			this.lastButton.setDisabled( !view || isLast || !totalCountKnown );
+			
+			this.pageField.setValue( page );
+			this.pageCountLabel.setText( "of " + ( totalCountKnown ? pageCount : "?" ) );
+			this.displayLabel.setText( this.getDisplayText( view, page, totalCount ) );
+			
+			if( this.rendered ) {
+				this.doLayout();  // the labels' sizes may have changed
+			}
+		},
+		
+		
+		/**
+		 * Builds the text for the {@link #displayLabel}, from the {@link #displayMsg} or {@link #emptyMsg}. If the view's
+		 * total count is not yet known, the {@link #unknownTotalDisplayMsg} is used instead, with the range of the models
+		 * which have been loaded for the page.
+		 * 
+		 * @protected
+		 * @param {gui.view.Collection} view The view. May be `null`.
+		 * @param {Number} page The current page.
+		 * @param {Number} totalCount The total number of models.
+		 * @return {String}
+		 */
+		getDisplayText : function( view, page, totalCount ) {
+			if( !view ) {
+				return this.emptyMsg;
+			}
+			
+			var pageSize = view.getPageSize(),
+			    start = ( page - 1 ) * pageSize + 1;
+			
+			if( !view.isTotalCountKnown() ) {
+				// Show the range of the models which have been loaded for the page, as there is no total to limit it by
+				var numLoaded = Math.min( view.getPageModels().length, pageSize );
+				return ( numLoaded === 0 ) ? this.emptyMsg : this.formatMsg( this.unknownTotalDisplayMsg, [ start, start + numLoaded - 1 ] );
+			}
+			
+			if( totalCount === 0 ) {
+				return this.emptyMsg;
+			}
+			return this.formatMsg( this.displayMsg, [ start, Math.min( page * pageSize, totalCount ), totalCount ] );
+		},
+		
+		
+		/**
+		 * Replaces the numbered tokens (such as "{0}") in a message with the values at those indexes.
+		 * 
+		 * @private
+		 * @param {String} msg
+		 * @param {Array} values
+		 * @return {String}
+		 */
+		formatMsg : function( msg, values ) {
+			return msg.replace( /\{(\d+)\}/g, function( match, idx ) { return values[ idx ]; } );
+		},
+		
+		
+		/**
+		 * Loads the given page into the bound {@link #view}, if there is one.
+		 * 
+		 * @protected
+		 * @param {Number} page
+		 */
+		loadPage : function( page ) {
+			if( this.view ) {
+				this.view.loadPage( page );
+			}
+		},
+		
+		
+		/**
+		 * Handles a click on the {@link #firstButton}.
+		 * 
+		 * @protected
+		 */
+		onFirstClick : function() {
+			this.loadPage( 1 );
+		},
+		
+		
+		/**
+		 * Handles a click on the {@link #prevButton}.
+		 * 
+		 * @protected
+		 */
+		onPrevClick : function() {
+			this.loadPage( this.view.getPage() - 1 );
+		},
+		
+		
+		/**
+		 * Handles a click on the {@link #nextButton}.
+		 * 
+		 * @protected
+		 */
+		onNextClick : function() {
+			this.loadPage( this.view.getPage() + 1 );
+		},
+		
+		
+		/**
+		 * Handles a click on the {@link #lastButton}.
+		 * 
+		 * @protected
+		 */
+		onLastClick : function() {
+			this.loadPage( this.view.getPageCount() );
+		},
+		
+		
+		/**
+		 * Handles a keydown in the {@link #pageField}, to load the entered page when the enter key is pressed.
+		 * 
+		 * @protected
+		 * @param {gui.form.field.Text} field
+		 * @param {jQuery.Event} evt
+		 */
+		onPageFieldKeyDown : function( field, evt ) {
+			if( evt.keyCode === 13 ) {  // 13 == 'enter'
+				var page = parseInt( field.getValue(), 10 );
+				
+				if( isNaN( page ) || !this.view ) {
+					this.resetPageField();
+				} else {
+					this.loadPage( page );
+					this.resetPageField();  // in case the page was out of range, and was limited to a different page (or was unchanged)
+				}
+			}
+		},
+		
+		
+		/**
+		 * Handles the {@link #pageField} being blurred, to discard any page number that was entered but not loaded.
+		 * 
+		 * @protected
+		 */
+		onPageFieldBlur : function() {
+			this.resetPageField();
+		},
+		
+		
+		/**
+		 * Resets the {@link #pageField} to the bound {@link #view view's} current page.
+		 * 
+		 * @protected
+		 */
+		resetPageField : function() {
+			this.pageField.setValue( this.view ? this.view.getPage() : 1 );
+		},
+		
+		
+		/**
+		 * @inheritdoc
+		 */
+		onDestroy : function() {
+			this.bindView( null );
+			
+			this._super( arguments );
+		}
+	
+	} );
+	
+	ComponentManager.registerType( 'pagingtoolbar', PagingToolbar );
+	
+	return PagingToolbar;
+
+} );
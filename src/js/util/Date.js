@@ -0,0 +1,295 @@
+/*global define */
+define( [
+	'lodash'
+], function( _ ) {
+	
+	/**
+	 * @class gui.util.Date
+	 * @singleton
+	 * 
+	 * Utility class for date calculations, and for formatting and parsing dates with a format string.
+	 * 
+	 * The following tokens are recognized in format strings. Any other characters in the format string are literal text.
+	 * 
+	 * - **yyyy** : The full year. Ex: 2014
+	 * - **yy** : The last two digits of the year. Ex: 14. When parsing, years less than 50 are in the 2000's, and others
+	 *   are in the 1900's.
+	 * - **MMMM** : The full name of the month. Ex: January
+	 * - **MMM** : The first three letters of the month's name. Ex: Jan
+	 * - **MM** : The month number, with a leading zero. Ex: 01
+	 * - **M** : The month number, without a leading zero. Ex: 1
+	 * - **dd** : The day of the month, with a leading zero. Ex: 05
+	 * - **d** : The day of the month, without a leading zero. Ex: 5
+	 * 
+	 * Example:
+	 * 
+	 *     DateUtil.format( new Date( 2014, 0, 5 ), 'MM/dd/yyyy' );  // "01/05/2014"
+	 *     DateUtil.parse( "5 Jan 2014", 'd MMM yyyy' );             // Date for January 5th, 2014
+	 */
+	var DateUtil = {
+		
+		/**
+		 * @property {String[]} monthNames
+		 * 
+		 * The names of the months, used for the 'MMMM' and 'MMM' format tokens. These may be replaced for localization.
+		 */
+		monthNames : [ 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December' ],
+		
+		/**
+		 * @private
+		 * @property {RegExp} formatTokenRe
+		 * 
+		 * The regular expression used to find the tokens in a format string. Longer tokens come first, so that they are
+		 * matched before their shorter counterparts.
+		 */
+		formatTokenRe : /yyyy|yy|MMMM|MMM|MM|M|dd|d/g,
+		
+		
+		/**
+		 * Creates a new Date for the same day as the given `date`, with the time set to midnight.
+		 * 
+		 * @param {Date} date
+		 * @return {Date}
+		 */
+		clearTime : function( date ) {
+			return new Date( date.getFullYear(), date.getMonth(), date.getDate() );
+		},
+		
+		
+		/**
+		 * Determines if two dates are on the same day (ignoring their times).
+		 * 
+		 * @param {Date} date1
+		 * @param {Date} date2
+		 * @return {Boolean} `true` if the dates are on the same day. Returns `false` if either date is `null`.
+		 */
+		isSameDay : function( date1, date2 ) {
+			return !!date1 && !!date2 &&
+			       date1.getFullYear() === date2.getFullYear() &&
+			       date1.getMonth() === date2.getMonth() &&
+			       date1.getDate() === date2.getDate();
+		},
+		
+		
+		/**
+		 * Creates a new Date which is the given number of days from `date`. The time is set to midnight.
+		 * 
+		 * @param {Date} date
+		 * @param {Number} days The number of days to add. May be negative.
+		 * @return {Date}
+		 */
+		addDays : function( date, days ) {
+			return new Date( date.getFullYear(), date.getMonth(), date.getDate() + days );
+		},
+		
+		
+		/**
+		 * Creates a new Date which is the given number of months from `date`. If the day of the month does not exist in the
+		 * resulting month (ex: adding 1 month to January 31st), the last day of the resulting month is used. The time is set
+		 * to midnight.
+		 * 
+		 * @param {Date} date
+		 * @param {Number} months The number of months to add. May be negative.
+		 * @return {Date}
+		 */
+		addMonths : function( date, months ) {
+			var firstOfMonth = new Date( date.getFullYear(), date.getMonth() + months, 1 ),
+			    year = firstOfMonth.getFullYear(),
+			    month = firstOfMonth.getMonth();
+			
+			return new Date( year, month, Math.min( date.getDate(), this.getDaysInMonth( year, month ) ) );
+		},
+		
+		
+		/**
+		 * Retrieves the number of days in a month.
+		 * 
+		 * @param {Number} year
+		 * @param {Number} month The 0-based month (0 for January).
+		 * @return {Number}
+		 */
+		getDaysInMonth : function( year, month ) {
+			return new Date( year, month + 1, 0 ).getDate();  // day 0 of the next month is the last day of this month
+		},
+		
+		
+		/**
+		 * Retrieves the ISO 8601 week number of a date. ISO weeks start on Monday, and week 1 is the week which contains the
+		 * year's first Thursday.
+		 * 
+		 * @param {Date} date
+		 * @return {Number}
+		 */
+		getWeekOfYear : function( date ) {
+			// The ISO week's year is the year of the Thursday in the same (Monday-based) week as the date
+			var thursday = this.addDays( date, 3 - ( date.getDay() + 6 ) % 7 ),
+			    firstOfYear = new Date( thursday.getFullYear(), 0, 1 );
+			
+			return Math.floor( Math.round( ( thursday - firstOfYear ) / 86400000 ) / 7 ) + 1;
+		},
+		
+		
+		// --------------------------------------
+		
+		// Formatting and parsing
+		
+		
+		/**
+		 * Formats a date into a string, using a format string. See the class description for the accepted tokens.
+		 * 
+		 * @param {Date} date
+		 * @param {String} format
+		 * @return {String} The formatted date, or an empty string if `date` is `null`.
+		 */
+		format : function( date, format ) {
+			if( !date ) {
+				return "";
+			}
+			
+			var monthNames = this.monthNames;
+			
+			return format.replace( this.formatTokenRe, function( token ) {
+				switch( token ) {
+					case 'yyyy' : return String( date.getFullYear() );
+					case 'yy'   : return DateUtil.pad( date.getFullYear() % 100 );
+					case 'MMMM' : return monthNames[ date.getMonth() ];
+					case 'MMM'  : return monthNames[ date.getMonth() ].substr( 0, 3 );
+					case 'MM'   : return DateUtil.pad( date.getMonth() + 1 );
+					case 'M'    : return String( date.getMonth() + 1 );
+					case 'dd'   : return DateUtil.pad( date.getDate() );
+					case 'd'    : return String( date.getDate() );
+				}
+			} );
+		},
+		
+		
+		/**
+		 * Parses a string into a date, using a format string. See the class description for the accepted tokens. Numeric
+		 * tokens are lenient about leading zeros (ex: "1/5/2014" is parsed with the format 'MM/dd/yyyy'), and month names
+		 * are matched case-insensitively.
+		 * 
+		 * @param {String} text
+		 * @param {String} format
+		 * @return {Date} The parsed date (at midnight), or `null` if the text does not match the format, or is not a valid
+		 *   date (ex: February 30th).
+		 */
+		parse : function( text, format ) {
+			var tokenRe = this.formatTokenRe,
+			    tokens = [],
+			    reSource = [],
+			    lastIndex = 0,
+			    match;
+			
+			text = _.isString( text ) ? text.replace( /^\s+|\s+$/g, "" ) : "";
+			if( !text ) {
+				return null;
+			}
+			
+			// Build a regular expression from the format string, with a capturing group for each token
+			tokenRe.lastIndex = 0;
+			while( ( match = tokenRe.exec( format ) ) ) {
+				reSource.push( this.escapeRegExp( format.substring( lastIndex, match.index ) ) );
+				reSource.push( this.getTokenRegExpSource( match[ 0 ] ) );
+				tokens.push( match[ 0 ] );
+				
+				lastIndex = tokenRe.lastIndex;
+			}
+			reSource.push( this.escapeRegExp( format.substring( lastIndex ) ) );
+			
+			match = new RegExp( '^' + reSource.join( "" ) + '$', 'i' ).exec( text );
+			if( !match ) {
+				return null;
+			}
+			
+			var year = new Date().getFullYear(),
+			    month = 0,
+			    day = 1;
+			
+			for( var i = 0, len = tokens.length; i < len; i++ ) {
+				var value = match[ i + 1 ];
+				
+				switch( tokens[ i ] ) {
+					case 'yyyy' : year = +value; break;
+					case 'yy'   : year = +value + ( +value < 50 ? 2000 : 1900 ); break;
+					case 'MMMM' : month = this.findMonthIndex( value, false ); break;
+					case 'MMM'  : month = this.findMonthIndex( value, true ); break;
+					case 'MM'   :
+					case 'M'    : month = +value - 1; break;
+					case 'dd'   :
+					case 'd'    : day = +value; break;
+				}
+			}
+			
+			if( month < 0 || month > 11 || day < 1 || day > this.getDaysInMonth( year, month ) ) {
+				return null;
+			}
+			
+			var date = new Date( 2000, 0, 1 );
+			date.setFullYear( year, month, day );  // setFullYear() so that years before 100 aren't mapped to the 1900's
+			return date;
+		},
+		
+		
+		/**
+		 * Retrieves the regular expression source to match a format token when parsing.
+		 * 
+		 * @private
+		 * @param {String} token
+		 * @return {String}
+		 */
+		getTokenRegExpSource : function( token ) {
+			switch( token ) {
+				case 'yyyy' : return '(\\d{4})';
+				case 'yy'   : return '(\\d{2})';
+				case 'MMMM' :
+				case 'MMM'  : return '([^\\d\\s]+)';
+				default     : return '(\\d{1,2})';  // M, MM, d, and dd
+			}
+		},
+		
+		
+		/**
+		 * Finds the index of a month name (case-insensitive) in the {@link #monthNames}.
+		 * 
+		 * @private
+		 * @param {String} name
+		 * @param {Boolean} abbreviated `true` if `name` is the first three letters of the month's name.
+		 * @return {Number} The index, or -1 if the name was not found.
+		 */
+		findMonthIndex : function( name, abbreviated ) {
+			name = name.toLowerCase();
+			
+			return _.findIndex( this.monthNames, function( monthName ) {
+				return ( abbreviated ? monthName.substr( 0, 3 ) : monthName ).toLowerCase() === name;
+			} );
+		},
+		
+		
+		/**
+		 * Pads a number with a leading zero, if it is less than 10.
+		 * 
+		 * @private
+		 * @param {Number} num
+		 * @return {String}
+		 */
+		pad : function( num ) {
+			return ( num < 10 ? '0' : '' ) + num;
+		},
+		
+		
+		/**
+		 * Escapes the characters in a string which have special meaning in a regular expression.
+		 * 
+		 * @private
+		 * @param {String} str
+		 * @return {String}
+		 */
+		escapeRegExp : function( str ) {
+			return str.replace( /[\-\/\\\^$*+?.()|\[\]{}]/g, '\\$&' );
+		}
+	
+	};
+	
+	return DateUtil;
+	
+} );
\ No newline at end of file
@@ -0,0 +1,180 @@
+/*global define */
+define( [
+	'jquery',
+	'Class',
+	'gui/Gui',
+	'jquery-ui/position'  // jQuery UI's `position` plugin
+], function( jQuery, Class, Gui ) {
+	
+	/**
+	 * @class gui.util.OptionsMenu
+	 * @extends Object
+	 * 
+	 * This class is intended to be used as a mixin. It provides the menu of options (a &lt;ul&gt; element with the
+	 * ARIA `listbox` role, which is appended to the document body) for the form fields which show one, such as the
+	 * {@link gui.form.field.Dropdown Dropdown}, {@link gui.form.field.ComboBox ComboBox}, and {@link gui.form.field.Tag Tag}
+	 * fields.
+	 * 
+	 * The target class creates the menu with {@link #createOptionsMenu} when it is rendered, draws its own &lt;li&gt;
+	 * elements (with the ARIA `option` role) into it, and then uses {@link #showOptionsMenu}, {@link #hideOptionsMenu},
+	 * and {@link #highlightOption} to operate it. The target class is responsible for removing the menu element when it
+	 * is destroyed.
+	 * 
+	 * The menu's element id and css classes are created from the target's `elId`, `componentCls`, and `menuCls`
+	 * properties. The menu is positioned below, and sized to, the target's `$inputContainerEl`. The element with the
+	 * ARIA `combobox` role which owns the menu is retrieved from {@link #getComboboxEl}.
+	 */
+	var OptionsMenu = Class.create( {
+		
+		/**
+		 * @cfg {String} menuCollisionStrategy
+		 * 
+		 * The strategy to use to re-position the options menu when it collides with the edge of the screen. Can be one
+		 * of the following values: 'flip', 'fit', or 'none'. See the 'collision' option of jQuery UI's position utility
+		 * for details. http://jqueryui.com/demos/position/
+		 */
+		menuCollisionStrategy : 'flip',
+		
+		
+		/**
+		 * @protected
+		 * @property {jQuery} $optionsMenu
+		 * 
+		 * The options menu element, created by {@link #createOptionsMenu}.
+		 */
+		
+		/**
+		 * @protected
+		 * @property {Boolean} optionsMenuOpen
+		 * 
+		 * Flag which is set to `true` while the options menu is shown.
+		 */
+		optionsMenuOpen : false,
+		
+		/**
+		 * @protected
+		 * @property {Number} highlightedIdx
+		 * 
+		 * The index of the option that is highlighted in the options menu (with the keyboard or the mouse), or -1 if
+		 * there is no highlighted option.
+		 */
+		highlightedIdx : -1,
+		
+		
+		/**
+		 * Creates the options menu element, hidden, and appends it to the document body.
+		 * 
+		 * @protected
+		 * @return {jQuery} The options menu element, which is also stored as {@link #$optionsMenu}.
+		 */
+		createOptionsMenu : function() {
+			var $optionsMenu = jQuery( '<ul id="' + this.elId + '-menu" role="listbox" class="' + this.componentCls + '-menu ' + this.menuCls + '" />' ).hide().appendTo( 'body' );
+			
+			// Prevent a mousedown in the menu from taking the focus away from the field, which would close the menu
+			$optionsMenu.on( 'mousedown', 'li', function( evt ) { evt.preventDefault(); } );
+			
+			return ( this.$optionsMenu = $optionsMenu );
+		},
+		
+		
+		/**
+		 * Retrieves the element with the ARIA `combobox` role, which owns the options menu. Its `aria-expanded` and
+		 * `aria-activedescendant` attributes are updated as the menu is shown and hidden, and as options are highlighted.
+		 * 
+		 * This implementation returns the target's `$inputEl`. Override it if another element is the combobox.
+		 * 
+		 * @protected
+		 * @return {jQuery}
+		 */
+		getComboboxEl : function() {
+			return this.$inputEl;
+		},
+		
+		
+		/**
+		 * Shows the options menu, sized to and positioned below the target's `$inputContainerEl`.
+		 */
+		showOptionsMenu : function() {
+			var $optionsMenu = this.$optionsMenu;
+			
+			this.optionsMenuOpen = true;
+			this.getComboboxEl().attr( 'aria-expanded', 'true' );
+			
+			$optionsMenu.show();
+			$optionsMenu.width( this.$inputContainerEl.innerWidth() );
+			$optionsMenu.position( {
+				my : 'left top',
+				at : 'left bottom',
+				of : this.$inputContainerEl,
+				collision : this.menuCollisionStrategy
+			} );
+			
+			this.onOptionsMenuShow();
+		},
+		
+		
+		/**
+		 * Template method which is called when the options menu has been shown by {@link #showOptionsMenu}.
+		 * 
+		 * @protected
+		 * @template
+		 * @method onOptionsMenuShow
+		 */
+		onOptionsMenuShow : Gui.emptyFn,
+		
+		
+		/**
+		 * Hides the options menu, removing any highlight from its options.
+		 */
+		hideOptionsMenu : function() {
+			if( !this.optionsMenuOpen ) return;
+			
+			this.optionsMenuOpen = false;
+			this.$optionsMenu.hide();
+			this.highlightOption( -1 );
+			this.getComboboxEl().attr( 'aria-expanded', 'false' );
+		},
+		
+		
+		/**
+		 * Highlights an option in the options menu, scrolling it into view if needed, and marking it as the
+		 * {@link #getComboboxEl combobox's} `aria-activedescendant`.
+		 * 
+		 * @protected
+		 * @param {Number} idx The index of the option (&lt;li&gt; element) to highlight, or -1 for none.
+		 */
+		highlightOption : function( idx ) {
+			if( !this.rendered ) return;
+			
+			var highlightedCls = this.componentCls + '-menu-item-highlighted',
+			    $optionsMenu = this.$optionsMenu,
+			    $itemEl = $optionsMenu.children( 'li' ).removeClass( highlightedCls ).eq( idx );
+			
+			if( idx < 0 || !$itemEl.length ) {
+				this.highlightedIdx = -1;
+				this.getComboboxEl().removeAttr( 'aria-activedescendant' );
+				return;
+			}
+			
+			this.highlightedIdx = idx;
+			$itemEl.addClass( highlightedCls );
+			this.getComboboxEl().attr( 'aria-activedescendant', $itemEl.attr( 'id' ) );
+			
+			// Scroll the option into view in the menu
+			var menuEl = $optionsMenu[ 0 ],
+			    itemEl = $itemEl[ 0 ],
+			    itemTop = itemEl.offsetTop,  // relative to the (absolutely positioned) menu, which is the item's offsetParent
+			    itemBottom = itemTop + itemEl.offsetHeight;
+			
+			if( itemTop < menuEl.scrollTop ) {
+				menuEl.scrollTop = itemTop;
+			} else if( itemBottom > menuEl.scrollTop + menuEl.clientHeight ) {
+				menuEl.scrollTop = itemBottom - menuEl.clientHeight;
+			}
+		}
+	
+	} );
+	
+	return OptionsMenu;
+	
+} );
\ No newline at end of file
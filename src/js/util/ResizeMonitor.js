@@ -0,0 +1,173 @@
+/*global define */
+define( [
+	'lodash',
+	'Class'
+], function( _, Class ) {
+	
+	/**
+	 * @class gui.util.ResizeMonitor
+	 * @extends Object
+	 * 
+	 * Utility which watches an HTML element for changes to its size, and calls a {@link #handler} function when its size
+	 * changes. A `ResizeObserver` is used in browsers that support it, and otherwise the element's size is polled every
+	 * {@link #pollInterval} milliseconds.
+	 * 
+	 *     var monitor = new ResizeMonitor( {
+	 *         el      : someElement,
+	 *         handler : function( width, height ) { console.log( "New size: ", width, height ); }
+	 *     } );
+	 * 
+	 *     // later...
+	 *     monitor.destroy();
+	 * 
+	 * The element's size is measured as its `offsetWidth` and `offsetHeight`. A hidden element (one which has no size) is
+	 * not considered to have been resized; the size is compared once it is visible again.
+	 * 
+	 * This is used by {@link gui.Component} to implement its {@link gui.Component#monitorResize monitorResize} config.
+	 */
+	var ResizeMonitor = Class.create( {
+		
+		/**
+		 * @cfg {HTMLElement} el (required)
+		 * 
+		 * The element to watch for size changes.
+		 */
+		
+		/**
+		 * @cfg {Function} handler (required)
+		 * 
+		 * The function to call when the {@link #el element's} size changes. It is passed two arguments: the new `width`
+		 * and `height` of the element.
+		 */
+		
+		/**
+		 * @cfg {Object} scope
+		 * 
+		 * The scope (`this` reference) to call the {@link #handler} in. Defaults to the ResizeMonitor.
+		 */
+		
+		/**
+		 * @cfg {Number} pollInterval
+		 * 
+		 * The interval, in milliseconds, at which the {@link #el element's} size is checked in browsers that do not
+		 * support `ResizeObserver`.
+		 */
+		pollInterval : 250,
+		
+		
+		/**
+		 * @private
+		 * @property {Number} lastWidth
+		 * 
+		 * The width of the {@link #el} when it was last measured.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Number} lastHeight
+		 * 
+		 * The height of the {@link #el} when it was last measured.
+		 */
+		
+		/**
+		 * @private
+		 * @property {ResizeObserver} observer
+		 * 
+		 * The ResizeObserver which watches the {@link #el}, in browsers that support it.
+		 */
+		observer : null,
+		
+		/**
+		 * @private
+		 * @property {Number} pollTimer
+		 * 
+		 * The id of the interval which polls the {@link #el element's} size, in browsers that do not support ResizeObserver.
+		 */
+		pollTimer : null,
+		
+		
+		/**
+		 * @constructor
+		 * @param {Object} cfg The configuration options for the ResizeMonitor, specified in an Object (map).
+		 */
+		constructor : function( cfg ) {
+			_.assign( this, cfg );
+			
+			// <debug>
+			if( !this.el ) throw new Error( "`el` cfg required" );
+			if( typeof this.handler !== 'function' ) throw new Error( "`handler` cfg required" );
+			// </debug>
+			
+			this.sync();
+			
+			var checkSize = _.bind( this.checkSize, this );
+			if( typeof window.ResizeObserver === 'function' ) {
+				this.observer = new window.ResizeObserver( checkSize );
+				this.observer.observe( this.el );
+			} else {
+				this.pollTimer = window.setInterval( checkSize, this.pollInterval );
+			}
+		},
+		
+		
+		/**
+		 * Records the current size of the {@link #el element} as its last known size, so that a change in size up to this
+		 * point does not call the {@link #handler}. This may be used after code which is expected to change the element's
+		 * size (such as a layout) has run, so that the change is not reported.
+		 */
+		sync : function() {
+			var el = this.el;
+			
+			this.lastWidth = el.offsetWidth;
+			this.lastHeight = el.offsetHeight;
+		},
+		
+		
+		/**
+		 * Checks the size of the {@link #el element} against its last known size, and calls the {@link #handler} if it
+		 * has changed.
+		 * 
+		 * @protected
+		 */
+		checkSize : function() {
+			var el = this.el;
+			if( !el ) return;  // destroyed, but a ResizeObserver notification was still pending
+			
+			var width = el.offsetWidth,
+			    height = el.offsetHeight;
+			
+			if( width === 0 && height === 0 ) {
+				return;  // hidden element (or not in the DOM). Compare once it is visible again
+			}
+			
+			if( width !== this.lastWidth || height !== this.lastHeight ) {
+				this.lastWidth = width;
+				this.lastHeight = height;
+				
+				this.handler.call( this.scope || this, width, height );
+			}
+		},
+		
+		
+		/**
+		 * Stops watching the {@link #el element}, and releases the references held by the ResizeMonitor.
+		 */
+		destroy : function() {
+			if( this.observer ) {
+				this.observer.disconnect();
+				this.observer = null;
+			}
+			if( this.pollTimer !== null ) {
+				window.clearInterval( this.pollTimer );
+				this.pollTimer = null;
+			}
+			
+			this.el = this.handler = this.scope = null;
+		}
+	
+	} );
+	
+	
+	return ResizeMonitor;
+
+} );
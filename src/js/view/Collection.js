@@ -4,8 +4,9 @@ define( [
 	'lodash',
 	'gui/ComponentManager',
 	'gui/Component',
-	'gui/util/CollectionBindable'
-], function( jQuery, _, ComponentManager, Component, CollectionBindable ) {
+	'gui/util/CollectionBindable',
+	'gui/view/SelectionModel'
+], function( jQuery, _, ComponentManager, Component, CollectionBindable, SelectionModel ) {
 	
 	/**
 	 * @class gui.view.Collection
@@ -16,7 +17,20 @@ define( [
 	 * A view of the {@link data.Model Models} in a {@link data.Collection}. The view uses the {@link #tpl} config, which 
 	 * is automatically passed the {@link #collection collection's} models to populate the template. When the 
 	 * {@link #collection} changes, or any of its {@link data.Model Models} change, the Collection View is 
-	 * automatically refreshed to reflect the change.  
+	 * automatically updated to reflect the change.  
+	 * 
+	 * Updates are applied incrementally: when models are added, removed, or reordered, only the added models are run
+	 * through the {@link #tpl}, and the existing model elements are removed or moved into place. When a model changes, 
+	 * only that model is re-rendered. A full {@link #refresh} is only performed when a new {@link #collection} is bound,
+	 * or when there are no existing model elements to position newly added models relative to.
+	 * 
+	 * For very large collections, the {@link #virtualScroll} config may be used to only render the models which are
+	 * within (or near) the view's visible area.
+	 * 
+	 * Models may be selected with the mouse and keyboard by providing the {@link #selectionModel} config.
+	 * 
+	 * The models may be displayed a page at a time with the {@link #paging} config. A {@link gui.toolbar.Paging Paging Toolbar}
+	 * may be used to navigate the pages.
 	 * 
 	 * This view is similar to the {@link gui.view.Model Model View}, but instead of showing a single {@link data.Model Model},
 	 * it shows a {@link data.Collection Collection} of them.
@@ -84,6 +98,10 @@ define( [
 		 * 2. Following on the first point, all models that are provided to the template should be rendered by the template.
 		 *    That is, do not use `if` statements to filter out certain models. If this needs to be done, do so in an overridden
 		 *    {@link #collectModels} method instead, so the Collection View knows what it's working with.
+		 * 3. The template is also run with just the models that were added or changed, and the resulting model elements
+		 *    (matched by the {@link #modelSelector}) are inserted into or replaced in the existing markup. The markup for a 
+		 *    model should therefore not depend on the other models provided to the template (such as by its index), and 
+		 *    the element matched by the {@link #modelSelector} should be the outermost element of each model's markup.
 		 * 
 		 * For more information on templates themselves, see the {@link gui.Component#tpl tpl} config in the superclass, 
 		 * {@link gui.Component Component}.
@@ -144,6 +162,69 @@ define( [
 		 */
 		maskOnLoad : true,
 		
+		/**
+		 * @cfg {Boolean/Object} virtualScroll
+		 * 
+		 * `true` or an Object (map) to only render the models which are within the view's visible area (plus a buffer of
+		 * models on either side of it), rendering the others as they are scrolled into view. This allows a Collection View 
+		 * to display collections of many thousands of models. The object may have the following properties:
+		 * 
+		 * - **itemHeight** (Number) : The height, in pixels, of each model's element. If not provided, it is measured from the
+		 *   first model element that is rendered. All model elements are expected to be the same height.
+		 * - **buffer** (Number) : The number of models to render above and below the visible area. Defaults to 10.
+		 * 
+		 * Ex:
+		 * 
+		 *     virtualScroll : { itemHeight: 24 }
+		 * 
+		 * The Collection View must be given a height (either by the {@link #height} config, or by the layout of its parent
+		 * {@link gui.Container Container}), as it becomes the scrolling element. Space for the models which are not rendered
+		 * is reserved by spacer elements, so that the scroll height remains correct.
+		 * 
+		 * {@link #getElementFromModel} and {@link #getModelFromElement} only work with the models that are currently rendered.
+		 * 
+		 * Subclasses which override {@link #collectModels} should apply the result of {@link #getVirtualRange} to their
+		 * models when this config is used.
+		 */
+		virtualScroll : false,
+		
+		/**
+		 * @cfg {String/Object/gui.view.SelectionModel} selectionModel
+		 * 
+		 * Enables selection of the view's models with the mouse and keyboard. May be a selection mode name ('single', 'multi', 
+		 * or 'simple'), a configuration object for a {@link gui.view.SelectionModel}, or a {@link gui.view.SelectionModel} 
+		 * instance (such as one of a subclass which implements a different selection behavior). Ex:
+		 * 
+		 *     selectionModel : 'multi'
+		 * 
+		 * The elements of selected models are given the CSS class `gui-collectionview-selected`, and the element of the
+		 * model with the keyboard focus is given the CSS class `gui-collectionview-focused`.
+		 * 
+		 * If not provided, the view's models may not be selected.
+		 */
+		selectionModel : null,
+		
+		/**
+		 * @cfg {Object} paging
+		 * 
+		 * An Object (map) to display the models a page at a time. It may have the following properties:
+		 * 
+		 * - **pageSize** (Number) : The number of models to display on each page. Required.
+		 * - **remote** (Boolean) : `false` (the default) to page through the models that are already loaded into the 
+		 *   {@link #collection} (client-side paging). `true` to have the {@link #collection} load each page from its proxy 
+		 *   (server-side paging), using {@link data.Collection#loadPage}. For server-side paging, the collection should
+		 *   be configured with the same `pageSize`, and is expected to replace its models with each loaded page. The total
+		 *   number of models is retrieved from {@link data.Collection#getTotalCount}.
+		 * 
+		 * Ex:
+		 * 
+		 *     paging : { pageSize: 25, remote: true }
+		 * 
+		 * Use {@link #loadPage} to change the page, or add a {@link gui.toolbar.Paging Paging Toolbar} which is bound to 
+		 * the view. The `paging` config may not be combined with the {@link #virtualScroll} config.
+		 */
+		paging : null,
+		
 		/**
 		 * @cfg {Number} loadingHeight
 		 * 
@@ -155,6 +236,23 @@ define( [
 		 */
 		
 		
+		/**
+		 * @private
+		 * @property {String} selectedCls
+		 * 
+		 * The CSS class given to the elements of selected models.
+		 */
+		selectedCls : 'gui-collectionview-selected',
+		
+		/**
+		 * @private
+		 * @property {String} focusedCls
+		 * 
+		 * The CSS class given to the element of the model with the keyboard focus.
+		 */
+		focusedCls : 'gui-collectionview-focused',
+		
+		
 		/**
 		 * @protected
 		 * @property {Object} modelElCache
@@ -171,6 +269,23 @@ define( [
 		 * that corresponds to that model.
 		 */
 		
+		/**
+		 * @private
+		 * @property {Object} virtualRange
+		 * 
+		 * When using the {@link #virtualScroll} config, the range of model indexes which are currently to be rendered. Has
+		 * properties `start` (inclusive), `end` (exclusive), and `total` (the total number of models). See 
+		 * {@link #getVirtualRange}.
+		 */
+		
+		/**
+		 * @private
+		 * @property {Number} currentPage
+		 * 
+		 * The page currently being displayed, when using the {@link #paging} config. Pages start at 1.
+		 */
+		currentPage : 1,
+		
 		/**
 		 * @private
 		 * @property {Boolean} hasLoadingHeight
@@ -184,16 +299,80 @@ define( [
 		 * @inheritdoc
 		 */
 		initComponent : function() {
+			this.addEvents(
+				/**
+				 * Fires when a model has been selected. Only fires when a {@link #selectionModel} is configured.
+				 * 
+				 * @event select
+				 * @param {gui.view.Collection} collectionView This Collection View instance.
+				 * @param {data.Model} model The model that was selected.
+				 */
+				'select',
+				
+				/**
+				 * Fires when a model has been deselected. Only fires when a {@link #selectionModel} is configured.
+				 * 
+				 * @event deselect
+				 * @param {gui.view.Collection} collectionView This Collection View instance.
+				 * @param {data.Model} model The model that was deselected.
+				 */
+				'deselect',
+				
+				/**
+				 * Fires once after any number of models have been selected and/or deselected by a single operation. Only 
+				 * fires when a {@link #selectionModel} is configured.
+				 * 
+				 * @event selectionchange
+				 * @param {gui.view.Collection} collectionView This Collection View instance.
+				 * @param {data.Model[]} selectedModels The models which are now selected.
+				 */
+				'selectionchange',
+				
+				/**
+				 * Fires when the state of the {@link #paging} changes. This is when a new page is loaded, and when the
+				 * total number of models changes. Only fires when the {@link #paging} config is used.
+				 * 
+				 * @event pagingchange
+				 * @param {gui.view.Collection} collectionView This Collection View instance.
+				 * @param {Number} page The current page.
+				 * @param {Number} pageCount The total number of pages.
+				 * @param {Number} totalCount The total number of models.
+				 */
+				'pagingchange'
+			);
+			
 			// Call CollectionBindable constructor
 			CollectionBindable.call( this );
 			
 			this._super( arguments );
 			
+			if( this.selectionModel ) {
+				this.selectionModel = this.createSelectionModel( this.selectionModel );
+			}
+			
 			// <debug>
 			if( !this.tpl ) throw new Error( "`tpl` config required" );
 			if( !this.modelSelector ) throw new Error( "`modelSelector` config required" );
 			// </debug>
 			
+			var virtualScroll = this.virtualScroll;
+			if( virtualScroll ) {
+				this.virtualScroll = _.assign( { buffer: 10 }, ( virtualScroll === true ) ? {} : virtualScroll );
+				this.virtualRange = { start: 0, end: 0, total: 0 };
+				
+				this.renderTpl = [
+					'<div id="<%= elId %>-topSpacer" class="gui-collectionview-spacer"></div>',
+					'<div id="<%= elId %>-items"></div>',
+					'<div id="<%= elId %>-bottomSpacer" class="gui-collectionview-spacer"></div>'
+				];
+				this.addCls( 'gui-collectionview-virtual' );
+			}
+			
+			// <debug>
+			if( this.paging && !this.paging.pageSize ) throw new Error( "`paging` config requires a `pageSize`" );
+			if( this.paging && virtualScroll ) throw new Error( "`paging` and `virtualScroll` configs may not be combined" );
+			// </debug>
+			
 			this.modelElCache = {};
 			if( this.collection ) {
 				this.bindCollection( this.collection );
@@ -207,6 +386,32 @@ define( [
 		},
 		
 		
+		/**
+		 * @inheritdoc
+		 */
+		onRender : function() {
+			this._super( arguments );
+			
+			if( this.selectionModel ) {
+				if( this.$el.attr( 'tabindex' ) === undefined ) {
+					this.$el.attr( 'tabindex', 0 );  // so that the view may receive keyboard focus
+				}
+				this.$el.on( {
+					'click'   : _.bind( this.onSelectionClick, this ),
+					'keydown' : _.bind( this.onSelectionKeyDown, this )
+				} );
+			}
+			
+			if( this.virtualScroll ) {
+				var elId = this.elId;
+				
+				this.$topSpacerEl = jQuery( '#' + elId + '-topSpacer' );
+				this.$bottomSpacerEl = jQuery( '#' + elId + '-bottomSpacer' );
+				this.$el.on( 'scroll', _.bind( this.onVirtualScroll, this ) );
+			}
+		},
+		
+		
 		/**
 		 * @inheritdoc
 		 */
@@ -217,6 +422,12 @@ define( [
 			if( collection ) {
 				this.collectModelElements( this.collectModels() );  // need to determine the initial set of models that were rendered (if any)
 				
+				// Now that the view's size (and possibly the height of the model elements) is known, render the models for
+				// the visible area
+				if( this.virtualScroll ) {
+					this.syncModelElements();
+				}
+				
 				// Mask the view if the Collection is currently loading when the view is rendered
 				if( this.maskOnLoad && collection.isLoading() ) {
 					this.applyLoadingHeight();
@@ -226,6 +437,36 @@ define( [
 		},
 		
 		
+		/**
+		 * Override of {@link gui.Component#getContentTarget} to return the element which holds the model elements when
+		 * the {@link #virtualScroll} config is used (i.e. the element between the spacer elements).
+		 * 
+		 * @return {jQuery}
+		 */
+		getContentTarget : function() {
+			if( this.virtualScroll ) {
+				return this.$itemsEl || ( this.$itemsEl = jQuery( '#' + this.elId + '-items' ) );
+			} else {
+				return this._super( arguments );
+			}
+		},
+		
+		
+		/**
+		 * Extension of the {@link gui.Component#onComponentLayout} hook method, which renders the models for the visible
+		 * area when the {@link #virtualScroll} config is used, in case the view's size has changed.
+		 * 
+		 * @protected
+		 */
+		onComponentLayout : function() {
+			this._super( arguments );
+			
+			if( this.virtualScroll ) {
+				this.syncModelElements();
+			}
+		},
+		
+		
 		// -----------------------------------
 		
 		// Implementation of CollectionBindable mixin methods
@@ -243,10 +484,10 @@ define( [
 			return {
 				'loadbegin' : this.onLoadBegin,
 				'load'      : this.onLoadComplete,
-				'addset'    : this.refresh,
-				'removeset' : this.refresh,
-				'reorder'   : this.refresh,
-				'changeset' : this.refresh,
+				'addset'    : this.onModelsAdd,
+				'removeset' : this.onModelsRemove,
+				'reorder'   : this.syncModelElements,
+				'changeset' : this.onModelChange,
 				scope : this
 			};
 		},
@@ -263,7 +504,15 @@ define( [
 		 *   previously-bound collection.
 		 */
 		onCollectionBind : function( collection ) {
+			if( this.selectionModel ) {
+				this.selectionModel.reset();
+			}
+			this.currentPage = 1;
 			this.refresh();
+			
+			if( this.paging ) {
+				this.firePagingChange();
+			}
 		},
 		
 		
@@ -300,6 +549,18 @@ define( [
 				
 				this.removeLoadingHeight();
 			}
+			
+			if( this.paging ) {
+				// The total count may have changed (or become known, for server-side paging). If the current page is
+				// now past the last page, load the last page instead.
+				var page = this.constrainPage( this.currentPage );
+				
+				if( page !== this.currentPage ) {
+					this.loadPage( page );
+				} else {
+					this.firePagingChange();
+				}
+			}
 		},
 		
 		
@@ -343,10 +604,14 @@ define( [
 		
 		/**
 		 * Refreshes the view by {@link #update updating} the Component's markup, based on the {@link #tpl}
-		 * and the current state of the {@link #collection}. This method should normally not need to be called 
-		 * directly, as the view will automatically be updated when changes are detected on the {@link #collection}.
+		 * and the current state of the {@link #collection}. All models are re-rendered. This method should normally 
+		 * not need to be called directly, as the view will automatically be updated when changes are detected on the 
+		 * {@link #collection}.
 		 */
 		refresh : function() {
+			var virtualScroll = this.virtualScroll;
+			if( virtualScroll ) this.updateVirtualRange();
+			
 			if( !this.collection ) {
 				this.update( "" );  // don't display anything (and don't run the template which uses a variable we don't have, i.e. the collection's models)
 				
@@ -358,6 +623,198 @@ define( [
 					this.collectModelElements( models );
 				}
 			}
+			
+			if( virtualScroll && this.rendered ) this.updateSpacers();
+		},
+		
+		
+		/**
+		 * Updates the view for models that have been added to, removed from, or reordered within the {@link #collection}, 
+		 * without re-rendering the models that already have elements in the view. 
+		 * 
+		 * The elements of models which are no longer to be displayed (as determined by {@link #collectModels}) are removed, 
+		 * only the newly displayed models are run through the {@link #tpl}, and the model elements are then moved into the 
+		 * order of the models. If there are no existing model elements to position new ones relative to, a full 
+		 * {@link #refresh} is performed instead.
+		 * 
+		 * @protected
+		 */
+		syncModelElements : function() {
+			if( !this.rendered || !this.collection ) {
+				this.refresh();  // simply updates the data that the tpl will be rendered with (or clears the view)
+				return;
+			}
+			if( this.virtualScroll ) this.updateVirtualRange();
+			
+			var models = this.collectModels(),
+			    modelElCache = this.modelElCache,
+			    newModelElCache = {},
+			    modelsToRender = [],
+			    i, len;
+			
+			for( i = 0, len = models.length; i < len; i++ ) {
+				var clientId = models[ i ].getClientId();
+				
+				if( modelElCache[ clientId ] ) {
+					newModelElCache[ clientId ] = modelElCache[ clientId ];
+				} else {
+					modelsToRender.push( models[ i ] );
+				}
+			}
+			
+			// If none of the existing model elements remain, there is nothing to position new elements relative to. Run the 
+			// full tpl instead (which also handles any markup that the tpl produces outside of the model elements).
+			if( modelsToRender.length === models.length ) {
+				this.refresh();
+				return;
+			}
+			
+			// Remove the elements of the models which are no longer to be displayed
+			_.forOwn( modelElCache, function( $el, clientId ) {
+				if( !newModelElCache[ clientId ] ) {
+					$el.remove();
+				}
+			} );
+			
+			if( modelsToRender.length ) {
+				_.assign( newModelElCache, this.renderModelElements( modelsToRender ) );
+			}
+			this.modelElCache = newModelElCache;
+			
+			this.orderModelElements( models );
+			
+			if( this.virtualScroll ) this.updateSpacers();
+		},
+		
+		
+		/**
+		 * Handles models being removed from the {@link #collection}, by removing their elements, and removing them from
+		 * the selection.
+		 * 
+		 * @protected
+		 * @param {data.Collection} collection The Collection that the models were removed from.
+		 * @param {data.Model[]} models The models that were removed.
+		 */
+		onModelsRemove : function( collection, models ) {
+			if( this.paging ) {
+				this.currentPage = this.constrainPage( this.currentPage );  // in case the last page no longer exists
+			}
+			this.syncModelElements();
+			
+			if( this.selectionModel ) {
+				this.selectionModel.pruneModels( models );
+			}
+			if( this.paging ) {
+				this.firePagingChange();
+			}
+		},
+		
+		
+		/**
+		 * Handles models being added to the {@link #collection}, by rendering them.
+		 * 
+		 * @protected
+		 * @param {data.Collection} collection The Collection that the models were added to.
+		 * @param {data.Model[]} models The models that were added.
+		 */
+		onModelsAdd : function( collection, models ) {
+			this.syncModelElements();
+			
+			if( this.paging ) {
+				this.firePagingChange();
+			}
+		},
+		
+		
+		/**
+		 * Handles a change to a {@link data.Model Model} in the {@link #collection}, by re-rendering only that model's
+		 * element.
+		 * 
+		 * @protected
+		 * @param {data.Collection} collection The Collection that the model belongs to.
+		 * @param {data.Model} model The model that changed.
+		 */
+		onModelChange : function( collection, model ) {
+			if( !this.rendered ) {
+				this.refresh();  // simply updates the data that the tpl will be rendered with
+				return;
+			}
+			
+			var $oldEl = this.getElementFromModel( model );
+			if( $oldEl ) {  // if there is no element, the model is not being displayed by the view
+				var newEls = this.renderModelElements( [ model ] ),
+				    clientId = model.getClientId();
+				
+				$oldEl.replaceWith( newEls[ clientId ] );
+				this.modelElCache[ clientId ] = newEls[ clientId ];
+			}
+		},
+		
+		
+		/**
+		 * Runs the {@link #tpl} for a subset of models, and retrieves the (detached) elements that were created for them.
+		 * Each element is given the data attribute which holds its model's {@link data.Model#getClientId clientId}.
+		 * 
+		 * @private
+		 * @param {data.Model[]} models The models to render.
+		 * @return {Object} An Object (map) of the models' clientIds to their new elements (wrapped in jQuery sets). See
+		 *   {@link #modelElCache}.
+		 */
+		renderModelElements : function( models ) {
+			var $fragment = jQuery( '<div />' ).append( this.tpl.apply( this.prepareTplData( models ) ) ),
+			    $els = $fragment.find( this.modelSelector ),
+			    els = {};
+			
+			for( var i = 0, len = $els.length; i < len; i++ ) {
+				var $el = $els.eq( i ),
+				    clientId = models[ i ].getClientId();
+				
+				$el.attr( 'data-CollectionView-clientId', clientId );
+				this.decorateModelElement( $el, models[ i ] );
+				els[ clientId ] = $el.detach();
+			}
+			return els;
+		},
+		
+		
+		/**
+		 * Moves the model elements in the {@link #modelElCache} into the order of the given `models`, and inserts any
+		 * (newly rendered) model elements which are not yet in the view. Elements which are already in their correct 
+		 * position relative to the others are not moved.
+		 * 
+		 * At least one of the model elements must already be in the view.
+		 * 
+		 * @private
+		 * @param {data.Model[]} models The models being displayed, in the order that they are to be displayed.
+		 */
+		orderModelElements : function( models ) {
+			var modelElCache = this.modelElCache,
+			    domEls = this.getContentTarget().find( this.modelSelector ).get(),  // the existing model elements, in their current order
+			    movedEls = {},  // keyed by clientId
+			    domIdx = 0,
+			    prevEl = null;
+			
+			for( var i = 0, len = models.length; i < len; i++ ) {
+				var clientId = models[ i ].getClientId(),
+				    el = modelElCache[ clientId ][ 0 ];
+				
+				// Skip over any elements in the DOM which have already been moved into their new positions
+				while( domIdx < domEls.length && movedEls[ domEls[ domIdx ].getAttribute( 'data-CollectionView-clientId' ) ] ) {
+					domIdx++;
+				}
+				
+				if( domEls[ domIdx ] === el ) {
+					domIdx++;  // already in position
+				} else {
+					if( prevEl ) {
+						jQuery( el ).insertAfter( prevEl );
+					} else {
+						jQuery( el ).insertBefore( domEls[ domIdx ] );
+					}
+					movedEls[ clientId ] = true;
+				}
+				prevEl = el;
+			}
 		},
 		
 		
@@ -369,8 +826,8 @@ define( [
 		 * to the {@link #tpl}.
 		 * 
 		 * @protected
-		 * @param {data.Model[]} models The models that are to be rendered by the {@link #tpl} (collected from 
-		 *   {@link #collectModels}).
+		 * @param {data.Model[]} models The models that are to be rendered by the {@link #tpl}. This is either the full set of
+		 *   models collected from {@link #collectModels}, or a subset of them which are being added or re-rendered.
 		 * @return {Object} An Object (map) of the properties which will be {@link gui.template.Template#apply applied}
 		 *   to the {@link #tpl}, to produce the output.
 		 */
@@ -390,7 +847,260 @@ define( [
 		 * @return {data.Model[]} The array of models which will be processed by the {@link #tpl}.
 		 */
 		collectModels : function() {
-			return ( this.collection ) ? this.collection.getModels() : [];
+			if( this.virtualScroll ) {
+				var models = ( this.collection ) ? this.collection.getModels() : [],
+				    range = this.getVirtualRange();
+				
+				return models.slice( range.start, range.end );
+			}
+			return this.getPageModels();
+		},
+		
+		
+		// -----------------------------------
+		
+		// Paging
+		
+		
+		/**
+		 * Displays the given page of models, when using the {@link #paging} config. For client-side paging, the page is 
+		 * displayed immediately. For server-side (`remote`) paging, the page is loaded by the {@link #collection}, and 
+		 * displayed when the load completes.
+		 * 
+		 * Fires the {@link #pagingchange} event.
+		 * 
+		 * @param {Number} page The page number, starting at 1. This is limited to the range of existing pages. For
+		 *   server-side paging where the total count is not yet known, the page is limited once the load completes.
+		 * @chainable
+		 */
+		loadPage : function( page ) {
+			var paging = this.paging,
+			    collection = this.collection;
+			
+			// <debug>
+			if( !paging ) throw new Error( "loadPage() requires the `paging` config" );
+			// </debug>
+			
+			page = this.constrainPage( page );
+			this.currentPage = page;
+			
+			if( paging.remote ) {
+				if( collection ) {
+					collection.loadPage( page );
+				}
+			} else {
+				this.syncModelElements();
+			}
+			
+			this.firePagingChange();
+			return this;
+		},
+		
+		
+		/**
+		 * Retrieves the page currently being displayed, when using the {@link #paging} config.
+		 * 
+		 * @return {Number} The page number, starting at 1.
+		 */
+		getPage : function() {
+			return this.currentPage;
+		},
+		
+		
+		/**
+		 * Retrieves the models of the page currently being displayed, when using client-side {@link #paging}. Otherwise,
+		 * retrieves all of the models in the {@link #collection} (which, for server-side paging, are the models of the
+		 * current page).
+		 * 
+		 * @return {data.Model[]}
+		 */
+		getPageModels : function() {
+			var models = ( this.collection ) ? this.collection.getModels() : [],
+			    paging = this.paging;
+			
+			if( paging && !paging.remote ) {
+				var start = ( this.currentPage - 1 ) * paging.pageSize;
+				models = models.slice( start, start + paging.pageSize );
+			}
+			return models;
+		},
+		
+		
+		/**
+		 * Retrieves the number of models displayed on each page, when using the {@link #paging} config.
+		 * 
+		 * @return {Number}
+		 */
+		getPageSize : function() {
+			return this.paging.pageSize;
+		},
+		
+		
+		/**
+		 * Retrieves the total number of models that may be paged through, when using the {@link #paging} config. For 
+		 * server-side (`remote`) paging, this is the {@link data.Collection#getTotalCount total count} reported by the
+		 * {@link #collection}.
+		 * 
+		 * @return {Number}
+		 */
+		getTotalCount : function() {
+			var collection = this.collection;
+			
+			if( !collection ) {
+				return 0;
+			} else if( this.paging.remote ) {
+				return collection.getTotalCount() || 0;
+			} else {
+				return collection.getModels().length;
+			}
+		},
+		
+		
+		/**
+		 * Retrieves the total number of pages, when using the {@link #paging} config. There is always at least 1 page,
+		 * even if it is empty.
+		 * 
+		 * @return {Number}
+		 */
+		getPageCount : function() {
+			return Math.max( Math.ceil( this.getTotalCount() / this.paging.pageSize ), 1 );
+		},
+		
+		
+		/**
+		 * Determines if the total number of models is known, when using the {@link #paging} config. For client-side
+		 * paging, it always is. For server-side (`remote`) paging, it is only known once the {@link #collection} has
+		 * loaded a page and its proxy has reported a {@link data.Collection#getTotalCount total count}.
+		 * 
+		 * @return {Boolean}
+		 */
+		isTotalCountKnown : function() {
+			var collection = this.collection;
+			
+			return !this.paging.remote || ( !!collection && typeof collection.getTotalCount() === 'number' );
+		},
+		
+		
+		/**
+		 * Limits a page number to the range of existing pages. For server-side (`remote`) paging where the
+		 * {@link #isTotalCountKnown total count is not yet known}, the page is only limited to be at least 1.
+		 * 
+		 * @private
+		 * @param {Number} page
+		 * @return {Number}
+		 */
+		constrainPage : function( page ) {
+			var maxPage = ( this.isTotalCountKnown() ) ? this.getPageCount() : Infinity;
+			
+			return Math.max( Math.min( page, maxPage ), 1 );
+		},
+		
+		
+		/**
+		 * Fires the {@link #pagingchange} event with the current paging state.
+		 * 
+		 * @private
+		 */
+		firePagingChange : function() {
+			this.fireEvent( 'pagingchange', this, this.currentPage, this.getPageCount(), this.getTotalCount() );
+		},
+		
+		
+		// -----------------------------------
+		
+		// Virtual scrolling
+		
+		
+		/**
+		 * Retrieves the range of model indexes which are to be rendered when the {@link #virtualScroll} config is used.
+		 * 
+		 * @protected
+		 * @return {Object} An object with properties `start` (the index of the first model to render), `end` (one past the 
+		 *   index of the last model to render), and `total` (the total number of models).
+		 */
+		getVirtualRange : function() {
+			return this.virtualRange;
+		},
+		
+		
+		/**
+		 * Calculates the range of models which are within (or within the {@link #virtualScroll} buffer of) the visible area 
+		 * of the view, and stores it as the {@link #virtualRange}.
+		 * 
+		 * @private
+		 */
+		updateVirtualRange : function() {
+			var total = ( this.collection ) ? this.collection.getModels().length : 0,
+			    buffer = this.virtualScroll.buffer,
+			    itemHeight = this.getVirtualItemHeight(),
+			    start = 0,
+			    end;
+			
+			if( !itemHeight ) {
+				end = buffer;  // render an initial set of models, from which the item height can be measured
+			} else {
+				var scrollTop = ( this.rendered ) ? this.$el.scrollTop() : 0,
+				    viewportHeight = ( this.rendered ) ? this.$el.innerHeight() : ( this.getConfiguredHeight() || 0 );
+				
+				start = Math.max( Math.floor( scrollTop / itemHeight ) - buffer, 0 );
+				end = Math.ceil( ( scrollTop + viewportHeight ) / itemHeight ) + buffer;
+			}
+			
+			this.virtualRange = { start: Math.min( start, total ), end: Math.min( end, total ), total: total };
+		},
+		
+		
+		/**
+		 * Retrieves the height of each model element when the {@link #virtualScroll} config is used. This is either the 
+		 * configured `itemHeight`, or the height measured from the first rendered model element.
+		 * 
+		 * @protected
+		 * @return {Number} The item height, or `undefined` if it is not configured and no model element has been rendered 
+		 *   yet to measure it from.
+		 */
+		getVirtualItemHeight : function() {
+			var virtualScroll = this.virtualScroll;
+			
+			if( !virtualScroll.itemHeight && this.rendered ) {
+				var height = this.getContentTarget().find( this.modelSelector ).first().outerHeight( true );
+				
+				if( height ) {
+					virtualScroll.itemHeight = height;
+				}
+			}
+			return virtualScroll.itemHeight;
+		},
+		
+		
+		/**
+		 * Sizes the spacer elements above and below the rendered models, to reserve the space of the models which are
+		 * not rendered when the {@link #virtualScroll} config is used.
+		 * 
+		 * @private
+		 */
+		updateSpacers : function() {
+			var range = this.virtualRange,
+			    itemHeight = this.getVirtualItemHeight() || 0;
+			
+			this.$topSpacerEl.height( range.start * itemHeight );
+			this.$bottomSpacerEl.height( ( range.total - range.end ) * itemHeight );
+		},
+		
+		
+		/**
+		 * Handles the view being scrolled when the {@link #virtualScroll} config is used, by rendering the models which
+		 * have come into view (and removing those which are no longer near it).
+		 * 
+		 * @protected
+		 */
+		onVirtualScroll : function() {
+			var oldRange = this.virtualRange;
+			this.updateVirtualRange();
+			
+			var newRange = this.virtualRange;
+			if( newRange.start !== oldRange.start || newRange.end !== oldRange.end ) {
+				this.syncModelElements();
+			}
 		},
 		
 		
@@ -414,11 +1124,30 @@ define( [
 				    clientId = models[ i ].getClientId();
 				
 				$el.attr( 'data-CollectionView-clientId', clientId );
+				this.decorateModelElement( $el, models[ i ] );
 				modelElCache[ clientId ] = $el;
 			}
 		},
 		
 		
+		/**
+		 * Applies the selected and focused CSS classes to a newly rendered model element, if a {@link #selectionModel} is
+		 * configured.
+		 * 
+		 * @private
+		 * @param {jQuery} $el The model's element.
+		 * @param {data.Model} model
+		 */
+		decorateModelElement : function( $el, model ) {
+			var selectionModel = this.selectionModel;
+			
+			if( selectionModel ) {
+				$el.toggleClass( this.selectedCls, selectionModel.isSelected( model ) );
+				$el.toggleClass( this.focusedCls, selectionModel.getFocusedModel() === model );
+			}
+		},
+		
+		
 		// -----------------------------------
 		
 		
@@ -470,6 +1199,234 @@ define( [
 		},
 		
 		
+		// ---------------------------------------
+		
+		// Selection
+		
+		
+		/**
+		 * Creates the {@link #selectionModel} from the config, and subscribes to its events.
+		 * 
+		 * @protected
+		 * @param {String/Object/gui.view.SelectionModel} selectionModel The {@link #selectionModel} config.
+		 * @return {gui.view.SelectionModel}
+		 */
+		createSelectionModel : function( selectionModel ) {
+			if( !( selectionModel instanceof SelectionModel ) ) {
+				var config = ( typeof selectionModel === 'string' ) ? { mode: selectionModel } : selectionModel;
+				selectionModel = new SelectionModel( config );
+			}
+			selectionModel.setView( this );
+			
+			selectionModel.on( {
+				'select'          : this.onModelSelect,
+				'deselect'        : this.onModelDeselect,
+				'selectionchange' : this.onSelectionChange,
+				'focuschange'     : this.onFocusChange,
+				scope : this
+			} );
+			return selectionModel;
+		},
+		
+		
+		/**
+		 * Retrieves the {@link #selectionModel}.
+		 * 
+		 * @return {gui.view.SelectionModel} The SelectionModel, or `null` if the view was not configured with one.
+		 */
+		getSelectionModel : function() {
+			return this.selectionModel;
+		},
+		
+		
+		/**
+		 * Retrieves the selected models.
+		 * 
+		 * @return {data.Model[]} The selected models. This is an empty array if there is no {@link #selectionModel}.
+		 */
+		getSelection : function() {
+			return ( this.selectionModel ) ? this.selectionModel.getSelection() : [];
+		},
+		
+		
+		/**
+		 * Sets the selected models, replacing the current selection. Requires a {@link #selectionModel}.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @chainable
+		 */
+		setSelection : function( models ) {
+			this.selectionModel.setSelection( models );
+			return this;
+		},
+		
+		
+		/**
+		 * Selects one or more models. Requires a {@link #selectionModel}.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @param {Boolean} [keepExisting=false] `true` to keep the currently selected models selected.
+		 * @chainable
+		 */
+		select : function( models, keepExisting ) {
+			this.selectionModel.select( models, keepExisting );
+			return this;
+		},
+		
+		
+		/**
+		 * Deselects one or more models. Requires a {@link #selectionModel}.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @chainable
+		 */
+		deselect : function( models ) {
+			this.selectionModel.deselect( models );
+			return this;
+		},
+		
+		
+		/**
+		 * Determines if a model is selected.
+		 * 
+		 * @param {data.Model} model
+		 * @return {Boolean} `true` if the model is selected, `false` if it is not (or there is no {@link #selectionModel}).
+		 */
+		isSelected : function( model ) {
+			return !!this.selectionModel && this.selectionModel.isSelected( model );
+		},
+		
+		
+		/**
+		 * Handles a click on the view, by passing clicks on model elements to the {@link #selectionModel}.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onSelectionClick : function( evt ) {
+			var $modelEl = this.getModelParentElement( evt.target );
+			
+			if( $modelEl ) {
+				this.selectionModel.handleClick( this.getModelFromElement( $modelEl ), evt );
+			}
+		},
+		
+		
+		/**
+		 * Handles a keydown on the view, by passing it to the {@link #selectionModel}.
+		 * 
+		 * @protected
+		 * @param {jQuery.Event} evt
+		 */
+		onSelectionKeyDown : function( evt ) {
+			if( this.selectionModel.handleKeyDown( evt ) ) {
+				evt.preventDefault();  // prevent the arrow keys and space bar from scrolling the view
+			}
+		},
+		
+		
+		/**
+		 * Handles the {@link #selectionModel} selecting a model, by adding the selected CSS class to its element, and firing
+		 * the {@link #event-select} event.
+		 * 
+		 * @protected
+		 * @param {gui.view.SelectionModel} selectionModel
+		 * @param {data.Model} model
+		 */
+		onModelSelect : function( selectionModel, model ) {
+			var $el = this.getElementFromModel( model );
+			if( $el ) $el.addClass( this.selectedCls );
+			
+			this.fireEvent( 'select', this, model );
+		},
+		
+		
+		/**
+		 * Handles the {@link #selectionModel} deselecting a model, by removing the selected CSS class from its element, and 
+		 * firing the {@link #event-deselect} event.
+		 * 
+		 * @protected
+		 * @param {gui.view.SelectionModel} selectionModel
+		 * @param {data.Model} model
+		 */
+		onModelDeselect : function( selectionModel, model ) {
+			var $el = this.getElementFromModel( model );
+			if( $el ) $el.removeClass( this.selectedCls );
+			
+			this.fireEvent( 'deselect', this, model );
+		},
+		
+		
+		/**
+		 * Handles the {@link #selectionModel selection} changing, by firing the {@link #selectionchange} event.
+		 * 
+		 * @protected
+		 * @param {gui.view.SelectionModel} selectionModel
+		 * @param {data.Model[]} selectedModels
+		 */
+		onSelectionChange : function( selectionModel, selectedModels ) {
+			this.fireEvent( 'selectionchange', this, selectedModels );
+		},
+		
+		
+		/**
+		 * Handles the {@link #selectionModel selection model's} focused model changing, by moving the focused CSS class
+		 * to the new model's element, and scrolling it into view.
+		 * 
+		 * @protected
+		 * @param {gui.view.SelectionModel} selectionModel
+		 * @param {data.Model} model The newly focused model, or `null` if there is none.
+		 * @param {data.Model} oldModel The previously focused model, or `null` if there was none.
+		 */
+		onFocusChange : function( selectionModel, model, oldModel ) {
+			var $oldEl = oldModel && this.getElementFromModel( oldModel );
+			if( $oldEl ) $oldEl.removeClass( this.focusedCls );
+			
+			if( model ) {
+				this.scrollModelIntoView( model );
+				
+				var $el = this.getElementFromModel( model );  // note: retrieve after scrolling, which may render the element
+				if( $el ) $el.addClass( this.focusedCls );
+			}
+		},
+		
+		
+		/**
+		 * Scrolls the view (if it is scrollable) so that the given model's element is visible.
+		 * 
+		 * @param {data.Model} model
+		 */
+		scrollModelIntoView : function( model ) {
+			if( !this.rendered ) return;
+			
+			var $el = this.$el,
+			    scrollTop = $el.scrollTop(),
+			    viewportHeight = $el.innerHeight(),
+			    top, height;
+			
+			if( this.virtualScroll ) {
+				height = this.getVirtualItemHeight() || 0;
+				top = _.indexOf( this.collection.getModels(), model ) * height;
+			} else {
+				var $modelEl = this.getElementFromModel( model );
+				if( !$modelEl ) return;
+				
+				height = $modelEl.outerHeight();
+				top = $modelEl.offset().top - $el.offset().top + scrollTop;
+			}
+			
+			if( top < scrollTop ) {
+				$el.scrollTop( top );
+			} else if( top + height > scrollTop + viewportHeight ) {
+				$el.scrollTop( top + height - viewportHeight );
+			}
+			
+			if( this.virtualScroll ) {
+				this.onVirtualScroll();  // render the element now, rather than waiting for the (asynchronous) scroll event
+			}
+		},
+		
+		
 		// ---------------------------------------
 		
 		
@@ -479,6 +1436,10 @@ define( [
 		onDestroy : function() {
 			this.unbindCollection();  // unbind any bound collection
 			
+			if( this.selectionModel ) {
+				this.selectionModel.destroy();
+			}
+			
 			this._super( arguments );
 		}
 		
@@ -0,0 +1,475 @@
+/*global define */
+define( [
+	'lodash',
+	'Observable'
+], function( _, Observable ) {
+	
+	/**
+	 * @class gui.view.SelectionModel
+	 * @extends Observable
+	 * 
+	 * Manages the selected {@link data.Model Models} of a {@link gui.view.Collection Collection View}, and implements how
+	 * mouse clicks and key presses on the view change the selection. A SelectionModel is created by the Collection View
+	 * from its {@link gui.view.Collection#selectionModel selectionModel} config, and may be subclassed to implement a
+	 * different selection behavior.
+	 * 
+	 * The {@link #mode} config determines how the selection is changed by user input:
+	 * 
+	 * - **single** : Only one model may be selected at a time. A click selects the model, and a ctrl-click (or cmd-click) on
+	 *   the selected model deselects it.
+	 * - **multi** : A click selects a single model, a ctrl-click (or cmd-click) toggles a model's selection while keeping
+	 *   the other selected models, and a shift-click selects the range of models from the last clicked model.
+	 * - **simple** : A click toggles a model's selection, without the need for any modifier keys.
+	 * 
+	 * The arrow keys move the focused model (see {@link #getFocusedModel}). In 'single' and 'multi' mode, moving the focus also
+	 * selects the newly focused model (extending the selection as a range if shift is held in 'multi' mode), unless the ctrl
+	 * (or cmd) key is held. The space bar toggles the selection of the focused model.
+	 * 
+	 * Models which are removed from the view's collection are automatically removed from the selection.
+	 */
+	var SelectionModel = Observable.extend( {
+		
+		/**
+		 * @cfg {String} mode
+		 * 
+		 * The selection mode. One of 'single', 'multi', or 'simple'. See the description of this class for details.
+		 */
+		mode : 'single',
+		
+		/**
+		 * @cfg {gui.view.Collection} view
+		 * 
+		 * The Collection View that this SelectionModel belongs to. This is set by the Collection View when it creates the
+		 * SelectionModel.
+		 */
+		view : null,
+		
+		
+		/**
+		 * @private
+		 * @property {data.Model[]} selected
+		 * 
+		 * The currently selected models, in the order that they were selected.
+		 */
+		
+		/**
+		 * @private
+		 * @property {data.Model} focusedModel
+		 * 
+		 * The model which currently has the keyboard focus, or `null` if there is none.
+		 */
+		focusedModel : null,
+		
+		/**
+		 * @private
+		 * @property {data.Model} anchorModel
+		 * 
+		 * The model that range selections (shift-click or shift-arrow in 'multi' mode) start from. This is the model that
+		 * was last clicked or selected without the shift key.
+		 */
+		anchorModel : null,
+		
+		
+		/**
+		 * @constructor
+		 * @param {Object} [config] Any of the configuration options of this class, specified in an Object (map).
+		 */
+		constructor : function( config ) {
+			this.addEvents(
+				/**
+				 * Fires when a model has been selected.
+				 * 
+				 * @event select
+				 * @param {gui.view.SelectionModel} selectionModel This SelectionModel instance.
+				 * @param {data.Model} model The model that was selected.
+				 */
+				'select',
+				
+				/**
+				 * Fires when a model has been deselected.
+				 * 
+				 * @event deselect
+				 * @param {gui.view.SelectionModel} selectionModel This SelectionModel instance.
+				 * @param {data.Model} model The model that was deselected.
+				 */
+				'deselect',
+				
+				/**
+				 * Fires once after any number of models have been selected and/or deselected by a single operation.
+				 * 
+				 * @event selectionchange
+				 * @param {gui.view.SelectionModel} selectionModel This SelectionModel instance.
+				 * @param {data.Model[]} selectedModels The models which are now selected.
+				 */
+				'selectionchange',
+				
+				/**
+				 * Fires when the focused model changes.
+				 * 
+				 * @event focuschange
+				 * @param {gui.view.SelectionModel} selectionModel This SelectionModel instance.
+				 * @param {data.Model} model The newly focused model, or `null` if no model is focused.
+				 * @param {data.Model} oldModel The previously focused model, or `null` if no model was focused.
+				 */
+				'focuschange'
+			);
+			
+			// Apply the properties of the configuration object onto this object
+			_.assign( this, config );
+			
+			// Call Observable's constructor
+			this._super( arguments );
+			
+			this.selected = [];
+		},
+		
+		
+		/**
+		 * Sets the {@link #view} that this SelectionModel belongs to.
+		 * 
+		 * @param {gui.view.Collection} view
+		 */
+		setView : function( view ) {
+			this.view = view;
+		},
+		
+		
+		/**
+		 * Retrieves the models that may be selected, in order. These are the models of the {@link #view view's} collection.
+		 * 
+		 * @protected
+		 * @return {data.Model[]}
+		 */
+		getModels : function() {
+			var collection = this.view && this.view.getCollection();
+			return ( collection ) ? collection.getModels() : [];
+		},
+		
+		
+		/**
+		 * Retrieves the models that may be navigated to with the keyboard, in order. These are the models on the
+		 * {@link #view view's} current {@link gui.view.Collection#getPageModels page}.
+		 * 
+		 * @protected
+		 * @return {data.Model[]}
+		 */
+		getPageModels : function() {
+			return ( this.view ) ? this.view.getPageModels() : [];
+		},
+		
+		
+		// -----------------------------------
+		
+		// Selection API
+		
+		
+		/**
+		 * Retrieves the selected models.
+		 * 
+		 * @return {data.Model[]}
+		 */
+		getSelection : function() {
+			return this.selected.slice( 0 );
+		},
+		
+		
+		/**
+		 * Determines if a model is selected.
+		 * 
+		 * @param {data.Model} model
+		 * @return {Boolean}
+		 */
+		isSelected : function( model ) {
+			return _.contains( this.selected, model );
+		},
+		
+		
+		/**
+		 * Selects one or more models.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @param {Boolean} [keepExisting=false] `true` to keep the currently selected models selected. Does not apply in
+		 *   'single' {@link #mode}.
+		 * @chainable
+		 */
+		select : function( models, keepExisting ) {
+			models = [].concat( models );
+			
+			return this.setSelection( ( keepExisting ) ? this.selected.concat( models ) : models );
+		},
+		
+		
+		/**
+		 * Deselects one or more models.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @chainable
+		 */
+		deselect : function( models ) {
+			return this.setSelection( _.difference( this.selected, [].concat( models ) ) );
+		},
+		
+		
+		/**
+		 * Deselects all models.
+		 * 
+		 * @chainable
+		 */
+		clearSelection : function() {
+			return this.setSelection( [] );
+		},
+		
+		
+		/**
+		 * Sets the selected models, replacing the current selection. In 'single' {@link #mode}, only the last of the given
+		 * models is selected.
+		 * 
+		 * Fires the {@link #event-select} and {@link #event-deselect} events for each model that was selected or deselected,
+		 * and then the {@link #selectionchange} event, if the selection changed.
+		 * 
+		 * @param {data.Model/data.Model[]} models
+		 * @chainable
+		 */
+		setSelection : function( models ) {
+			var newSelection = _.unique( _.compact( [].concat( models ) ) );
+			if( this.mode === 'single' ) {
+				newSelection = newSelection.slice( -1 );
+			}
+			
+			var oldSelection = this.selected,
+			    deselectedModels = _.difference( oldSelection, newSelection ),
+			    selectedModels = _.difference( newSelection, oldSelection );
+			
+			if( deselectedModels.length || selectedModels.length ) {
+				this.selected = newSelection;
+				
+				_.forEach( deselectedModels, function( model ) { this.fireEvent( 'deselect', this, model ); }, this );
+				_.forEach( selectedModels, function( model ) { this.fireEvent( 'select', this, model ); }, this );
+				this.fireEvent( 'selectionchange', this, this.getSelection() );
+			}
+			return this;
+		},
+		
+		
+		/**
+		 * Selects the range of models between two models (inclusive), in the order of the {@link #view view's} collection.
+		 * 
+		 * @param {data.Model} fromModel
+		 * @param {data.Model} toModel
+		 * @param {Boolean} [keepExisting=false] `true` to keep the currently selected models selected.
+		 * @chainable
+		 */
+		selectRange : function( fromModel, toModel, keepExisting ) {
+			var models = this.getModels(),
+			    fromIdx = _.indexOf( models, fromModel ),
+			    toIdx = _.indexOf( models, toModel );
+			
+			if( fromIdx === -1 || toIdx === -1 ) {
+				return this.select( toModel, keepExisting );
+			}
+			return this.select( models.slice( Math.min( fromIdx, toIdx ), Math.max( fromIdx, toIdx ) + 1 ), keepExisting );
+		},
+		
+		
+		/**
+		 * Toggles the selection of a model, keeping the other selected models selected.
+		 * 
+		 * @param {data.Model} model
+		 * @chainable
+		 */
+		toggle : function( model ) {
+			return ( this.isSelected( model ) ) ? this.deselect( model ) : this.select( model, /* keepExisting */ true );
+		},
+		
+		
+		/**
+		 * Removes models from the selection (and from being the focused model) after they have been removed from the
+		 * {@link #view view's} collection. This is called by the {@link #view}.
+		 * 
+		 * @param {data.Model[]} models The models that were removed.
+		 */
+		pruneModels : function( models ) {
+			if( _.contains( models, this.anchorModel ) ) {
+				this.anchorModel = null;
+			}
+			if( _.contains( models, this.focusedModel ) ) {
+				this.setFocusedModel( null );
+			}
+			this.deselect( models );
+		},
+		
+		
+		/**
+		 * Clears the selection and focus, such as when a new collection is bound to the {@link #view}. This is called by
+		 * the {@link #view}.
+		 */
+		reset : function() {
+			this.anchorModel = null;
+			this.setFocusedModel( null );
+			this.clearSelection();
+		},
+		
+		
+		// -----------------------------------
+		
+		// Focus
+		
+		
+		/**
+		 * Retrieves the model which has the keyboard focus.
+		 * 
+		 * @return {data.Model} The focused model, or `null` if there is none.
+		 */
+		getFocusedModel : function() {
+			return this.focusedModel;
+		},
+		
+		
+		/**
+		 * Sets the model which has the keyboard focus. Fires the {@link #focuschange} event if the focused model changes.
+		 * 
+		 * @param {data.Model} model The model to focus, or `null` to remove the focus.
+		 * @chainable
+		 */
+		setFocusedModel : function( model ) {
+			var oldModel = this.focusedModel;
+			
+			if( model !== oldModel ) {
+				this.focusedModel = model;
+				this.fireEvent( 'focuschange', this, model, oldModel );
+			}
+			return this;
+		},
+		
+		
+		// -----------------------------------
+		
+		// User input handling
+		
+		
+		/**
+		 * Handles a click on a model's element in the {@link #view}, updating the selection according to the {@link #mode}
+		 * and the modifier keys that were held.
+		 * 
+		 * @param {data.Model} model The model that was clicked.
+		 * @param {jQuery.Event} evt The click event.
+		 */
+		handleClick : function( model, evt ) {
+			var ctrlKey = evt.ctrlKey || evt.metaKey;
+			
+			switch( this.mode ) {
+				case 'simple' :
+					this.toggle( model );
+					break;
+				
+				case 'multi' :
+					if( evt.shiftKey && this.anchorModel ) {
+						this.selectRange( this.anchorModel, model, ctrlKey );
+						this.setFocusedModel( model );
+						return;  // keep the anchor in place, for subsequent shift-clicks
+					} else if( ctrlKey ) {
+						this.toggle( model );
+					} else {
+						this.select( model );
+					}
+					break;
+				
+				default :  // 'single'
+					if( ctrlKey && this.isSelected( model ) ) {
+						this.deselect( model );
+					} else {
+						this.select( model );
+					}
+			}
+			
+			this.anchorModel = model;
+			this.setFocusedModel( model );
+		},
+		
+		
+		/**
+		 * Handles a keydown event on the {@link #view}, moving the focus with the arrow, home, and end keys, and toggling
+		 * the focused model's selection with the space bar. The focus is only moved among the models on the view's
+		 * current page.
+		 * 
+		 * @param {jQuery.Event} evt The keydown event.
+		 * @return {Boolean} `true` if the key was handled (in which case its default action should be prevented), `false`
+		 *   otherwise.
+		 */
+		handleKeyDown : function( evt ) {
+			var models = this.getPageModels(),
+			    numModels = models.length;
+			
+			if( numModels === 0 ) return false;
+			
+			var focusedModel = this.focusedModel,
+			    focusedIdx = _.indexOf( models, focusedModel ),
+			    ctrlKey = evt.ctrlKey || evt.metaKey,
+			    newIdx;
+			
+			switch( evt.keyCode ) {
+				case 37 :  // left arrow
+				case 38 :  // up arrow
+					newIdx = Math.max( focusedIdx - 1, 0 );
+					break;
+				
+				case 39 :  // right arrow
+				case 40 :  // down arrow
+					newIdx = Math.min( focusedIdx + 1, numModels - 1 );
+					break;
+				
+				case 36 :  // home
+					newIdx = 0;
+					break;
+				
+				case 35 :  // end
+					newIdx = numModels - 1;
+					break;
+				
+				case 32 :  // space
+					if( focusedModel ) {
+						if( this.mode === 'single' && !ctrlKey && !this.isSelected( focusedModel ) ) {
+							this.select( focusedModel );
+						} else {
+							this.toggle( focusedModel );
+						}
+						this.anchorModel = focusedModel;
+					}
+					return true;
+				
+				default :
+					return false;
+			}
+			
+			var newModel = models[ newIdx ];
+			if( this.mode !== 'simple' && !ctrlKey ) {
+				if( this.mode === 'multi' && evt.shiftKey ) {
+					this.selectRange( this.anchorModel || newModel, newModel );
+				} else {
+					this.select( newModel );
+					this.anchorModel = newModel;
+				}
+			}
+			this.setFocusedModel( newModel );
+			
+			return true;
+		},
+		
+		
+		// -----------------------------------
+		
+		
+		/**
+		 * Destroys the SelectionModel, removing all of its listeners.
+		 */
+		destroy : function() {
+			this.purgeListeners();
+			this.view = null;
+		}
+	
+	} );
+	
+	
+	return SelectionModel;
+
+} );
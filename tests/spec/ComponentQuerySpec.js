@@ -99,6 +99,105 @@ define( [
 		} );
 		
 		
+		describe( 'query() with compound selectors, combinators, and selector groups', function() {
+			var container;
+			
+			beforeEach( function() {
+				container = new Container( {
+					id : 'outer',
+					items : [
+						new Button( { id: 'button1', disabled: true } ),
+						new Panel( {
+							id : 'panel1',
+							items : [
+								new Button( { id: 'button2', title: "Button Two" } ),
+								new Container( {
+									id : 'innerContainer',
+									items : [
+										new Button( { id: 'button3', disabled: true } )
+									]
+								} ),
+								new Component( { id: 'cmp1' } )
+							]
+						} )
+					]
+				} );
+			} );
+			
+			afterEach( function() {
+				container.destroy();
+			} );
+			
+			function getIds( components ) {
+				return _.map( components, function( cmp ) { return cmp.getId(); } );
+			}
+			
+			
+			it( "should handle descendant selectors", function() {
+				expect( getIds( ComponentQuery.query( 'panel button', container ) ) ).toEqual( [ 'button2', 'button3' ] );
+				expect( getIds( ComponentQuery.query( '#outer button', container ) ) ).toEqual( [ 'button1', 'button2', 'button3' ] );
+				expect( getIds( ComponentQuery.query( 'panel container button', container ) ) ).toEqual( [ 'button3' ] );
+				expect( getIds( ComponentQuery.query( 'button component', container ) ) ).toEqual( [] );
+			} );
+			
+			
+			it( "should handle child selectors", function() {
+				expect( getIds( ComponentQuery.query( 'panel > button', container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( '#outer > *', container ) ) ).toEqual( [ 'button1', 'panel1' ] );
+				expect( getIds( ComponentQuery.query( '#outer > * > container > button', container ) ) ).toEqual( [ 'button3' ] );
+				expect( getIds( ComponentQuery.query( '#outer>button', container ) ) ).toEqual( [ 'button1' ] );  // no whitespace around the combinator
+			} );
+			
+			
+			it( "should match ancestors outside of the `context` components when using combinators", function() {
+				var panel = container.getItemAt( 1 );
+				
+				expect( getIds( ComponentQuery.query( '#outer > panel > button', panel ) ) ).toEqual( [ 'button2' ] );
+			} );
+			
+			
+			it( "should handle comma-separated selector groups, returning the components in hierarchy order", function() {
+				expect( getIds( ComponentQuery.query( '#cmp1, panel > button, #button1', container ) ) ).toEqual( [ 'button1', 'button2', 'cmp1' ] );
+				expect( getIds( ComponentQuery.query( 'button, panel button', container ) ) ).toEqual( [ 'button1', 'button2', 'button3' ] );  // no duplicates
+			} );
+			
+			
+			it( "should handle attribute selectors", function() {
+				expect( getIds( ComponentQuery.query( 'button[disabled=true]', container ) ) ).toEqual( [ 'button1', 'button3' ] );
+				expect( getIds( ComponentQuery.query( 'button[disabled!=true]', container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( '[title]', container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( '[id^=button]', container ) ) ).toEqual( [ 'button1', 'button2', 'button3' ] );
+				expect( getIds( ComponentQuery.query( '[id$=Container]', container ) ) ).toEqual( [ 'innerContainer' ] );
+				expect( getIds( ComponentQuery.query( '[id*=nerCon]', container ) ) ).toEqual( [ 'innerContainer' ] );
+				expect( getIds( ComponentQuery.query( '[title="Button Two"]', container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( "[title='Button Two']", container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( 'button[disabled=true][id=button3]', container ) ) ).toEqual( [ 'button3' ] );
+			} );
+			
+			
+			it( "should handle the :first and :last pseudo-classes", function() {
+				expect( getIds( ComponentQuery.query( 'panel > :first', container ) ) ).toEqual( [ 'button2' ] );
+				expect( getIds( ComponentQuery.query( 'panel > :last', container ) ) ).toEqual( [ 'cmp1' ] );
+				expect( getIds( ComponentQuery.query( 'button:first:last', container ) ) ).toEqual( [ 'button3' ] );  // the only child of its container
+			} );
+			
+			
+			it( "should handle the :rendered, :visible, and :hidden pseudo-classes", function() {
+				expect( getIds( ComponentQuery.query( 'button:rendered', container ) ) ).toEqual( [] );
+				expect( getIds( ComponentQuery.query( 'button:visible', container ) ) ).toEqual( [] );
+				expect( getIds( ComponentQuery.query( 'button:hidden', container ) ) ).toEqual( [ 'button1', 'button2', 'button3' ] );
+				
+				container.render( 'body' );
+				container.getItemAt( 1 ).hide();  // hide the Panel
+				
+				expect( getIds( ComponentQuery.query( 'button:rendered', container ) ) ).toEqual( [ 'button1', 'button2', 'button3' ] );
+				expect( getIds( ComponentQuery.query( 'button:visible', container ) ) ).toEqual( [ 'button1' ] );
+				expect( getIds( ComponentQuery.query( 'button:hidden', container ) ) ).toEqual( [ 'button2', 'button3' ] );
+			} );
+			
+		} );
+		
+		
 		describe( 'is()', function() {
 			var cmps, nestedContainer;
 			
@@ -144,6 +243,33 @@ define( [
 				expect( ComponentQuery.is( cmps[ 2 ], 'something-else' ) ).toBe( false );
 			} );
 			
+			
+			it( "should take the component's ancestors into account for selectors with combinators", function() {
+				var button = new Button(),
+				    panel = new Panel( { id: 'outerPanel', items: new Container( { items: button } ) } );
+				
+				expect( ComponentQuery.is( button, 'panel button' ) ).toBe( true );
+				expect( ComponentQuery.is( button, '#outerPanel > container > button' ) ).toBe( true );
+				expect( ComponentQuery.is( button, 'panel > button' ) ).toBe( false );
+				expect( ComponentQuery.is( button, 'window button' ) ).toBe( false );
+				
+				panel.destroy();  // clean up
+			} );
+			
+		} );
+		
+		
+		describe( 'registerPseudo()', function() {
+			
+			it( "should allow a custom pseudo-class to be used in selectors", function() {
+				var cmps = [ new Component( { id: 'cmp1' } ), new Component( { id: 'cmp2', special: true } ) ];
+				
+				ComponentQuery.registerPseudo( 'special-test', function( component ) { return !!component.special; } );
+				expect( ComponentQuery.query( 'component:special-test', cmps ) ).toEqual( [ cmps[ 1 ] ] );
+				
+				_.forEach( cmps, function( cmp ) { cmp.destroy(); } );  // clean up
+			} );
+			
 		} );
 		
 		
@@ -201,6 +327,44 @@ define( [
 		} );
 		
 		
+		describe( 'parseSelector()', function() {
+			
+			it( "should parse a selector into its selector groups and compound selectors", function() {
+				var result = ComponentQuery.parseSelector( 'panel > button#myButton[disabled=true]:first, #other' );
+				
+				expect( result ).toEqual( [
+					[
+						{ type: 'panel', id: null, attributes: [], pseudos: [], combinator: null },
+						{ type: 'button', id: 'myButton', attributes: [ { name: 'disabled', operator: '=', value: 'true' } ], pseudos: [ 'first' ], combinator: '>' }
+					],
+					[
+						{ type: null, id: 'other', attributes: [], pseudos: [], combinator: null }
+					]
+				] );
+			} );
+			
+			
+			it( "should return the cached result when the same selector is parsed again", function() {
+				var result1 = ComponentQuery.parseSelector( 'container button' ),
+				    result2 = ComponentQuery.parseSelector( 'container button' );
+				
+				expect( result1 ).toBe( result2 );
+			} );
+			
+			
+			it( "should throw an error for invalid selectors", function() {
+				expect( function() { ComponentQuery.parseSelector( '' ); } ).toThrow( "Invalid ComponentQuery selector '': unexpected end of selector" );
+				expect( function() { ComponentQuery.parseSelector( 'panel >' ); } ).toThrow( "Invalid ComponentQuery selector 'panel >': unexpected end of selector" );
+				expect( function() { ComponentQuery.parseSelector( '> panel' ); } ).toThrow( "Invalid ComponentQuery selector '> panel': expected a selector before '>'" );
+				expect( function() { ComponentQuery.parseSelector( 'panel,,button' ); } ).toThrow( "Invalid ComponentQuery selector 'panel,,button': expected a selector before ','" );
+				expect( function() { ComponentQuery.parseSelector( '#myPanel panel$' ); } ).toThrow( "Invalid ComponentQuery selector '#myPanel panel$': unexpected character '$'" );
+				expect( function() { ComponentQuery.parseSelector( '#myPanel:non-existent' ); } ).toThrow( "Invalid ComponentQuery selector '#myPanel:non-existent': unknown pseudo-class ':non-existent'" );
+				expect( function() { ComponentQuery.parseSelector( '[disabled]button' ); } ).toThrow( "Invalid ComponentQuery selector '[disabled]button': a type selector ('button') must be the first part of a compound selector" );
+			} );
+			
+		} );
+		
+		
 		describe( 'filterById', function() {
 			var cmps;
 			
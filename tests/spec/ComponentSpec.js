@@ -1,4 +1,4 @@
-/*global define, describe, xdescribe, beforeEach, afterEach, it, xit, expect, runs, waitsFor, JsMockito */
+/*global define, describe, xdescribe, beforeEach, afterEach, it, xit, expect, spyOn, runs, waitsFor, JsMockito */
 /*jshint sub:true */
 define( [
 	'jquery',
@@ -2370,6 +2370,92 @@ function( jQuery, _, Class, Animation, Plugin, Component, Container ) {
 		} );
 		
 		
+		describe( 'up()', function() {
+			var component, innerContainer, outerContainer;
+			
+			beforeEach( function() {
+				component = new Component();
+				innerContainer = new Container( { id: 'inner', items: component } );
+				outerContainer = new Container( { id: 'outer', cls: 'outer', items: innerContainer } );
+			} );
+			
+			afterEach( function() {
+				outerContainer.destroy();
+			} );
+			
+			
+			it( "should return the parent Container when no selector is provided", function() {
+				expect( component.up() ).toBe( innerContainer );
+			} );
+			
+			
+			it( "should return the closest ancestor Container which matches the selector", function() {
+				expect( component.up( 'container' ) ).toBe( innerContainer );
+				expect( component.up( '#outer' ) ).toBe( outerContainer );
+				expect( component.up( 'container > container' ) ).toBe( innerContainer );
+			} );
+			
+			
+			it( "should return null if no ancestor Container matches the selector", function() {
+				expect( component.up( '#non-existent' ) ).toBe( null );
+				expect( outerContainer.up() ).toBe( null );
+			} );
+			
+		} );
+		
+		
+		describe( 'nextSibling() / previousSibling()', function() {
+			var cmps, container;
+			
+			beforeEach( function() {
+				cmps = [
+					new Component( { id: 'cmp1' } ),
+					new Container( { id: 'cmp2' } ),
+					new Component( { id: 'cmp3' } ),
+					new Container( { id: 'cmp4' } )
+				];
+				container = new Container( { items: cmps } );
+			} );
+			
+			afterEach( function() {
+				container.destroy();
+			} );
+			
+			
+			it( "should return the adjacent sibling when no selector is provided", function() {
+				expect( cmps[ 1 ].nextSibling() ).toBe( cmps[ 2 ] );
+				expect( cmps[ 1 ].previousSibling() ).toBe( cmps[ 0 ] );
+			} );
+			
+			
+			it( "should return the closest sibling which matches the selector", function() {
+				expect( cmps[ 0 ].nextSibling( 'container' ) ).toBe( cmps[ 1 ] );
+				expect( cmps[ 1 ].nextSibling( 'container' ) ).toBe( cmps[ 3 ] );
+				expect( cmps[ 3 ].previousSibling( 'container' ) ).toBe( cmps[ 1 ] );
+				expect( cmps[ 3 ].previousSibling( '#cmp1' ) ).toBe( cmps[ 0 ] );
+			} );
+			
+			
+			it( "should return null if there is no matching sibling", function() {
+				expect( cmps[ 3 ].nextSibling() ).toBe( null );
+				expect( cmps[ 0 ].previousSibling() ).toBe( null );
+				expect( cmps[ 2 ].previousSibling( '#cmp3' ) ).toBe( null );  // should not match itself
+				expect( cmps[ 0 ].nextSibling( '#non-existent' ) ).toBe( null );
+			} );
+			
+			
+			it( "should return null if the Component does not have a parent Container", function() {
+				var component = new Component();
+				
+				expect( component.nextSibling() ).toBe( null );
+				expect( component.previousSibling() ).toBe( null );
+				
+				component.destroy();  // clean up
+			} );
+			
+		} );
+		
+		
 		describe( 'isDescendantOf()', function() {
 			var component,
 			    container1,
@@ -2424,6 +2510,76 @@ function( jQuery, _, Class, Animation, Plugin, Component, Container ) {
 		// -----------------------------------
 		
 		
+		describe( 'monitorResize', function() {
+			var container,
+			    component;
+			
+			afterEach( function() {
+				container.destroy();
+			} );
+			
+			
+			it( "should only run the layout of the Component's nearest ancestor with a layout when the Component's size changes", function() {
+				var innerContainer = new Container( { layout: 'auto', items: [] } );
+				component = new Component( { monitorResize: true, monitorResizeBuffer: 10 } );
+				innerContainer.add( component );
+				container = new Container( { renderTo: 'body', items: [ innerContainer ] } );
+				spyOn( innerContainer, 'doLayout' ).andCallThrough();
+				spyOn( container, 'doLayout' ).andCallThrough();
+				
+				component.update( '<div style="height: 50px;"></div>' );
+				
+				waitsFor( function() {
+					return innerContainer.doLayout.callCount > 0;
+				}, "the parent container's layout to be run", 2000 );
+				
+				runs( function() {
+					expect( innerContainer.doLayout.callCount ).toBe( 1 );
+					expect( container.doLayout ).not.toHaveBeenCalled();  // not the whole hierarchy
+				} );
+			} );
+			
+			
+			it( "should not update the layout when the Component's size changes from its own layout", function() {
+				component = new Component( { monitorResize: true } );
+				container = new Container( { renderTo: 'body', items: [ component ] } );
+				
+				var resizeMonitor = component.resizeMonitor;
+				spyOn( resizeMonitor, 'handler' );
+				
+				component.setHeight( 50 );
+				component.doLayout();  // syncs the monitor with the new size
+				resizeMonitor.checkSize();
+				
+				expect( resizeMonitor.handler ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should not watch the Component's size if `monitorResize` is false", function() {
+				component = new Component();
+				container = new Container( { renderTo: 'body', items: [ component ] } );
+				
+				expect( component.resizeMonitor ).toBe( null );
+			} );
+			
+			
+			it( "should stop watching the Component's size when it is destroyed", function() {
+				component = new Component( { monitorResize: true } );
+				container = new Container( { renderTo: 'body', items: [ component ] } );
+				
+				var resizeMonitor = component.resizeMonitor;
+				spyOn( resizeMonitor, 'destroy' ).andCallThrough();
+				
+				component.destroy();
+				expect( resizeMonitor.destroy ).toHaveBeenCalled();
+			} );
+			
+		} );
+		
+		
+		// -----------------------------------
+		
+		
 		describe( 'destroy()', function() {
 			
 			it( "should remove all event handlers from the component", function() {
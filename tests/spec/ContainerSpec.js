@@ -1,12 +1,14 @@
-/*global define, describe, beforeEach, afterEach, it, xit, expect, JsMockito */
+/*global define, describe, beforeEach, afterEach, it, xit, expect, runs, waitsFor, JsMockito */
 define( [
 	'jquery',
+	'lodash',
 	'Class',
+	'gui/Gui',
 	'gui/Component',
 	'gui/Container',
 	'gui/layout/Layout',
 	'gui/layout/Auto'
-], function( jQuery, Class, Component, Container, Layout, AutoLayout ) {
+], function( jQuery, _, Class, Gui, Component, Container, Layout, AutoLayout ) {
 	
 	describe( 'gui.Container', function() {
 		
@@ -960,6 +962,141 @@ define( [
 				
 			} );
 		} );
+		
+		
+		describe( "Test layout batching", function() {
+			var layoutRuns,
+			    containers;
+			
+			function createContainer( config ) {
+				var container = new Container( _.assign( {
+					onLayout : function() {
+						layoutRuns.push( this.getId() );  // pushing the id, to compare by identity
+						Container.prototype.onLayout.apply( this, arguments );
+					}
+				}, config ) );
+				
+				containers.push( container );
+				return container;
+			}
+			
+			beforeEach( function() {
+				layoutRuns = [];
+				containers = [];
+			} );
+			
+			afterEach( function() {
+				_.invoke( containers, 'destroy' );
+			} );
+			
+			
+			it( "batchLayout() should run the Container's layout only once for all of the changes made in the function, and return the function's return value", function() {
+				var container = createContainer( { renderTo: 'body' } );
+				layoutRuns = [];
+				
+				var result = container.batchLayout( function() {
+					this.add( new Component() );
+					this.add( [ new Component(), new Component() ] );
+					this.removeAt( 0 );
+					this.setLayout( 'auto' );
+					
+					expect( layoutRuns.length ).toBe( 0 );  // not yet
+					return "result";
+				} );
+				
+				expect( result ).toBe( "result" );
+				expect( layoutRuns ).toEqual( [ container.getId() ] );
+			} );
+			
+			
+			it( "batchLayout() should resume layouts even if the function throws an error", function() {
+				var container = createContainer( { renderTo: 'body' } );
+				
+				expect( function() {
+					container.batchLayout( function() {
+						throw new Error( "test error" );
+					} );
+				} ).toThrow( "test error" );
+				expect( Gui.isLayoutSuspended() ).toBe( false );
+			} );
+			
+			
+			it( "should run the queued layouts top-down, and not run a descendant's layout separately when an ancestor is also laid out", function() {
+				var innerContainer = createContainer(),
+				    outerContainer = createContainer( { renderTo: 'body', items: [ innerContainer ] } ),
+				    otherContainer = createContainer( { renderTo: 'body' } );
+				
+				layoutRuns = [];
+				
+				Gui.suspendLayouts();
+				innerContainer.add( new Component() );
+				outerContainer.add( new Component() );
+				innerContainer.add( new Component() );
+				otherContainer.add( new Component() );
+				Gui.resumeLayouts();
+				
+				expect( layoutRuns ).toEqual( [ outerContainer.getId(), innerContainer.getId(), otherContainer.getId() ] );
+			} );
+			
+			
+			it( "should only flush the queued layouts when the outermost suspendLayouts() call has been matched by resumeLayouts()", function() {
+				var container = createContainer( { renderTo: 'body' } );
+				layoutRuns = [];
+				
+				Gui.suspendLayouts();
+				Gui.suspendLayouts();
+				container.add( new Component() );
+				
+				Gui.resumeLayouts();
+				expect( layoutRuns.length ).toBe( 0 );
+				
+				Gui.resumeLayouts();
+				expect( layoutRuns.length ).toBe( 1 );
+				
+				expect( function() {
+					Gui.resumeLayouts();
+				} ).toThrow( "resumeLayouts() called without a matching call to suspendLayouts()" );
+			} );
+			
+			
+			it( "requestLayout() should coalesce multiple requests into a single layout, run on the next animation frame", function() {
+				var container = createContainer( { renderTo: 'body' } );
+				layoutRuns = [];
+				
+				container.requestLayout();
+				container.requestLayout();
+				container.requestLayout();
+				expect( layoutRuns.length ).toBe( 0 );  // not run synchronously
+				
+				waitsFor( function() {
+					return layoutRuns.length > 0;
+				}, "the requested layout to run", 1000 );
+				
+				runs( function() {
+					expect( layoutRuns ).toEqual( [ container.getId() ] );
+				} );
+			} );
+			
+			
+			it( "Gui.flushLayouts() should run requested layouts immediately, and a Container that is laid out directly or destroyed should be removed from the queue", function() {
+				var container1 = createContainer( { renderTo: 'body' } ),
+				    container2 = createContainer( { renderTo: 'body' } ),
+				    container3 = createContainer( { renderTo: 'body' } );
+				
+				layoutRuns = [];
+				
+				container1.requestLayout();
+				container2.requestLayout();
+				container3.requestLayout();
+				
+				container2.doLayout();
+				container3.destroy();
+				Gui.flushLayouts();
+				
+				expect( layoutRuns ).toEqual( [ container2.getId(), container1.getId() ] );
+			} );
+			
+		} );
 	
 		
 		
@@ -1205,6 +1342,74 @@ define( [
 				// TODO
 			} );
 		} );
+		
+		
+		describe( 'query() / down() / child()', function() {
+			var container, cmps;
+			
+			beforeEach( function() {
+				cmps = {};
+				container = new Container( {
+					id : 'outer',
+					items : [
+						cmps.cmp1 = new Component( { id: 'cmp1' } ),
+						cmps.container1 = new Container( {
+							id : 'container1',
+							items : [
+								cmps.cmp2 = new Component( { id: 'cmp2' } ),
+								cmps.container2 = new Container( { id: 'container2' } )
+							]
+						} ),
+						cmps.cmp3 = new Component( { id: 'cmp3' } )
+					]
+				} );
+			} );
+			
+			afterEach( function() {
+				container.destroy();
+			} );
+			
+			
+			it( "query() should return all of the descendant Components which match the selector, not including the Container itself", function() {
+				expect( container.query( 'container' ) ).toEqual( [ cmps.container1, cmps.container2 ] );
+				expect( container.query( '#container1 component' ) ).toEqual( [ cmps.cmp2, cmps.container2 ] );
+				expect( container.query( '#outer > component' ) ).toEqual( [ cmps.cmp1, cmps.container1, cmps.cmp3 ] );
+				expect( container.query( '#non-existent' ) ).toEqual( [] );
+			} );
+			
+			
+			it( "query() should return all of the descendant Components when no selector is provided", function() {
+				expect( container.query() ).toEqual( [ cmps.cmp1, cmps.container1, cmps.cmp2, cmps.container2, cmps.cmp3 ] );
+			} );
+			
+			
+			it( "down() should return the first descendant Component which matches the selector", function() {
+				expect( container.down( 'container' ) ).toBe( cmps.container1 );
+				expect( container.down( 'container container' ) ).toBe( cmps.container2 );
+				expect( container.down( '#cmp3' ) ).toBe( cmps.cmp3 );
+				expect( container.down() ).toBe( cmps.cmp1 );
+			} );
+			
+			
+			it( "down() should return null when no descendant Component matches the selector", function() {
+				expect( container.down( '#non-existent' ) ).toBe( null );
+				expect( cmps.container2.down() ).toBe( null );
+			} );
+			
+			
+			it( "child() should return the first direct child Component which matches the selector", function() {
+				expect( container.child( 'container' ) ).toBe( cmps.container1 );
+				expect( container.child( '#cmp3' ) ).toBe( cmps.cmp3 );
+				expect( container.child() ).toBe( cmps.cmp1 );
+			} );
+			
+			
+			it( "child() should return null when no direct child Component matches the selector", function() {
+				expect( container.child( '#cmp2' ) ).toBe( null );  // cmp2 is a grandchild
+				expect( cmps.container2.child() ).toBe( null );
+			} );
+			
+		} );
 	} );
 	
 } );
\ No newline at end of file
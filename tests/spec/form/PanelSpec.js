@@ -0,0 +1,492 @@
+/*global define, describe, beforeEach, afterEach, it, expect */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'gui/Container',
+	'gui/form/Panel',
+	'gui/form/field/Text',
+	'gui/form/field/Checkbox',
+	'gui/form/field/Hidden'
+], function( jQuery, _, Model, Container, FormPanel, TextField, CheckboxField, HiddenField ) {
+	
+	describe( 'gui.form.Panel', function() {
+		var form;
+		
+		afterEach( function() {
+			if( form ) form.destroy();
+			form = null;
+		} );
+		
+		
+		describe( "getFields()", function() {
+			
+			it( "should return all descendant Fields, including those nested in other Containers", function() {
+				var field1 = new TextField( { inputName: 'field1' } ),
+				    field2 = new TextField( { inputName: 'field2' } ),
+				    nonField = new Container();
+				
+				form = new FormPanel( {
+					items : [
+						field1,
+						nonField,
+						new Container( { items: [ field2 ] } )
+					]
+				} );
+				
+				expect( form.getFields() ).toEqual( [ field1, field2 ] );
+			} );
+		
+		} );
+		
+		
+		describe( "getValues()", function() {
+			
+			it( "should return the values of all Fields, keyed by their inputName", function() {
+				form = new FormPanel( {
+					items : [
+						{ type: 'textfield', inputName: 'firstName', value: "John" },
+						{ type: 'container', items: [ { type: 'checkbox', inputName: 'subscribe', value: true } ] }
+					]
+				} );
+				
+				expect( form.getValues() ).toEqual( { firstName: "John", subscribe: true } );
+			} );
+			
+			
+			it( "should not include Fields with an empty inputName", function() {
+				form = new FormPanel( {
+					items : [
+						{ type: 'textfield', inputName: 'firstName', value: "John" },
+						{ type: 'textfield', inputName: '', value: "ignored" }
+					]
+				} );
+				
+				expect( form.getValues() ).toEqual( { firstName: "John" } );
+			} );
+			
+			
+			it( "should return an array of values for Fields that share the same inputName", function() {
+				form = new FormPanel( {
+					items : [
+						{ type: 'hidden', inputName: 'tag', value: "a" },
+						{ type: 'hidden', inputName: 'tag', value: "b" },
+						{ type: 'hidden', inputName: 'tag', value: "c" }
+					]
+				} );
+				
+				expect( form.getValues() ).toEqual( { tag: [ "a", "b", "c" ] } );
+			} );
+			
+			
+			it( "should concatenate array values into a single flat array for Fields that share the same inputName", function() {
+				var arrayValue = [ "b", "c" ];
+				
+				form = new FormPanel( {
+					items : [
+						{ type: 'hidden', inputName: 'tag', value: "a" },
+						{ type: 'hidden', inputName: 'tag', value: arrayValue },
+						{ type: 'hidden', inputName: 'tag', value: [ "d" ] }
+					]
+				} );
+				
+				expect( form.getValues() ).toEqual( { tag: [ "a", "b", "c", "d" ] } );
+				expect( arrayValue ).toEqual( [ "b", "c" ] );  // the Field's own array should not have been modified
+			} );
+		
+		} );
+		
+		
+		describe( "setValues()", function() {
+			
+			it( "should set the values of the Fields with matching inputNames, leaving others unchanged", function() {
+				form = new FormPanel( {
+					items : [
+						{ type: 'textfield', inputName: 'firstName', value: "John" },
+						{ type: 'textfield', inputName: 'lastName', value: "Smith" }
+					]
+				} );
+				
+				form.setValues( { lastName: "Doe", unknown: "abc" } );
+				expect( form.getValues() ).toEqual( { firstName: "John", lastName: "Doe" } );
+			} );
+		
+		} );
+		
+		
+		describe( "dirty tracking", function() {
+			var textField, checkbox, dirtyChangeEvents;
+			
+			beforeEach( function() {
+				textField = new TextField( { inputName: 'firstName', value: "John" } );
+				checkbox = new CheckboxField( { inputName: 'subscribe', value: false } );
+				
+				form = new FormPanel( {
+					items : [ textField, { type: 'container', items: [ checkbox ] } ]
+				} );
+				
+				dirtyChangeEvents = [];
+				form.on( 'dirtychange', function( form, isDirty ) { dirtyChangeEvents.push( isDirty ); } );
+			} );
+			
+			
+			it( "should not be dirty initially", function() {
+				expect( form.isDirty() ).toBe( false );
+				expect( form.getDirtyValues() ).toEqual( {} );
+			} );
+			
+			
+			it( "should become dirty when a Field's value changes, and fire the 'dirtychange' event only when the state changes", function() {
+				textField.setValue( "Jane" );
+				textField.setValue( "Jill" );
+				
+				expect( form.isDirty() ).toBe( true );
+				expect( dirtyChangeEvents ).toEqual( [ true ] );
+				
+				textField.setValue( "John" );
+				expect( form.isDirty() ).toBe( false );
+				expect( dirtyChangeEvents ).toEqual( [ true, false ] );
+			} );
+			
+			
+			it( "should become dirty when setValues() changes a Field which does not fire a 'change' event from setValue()", function() {
+				form.setValues( { subscribe: true } );
+				
+				expect( form.isDirty() ).toBe( true );
+				expect( dirtyChangeEvents ).toEqual( [ true ] );
+			} );
+			
+			
+			it( "getDirtyValues() should return only the values of the modified Fields", function() {
+				checkbox.setValue( true );
+				
+				expect( form.getDirtyValues() ).toEqual( { subscribe: true } );
+			} );
+			
+			
+			it( "reset() should restore the original values of the Fields", function() {
+				form.setValues( { firstName: "Jane", subscribe: true } );
+				form.reset();
+				
+				expect( form.getValues() ).toEqual( { firstName: "John", subscribe: false } );
+				expect( form.isDirty() ).toBe( false );
+				expect( dirtyChangeEvents ).toEqual( [ true, false ] );
+			} );
+			
+			
+			it( "resetOriginalValues() should make the current values the original values", function() {
+				form.setValues( { firstName: "Jane" } );
+				form.resetOriginalValues();
+				
+				expect( form.isDirty() ).toBe( false );
+				expect( dirtyChangeEvents ).toEqual( [ true, false ] );
+				
+				form.reset();
+				expect( form.getValues().firstName ).toBe( "Jane" );
+			} );
+			
+			
+			it( "should track Fields that are added to a nested Container after the Form's construction", function() {
+				var newField = new TextField( { inputName: 'lastName', value: "Smith" } );
+				form.getItemAt( 1 ).add( newField );
+				
+				newField.setValue( "Doe" );
+				expect( form.isDirty() ).toBe( true );
+				expect( dirtyChangeEvents ).toEqual( [ true ] );
+			} );
+			
+			
+			it( "should stop tracking Fields that are removed, and re-check the dirty state", function() {
+				textField.setValue( "Jane" );
+				expect( dirtyChangeEvents ).toEqual( [ true ] );
+				
+				form.remove( textField, /* destroyRemoved */ false );
+				expect( form.isDirty() ).toBe( false );
+				expect( dirtyChangeEvents ).toEqual( [ true, false ] );
+				
+				textField.setValue( "Jill" );  // should no longer affect the form
+				expect( dirtyChangeEvents ).toEqual( [ true, false ] );
+				
+				textField.destroy();
+			} );
+		
+		} );
+		
+		
+		describe( "validation", function() {
+			var firstName, email;
+			
+			beforeEach( function() {
+				firstName = new TextField( { inputName: 'firstName', validators: 'required' } );
+				email = new TextField( { inputName: 'email', value: "john", validators: [ 'required', 'email' ] } );
+				
+				form = new FormPanel( {
+					items : [ firstName, { type: 'container', items: [ email ] } ]
+				} );
+			} );
+			
+			
+			it( "getErrors() should aggregate the errors of all invalid Fields, keyed by inputName", function() {
+				expect( form.isValid() ).toBe( false );
+				expect( form.getErrors() ).toEqual( {
+					firstName : [ "This field is required." ],
+					email     : [ "Must be a valid email address." ]
+				} );
+			} );
+			
+			
+			it( "validate() should mark each invalid Field, and reject the returned promise with the aggregated errors", function() {
+				var rejectedErrors;
+				form.validate().fail( function( errors ) { rejectedErrors = errors; } );
+				
+				expect( rejectedErrors ).toEqual( {
+					firstName : [ "This field is required." ],
+					email     : [ "Must be a valid email address." ]
+				} );
+				expect( firstName.getActiveErrors() ).toEqual( [ "This field is required." ] );
+				expect( email.getActiveErrors() ).toEqual( [ "Must be a valid email address." ] );
+			} );
+			
+			
+			it( "validate() should resolve the returned promise when all Fields are valid", function() {
+				var resolved = false;
+				form.setValues( { firstName: "John", email: "john@example.com" } );
+				
+				form.validate().done( function() { resolved = true; } );
+				
+				expect( form.isValid() ).toBe( true );
+				expect( resolved ).toBe( true );
+			} );
+			
+			
+			it( "clearInvalid() should clear the invalid state of all Fields", function() {
+				form.validate();
+				form.clearInvalid();
+				
+				expect( firstName.getActiveErrors() ).toEqual( [] );
+				expect( email.getActiveErrors() ).toEqual( [] );
+			} );
+			
+			
+			it( "submit() should not call the transport, and should reject with the errors, when the Form is invalid", function() {
+				var transportCalled = false,
+				    rejectedErrors;
+				
+				form.transport = function() { transportCalled = true; return new jQuery.Deferred().promise(); };
+				form.submit().fail( function( errors ) { rejectedErrors = errors; } );
+				
+				expect( transportCalled ).toBe( false );
+				expect( _.keys( rejectedErrors ) ).toEqual( [ 'firstName', 'email' ] );
+			} );
+			
+			
+			it( "submit() should call the transport for an invalid Form when `validateOnSubmit` is false", function() {
+				var transportCalled = false;
+				
+				form.validateOnSubmit = false;
+				form.transport = function() { transportCalled = true; return new jQuery.Deferred().promise(); };
+				form.submit();
+				
+				expect( transportCalled ).toBe( true );
+			} );
+			
+		} );
+		
+		
+		describe( "model binding", function() {
+			var UserModel = Model.extend( {
+				attributes : [ 'firstName', 'lastName' ]
+			} );
+			
+			var model, firstName, notBound, dirtyChangeEvents;
+			
+			beforeEach( function() {
+				model = new UserModel( { firstName: "John", lastName: "Smith" } );
+				
+				firstName = new TextField( { inputName: 'firstName', bind: 'firstName' } );
+				notBound = new TextField( { inputName: 'other' } );
+				
+				form = new FormPanel( {
+					items : [ { type: 'container', items: [ firstName ] }, notBound ]
+				} );
+				
+				dirtyChangeEvents = [];
+				form.on( 'dirtychange', function( form, isDirty ) { dirtyChangeEvents.push( isDirty ); } );
+			} );
+			
+			
+			it( "bindModel() should bind the model to each Field with a `bind` config, loading their values without making the Form dirty", function() {
+				form.bindModel( model );
+				
+				expect( firstName.getModel() ).toBe( model );
+				expect( notBound.getModel() ).toBe( null );
+				expect( form.getValues() ).toEqual( { firstName: "John", other: "" } );
+				expect( form.isDirty() ).toBe( false );
+				expect( dirtyChangeEvents ).toEqual( [] );
+			} );
+			
+			
+			it( "should two-way bind the Fields to the model attributes", function() {
+				form.bindModel( model );
+				
+				model.set( 'firstName', "Jane" );
+				expect( firstName.getValue() ).toBe( "Jane" );
+				
+				firstName.setValue( "Jill" );
+				expect( model.get( 'firstName' ) ).toBe( "Jill" );
+			} );
+			
+			
+			it( "should bind a model provided as the `model` config", function() {
+				form.destroy();
+				form = new FormPanel( {
+					model : model,
+					items : [ { type: 'textfield', bind: 'lastName' } ]
+				} );
+				
+				expect( form.getItemAt( 0 ).getValue() ).toBe( "Smith" );
+			} );
+			
+			
+			it( "should bind the model to Fields which are added after it was bound", function() {
+				form.bindModel( model );
+				
+				var lastName = new TextField( { bind: 'lastName' } );
+				form.add( lastName );
+				
+				expect( lastName.getModel() ).toBe( model );
+				expect( lastName.getValue() ).toBe( "Smith" );
+				expect( form.isDirty() ).toBe( false );
+			} );
+			
+			
+			it( "should unbind the model from Fields which are removed from the Form", function() {
+				form.bindModel( model );
+				form.getItemAt( 0 ).remove( firstName, /* destroyRemoved */ false );
+				
+				expect( firstName.getModel() ).toBe( null );
+				
+				firstName.destroy();
+			} );
+			
+			
+			it( "unbindModel() should unbind the model from the Fields", function() {
+				form.bindModel( model );
+				form.unbindModel();
+				
+				expect( firstName.getModel() ).toBe( null );
+				
+				model.set( 'firstName', "Jane" );
+				expect( firstName.getValue() ).toBe( "John" );
+			} );
+			
+		} );
+		
+		
+		describe( "serialize()", function() {
+			
+			beforeEach( function() {
+				form = new FormPanel( {
+					items : [
+						{ type: 'textfield', inputName: 'name', value: "John Smith" },
+						{ type: 'hidden', inputName: 'tag', value: "a" },
+						{ type: 'hidden', inputName: 'tag', value: "b" }
+					]
+				} );
+			} );
+			
+			
+			it( "should URL-encode the values by default, using repeated parameters for array values", function() {
+				expect( form.serialize() ).toBe( "name=John+Smith&tag=a&tag=b" );
+			} );
+			
+			
+			it( "should serialize the values as JSON when `jsonSubmit` is true", function() {
+				form.jsonSubmit = true;
+				
+				expect( JSON.parse( form.serialize() ) ).toEqual( { name: "John Smith", tag: [ "a", "b" ] } );
+			} );
+		
+		} );
+		
+		
+		describe( "submit()", function() {
+			var deferred, requests;
+			
+			beforeEach( function() {
+				deferred = new jQuery.Deferred();
+				requests = [];
+				
+				form = new FormPanel( {
+					url : '/save',
+					items : [ { type: 'textfield', inputName: 'name', value: "John" } ],
+					
+					transport : function( request ) {
+						requests.push( request );
+						return deferred.promise();
+					}
+				} );
+			} );
+			
+			
+			it( "should provide the request information to the `transport`", function() {
+				form.submit();
+				
+				expect( requests.length ).toBe( 1 );
+				expect( requests[ 0 ] ).toEqual( {
+					url         : '/save',
+					method      : 'POST',
+					data        : "name=John",
+					contentType : 'application/x-www-form-urlencoded; charset=UTF-8'
+				} );
+			} );
+			
+			
+			it( "should provide a JSON content type when `jsonSubmit` is true", function() {
+				form.jsonSubmit = true;
+				form.submit();
+				
+				expect( requests[ 0 ].data ).toBe( '{"name":"John"}' );
+				expect( requests[ 0 ].contentType ).toBe( 'application/json' );
+			} );
+			
+			
+			it( "should fire the 'submit' event, and resolve the returned promise, when the transport succeeds", function() {
+				var submitResponse, resolvedResponse;
+				form.on( 'submit', function( form, response ) { submitResponse = response; } );
+				
+				form.submit().done( function( response ) { resolvedResponse = response; } );
+				deferred.resolve( { success: true } );
+				
+				expect( submitResponse ).toEqual( { success: true } );
+				expect( resolvedResponse ).toEqual( { success: true } );
+			} );
+			
+			
+			it( "should fire the 'submitfailure' event, and reject the returned promise, when the transport fails", function() {
+				var failureError, rejectedError;
+				form.on( 'submitfailure', function( form, error ) { failureError = error; } );
+				
+				form.submit().fail( function( error ) { rejectedError = error; } );
+				deferred.reject( "server error" );
+				
+				expect( failureError ).toBe( "server error" );
+				expect( rejectedError ).toBe( "server error" );
+			} );
+			
+			
+			it( "should not call the transport, and should reject the returned promise, if a 'beforesubmit' handler returns false", function() {
+				var rejected = false;
+				form.on( 'beforesubmit', function() { return false; } );
+				
+				form.submit().fail( function() { rejected = true; } );
+				
+				expect( requests.length ).toBe( 0 );
+				expect( rejected ).toBe( true );
+			} );
+		
+		} );
+	
+	} );
+
+} );
@@ -0,0 +1,150 @@
+/*global define, describe, beforeEach, afterEach, it, expect */
+define( [
+	'jquery',
+	'lodash',
+	'gui/form/Validators'
+], function( jQuery, _, Validators ) {
+	
+	describe( 'gui.form.Validators', function() {
+		
+		// Creates the validator from the given config, and returns its normalized result for the given value
+		function validate( validatorCfg, value ) {
+			return Validators.normalizeResult( Validators.create( validatorCfg )( value, null ) );
+		}
+		
+		
+		describe( "built-in validators", function() {
+			
+			it( "'required' should fail for empty values only", function() {
+				expect( validate( 'required', undefined ) ).toBe( "This field is required." );
+				expect( validate( 'required', null ) ).toBe( "This field is required." );
+				expect( validate( 'required', "" ) ).toBe( "This field is required." );
+				expect( validate( 'required', [] ) ).toBe( "This field is required." );
+				
+				expect( validate( 'required', "a" ) ).toBe( null );
+				expect( validate( 'required', 0 ) ).toBe( null );
+				expect( validate( 'required', false ) ).toBe( null );
+			} );
+			
+			
+			it( "'minLength' and 'maxLength' should check the length of strings and arrays, allowing empty values", function() {
+				expect( validate( { type: 'minLength', min: 3 }, "ab" ) ).toBe( "Must be at least 3 characters long." );
+				expect( validate( { type: 'minLength', min: 3 }, "abc" ) ).toBe( null );
+				expect( validate( { type: 'minLength', min: 3 }, [ 1, 2 ] ) ).not.toBe( null );
+				expect( validate( { type: 'minLength', min: 3 }, "" ) ).toBe( null );
+				
+				expect( validate( { type: 'maxLength', max: 3 }, "abcd" ) ).toBe( "Must be no more than 3 characters long." );
+				expect( validate( { type: 'maxLength', max: 3 }, "abc" ) ).toBe( null );
+				expect( validate( { type: 'maxLength', max: 3 }, [ 1, 2, 3, 4 ] ) ).not.toBe( null );
+			} );
+			
+			
+			it( "'regex' should test the value against the regular expression", function() {
+				var cfg = { type: 'regex', regex: /^\d+$/ };
+				
+				expect( validate( cfg, "12a" ) ).toBe( "The value is not in the correct format." );
+				expect( validate( cfg, "123" ) ).toBe( null );
+				expect( validate( cfg, "" ) ).toBe( null );
+			} );
+			
+			
+			it( "'email' should check for a valid email address", function() {
+				expect( validate( 'email', "john" ) ).toBe( "Must be a valid email address." );
+				expect( validate( 'email', "john@example" ) ).toBe( "Must be a valid email address." );
+				expect( validate( 'email', "john smith@example.com" ) ).toBe( "Must be a valid email address." );
+				expect( validate( 'email', "john@example.com" ) ).toBe( null );
+			} );
+			
+			
+			it( "'numberRange' should check that the value is a number within the bounds", function() {
+				var cfg = { type: 'numberRange', min: 1, max: 10 };
+				
+				expect( validate( cfg, "abc" ) ).toBe( "Must be a number." );
+				expect( validate( cfg, " " ) ).toBe( "Must be a number." );
+				expect( validate( cfg, 0 ) ).toBe( "Must be at least 1." );
+				expect( validate( cfg, "11" ) ).toBe( "Must be no more than 10." );
+				expect( validate( cfg, "5" ) ).toBe( null );
+				expect( validate( cfg, 10 ) ).toBe( null );
+				expect( validate( { type: 'numberRange' }, -1000 ) ).toBe( null );
+			} );
+			
+			
+			it( "should use a provided `message` in place of the default message", function() {
+				expect( validate( { type: 'required', message: "Enter a name" }, "" ) ).toBe( "Enter a name" );
+			} );
+		
+		} );
+		
+		
+		describe( "create()", function() {
+			
+			it( "should call a custom validation function with the value and field, in the scope of the field", function() {
+				var field = {},
+				    args, scope;
+				
+				Validators.create( function() { args = _.toArray( arguments ); scope = this; } )( "abc", field );
+				
+				expect( args ).toEqual( [ "abc", field ] );
+				expect( scope ).toBe( field );
+			} );
+			
+			
+			it( "should use the `message` of an `fn` validator config when the function returns false", function() {
+				var cfg = { fn: function( value ) { return value === "ok"; }, message: "Not ok" };
+				
+				expect( validate( cfg, "bad" ) ).toBe( "Not ok" );
+				expect( validate( cfg, "ok" ) ).toBe( null );
+			} );
+			
+			
+			it( "should throw an error for an unknown validator type", function() {
+				expect( function() {
+					Validators.create( 'nonExistentType' );
+				} ).toThrow( "Error: gui.form.Validators has no type 'nonExistentType'" );
+				
+				expect( function() {
+					Validators.create( { type: 'nonExistentType2' } );
+				} ).toThrow( "Error: gui.form.Validators has no type 'nonExistentType2'" );
+			} );
+		
+		} );
+		
+		
+		describe( "register()", function() {
+			
+			it( "should allow a new validator type to be used by name", function() {
+				Validators.register( 'validatorsSpecUppercase', function( value, options ) {
+					return ( value !== value.toUpperCase() ) ? options.message || "Must be uppercase" : null;
+				} );
+				
+				expect( validate( 'validatorsSpecUppercase', "abc" ) ).toBe( "Must be uppercase" );
+				expect( validate( 'validatorsSpecUppercase', "ABC" ) ).toBe( null );
+			} );
+			
+			
+			it( "should throw an error if the type is already registered", function() {
+				expect( function() {
+					Validators.register( 'required', function() {} );
+				} ).toThrow( "Error: gui.form.Validators already has a type 'required'" );
+			} );
+		
+		} );
+		
+		
+		describe( "normalizeResult()", function() {
+			
+			it( "should convert valid results to null, and invalid results to an error message", function() {
+				expect( Validators.normalizeResult( true ) ).toBe( null );
+				expect( Validators.normalizeResult( undefined ) ).toBe( null );
+				expect( Validators.normalizeResult( null ) ).toBe( null );
+				expect( Validators.normalizeResult( "" ) ).toBe( null );
+				
+				expect( Validators.normalizeResult( "Bad value" ) ).toBe( "Bad value" );
+				expect( Validators.normalizeResult( false ) ).toBe( Validators.invalidText );
+			} );
+		
+		} );
+	
+	} );
+
+} );
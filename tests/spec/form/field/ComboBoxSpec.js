@@ -0,0 +1,316 @@
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, runs, waitsFor, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'data/Collection',
+	'gui/form/field/ComboBox'
+], function( jQuery, _, Model, Collection, ComboBox ) {
+	
+	describe( 'gui.form.field.ComboBox', function() {
+		var field,
+		    options = [
+				{ text: "Apple", value: 1 },
+				{ text: "Banana", value: 2 },
+				{ text: "Cherry", value: 3 },
+				{ text: "Pineapple", value: 4 }
+			];
+		
+		// Simulates the user typing the given text into the field
+		function typeText( text ) {
+			field.$inputEl.val( text ).trigger( 'input' );
+		}
+		
+		function getMenuTexts() {
+			return field.$optionsMenu.children( 'li' ).map( function() { return jQuery( this ).text(); } ).get();
+		}
+		
+		function keyDown( keyCode ) {
+			var evt = jQuery.Event( 'keydown', { keyCode: keyCode } );
+			field.$inputEl.trigger( evt );
+			return evt;
+		}
+		
+		afterEach( function() {
+			if( field ) field.destroy();
+			field = null;
+		} );
+		
+		
+		describe( "initial value", function() {
+			
+			it( "should show the text of the option with the initial `value`", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: 2 } );
+				
+				expect( field.getValue() ).toBe( 2 );
+				expect( field.getText() ).toBe( "Banana" );
+				expect( field.$hiddenInputEl.val() ).toBe( "2" );
+			} );
+			
+			
+			it( "should show the `value` itself if there is no option with it", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: "Kiwi" } );
+				
+				expect( field.getValue() ).toBe( "Kiwi" );
+				expect( field.getText() ).toBe( "Kiwi" );
+			} );
+			
+			
+			it( "should submit the value with the `inputName` through a hidden input, not the text input", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, inputName: 'fruit', value: 3 } );
+				
+				expect( field.$hiddenInputEl.attr( 'name' ) ).toBe( 'fruit' );
+				expect( field.$inputEl.attr( 'name' ) ).toBeUndefined();
+			} );
+		
+		} );
+		
+		
+		describe( "filtering local options", function() {
+			
+			it( "should show the options that start with the typed text (case-insensitive) when `filterMode` is 'prefix'", function() {
+				field = new ComboBox( { renderTo: 'body', options: options } );
+				
+				typeText( "ap" );
+				expect( field.optionsMenuOpen ).toBe( true );
+				expect( getMenuTexts() ).toEqual( [ "Apple" ] );
+			} );
+			
+			
+			it( "should show the options that contain the typed text when `filterMode` is 'substring'", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, filterMode: 'substring' } );
+				
+				typeText( "APP" );
+				expect( getMenuTexts() ).toEqual( [ "Apple", "Pineapple" ] );
+			} );
+			
+			
+			it( "should highlight the matched text of each option, encoding the option's text", function() {
+				field = new ComboBox( { renderTo: 'body', options: [ "<b>Apple</b>", "Pineapple" ], filterMode: 'substring' } );
+				
+				typeText( "app" );
+				
+				var $matches = field.$optionsMenu.find( '.gui-form-field-comboBox-menu-item-match' );
+				expect( $matches.length ).toBe( 2 );
+				expect( $matches.eq( 0 ).text() ).toBe( "App" );
+				expect( $matches.eq( 1 ).text() ).toBe( "app" );
+				expect( field.$optionsMenu.find( 'b' ).length ).toBe( 0 );
+			} );
+			
+			
+			it( "should hide the menu when no options match", function() {
+				field = new ComboBox( { renderTo: 'body', options: options } );
+				
+				typeText( "a" );
+				expect( field.optionsMenuOpen ).toBe( true );
+				
+				typeText( "xyz" );
+				expect( field.optionsMenuOpen ).toBe( false );
+			} );
+			
+			
+			it( "should not show the menu until `minChars` characters have been typed", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, minChars: 2 } );
+				
+				typeText( "a" );
+				expect( field.optionsMenuOpen ).toBe( false );
+				
+				typeText( "ap" );
+				expect( field.optionsMenuOpen ).toBe( true );
+			} );
+		
+		} );
+		
+		
+		describe( "selecting options", function() {
+			
+			it( "should set the value and text, and fire the 'select' and 'change' events when an option is clicked", function() {
+				field = new ComboBox( { renderTo: 'body', options: options } );
+				var selectSpy = jasmine.createSpy( 'selectSpy' ),
+				    changeSpy = jasmine.createSpy( 'changeSpy' );
+				field.on( { 'select': selectSpy, 'change': changeSpy } );
+				
+				typeText( "b" );
+				field.$optionsMenu.children( 'li' ).eq( 0 ).click();
+				
+				expect( field.getValue() ).toBe( 2 );
+				expect( field.getText() ).toBe( "Banana" );
+				expect( field.$hiddenInputEl.val() ).toBe( "2" );
+				expect( field.optionsMenuOpen ).toBe( false );
+				expect( selectSpy ).toHaveBeenCalledWith( field, options[ 1 ] );
+				expect( changeSpy ).toHaveBeenCalledWith( field, 2 );
+			} );
+			
+			
+			it( "should navigate the options with the arrow keys, and select the highlighted option with enter", function() {
+				field = new ComboBox( { renderTo: 'body', options: options } );
+				
+				keyDown( 40 );  // down arrow: opens the menu with all options
+				expect( field.optionsMenuOpen ).toBe( true );
+				expect( getMenuTexts().length ).toBe( 4 );
+				expect( field.highlightedIdx ).toBe( 0 );
+				
+				keyDown( 40 );
+				keyDown( 40 );
+				keyDown( 38 );  // up arrow
+				expect( field.highlightedIdx ).toBe( 1 );
+				
+				var evt = keyDown( 13 );  // enter
+				expect( evt.isDefaultPrevented() ).toBe( true );
+				expect( field.getValue() ).toBe( 2 );
+				expect( field.optionsMenuOpen ).toBe( false );
+			} );
+			
+			
+			it( "should close the menu on escape without changing the value", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: 1 } );
+				
+				keyDown( 40 );
+				keyDown( 40 );
+				keyDown( 27 );  // escape
+				
+				expect( field.optionsMenuOpen ).toBe( false );
+				expect( field.getValue() ).toBe( 1 );
+			} );
+		
+		} );
+		
+		
+		describe( "free text and `forceSelection`", function() {
+			
+			it( "should use the typed text as the value when `forceSelection` is false", function() {
+				field = new ComboBox( { renderTo: 'body', options: options } );
+				
+				typeText( "Kiwi" );
+				expect( field.getValue() ).toBe( "Kiwi" );
+				expect( field.$hiddenInputEl.val() ).toBe( "Kiwi" );
+				
+				typeText( "cherry" );  // matches an option's text
+				expect( field.getValue() ).toBe( 3 );
+			} );
+			
+			
+			it( "should revert text that does not match an option on blur when `forceSelection` is true", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: 1, forceSelection: true } );
+				
+				typeText( "Kiwi" );
+				expect( field.getValue() ).toBe( 1 );  // not changed while typing
+				
+				field.onBlur();
+				expect( field.getValue() ).toBe( 1 );
+				expect( field.getText() ).toBe( "Apple" );
+			} );
+			
+			
+			it( "should select the option that matches the typed text on blur when `forceSelection` is true", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: 1, forceSelection: true } );
+				
+				typeText( "banana" );
+				field.onBlur();
+				
+				expect( field.getValue() ).toBe( 2 );
+				expect( field.getText() ).toBe( "Banana" );
+			} );
+			
+			
+			it( "should clear the value when the text is erased when `forceSelection` is true", function() {
+				field = new ComboBox( { renderTo: 'body', options: options, value: 1, forceSelection: true } );
+				
+				typeText( "" );
+				field.onBlur();
+				
+				expect( field.getValue() ).toBe( "" );
+				expect( field.$hiddenInputEl.val() ).toBe( "" );
+			} );
+		
+		} );
+		
+		
+		describe( "remote options", function() {
+			
+			it( "should call the `remoteFn` with the query after the `queryDelay`, and show the options it returns", function() {
+				var remoteFn = jasmine.createSpy( 'remoteFn' ).andReturn( [ "Apricot", "Avocado" ] );
+				field = new ComboBox( { renderTo: 'body', remoteFn: remoteFn, queryDelay: 10 } );
+				field.focus();
+				
+				typeText( "a" );
+				typeText( "av" );
+				expect( remoteFn ).not.toHaveBeenCalled();  // not until the delay has elapsed
+				
+				waitsFor( function() { return remoteFn.callCount > 0; }, "the remoteFn to be called", 1000 );
+				
+				runs( function() {
+					expect( remoteFn.callCount ).toBe( 1 );  // debounced
+					expect( remoteFn ).toHaveBeenCalledWith( "av" );
+					expect( getMenuTexts() ).toEqual( [ "Apricot", "Avocado" ] );
+				} );
+			} );
+			
+			
+			it( "should ignore the results of a query which has been superseded", function() {
+				var deferreds = [],
+				    remoteFn = jasmine.createSpy( 'remoteFn' ).andCallFake( function() {
+						var deferred = new jQuery.Deferred();
+						deferreds.push( deferred );
+						return deferred.promise();
+					} );
+				field = new ComboBox( { renderTo: 'body', remoteFn: remoteFn, queryDelay: 0 } );
+				field.focus();
+				
+				typeText( "a" );
+				waitsFor( function() { return remoteFn.callCount === 1; }, "the first query", 1000 );
+				
+				runs( function() {
+					typeText( "b" );
+				} );
+				waitsFor( function() { return remoteFn.callCount === 2; }, "the second query", 1000 );
+				
+				runs( function() {
+					deferreds[ 1 ].resolve( [ "Banana" ] );
+					deferreds[ 0 ].resolve( [ "Apple" ] );  // stale
+					
+					expect( getMenuTexts() ).toEqual( [ "Banana" ] );
+				} );
+			} );
+			
+			
+			it( "should load the `collection` with the query, and show its models as options", function() {
+				var collection = new Collection( {
+					model : Model.extend( { attributes: [ 'id', 'name' ] } )
+				} );
+				spyOn( collection, 'load' ).andCallFake( function() {
+					collection.add( [ { id: 1, name: "Apple" }, { id: 2, name: "Apricot" } ] );
+					collection.fireEvent( 'load', collection );
+				} );
+				
+				field = new ComboBox( { renderTo: 'body', collection: collection, displayAttr: 'name', queryDelay: 0 } );
+				field.focus();
+				typeText( "ap" );
+				
+				waitsFor( function() { return collection.load.callCount > 0; }, "the collection to be loaded", 1000 );
+				
+				runs( function() {
+					expect( collection.load ).toHaveBeenCalledWith( { params: { query: "ap" } } );
+					expect( getMenuTexts() ).toEqual( [ "Apple", "Apricot" ] );
+					
+					field.$optionsMenu.children( 'li' ).eq( 1 ).click();
+					expect( field.getValue() ).toBe( 2 );
+				} );
+			} );
+		
+		} );
+		
+		
+		it( "should remove the options menu from the document when destroyed", function() {
+			field = new ComboBox( { renderTo: 'body', options: options } );
+			var $optionsMenu = field.$optionsMenu;
+			
+			field.destroy();
+			field = null;
+			
+			expect( jQuery.contains( document.body, $optionsMenu[ 0 ] ) ).toBe( false );
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
@@ -0,0 +1,222 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'gui/form/field/Date',
+	'gui/util/Date'
+], function( jQuery, _, DateField, DateUtil ) {
+	
+	describe( 'gui.form.field.Date', function() {
+		var field;
+		
+		function keyDown( keyCode ) {
+			var evt = jQuery.Event( 'keydown', { keyCode: keyCode } );
+			field.$inputEl.trigger( evt );
+			return evt;
+		}
+		
+		afterEach( function() {
+			if( field ) field.destroy();
+			field = null;
+		} );
+		
+		
+		describe( "value", function() {
+			
+			it( "should format a Date value in the field with the `format`", function() {
+				field = new DateField( { renderTo: 'body', value: new Date( 2014, 0, 5 ) } );
+				expect( field.$inputEl.val() ).toBe( "01/05/2014" );
+				field.destroy();
+				
+				field = new DateField( { renderTo: 'body', value: new Date( 2014, 0, 5 ), format: 'd MMMM yyyy' } );
+				expect( field.$inputEl.val() ).toBe( "5 January 2014" );
+			} );
+			
+			
+			it( "should return a Date from getValue(), or null when the field is empty or its text is not a valid date", function() {
+				field = new DateField( { renderTo: 'body', format: 'yyyy-MM-dd' } );
+				expect( field.getValue() ).toBe( null );
+				
+				field.$inputEl.val( "2014-03-09" );
+				expect( field.getValue() ).toEqual( new Date( 2014, 2, 9 ) );
+				
+				field.$inputEl.val( "03/09/2014" );
+				expect( field.getValue() ).toBe( null );
+			} );
+			
+			
+			it( "should accept a string in the `format`, and the special value \"now\"", function() {
+				field = new DateField( { value: "1/5/2014" } );
+				expect( field.getValue() ).toEqual( new Date( 2014, 0, 5 ) );
+				
+				field.setValue( "now" );
+				expect( field.getValue() ).toEqual( DateUtil.clearTime( new Date() ) );
+			} );
+			
+			
+			it( "should fire the 'change' event with the Date when the value is set", function() {
+				field = new DateField( { renderTo: 'body' } );
+				var changeSpy = jasmine.createSpy( 'changeSpy' );
+				field.on( 'change', changeSpy );
+				
+				field.setValue( new Date( 2014, 0, 5 ) );
+				expect( changeSpy ).toHaveBeenCalledWith( field, new Date( 2014, 0, 5 ) );
+			} );
+			
+			
+			it( "should reformat a valid date in the field when it is blurred, and leave invalid text as-is", function() {
+				field = new DateField( { renderTo: 'body' } );
+				
+				field.$inputEl.val( "1/5/2014" );
+				field.onBlur();
+				expect( field.$inputEl.val() ).toBe( "01/05/2014" );
+				
+				field.$inputEl.val( "abc" );
+				field.onBlur();
+				expect( field.$inputEl.val() ).toBe( "abc" );
+			} );
+			
+			
+			it( "should accept the special value \"now\" for the `emptyText`", function() {
+				field = new DateField( { emptyText: "now", format: 'yyyy-MM-dd' } );
+				
+				expect( field.getEmptyText() ).toBe( DateUtil.format( new Date(), 'yyyy-MM-dd' ) );
+			} );
+		
+		} );
+		
+		
+		describe( "validation", function() {
+			
+			it( "should be invalid when its text is not a valid date in the `format`", function() {
+				field = new DateField( { renderTo: 'body', invalidText: "Use {format}" } );
+				
+				expect( field.getErrors() ).toEqual( [] );
+				
+				field.$inputEl.val( "02/30/2014" );
+				expect( field.getErrors() ).toEqual( [ "Use MM/dd/yyyy" ] );
+			} );
+			
+			
+			it( "should be invalid when its date is outside of the `minDate` and `maxDate`, or is disabled", function() {
+				field = new DateField( {
+					renderTo      : 'body',
+					minDate       : new Date( 2014, 0, 1 ),
+					maxDate       : new Date( 2014, 11, 31 ),
+					disabledDates : [ new Date( 2014, 6, 4 ) ]
+				} );
+				
+				_.forEach( [ new Date( 2013, 11, 31 ), new Date( 2015, 0, 1 ), new Date( 2014, 6, 4 ) ], function( date ) {
+					field.setValue( date );
+					expect( field.getErrors() ).toEqual( [ field.disabledDateText ] );
+				} );
+				
+				field.setValue( new Date( 2014, 6, 5 ) );
+				expect( field.isValid() ).toBe( true );
+			} );
+			
+			
+			it( "should run the field's own `validators` as well", function() {
+				field = new DateField( { renderTo: 'body', validators: 'required' } );
+				
+				expect( field.getErrors().length ).toBe( 1 );
+				
+				field.setValue( new Date( 2014, 0, 5 ) );
+				expect( field.getErrors() ).toEqual( [] );
+			} );
+		
+		} );
+		
+		
+		describe( "picker", function() {
+			
+			it( "should show the picker below the field when the picker button is clicked, and hide it when clicked again", function() {
+				field = new DateField( { renderTo: 'body', value: new Date( 2014, 0, 5 ) } );
+				
+				field.$pickerButtonEl.click();
+				expect( field.isPickerVisible() ).toBe( true );
+				expect( field.getPicker().getValue() ).toEqual( new Date( 2014, 0, 5 ) );
+				
+				field.$pickerButtonEl.click();
+				expect( field.isPickerVisible() ).toBe( false );
+			} );
+			
+			
+			it( "should show the picker when the down arrow key is pressed in the field", function() {
+				field = new DateField( { renderTo: 'body' } );
+				
+				expect( keyDown( 40 ).isDefaultPrevented() ).toBe( true );
+				expect( field.isPickerVisible() ).toBe( true );
+			} );
+			
+			
+			it( "should not show the picker when the field is `readOnly`", function() {
+				field = new DateField( { renderTo: 'body', readOnly: true } );
+				
+				field.showPicker();
+				expect( field.isPickerVisible() ).toBe( false );
+			} );
+			
+			
+			it( "should set the picked date to the field, and hide the picker", function() {
+				field = new DateField( { renderTo: 'body', value: new Date( 2014, 0, 5 ) } );
+				field.showPicker();
+				
+				field.getPicker().$gridEl.find( 'td[data-date="2014-01-20"]' ).click();
+				expect( field.getValue() ).toEqual( new Date( 2014, 0, 20 ) );
+				expect( field.$inputEl.val() ).toBe( "01/20/2014" );
+				expect( field.isPickerVisible() ).toBe( false );
+			} );
+			
+			
+			it( "should hide the picker without changing the value when escape is pressed in it", function() {
+				field = new DateField( { renderTo: 'body', value: new Date( 2014, 0, 5 ) } );
+				field.showPicker();
+				
+				field.getPicker().$gridEl.trigger( jQuery.Event( 'keydown', { keyCode: 27 } ) );
+				expect( field.isPickerVisible() ).toBe( false );
+				expect( field.getValue() ).toEqual( new Date( 2014, 0, 5 ) );
+			} );
+			
+			
+			it( "should hide the picker when the mouse is pressed outside of the field and the picker", function() {
+				field = new DateField( { renderTo: 'body' } );
+				field.showPicker();
+				
+				field.getPicker().$gridEl.trigger( 'mousedown' );
+				expect( field.isPickerVisible() ).toBe( true );
+				
+				jQuery( document.body ).trigger( 'mousedown' );
+				expect( field.isPickerVisible() ).toBe( false );
+			} );
+			
+			
+			it( "should pass the `minDate` and `maxDate` to the picker, including when they are changed", function() {
+				field = new DateField( { minDate: new Date( 2014, 0, 1 ) } );
+				
+				expect( field.getPicker().minDate ).toEqual( new Date( 2014, 0, 1 ) );
+				
+				field.setMaxDate( new Date( 2014, 5, 30 ) );
+				expect( field.getPicker().maxDate ).toEqual( new Date( 2014, 5, 30 ) );
+			} );
+			
+			
+			it( "should destroy the picker when the field is destroyed", function() {
+				field = new DateField( { renderTo: 'body' } );
+				field.showPicker();
+				
+				var picker = field.getPicker(),
+				    $overlayEl = field.pickerOverlay.getEl();
+				
+				field.destroy();
+				field = null;
+				
+				expect( picker.destroyed ).toBe( true );
+				expect( jQuery.contains( document.body, $overlayEl[ 0 ] ) ).toBe( false );
+			} );
+		
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
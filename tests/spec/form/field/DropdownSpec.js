@@ -1,4 +1,4 @@
-/*global define, describe, beforeEach, afterEach, it, expect */
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
 define( [
 	'jquery',
 	'lodash',
@@ -194,6 +194,177 @@ define( [
 		} );
 		
 		
+		describe( "keyboard navigation", function() {
+			var field,
+			    changeSpy;
+			
+			function keyDown( keyCode, extraProps ) {
+				field.$dropdownContainer.trigger( jQuery.Event( 'keydown', _.assign( { keyCode: keyCode }, extraProps ) ) );
+			}
+			
+			function getHighlightedText() {
+				return field.$optionsMenu.find( '.gui-form-field-dropdown-menu-item-highlighted' ).text();
+			}
+			
+			beforeEach( function() {
+				field = new DropdownField( {
+					renderTo : 'body',
+					value : "banana",
+					options : [
+						{ text: "Apple", value: "apple" },
+						{ text: "Banana", value: "banana" },
+						{ text: "Blueberry", value: "blueberry" },
+						{ text: "Cherry", value: "cherry" }
+					]
+				} );
+				
+				changeSpy = jasmine.createSpy( 'changeSpy' );
+				field.on( 'change', changeSpy );
+			} );
+			
+			afterEach( function() {
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "should render the dropdown as a focusable ARIA combobox, with a listbox of options", function() {
+				var $combobox = field.$dropdownContainer,
+				    $items = field.$optionsMenu.children( 'li' );
+				
+				expect( $combobox.attr( 'tabindex' ) ).toBe( "0" );
+				expect( $combobox.attr( 'role' ) ).toBe( "combobox" );
+				expect( $combobox.attr( 'aria-expanded' ) ).toBe( "false" );
+				expect( $combobox.attr( 'aria-controls' ) ).toBe( field.$optionsMenu.attr( 'id' ) );
+				expect( field.$optionsMenu.attr( 'role' ) ).toBe( "listbox" );
+				
+				expect( $items.eq( 0 ).attr( 'role' ) ).toBe( "option" );
+				expect( $items.eq( 0 ).attr( 'aria-selected' ) ).toBe( "false" );
+				expect( $items.eq( 1 ).attr( 'aria-selected' ) ).toBe( "true" );
+				
+				field.setValue( "cherry" );
+				expect( $items.eq( 1 ).attr( 'aria-selected' ) ).toBe( "false" );
+				expect( $items.eq( 3 ).attr( 'aria-selected' ) ).toBe( "true" );
+			} );
+			
+			
+			it( "should open the menu with the down arrow, highlighting the selected option as the `aria-activedescendant`", function() {
+				keyDown( 40 );
+				
+				expect( field.optionsMenuOpen ).toBe( true );
+				expect( field.$dropdownContainer.attr( 'aria-expanded' ) ).toBe( "true" );
+				expect( getHighlightedText() ).toBe( "Banana" );
+				expect( field.$dropdownContainer.attr( 'aria-activedescendant' ) ).toBe( field.$optionsMenu.children( 'li' ).eq( 1 ).attr( 'id' ) );
+			} );
+			
+			
+			it( "should move the highlighted option with the arrow keys, and the home and end keys, without changing the value", function() {
+				keyDown( 40 );  // open
+				
+				keyDown( 40 );
+				expect( getHighlightedText() ).toBe( "Blueberry" );
+				
+				keyDown( 38 );
+				keyDown( 38 );
+				expect( getHighlightedText() ).toBe( "Apple" );
+				
+				keyDown( 38 );
+				expect( getHighlightedText() ).toBe( "Apple" );  // stays at the first option
+				
+				keyDown( 35 );
+				expect( getHighlightedText() ).toBe( "Cherry" );
+				
+				keyDown( 36 );
+				expect( getHighlightedText() ).toBe( "Apple" );
+				
+				expect( field.getValue() ).toBe( "banana" );
+				expect( changeSpy ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should select the highlighted option and close the menu with the enter and space keys", function() {
+				keyDown( 40 );  // open
+				keyDown( 40 );
+				keyDown( 13 );
+				
+				expect( field.getValue() ).toBe( "blueberry" );
+				expect( changeSpy ).toHaveBeenCalledWith( field, "blueberry" );
+				expect( field.optionsMenuOpen ).toBe( false );
+				expect( field.$dropdownContainer.attr( 'aria-expanded' ) ).toBe( "false" );
+				expect( field.$dropdownContainer.attr( 'aria-activedescendant' ) ).toBeUndefined();
+				
+				keyDown( 32 );  // open
+				expect( field.optionsMenuOpen ).toBe( true );
+				keyDown( 40 );
+				keyDown( 32 );
+				expect( field.getValue() ).toBe( "cherry" );
+				expect( field.optionsMenuOpen ).toBe( false );
+			} );
+			
+			
+			it( "should close the menu with the escape key without changing the value", function() {
+				keyDown( 40 );  // open
+				keyDown( 40 );
+				keyDown( 27 );
+				
+				expect( field.optionsMenuOpen ).toBe( false );
+				expect( field.getValue() ).toBe( "banana" );
+				expect( changeSpy ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should close the menu when the dropdown loses focus", function() {
+				keyDown( 40 );  // open
+				field.$dropdownContainer.trigger( 'blur' );
+				
+				expect( field.optionsMenuOpen ).toBe( false );
+			} );
+			
+			
+			describe( "type-ahead", function() {
+				
+				it( "should select the next option starting with a typed character when the menu is closed, cycling through the matching options", function() {
+					keyDown( 67 );  // 'C'
+					expect( field.getValue() ).toBe( "cherry" );
+					expect( changeSpy ).toHaveBeenCalledWith( field, "cherry" );
+					
+					field.typeAheadBuffer = "";  // as if the typeAheadDelay has elapsed
+					keyDown( 66 );  // 'B'
+					expect( field.getValue() ).toBe( "banana" );
+					keyDown( 66 );  // 'B' again
+					expect( field.getValue() ).toBe( "blueberry" );
+					keyDown( 66 );  // 'B' again
+					expect( field.getValue() ).toBe( "banana" );
+				} );
+				
+				
+				it( "should jump to the option starting with multiple characters typed in quick succession", function() {
+					keyDown( 66 );  // 'B'
+					keyDown( 76 );  // 'L'
+					
+					expect( field.getValue() ).toBe( "blueberry" );
+				} );
+				
+				
+				it( "should only highlight the matching option when the menu is open", function() {
+					keyDown( 40 );  // open
+					keyDown( 67 );  // 'C'
+					
+					expect( getHighlightedText() ).toBe( "Cherry" );
+					expect( field.getValue() ).toBe( "banana" );
+				} );
+				
+				
+				it( "should not react to shortcut key combinations", function() {
+					keyDown( 67, { ctrlKey: true } );  // ctrl+c
+					
+					expect( field.getValue() ).toBe( "banana" );
+				} );
+				
+			} );
+			
+		} );
+		
+		
 		describe( "Test setValue()", function() {
 			it( "The value should not be set with 'non-existent' value.", function() {
 				for( var testNum = 0; testNum <= 1; testNum++ ) {
@@ -1,9 +1,10 @@
-/*global define, describe, beforeEach, afterEach, it, expect */
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
 define( [
 	'jquery',
 	'lodash',
+	'data/Model',
 	'gui/form/field/Field'
-], function( jQuery, _, Field ) {
+], function( jQuery, _, Model, Field ) {
 	
 	describe( 'gui.form.field.Field', function() {
 		
@@ -118,6 +119,322 @@ define( [
 			
 		} );
 		
+		
+		
+		describe( 'dirty tracking', function() {
+			
+			it( "should not be dirty after construction, and use the initial value as the original value", function() {
+				var field = new ConcreteField( { value: "abc" } );
+				
+				expect( field.isDirty() ).toBe( false );
+				expect( field.getOriginalValue() ).toBe( "abc" );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "isDirty() should return true when the value differs from the original value", function() {
+				var field = new ConcreteField( { value: "abc" } );
+				
+				field.setValue( "def" );
+				expect( field.isDirty() ).toBe( true );
+				
+				field.setValue( "abc" );
+				expect( field.isDirty() ).toBe( false );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "reset() should restore the original value", function() {
+				var field = new ConcreteField( { value: "abc" } );
+				
+				field.setValue( "def" );
+				expect( field.reset() ).toBe( field );  // chainable
+				expect( field.getValue() ).toBe( "abc" );
+				expect( field.isDirty() ).toBe( false );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "resetOriginalValue() should make the current value the original value", function() {
+				var field = new ConcreteField( { value: "abc" } );
+				
+				field.setValue( "def" );
+				field.resetOriginalValue();
+				expect( field.isDirty() ).toBe( false );
+				expect( field.getOriginalValue() ).toBe( "def" );
+				
+				field.destroy();  // clean up
+			} );
+			
+		} );
+		
+		
+		
+		describe( 'validation', function() {
+			
+			it( "should be valid, with no errors, when there are no `validators`", function() {
+				var field = new ConcreteField( { value: "" } );
+				
+				expect( field.getErrors() ).toEqual( [] );
+				expect( field.isValid() ).toBe( true );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "getErrors() and isValid() should run the synchronous validators, without marking the Field", function() {
+				var field = new ConcreteField( {
+					value : "ab",
+					validators : [ 'required', { type: 'minLength', min: 3 }, function( value ) { return value !== 'ab' || "Not ab"; } ]
+				} );
+				
+				expect( field.getErrors() ).toEqual( [ "Must be at least 3 characters long.", "Not ab" ] );
+				expect( field.isValid() ).toBe( false );
+				expect( field.getActiveErrors() ).toEqual( [] );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "getErrors() should ignore asynchronous validators", function() {
+				var field = new ConcreteField( {
+					validators : function() { return new jQuery.Deferred().promise(); }
+				} );
+				
+				expect( field.getErrors() ).toEqual( [] );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "validate() should mark the Field invalid, fire the 'invalid' event, and reject the returned promise when the value is invalid", function() {
+				var field = new ConcreteField( { renderTo: 'body', validators: 'required' } ),
+				    invalidErrors, rejectedErrors;
+				
+				field.on( 'invalid', function( field, errors ) { invalidErrors = errors; } );
+				field.validate().fail( function( errors ) { rejectedErrors = errors; } );
+				
+				expect( invalidErrors ).toEqual( [ "This field is required." ] );
+				expect( rejectedErrors ).toEqual( [ "This field is required." ] );
+				expect( field.getActiveErrors() ).toEqual( [ "This field is required." ] );
+				expect( field.hasCls( field.baseCls + '-invalid' ) ).toBe( true );
+				expect( field.$errorMsgEl.html() ).toBe( "This field is required." );
+				expect( field.$errorMsgEl.css( 'display' ) ).not.toBe( 'none' );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "validate() should clear the invalid state, fire the 'valid' event, and resolve the returned promise when the value is valid", function() {
+				var field = new ConcreteField( { renderTo: 'body', validators: 'required' } ),
+				    validFired = false, resolved = false;
+				
+				field.validate();
+				field.setValue( "abc" );
+				
+				field.on( 'valid', function() { validFired = true; } );
+				field.validate().done( function() { resolved = true; } );
+				
+				expect( validFired ).toBe( true );
+				expect( resolved ).toBe( true );
+				expect( field.getActiveErrors() ).toEqual( [] );
+				expect( field.hasCls( field.baseCls + '-invalid' ) ).toBe( false );
+				expect( field.$errorMsgEl.css( 'display' ) ).toBe( 'none' );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "validate() should wait for asynchronous validators, treating a rejected promise as an error", function() {
+				var deferred1 = new jQuery.Deferred(),
+				    deferred2 = new jQuery.Deferred(),
+				    rejectedErrors = null;
+				
+				var field = new ConcreteField( {
+					validators : [
+						function() { return deferred1.promise(); },
+						function() { return deferred2.promise(); }
+					]
+				} );
+				
+				field.validate().fail( function( errors ) { rejectedErrors = errors; } );
+				
+				deferred1.resolve( "Username is taken" );
+				expect( rejectedErrors ).toBe( null );  // still waiting on deferred2
+				
+				deferred2.reject();
+				expect( rejectedErrors ).toEqual( [ "Username is taken", "The value is invalid." ] );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "validate() should not apply the results of an asynchronous validation that has been superseded by a newer one", function() {
+				var deferreds = [];
+				var field = new ConcreteField( {
+					validators : function() {
+						var deferred = new jQuery.Deferred();
+						deferreds.push( deferred );
+						return deferred.promise();
+					}
+				} );
+				
+				field.validate();
+				field.validate();
+				
+				deferreds[ 1 ].resolve( true );
+				deferreds[ 0 ].resolve( "Stale error" );
+				
+				expect( field.getActiveErrors() ).toEqual( [] );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "markInvalid() before render should display the errors once the Field is rendered", function() {
+				var field = new ConcreteField();
+				
+				field.markInvalid( "Bad value" );
+				field.render( 'body' );
+				
+				expect( field.$errorMsgEl.html() ).toBe( "Bad value" );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "clearInvalid() should remove the error messages", function() {
+				var field = new ConcreteField( { renderTo: 'body' } );
+				
+				field.markInvalid( [ "Error 1", "Error 2" ] );
+				expect( field.getActiveErrors() ).toEqual( [ "Error 1", "Error 2" ] );
+				
+				expect( field.clearInvalid() ).toBe( field );  // chainable
+				expect( field.getActiveErrors() ).toEqual( [] );
+				expect( field.hasCls( field.baseCls + '-invalid' ) ).toBe( false );
+				expect( field.$errorMsgEl.html() ).toBe( "" );
+				
+				field.destroy();  // clean up
+			} );
+			
+			
+			it( "should validate when the value changes if `validateOnChange` is true", function() {
+				var field = new ConcreteField( { validators: 'required', validateOnChange: true } );
+				
+				field.onChange( "" );
+				expect( field.getActiveErrors() ).toEqual( [ "This field is required." ] );
+				
+				field.destroy();  // clean up
+			} );
+			
+		} );
+		
+		
+		
+		describe( 'model binding', function() {
+			var UserModel = Model.extend( {
+				attributes : [ 'firstName', 'address' ]
+			} );
+			
+			var AddressModel = Model.extend( {
+				attributes : [ 'street' ]
+			} );
+			
+			// A Field which fires its change event from setValue(), as the Text field does
+			var ChangingField = ConcreteField.extend( {
+				setValue : function( val ) {
+					this.value = val;
+					this.onChange( val );
+				}
+			} );
+			
+			var model, field;
+			
+			beforeEach( function() {
+				model = new UserModel( { firstName: "John", address: new AddressModel( { street: "Main St" } ) } );
+			} );
+			
+			afterEach( function() {
+				if( field ) field.destroy();
+				field = null;
+			} );
+			
+			
+			it( "should set the value of the bound attribute to the Field when a model is bound, making it the original value", function() {
+				field = new ChangingField( { bind: 'firstName' } );
+				field.bindModel( model );
+				
+				expect( field.getValue() ).toBe( "John" );
+				expect( field.isDirty() ).toBe( false );
+			} );
+			
+			
+			it( "should bind a model provided as the `model` config", function() {
+				field = new ChangingField( { bind: 'firstName', model: model } );
+				
+				expect( field.getModel() ).toBe( model );
+				expect( field.getValue() ).toBe( "John" );
+				expect( field.isDirty() ).toBe( false );
+			} );
+			
+			
+			it( "should update the Field when the bound attribute changes", function() {
+				field = new ChangingField( { bind: 'firstName', model: model } );
+				
+				model.set( 'firstName', "Jane" );
+				expect( field.getValue() ).toBe( "Jane" );
+			} );
+			
+			
+			it( "should set the bound attribute when the Field's value changes, without the model change being applied back to the Field", function() {
+				field = new ChangingField( { bind: 'firstName', model: model } );
+				spyOn( field, 'setValue' ).andCallThrough();
+				spyOn( model, 'set' ).andCallThrough();
+				
+				field.setValue( "Jane" );
+				
+				expect( model.get( 'firstName' ) ).toBe( "Jane" );
+				expect( model.set.calls.length ).toBe( 1 );
+				expect( field.setValue.calls.length ).toBe( 1 );
+			} );
+			
+			
+			it( "should only set the bound attribute when the Field is blurred, when `commitOnBlur` is true", function() {
+				field = new ChangingField( { bind: 'firstName', model: model, commitOnBlur: true } );
+				
+				field.setValue( "Jane" );
+				expect( model.get( 'firstName' ) ).toBe( "John" );
+				
+				field.blur();
+				expect( model.get( 'firstName' ) ).toBe( "Jane" );
+			} );
+			
+			
+			it( "should read and write an attribute of a nested model, using a dot-delimited `bind` path", function() {
+				field = new ChangingField( { bind: 'address.street', model: model } );
+				expect( field.getValue() ).toBe( "Main St" );
+				
+				field.setValue( "Broadway" );
+				expect( model.get( 'address' ).get( 'street' ) ).toBe( "Broadway" );
+			} );
+			
+			
+			it( "should stop updating the Field once the model is unbound", function() {
+				field = new ChangingField( { bind: 'firstName', model: model } );
+				field.unbindModel();
+				
+				model.set( 'firstName', "Jane" );
+				expect( field.getValue() ).toBe( "John" );
+				
+				field.setValue( "Jill" );
+				expect( model.get( 'firstName' ) ).toBe( "Jane" );
+			} );
+			
+		} );
+		
 	} );
 	
 } );
\ No newline at end of file
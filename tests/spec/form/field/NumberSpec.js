@@ -0,0 +1,228 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'gui/form/field/Number'
+], function( jQuery, _, NumberField ) {
+	
+	describe( 'gui.form.field.Number', function() {
+		var field;
+		
+		function keyDown( keyCode ) {
+			var evt = jQuery.Event( 'keydown', { keyCode: keyCode } );
+			field.$inputEl.trigger( evt );
+			return evt;
+		}
+		
+		function keyPress( chr ) {
+			var evt = jQuery.Event( 'keypress', { which: chr.charCodeAt( 0 ) } );
+			field.$inputEl.trigger( evt );
+			return evt;
+		}
+		
+		afterEach( function() {
+			if( field ) field.destroy();
+			field = null;
+		} );
+		
+		
+		describe( "getValue()", function() {
+			
+			it( "should return a number, or null when the field is empty", function() {
+				field = new NumberField( { renderTo: 'body', value: 42 } );
+				expect( field.getValue() ).toBe( 42 );
+				
+				field.$inputEl.val( "" );
+				expect( field.getValue() ).toBe( null );
+			} );
+			
+			
+			it( "should return null for text which is not a valid number", function() {
+				field = new NumberField( { renderTo: 'body' } );
+				
+				field.$inputEl.val( "12abc" );
+				expect( field.getValue() ).toBe( null );
+			} );
+			
+			
+			it( "should parse the text with the `decimalSeparator` and `thousandsSeparator`", function() {
+				field = new NumberField( { renderTo: 'body', decimalSeparator: ',', thousandsSeparator: '.' } );
+				
+				field.$inputEl.val( "1.234.567,89" );
+				expect( field.getValue() ).toBe( 1234567.89 );
+			} );
+			
+			
+			it( "should clamp the value to the `minValue` and `maxValue`", function() {
+				field = new NumberField( { renderTo: 'body', minValue: 0, maxValue: 100 } );
+				
+				field.$inputEl.val( "150" );
+				expect( field.getValue() ).toBe( 100 );
+				
+				field.setValue( -5 );
+				expect( field.getValue() ).toBe( 0 );
+			} );
+			
+			
+			it( "should return the value before the field is rendered", function() {
+				field = new NumberField( { value: "1,000.5", thousandsSeparator: ',' } );
+				expect( field.getValue() ).toBe( 1000.5 );
+				
+				field.setValue( 7 );
+				expect( field.getValue() ).toBe( 7 );
+			} );
+		
+		} );
+		
+		
+		describe( "formatting", function() {
+			
+			it( "should format the value with the `precision`, `decimalSeparator`, and `thousandsSeparator`", function() {
+				field = new NumberField( { renderTo: 'body', value: 1234567.891, precision: 2, decimalSeparator: ',', thousandsSeparator: ' ' } );
+				
+				expect( field.$inputEl.val() ).toBe( "1 234 567,89" );
+				expect( field.getValue() ).toBe( 1234567.89 );
+			} );
+			
+			
+			it( "should format the number in the field when it is blurred", function() {
+				field = new NumberField( { renderTo: 'body', precision: 1, thousandsSeparator: ',' } );
+				
+				field.$inputEl.val( "1234.56" );
+				field.onBlur();
+				expect( field.$inputEl.val() ).toBe( "1,234.6" );
+				
+				field.$inputEl.val( "abc" );
+				field.onBlur();
+				expect( field.$inputEl.val() ).toBe( "" );
+			} );
+			
+			
+			it( "should round to a whole number when `allowDecimals` is false", function() {
+				field = new NumberField( { renderTo: 'body', allowDecimals: false, value: 2.7 } );
+				
+				expect( field.getValue() ).toBe( 3 );
+				expect( field.$inputEl.val() ).toBe( "3" );
+			} );
+			
+			
+			it( "should fire the 'change' event with the number when the value is set", function() {
+				field = new NumberField( { renderTo: 'body' } );
+				var changeSpy = jasmine.createSpy( 'changeSpy' );
+				field.on( 'change', changeSpy );
+				
+				field.setValue( "12.5" );
+				expect( changeSpy ).toHaveBeenCalledWith( field, 12.5 );
+			} );
+		
+		} );
+		
+		
+		describe( "input filtering", function() {
+			
+			it( "should only allow numeric characters to be typed", function() {
+				field = new NumberField( { renderTo: 'body', thousandsSeparator: ',' } );
+				
+				_.forEach( [ '0', '9', '.', ',', '-' ], function( chr ) {
+					expect( keyPress( chr ).isDefaultPrevented() ).toBe( false );
+				} );
+				_.forEach( [ 'a', 'e', ' ', '+' ], function( chr ) {
+					expect( keyPress( chr ).isDefaultPrevented() ).toBe( true );
+				} );
+			} );
+			
+			
+			it( "should not allow the decimal separator when `allowDecimals` is false, or the minus sign when `minValue` is not negative", function() {
+				field = new NumberField( { renderTo: 'body', allowDecimals: false, minValue: 0 } );
+				
+				expect( keyPress( '.' ).isDefaultPrevented() ).toBe( true );
+				expect( keyPress( '-' ).isDefaultPrevented() ).toBe( true );
+			} );
+		
+		} );
+		
+		
+		describe( "stepping", function() {
+			
+			it( "should step the value with the up and down arrow keys", function() {
+				field = new NumberField( { renderTo: 'body', value: 5, step: 2 } );
+				
+				expect( keyDown( 38 ).isDefaultPrevented() ).toBe( true );  // up arrow
+				expect( field.getValue() ).toBe( 7 );
+				
+				keyDown( 40 );  // down arrow
+				keyDown( 40 );
+				expect( field.getValue() ).toBe( 3 );
+			} );
+			
+			
+			it( "should not exceed the `minValue` and `maxValue` when stepping", function() {
+				field = new NumberField( { renderTo: 'body', value: 9, minValue: 8, maxValue: 10, step: 5 } );
+				
+				field.stepUp();
+				expect( field.getValue() ).toBe( 10 );
+				
+				field.stepDown();
+				expect( field.getValue() ).toBe( 8 );
+			} );
+			
+			
+			it( "should step decimal values without floating point errors", function() {
+				field = new NumberField( { renderTo: 'body', value: 0.1, step: 0.2 } );
+				
+				field.stepUp();
+				expect( field.getValue() ).toBe( 0.3 );
+			} );
+			
+			
+			it( "should start stepping from 0 (or a positive `minValue`) when the field is empty", function() {
+				field = new NumberField( { renderTo: 'body' } );
+				field.stepUp();
+				expect( field.getValue() ).toBe( 0 );
+				field.destroy();
+				
+				field = new NumberField( { renderTo: 'body', minValue: 5 } );
+				field.stepDown();
+				expect( field.getValue() ).toBe( 5 );
+			} );
+			
+			
+			it( "should step the value with the spinner buttons", function() {
+				field = new NumberField( { renderTo: 'body', value: 1 } );
+				
+				field.$spinnerEl.find( '.gui-form-field-number-spinner-up' ).click();
+				expect( field.getValue() ).toBe( 2 );
+				
+				field.$spinnerEl.find( '.gui-form-field-number-spinner-down' ).click();
+				field.$spinnerEl.find( '.gui-form-field-number-spinner-down' ).click();
+				expect( field.getValue() ).toBe( 0 );
+			} );
+			
+			
+			it( "should step the value with the mouse wheel only while the field is focused", function() {
+				field = new NumberField( { renderTo: 'body', value: 1 } );
+				
+				field.$inputEl.trigger( jQuery.Event( 'wheel', { originalEvent: { deltaY: -100 } } ) );
+				expect( field.getValue() ).toBe( 1 );
+				
+				field.focused = true;
+				field.$inputEl.trigger( jQuery.Event( 'wheel', { originalEvent: { deltaY: -100 } } ) );
+				expect( field.getValue() ).toBe( 2 );
+				
+				field.$inputEl.trigger( jQuery.Event( 'wheel', { originalEvent: { deltaY: 100 } } ) );
+				expect( field.getValue() ).toBe( 1 );
+			} );
+			
+			
+			it( "should not step the value when the field is `readOnly`", function() {
+				field = new NumberField( { renderTo: 'body', value: 1, readOnly: true } );
+				
+				field.stepUp();
+				expect( field.getValue() ).toBe( 1 );
+			} );
+		
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
@@ -0,0 +1,254 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'gui/form/field/Tag'
+], function( jQuery, _, TagField ) {
+	
+	describe( 'gui.form.field.Tag', function() {
+		var field,
+		    options = [
+				{ text: "Apple", value: 1 },
+				{ text: "Banana", value: 2 },
+				{ text: "Cherry", value: 3 },
+				{ text: "Pineapple", value: 4 }
+			];
+		
+		function typeText( text ) {
+			field.$inputEl.val( text ).trigger( 'input' );
+		}
+		
+		function keyDown( keyCode ) {
+			var evt = jQuery.Event( 'keydown', { keyCode: keyCode } );
+			field.$inputEl.trigger( evt );
+			return evt;
+		}
+		
+		function getChipTexts() {
+			return field.$chipsEl.find( '.gui-form-field-tag-chip-text' ).map( function() { return jQuery( this ).text(); } ).get();
+		}
+		
+		function getMenuTexts() {
+			return field.$optionsMenu.children( 'li' ).map( function() { return jQuery( this ).text(); } ).get();
+		}
+		
+		afterEach( function() {
+			if( field ) field.destroy();
+			field = null;
+		} );
+		
+		
+		describe( "value", function() {
+			
+			it( "should normalize the initial `value` to an array of unique values", function() {
+				_.forEach( [
+					{ value: undefined, expected: [] },
+					{ value: 2, expected: [ 2 ] },
+					{ value: [ 1, 2, 1 ], expected: [ 1, 2 ] }
+				], function( test ) {
+					var field = new TagField( { value: test.value } );
+					expect( field.getValue() ).toEqual( test.expected );
+					field.destroy();
+				} );
+			} );
+			
+			
+			it( "should truncate the value to the `maxSelections`", function() {
+				field = new TagField( { options: options, value: [ 1, 2, 3 ], maxSelections: 2 } );
+				
+				expect( field.getValue() ).toEqual( [ 1, 2 ] );
+			} );
+			
+			
+			it( "should return a copy of the values from getValue()", function() {
+				field = new TagField( { options: options, value: [ 1 ] } );
+				
+				field.getValue().push( 2 );
+				expect( field.getValue() ).toEqual( [ 1 ] );
+			} );
+			
+			
+			it( "should render a chip with the option's text for each value, and the value itself if there is no option", function() {
+				field = new TagField( { renderTo: 'body', options: options, value: [ 2, "Kiwi" ] } );
+				
+				expect( getChipTexts() ).toEqual( [ "Banana", "Kiwi" ] );
+			} );
+			
+			
+			it( "should render a hidden input with the `inputName` for each value", function() {
+				field = new TagField( { renderTo: 'body', options: options, inputName: 'fruits', value: [ 1, 3 ] } );
+				
+				var $hiddenInputs = field.$el.find( 'input[type="hidden"]' );
+				expect( $hiddenInputs.length ).toBe( 2 );
+				expect( $hiddenInputs.eq( 0 ).attr( 'name' ) ).toBe( 'fruits' );
+				expect( $hiddenInputs.eq( 1 ).attr( 'name' ) ).toBe( 'fruits' );
+				expect( _.map( $hiddenInputs, function( input ) { return input.value; } ) ).toEqual( [ "1", "3" ] );
+				
+				field.removeValue( 1 );
+				expect( field.$el.find( 'input[type="hidden"]' ).length ).toBe( 1 );
+			} );
+			
+			
+			it( "should fire the 'change' event when the value is set, but not when it is set to the same values", function() {
+				field = new TagField( { options: options, value: [ 1 ] } );
+				var changeSpy = jasmine.createSpy( 'changeSpy' );
+				field.on( 'change', changeSpy );
+				
+				field.setValue( [ 1, 2 ] );
+				expect( changeSpy ).toHaveBeenCalledWith( field, [ 1, 2 ] );
+				
+				field.setValue( [ 1, 2 ] );
+				expect( changeSpy.callCount ).toBe( 1 );
+			} );
+		
+		} );
+		
+		
+		describe( "addValue() and removeValue()", function() {
+			
+			it( "should add and remove values, firing the 'add' and 'remove' events", function() {
+				field = new TagField( { renderTo: 'body', options: options } );
+				var addSpy = jasmine.createSpy( 'addSpy' ),
+				    removeSpy = jasmine.createSpy( 'removeSpy' );
+				field.on( { 'add': addSpy, 'remove': removeSpy } );
+				
+				expect( field.addValue( 3 ) ).toBe( true );
+				expect( field.addValue( 3 ) ).toBe( false );  // already selected
+				expect( addSpy.callCount ).toBe( 1 );
+				expect( addSpy ).toHaveBeenCalledWith( field, 3 );
+				expect( getChipTexts() ).toEqual( [ "Cherry" ] );
+				
+				expect( field.removeValue( 3 ) ).toBe( true );
+				expect( field.removeValue( 3 ) ).toBe( false );
+				expect( removeSpy.callCount ).toBe( 1 );
+				expect( field.getValue() ).toEqual( [] );
+			} );
+			
+			
+			it( "should not add values beyond the `maxSelections`", function() {
+				field = new TagField( { renderTo: 'body', options: options, maxSelections: 1 } );
+				
+				expect( field.addValue( 1 ) ).toBe( true );
+				expect( field.isFull() ).toBe( true );
+				expect( field.addValue( 2 ) ).toBe( false );
+				expect( field.getValue() ).toEqual( [ 1 ] );
+			} );
+			
+			
+			it( "should remove a value when its chip's remove icon is clicked", function() {
+				field = new TagField( { renderTo: 'body', options: options, value: [ 1, 2, 3 ] } );
+				
+				field.$chipsEl.find( '.gui-form-field-tag-chip-remove' ).eq( 1 ).click();
+				expect( field.getValue() ).toEqual( [ 1, 3 ] );
+			} );
+		
+		} );
+		
+		
+		describe( "options menu", function() {
+			
+			it( "should show the options which contain the typed text, excluding those already selected", function() {
+				field = new TagField( { renderTo: 'body', options: options, value: [ 1 ] } );
+				
+				typeText( "APP" );
+				expect( field.optionsMenuOpen ).toBe( true );
+				expect( getMenuTexts() ).toEqual( [ "Pineapple" ] );
+			} );
+			
+			
+			it( "should add an option's value when it is clicked, and clear the typed text", function() {
+				field = new TagField( { renderTo: 'body', options: options } );
+				
+				typeText( "an" );
+				field.$optionsMenu.children( 'li' ).eq( 0 ).click();
+				
+				expect( field.getValue() ).toEqual( [ 2 ] );
+				expect( field.$inputEl.val() ).toBe( "" );
+			} );
+			
+			
+			it( "should add the highlighted option's value when enter is pressed", function() {
+				field = new TagField( { renderTo: 'body', options: options } );
+				
+				keyDown( 40 );  // down arrow: opens the menu
+				keyDown( 40 );
+				keyDown( 40 );
+				var evt = keyDown( 13 );  // enter
+				
+				expect( evt.isDefaultPrevented() ).toBe( true );
+				expect( field.getValue() ).toEqual( [ 2 ] );
+			} );
+			
+			
+			it( "should not show the menu once the `maxSelections` has been reached", function() {
+				field = new TagField( { renderTo: 'body', options: options, value: [ 1 ], maxSelections: 1 } );
+				
+				typeText( "a" );
+				expect( field.optionsMenuOpen ).toBe( false );
+			} );
+		
+		} );
+		
+		
+		describe( "keyboard entry", function() {
+			
+			it( "should add the typed text as a new value when enter is pressed", function() {
+				field = new TagField( { renderTo: 'body', options: options } );
+				
+				typeText( "Kiwi" );
+				keyDown( 13 );
+				
+				expect( field.getValue() ).toEqual( [ "Kiwi" ] );
+				expect( field.$inputEl.val() ).toBe( "" );
+			} );
+			
+			
+			it( "should add the value of the option with the typed text when enter is pressed", function() {
+				field = new TagField( { renderTo: 'body', options: options } );
+				
+				typeText( "cherry" );
+				keyDown( 13 );
+				
+				expect( field.getValue() ).toEqual( [ 3 ] );
+			} );
+			
+			
+			it( "should not add new values when `allowNewValues` is false", function() {
+				field = new TagField( { renderTo: 'body', options: options, allowNewValues: false } );
+				
+				typeText( "Kiwi" );
+				keyDown( 13 );
+				
+				expect( field.getValue() ).toEqual( [] );
+				expect( field.$inputEl.val() ).toBe( "Kiwi" );
+			} );
+			
+			
+			it( "should remove the last value when backspace is pressed in the empty text input", function() {
+				field = new TagField( { renderTo: 'body', options: options, value: [ 1, 2 ] } );
+				
+				typeText( "a" );
+				keyDown( 8 );  // backspace, with text in the input
+				expect( field.getValue() ).toEqual( [ 1, 2 ] );
+				
+				typeText( "" );
+				keyDown( 8 );
+				expect( field.getValue() ).toEqual( [ 1 ] );
+			} );
+		
+		} );
+		
+		
+		it( "should remove the options menu from the document when destroyed", function() {
+			field = new TagField( { renderTo: 'body', options: options } );
+			var $optionsMenu = field.$optionsMenu;
+			
+			field.destroy();
+			field = null;
+			
+			expect( jQuery.contains( document.body, $optionsMenu[ 0 ] ) ).toBe( false );
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
@@ -0,0 +1,256 @@
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'data/Collection',
+	'gui/grid/Grid'
+], function( jQuery, _, Model, Collection, Grid ) {
+	
+	describe( 'gui.grid.Grid', function() {
+		
+		// A simple Model subclass to use for the tests
+		var UserModel = Model.extend( {
+			attributes : [
+				{ name : 'id',        type: 'int' },
+				{ name : 'firstName', type: 'string' },
+				{ name : 'lastName',  type: 'string' }
+			]
+		} );
+		
+		var collection, grid;
+		
+		beforeEach( function() {
+			collection = new Collection( [
+				new UserModel( { id: 1, firstName: "Fred", lastName: "Flintstone" } ),
+				new UserModel( { id: 2, firstName: "Barney", lastName: "Rubble" } ),
+				new UserModel( { id: 3, firstName: "Wilma", lastName: "Flintstone" } )
+			] );
+			
+			grid = new Grid( {
+				renderTo   : 'body',
+				collection : collection,
+				columns    : [
+					{ header: "First Name", dataIndex: 'firstName', width: 100 },
+					{ header: "Last Name", dataIndex: 'lastName' },
+					{ header: "Id", dataIndex: 'id', sortable: false, renderer: function( value ) { return "<b>#" + value + "</b>"; } }
+				]
+			} );
+		} );
+		
+		afterEach( function() {
+			grid.destroy();
+		} );
+		
+		
+		// Retrieves the text of each cell in the given column, in row order
+		function getColumnText( colIdx ) {
+			return _.map( grid.getEl().find( 'tr.gui-grid-row' ).get(), function( rowEl ) {
+				return jQuery( rowEl ).find( 'td' ).eq( colIdx ).text();
+			} );
+		}
+		
+		
+		describe( "`columns` config", function() {
+			
+			it( "should be required", function() {
+				expect( function() {
+					var grid = new Grid( {} );
+				} ).toThrow( "`columns` config required" );
+			} );
+			
+			
+			it( "should give columns without a `width` or `flex` a flex of 1, and make columns without a `dataIndex` unsortable", function() {
+				var columns = new Grid( { columns: [ { header: "A", width: 50 }, { header: "B", dataIndex: 'b' } ] } ).getColumns();
+				
+				expect( columns[ 0 ].flex ).toBeUndefined();
+				expect( columns[ 0 ].sortable ).toBe( false );
+				expect( columns[ 1 ].flex ).toBe( 1 );
+				expect( columns[ 1 ].sortable ).toBe( true );
+			} );
+		
+		} );
+		
+		
+		describe( "rendering", function() {
+			
+			it( "should render a header cell for each column", function() {
+				var $headerCells = grid.getEl().find( 'th.gui-grid-headerCell' );
+				
+				expect( $headerCells.length ).toBe( 3 );
+				expect( $headerCells.eq( 0 ).text() ).toBe( "First Name" );
+				expect( $headerCells.eq( 1 ).text() ).toBe( "Last Name" );
+			} );
+			
+			
+			it( "should render a row for each model, HTML-encoding values that have no renderer", function() {
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Barney", "Wilma" ] );
+				
+				collection.getAt( 0 ).set( 'firstName', "<Fred>" );
+				expect( grid.getRowEl( collection.getAt( 0 ) ).find( 'td' ).eq( 0 ).html() ).toBe( "&lt;Fred&gt;" );
+			} );
+			
+			
+			it( "should use a column's `renderer` to produce the cell's HTML", function() {
+				expect( grid.getRowEl( collection.getAt( 1 ) ).find( 'td' ).eq( 2 ).html().toLowerCase() ).toBe( "<b>#2</b>" );
+			} );
+			
+			
+			it( "should size the body to the Grid's height, less the header", function() {
+				grid.setSize( undefined, 200 );
+				grid.doLayout();
+				
+				var headerHeight = grid.getEl().find( '.gui-grid-header' ).outerHeight();
+				expect( grid.getEl().find( '.gui-grid-body' ).height() ).toBe( 200 - headerHeight );
+			} );
+		
+		} );
+		
+		
+		describe( "incremental updates", function() {
+			
+			it( "should insert rows for added models at their position in the collection, without re-rendering the other rows", function() {
+				var $fredRow = grid.getRowEl( collection.getAt( 0 ) );
+				
+				collection.add( new UserModel( { id: 4, firstName: "Pebbles", lastName: "Flintstone" } ), { at: 1 } );
+				collection.add( new UserModel( { id: 5, firstName: "Betty", lastName: "Rubble" } ) );
+				
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Pebbles", "Barney", "Wilma", "Betty" ] );
+				expect( grid.getRowEl( collection.getAt( 0 ) )[ 0 ] ).toBe( $fredRow[ 0 ] );
+			} );
+			
+			
+			it( "should remove the rows for removed models", function() {
+				collection.remove( collection.getAt( 1 ) );
+				
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Wilma" ] );
+			} );
+			
+			
+			it( "should re-render only the row of a changed model", function() {
+				var $fredRow = grid.getRowEl( collection.getAt( 0 ) );
+				
+				collection.getAt( 1 ).set( 'firstName', "Barney2" );
+				
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Barney2", "Wilma" ] );
+				expect( grid.getRowEl( collection.getAt( 0 ) )[ 0 ] ).toBe( $fredRow[ 0 ] );
+			} );
+			
+			
+			it( "should re-render a changed model's row only once when several of its attributes are set at once", function() {
+				spyOn( grid, 'createRow' ).andCallThrough();
+				
+				collection.getAt( 1 ).set( { firstName: "Barney2", lastName: "Rubble2" } );
+				
+				expect( grid.createRow.callCount ).toBe( 1 );
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Barney2", "Wilma" ] );
+			} );
+		
+		} );
+		
+		
+		describe( "sorting", function() {
+			
+			it( "should sort the bound collection (stably), and the rows, by the given `dataIndex`", function() {
+				grid.sort( 'lastName' );
+				
+				expect( _.map( collection.getModels(), function( m ) { return m.get( 'id' ); } ) ).toEqual( [ 1, 3, 2 ] );
+				expect( getColumnText( 0 ) ).toEqual( [ "Fred", "Wilma", "Barney" ] );
+				
+				grid.sort( 'firstName', 'DESC' );
+				expect( getColumnText( 0 ) ).toEqual( [ "Wilma", "Fred", "Barney" ] );
+			} );
+			
+			
+			it( "should reorder the rows once, after the collection has been sorted", function() {
+				spyOn( grid, 'insertRow' ).andCallThrough();
+				spyOn( grid, 'syncRowOrder' ).andCallThrough();
+				
+				grid.sort( 'firstName', 'DESC' );
+				
+				expect( grid.insertRow ).not.toHaveBeenCalled();  // no row is moved individually
+				expect( grid.syncRowOrder.callCount ).toBe( 1 );
+				expect( getColumnText( 0 ) ).toEqual( [ "Wilma", "Fred", "Barney" ] );
+			} );
+			
+			
+			it( "should sort by a column when its header is clicked, toggling the direction on subsequent clicks", function() {
+				var sortSpy = jasmine.createSpy( 'sortSpy' );
+				grid.on( 'sort', sortSpy );
+				
+				var $firstNameHeader = grid.getEl().find( 'th' ).eq( 0 );
+				$firstNameHeader.click();
+				expect( getColumnText( 0 ) ).toEqual( [ "Barney", "Fred", "Wilma" ] );
+				expect( $firstNameHeader.hasClass( 'gui-grid-sorted-asc' ) ).toBe( true );
+				expect( sortSpy ).toHaveBeenCalledWith( grid, 'firstName', 'ASC' );
+				
+				$firstNameHeader.click();
+				expect( getColumnText( 0 ) ).toEqual( [ "Wilma", "Fred", "Barney" ] );
+				expect( $firstNameHeader.hasClass( 'gui-grid-sorted-desc' ) ).toBe( true );
+				expect( grid.getSortState() ).toEqual( { dataIndex: 'firstName', direction: 'DESC' } );
+			} );
+			
+			
+			it( "should not sort when the header of an unsortable column is clicked", function() {
+				grid.getEl().find( 'th' ).eq( 2 ).click();
+				
+				expect( grid.getSortState() ).toBe( null );
+			} );
+		
+		} );
+		
+		
+		describe( "selection", function() {
+			
+			it( "should select a row when it is clicked, firing 'rowclick' and 'selectionchange'", function() {
+				var rowClickSpy = jasmine.createSpy( 'rowClickSpy' ),
+				    selectionChangeSpy = jasmine.createSpy( 'selectionChangeSpy' ),
+				    barney = collection.getAt( 1 );
+				
+				grid.on( { 'rowclick': rowClickSpy, 'selectionchange': selectionChangeSpy } );
+				grid.getRowEl( barney ).find( 'td' ).eq( 0 ).click();
+				
+				expect( grid.getSelection() ).toEqual( [ barney ] );
+				expect( grid.getRowEl( barney ).hasClass( 'gui-grid-row-selected' ) ).toBe( true );
+				expect( rowClickSpy ).toHaveBeenCalled();
+				expect( selectionChangeSpy ).toHaveBeenCalledWith( grid, [ barney ] );
+			} );
+			
+			
+			it( "should only allow a single selection in 'single' mode", function() {
+				grid.select( collection.getAt( 0 ) );
+				grid.select( collection.getAt( 1 ), /* keepExisting */ true );
+				
+				expect( grid.getSelection() ).toEqual( [ collection.getAt( 1 ) ] );
+				expect( grid.getRowEl( collection.getAt( 0 ) ).hasClass( 'gui-grid-row-selected' ) ).toBe( false );
+			} );
+			
+			
+			it( "should toggle rows with a ctrl-click in 'multi' mode", function() {
+				grid.selectionMode = 'multi';
+				
+				grid.getRowEl( collection.getAt( 0 ) ).click();
+				grid.getRowEl( collection.getAt( 2 ) ).trigger( jQuery.Event( 'click', { ctrlKey: true } ) );
+				expect( grid.getSelection() ).toEqual( [ collection.getAt( 0 ), collection.getAt( 2 ) ] );
+				
+				grid.getRowEl( collection.getAt( 0 ) ).trigger( jQuery.Event( 'click', { ctrlKey: true } ) );
+				expect( grid.getSelection() ).toEqual( [ collection.getAt( 2 ) ] );
+			} );
+			
+			
+			it( "should keep the selected state of a row when its model changes, and deselect removed models", function() {
+				var barney = collection.getAt( 1 );
+				grid.select( barney );
+				
+				barney.set( 'firstName', "Barney2" );
+				expect( grid.getRowEl( barney ).hasClass( 'gui-grid-row-selected' ) ).toBe( true );
+				
+				collection.remove( barney );
+				expect( grid.getSelection() ).toEqual( [] );
+			} );
+		
+		} );
+	
+	} );
+
+} );
@@ -0,0 +1,123 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'lodash',
+	'gui/Component',
+	'gui/Container',
+	'gui/panel/Panel',
+	'gui/layout/Accordion'
+], function( _, Component, Container, Panel, AccordionLayout ) {
+	
+	describe( 'gui.layout.Accordion', function() {
+		var container,
+		    layout,
+		    panels;
+		
+		function createContainer( layoutConfig ) {
+			panels = [
+				new Panel( { title: "Panel 1", html: "Content 1" } ),
+				new Panel( { title: "Panel 2", html: "Content 2" } ),
+				new Panel( { title: "Panel 3", html: "Content 3" } )
+			];
+			
+			container = new Container( {
+				renderTo : 'body',
+				height   : 300,
+				layout   : _.assign( { type: 'accordion', animate: false }, layoutConfig ),
+				items    : panels
+			} );
+			layout = container.getLayout();
+		}
+		
+		afterEach( function() {
+			container.destroy();
+		} );
+		
+		
+		it( "should require each child component to be a gui.panel.Panel", function() {
+			container = new Container( { layout: 'accordion', items: [ new Component() ] } );
+			
+			expect( function() {
+				container.render( 'body' );
+			} ).toThrow( "Each child component in an accordion layout must be a gui.panel.Panel" );
+		} );
+		
+		
+		it( "should initially expand the `activeItem`, and collapse the others", function() {
+			createContainer( { activeItem: 1 } );
+			
+			expect( layout.getActiveItem() ).toBe( panels[ 1 ] );
+			expect( panels[ 0 ].getBodyEl().is( ':visible' ) ).toBe( false );
+			expect( panels[ 1 ].getBodyEl().is( ':visible' ) ).toBe( true );
+			expect( panels[ 2 ].getBodyEl().is( ':visible' ) ).toBe( false );
+			expect( panels[ 0 ].getEl().hasClass( 'gui-layout-accordion-item-collapsed' ) ).toBe( true );
+		} );
+		
+		
+		it( "should size the expanded item to fill the container's height, when `fill` is true", function() {
+			createContainer();
+			
+			expect( container.getContentTarget().height() ).toBe( 300 );
+			expect( panels[ 0 ].getOuterHeight( true ) + panels[ 1 ].getOuterHeight( true ) + panels[ 2 ].getOuterHeight( true ) ).toBe( 300 );
+		} );
+		
+		
+		it( "should expand an item when its header is clicked, collapsing the other item in single-expand mode", function() {
+			createContainer();
+			
+			var expandSpy = jasmine.createSpy( 'expandSpy' ),
+			    collapseSpy = jasmine.createSpy( 'collapseSpy' );
+			layout.on( { 'expand': expandSpy, 'collapse': collapseSpy } );
+			
+			panels[ 2 ].getHeader().getEl().click();
+			expect( layout.getExpandedItems() ).toEqual( [ panels[ 2 ] ] );
+			expect( panels[ 0 ].getBodyEl().is( ':visible' ) ).toBe( false );
+			expect( panels[ 2 ].getBodyEl().is( ':visible' ) ).toBe( true );
+			expect( expandSpy ).toHaveBeenCalledWith( layout, panels[ 2 ] );
+			expect( collapseSpy ).toHaveBeenCalledWith( layout, panels[ 0 ] );
+			
+			panels[ 2 ].getHeader().getEl().click();  // clicking the expanded item's header should not collapse it in single-expand mode
+			expect( layout.getExpandedItems() ).toEqual( [ panels[ 2 ] ] );
+		} );
+		
+		
+		it( "should toggle items when their headers are clicked in `multi` mode", function() {
+			createContainer( { multi: true } );
+			
+			panels[ 1 ].getHeader().getEl().click();
+			expect( layout.getExpandedItems() ).toEqual( [ panels[ 0 ], panels[ 1 ] ] );
+			
+			panels[ 0 ].getHeader().getEl().click();
+			expect( layout.getExpandedItems() ).toEqual( [ panels[ 1 ] ] );
+			expect( panels[ 0 ].getBodyEl().is( ':visible' ) ).toBe( false );
+		} );
+		
+		
+		it( "should not expand an item if a 'beforeexpand' handler returns false", function() {
+			createContainer();
+			layout.on( 'beforeexpand', function( layout, item ) { return item !== panels[ 1 ]; } );
+			
+			layout.expand( panels[ 1 ] );
+			expect( layout.isExpanded( panels[ 1 ] ) ).toBe( false );
+			expect( layout.isExpanded( panels[ 0 ] ) ).toBe( true );
+			
+			layout.expand( 2 );
+			expect( layout.getActiveItem() ).toBe( panels[ 2 ] );
+		} );
+		
+		
+		it( "should animate the expanding and collapsing of items when `animate` is true", function() {
+			createContainer( { animate: true } );
+			
+			layout.expand( panels[ 1 ] );
+			expect( layout.animations[ panels[ 0 ].getUuid() ] ).toBeTruthy();
+			expect( layout.animations[ panels[ 1 ].getUuid() ] ).toBeTruthy();
+			
+			layout.animations[ panels[ 0 ].getUuid() ].end();
+			layout.animations[ panels[ 1 ].getUuid() ].end();
+			expect( panels[ 0 ].getBodyEl().is( ':visible' ) ).toBe( false );
+			expect( panels[ 1 ].getBodyEl().is( ':visible' ) ).toBe( true );
+		} );
+		
+	} );
+	
+} );
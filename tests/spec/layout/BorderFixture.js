@@ -0,0 +1,38 @@
+/*global define */
+define( [
+	'gui/layout/Border',
+	'spec/layout/LayoutFixture'
+], function( BorderLayout, LayoutFixture ) {
+	
+	/**
+	 * @class spec.layout.BorderFixture
+	 * @extends spec.layout.LayoutFixture
+	 * 
+	 * Fixture class for the {@link gui.layout.Border Border} layout's tests.
+	 */
+	var BorderLayoutFixture = LayoutFixture.extend( {		
+		
+		/**
+		 * @constructor
+		 */
+		constructor : function() {
+			this._super( arguments );
+			
+			// No specific implementation, yet
+		},
+		
+		
+		/**
+		 * Overridden method to create the {@link gui.layout.Border Border} layout.
+		 * 
+		 * @return {gui.layout.Border}
+		 */
+		createLayout : function() {
+			return new BorderLayout();
+		}
+		
+	} );
+	
+	return BorderLayoutFixture;
+	
+} );
\ No newline at end of file
@@ -0,0 +1,215 @@
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, jasmine */
+define( [
+	'jquery',
+	'spec/layout/BorderFixture'
+], function( jQuery, BorderLayoutFixture ) {
+	
+	describe( 'gui.layout.Border', function() {
+		var fixture,
+		    container,
+		    layout;
+		
+		beforeEach( function() {
+			fixture = new BorderLayoutFixture();  // 100px wide, 200px high
+			container = fixture.getContainer();
+			layout = fixture.getLayout();
+			
+			// The mock container's layout is not the layout under test, so have it run the layout under test
+			spyOn( container, 'doLayout' ).andCallFake( function() { layout.doLayout(); } );
+		} );
+		
+		afterEach( function() {
+			fixture.destroy();
+		} );
+		
+		
+		// Creates mock child components for each of the given regions, applying any extra configs, and sets them
+		// as the container's items. Returns a map of the components, keyed by region.
+		function createRegionComponents( regionConfigs ) {
+			var regions = Object.keys( regionConfigs ),
+			    childComponents = fixture.createChildComponents( regions.length ),
+			    map = {};
+			
+			for( var i = 0; i < regions.length; i++ ) {
+				var component = map[ regions[ i ] ] = childComponents[ i ];
+				
+				jQuery.extend( component, { region: regions[ i ] }, regionConfigs[ regions[ i ] ] );
+				spyOn( component, 'setSize' );
+			}
+			container.getItems.andReturn( childComponents );
+			
+			return map;
+		}
+		
+		
+		describe( "doLayout()", function() {
+			
+			it( "should require each child component to have a valid `region`, and a component in the 'center' region", function() {
+				createRegionComponents( { 'north': {}, 'middle': {} } );
+				expect( function() { layout.doLayout(); } ).toThrow( "Each child component in a border layout requires a `region` config of 'north', 'south', 'east', 'west', or 'center'" );
+				
+				createRegionComponents( { 'north': {} } );
+				expect( function() { layout.doLayout(); } ).toThrow( "A border layout requires a child component in the 'center' region" );
+			} );
+			
+			
+			it( "should size the edge regions to their configured sizes, and the center region to the remaining space", function() {
+				var components = createRegionComponents( {
+					'north'  : { height: 20 },
+					'south'  : { height: 30 },
+					'west'   : { width: 10 },
+					'east'   : { width: 15 },
+					'center' : {}
+				} );
+				
+				layout.doLayout();
+				
+				expect( components.north.setSize ).toHaveBeenCalledWith( 100, 20 );
+				expect( components.south.setSize ).toHaveBeenCalledWith( 100, 30 );
+				expect( components.west.setSize ).toHaveBeenCalledWith( 10, 150 );
+				expect( components.east.setSize ).toHaveBeenCalledWith( 15, 150 );
+				expect( components.center.setSize ).toHaveBeenCalledWith( 75, 150 );
+				
+				expect( components.south.getEl().css( 'top' ) ).toBe( '170px' );
+				expect( components.east.getEl().css( 'left' ) ).toBe( '85px' );
+				expect( components.center.getEl().css( 'top' ) ).toBe( '20px' );
+				expect( components.center.getEl().css( 'left' ) ).toBe( '10px' );
+			} );
+			
+			
+			it( "should not reserve space for hidden edge regions", function() {
+				var components = createRegionComponents( { 'north': { height: 20 }, 'center': {} } );
+				spyOn( components.north, 'isHidden' ).andReturn( true );
+				
+				layout.doLayout();
+				expect( components.north.setSize ).not.toHaveBeenCalled();
+				expect( components.center.setSize ).toHaveBeenCalledWith( 100, 200 );
+			} );
+			
+			
+			it( "should place a splitter between a `split` region and the center region", function() {
+				var components = createRegionComponents( { 'west': { width: 30, split: true }, 'center': {} } );
+				
+				layout.doLayout();
+				
+				var $splitterEl = fixture.getTargetEl().find( '.gui-layout-border-splitter-west' );
+				expect( $splitterEl.length ).toBe( 1 );
+				expect( $splitterEl.css( 'left' ) ).toBe( '30px' );
+				expect( components.center.setSize ).toHaveBeenCalledWith( 100 - 30 - layout.splitterSize, 200 );
+			} );
+			
+		} );
+		
+		
+		describe( "collapsing", function() {
+			
+			it( "should show a collapsed bar in place of a region that is initially `collapsed`, which expands the region when clicked", function() {
+				var components = createRegionComponents( { 'west': { width: 30, collapsible: true, collapsed: true }, 'center': {} } ),
+				    expandSpy = jasmine.createSpy( 'expandSpy' );
+				
+				layout.on( 'expand', expandSpy );
+				layout.doLayout();
+				
+				expect( layout.isRegionCollapsed( 'west' ) ).toBe( true );
+				expect( components.west.setSize ).not.toHaveBeenCalled();
+				expect( components.center.setSize ).toHaveBeenCalledWith( 100 - layout.collapsedSize, 200 );
+				
+				fixture.getTargetEl().find( '.gui-layout-border-collapsed-west' ).click();
+				expect( layout.isRegionCollapsed( 'west' ) ).toBe( false );
+				expect( expandSpy ).toHaveBeenCalledWith( layout, components.west, 'west' );
+				expect( components.west.setSize ).toHaveBeenCalledWith( 30, 200 );
+				expect( fixture.getTargetEl().find( '.gui-layout-border-collapsed-west' ).length ).toBe( 0 );
+			} );
+			
+			
+			it( "should collapse a region when the collapse tool in its splitter is clicked", function() {
+				var components = createRegionComponents( { 'north': { height: 20, collapsible: true }, 'center': {} } ),
+				    collapseSpy = jasmine.createSpy( 'collapseSpy' );
+				
+				layout.on( 'collapse', collapseSpy );
+				layout.doLayout();
+				fixture.getTargetEl().find( '.gui-layout-border-splitter-collapseTool' ).click();
+				
+				expect( layout.isRegionCollapsed( 'north' ) ).toBe( true );
+				expect( collapseSpy ).toHaveBeenCalledWith( layout, components.north, 'north' );
+				expect( components.center.setSize.mostRecentCall.args ).toEqual( [ 100, 200 - layout.collapsedSize ] );
+			} );
+			
+		} );
+		
+		
+		describe( "resizing", function() {
+			
+			it( "should resize a region with setRegionSize(), firing the 'regionresize' event", function() {
+				var components = createRegionComponents( { 'east': { width: 30 }, 'center': {} } ),
+				    regionResizeSpy = jasmine.createSpy( 'regionResizeSpy' );
+				
+				layout.doLayout();
+				layout.on( 'regionresize', regionResizeSpy );
+				layout.setRegionSize( 'east', 40 );
+				
+				expect( components.east.setSize.mostRecentCall.args ).toEqual( [ 40, 200 ] );
+				expect( components.center.setSize.mostRecentCall.args ).toEqual( [ 60, 200 ] );
+				expect( regionResizeSpy ).toHaveBeenCalledWith( layout, components.east, 'east', 40 );
+			} );
+			
+			
+			it( "should resize a `split` region by dragging its splitter, limited to the region's `minSize` and the available space", function() {
+				var components = createRegionComponents( { 'west': { width: 30, split: true, minSize: 20 }, 'center': {} } );
+				layout.splitterDragInterval = 0;  // resize on each mousemove
+				layout.doLayout();
+				
+				fixture.getTargetEl().find( '.gui-layout-border-splitter-west' ).trigger( jQuery.Event( 'mousedown', { pageX: 100, pageY: 0 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 120, pageY: 0 } ) );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 50, 200 ] );
+				
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 50, pageY: 0 } ) );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 20, 200 ] );  // limited to the `minSize`
+				
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 500, pageY: 0 } ) );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 100 - layout.splitterSize, 200 ] );  // limited to the available space
+				
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 120, pageY: 0 } ) );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 100 - layout.splitterSize, 200 ] );  // no longer dragging
+			} );
+			
+			
+			it( "should throttle the layouts that are run while a splitter is dragged, and apply the final size when the drag ends", function() {
+				var components = createRegionComponents( { 'west': { width: 30, split: true }, 'center': {} } ),
+				    regionResizeSpy = jasmine.createSpy( 'regionResizeSpy' );
+				
+				layout.splitterDragInterval = 10000;
+				layout.doLayout();
+				layout.on( 'regionresize', regionResizeSpy );
+				container.doLayout.reset();
+				
+				fixture.getTargetEl().find( '.gui-layout-border-splitter-west' ).trigger( jQuery.Event( 'mousedown', { pageX: 100, pageY: 0 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 110, pageY: 0 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 120, pageY: 0 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 130, pageY: 0 } ) );
+				expect( container.doLayout.callCount ).toBe( 1 );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 40, 200 ] );
+				
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+				expect( container.doLayout.callCount ).toBe( 2 );
+				expect( components.west.setSize.mostRecentCall.args ).toEqual( [ 60, 200 ] );
+				expect( regionResizeSpy.mostRecentCall.args ).toEqual( [ layout, components.west, 'west', 60 ] );
+			} );
+			
+			
+			it( "should discard the state of a region's component when it is removed from the container", function() {
+				var components = createRegionComponents( { 'west': { width: 30 }, 'center': {} } );
+				layout.doLayout();
+				layout.setRegionSize( 'west', 40 );
+				expect( layout.regionStates[ components.west.getUuid() ] ).toBeDefined();
+				
+				container.fireEvent( 'remove', container, components.west, 0 );
+				expect( layout.regionStates[ components.west.getUuid() ] ).toBeUndefined();
+			} );
+			
+		} );
+		
+	} );
+	
+} );
@@ -1,9 +1,12 @@
-/*global define, describe, beforeEach, afterEach, it, expect */
+/*global define, describe, beforeEach, afterEach, it, expect, runs, waitsFor */
 define( [
 	'gui/Component',
 	'gui/Container',
-	'gui/layout/Card'
-], function( Component, Container, CardLayout ) {
+	'gui/layout/Card',
+	'gui/layout/Card.AnimatedTransition',
+	'gui/layout/Card.SlideTransition',
+	'gui/layout/Card.FadeTransition'
+], function( Component, Container, CardLayout, CardAnimatedTransition, CardSlideTransition, CardFadeTransition ) {
 	
 	describe( 'gui.layout.Card', function() {
 		
@@ -226,6 +229,216 @@ define( [
 			
 		} );
 		
+		
+		describe( "Test animated transitions", function() {
+			var container,
+			    cmp1, cmp2, cmp3,
+			    cardChanges;
+			
+			function createContainer( transition, deferredRender ) {
+				cmp1 = new Component( { html: "Card 1" } );
+				cmp2 = new Component( { html: "Card 2" } );
+				cmp3 = new Component( { html: "Card 3" } );
+				
+				container = new Container( {
+					layout : {
+						type : 'card',
+						transition : transition,
+						deferredRender : deferredRender !== false
+					},
+					items : [ cmp1, cmp2, cmp3 ]
+				} );
+				container.render( document.body );
+				
+				cardChanges = [];
+				container.getLayout().on( 'cardchange', function( layout, card, previousCard ) {
+					cardChanges.push( { card: card, previousCard: previousCard } );
+				} );
+			}
+			
+			function expectCardChange( idx, card, previousCard ) {
+				expect( cardChanges[ idx ].card ).toBe( card );
+				expect( cardChanges[ idx ].previousCard ).toBe( previousCard );
+			}
+			
+			afterEach( function() {
+				if( container ) {
+					container.destroy();
+					container = null;
+				}
+			} );
+			
+			
+			describe( "gui.layout.Card.AnimatedTransition", function() {
+				var ManualTransition = CardAnimatedTransition.extend( {
+					// Records each animation so that the test can complete it when it wants to
+					animate : function( cardsLayout, currentItem, newItem, options, onComplete ) {
+						this.animations.push( { currentItem: currentItem, newItem: newItem, onComplete: onComplete } );
+					}
+				} );
+				
+				var transition;
+				
+				beforeEach( function() {
+					transition = new ManualTransition();
+					transition.animations = [];
+					
+					createContainer( transition );
+				} );
+				
+				
+				it( "should not fire the 'cardchange' event until the animation has completed", function() {
+					container.getLayout().setActiveItem( 1 );
+					expect( transition.animations.length ).toBe( 1 );
+					expect( cardChanges.length ).toBe( 0 );
+					
+					transition.animations[ 0 ].onComplete();
+					expect( cardChanges.length ).toBe( 1 );
+					expectCardChange( 0, cmp2, cmp1 );
+				} );
+				
+				
+				it( "should queue card changes made while an animation is running, and run them in order", function() {
+					var layout = container.getLayout();
+					
+					layout.setActiveItem( 1 );
+					layout.setActiveItem( 2 );
+					expect( transition.animations.length ).toBe( 1 );  // second change should be queued
+					expect( layout.getActiveItem() ).toBe( cmp3 );
+					
+					transition.animations[ 0 ].onComplete();
+					expect( cardChanges.length ).toBe( 1 );
+					expectCardChange( 0, cmp2, cmp1 );
+					expect( transition.animations.length ).toBe( 2 );  // second change should now be running
+					expect( transition.animations[ 1 ].currentItem ).toBe( cmp2 );
+					expect( transition.animations[ 1 ].newItem ).toBe( cmp3 );
+					
+					transition.animations[ 1 ].onComplete();
+					expect( cardChanges.length ).toBe( 2 );
+					expectCardChange( 1, cmp3, cmp2 );
+				} );
+				
+				
+				it( "should keep the outgoing card visible when the container is laid out before the animation has completed", function() {
+					container.destroy();
+					transition = new ManualTransition();
+					transition.animations = [];
+					createContainer( transition, /* deferredRender */ false );
+					
+					var layout = container.getLayout();
+					layout.setActiveItem( 1 );
+					container.doLayout();
+					expect( cmp1.isHidden() ).toBe( false );
+					
+					transition.animations[ 0 ].onComplete();
+					container.doLayout();
+					expect( cmp1.isHidden() ).toBe( true );  // no longer taking part in a transition
+				} );
+				
+				
+				it( "should not show a card which is rendered for a queued change until its transition runs", function() {
+					var layout = container.getLayout();
+					
+					layout.setActiveItem( 1 );
+					layout.setActiveItem( 2 );  // queued
+					expect( cmp3.isRendered() ).toBe( true );
+					expect( cmp3.isHidden() ).toBe( true );
+				} );
+				
+				
+				it( "should switch the cards immediately when there is no currently active card", function() {
+					var layout = container.getLayout();
+					
+					layout.setActiveItem( null );
+					layout.setActiveItem( 1 );
+					expect( transition.animations.length ).toBe( 0 );
+					expect( cmp2.isHidden() ).toBe( false );
+					expect( cardChanges.length ).toBe( 2 );
+					expectCardChange( 0, null, cmp1 );
+					expectCardChange( 1, cmp2, null );
+				} );
+				
+				
+				it( "should run queued card changes immediately when destroyed", function() {
+					var layout = container.getLayout();
+					
+					layout.setActiveItem( 1 );
+					layout.setActiveItem( 2 );
+					transition.destroy();
+					
+					transition.animations[ 0 ].onComplete();
+					expect( transition.animations.length ).toBe( 1 );  // the queued change should not have been animated
+					expect( cmp3.isHidden() ).toBe( false );
+					expect( cmp2.isHidden() ).toBe( true );
+					expect( cardChanges.length ).toBe( 2 );
+				} );
+			
+			} );
+			
+			
+			describe( "gui.layout.Card.SlideTransition", function() {
+				
+				it( "should slide to the left when the new card comes after the current card, and to the right otherwise", function() {
+					var transition = new CardSlideTransition();
+					createContainer( transition );
+					
+					expect( transition.getDirection( container, cmp1, cmp3 ) ).toBe( 'left' );
+					expect( transition.getDirection( container, cmp3, cmp2 ) ).toBe( 'right' );
+				} );
+				
+				
+				it( "should show the new card, hide the current card, and restore the cards' styles when the animation completes", function() {
+					createContainer( new CardSlideTransition( { duration: 10 } ) );
+					
+					runs( function() {
+						container.getLayout().setActiveItem( 1 );
+						expect( cardChanges.length ).toBe( 0 );
+					} );
+					
+					waitsFor( function() {
+						return cardChanges.length === 1;
+					}, "the 'cardchange' event to fire", 500 );
+					
+					runs( function() {
+						expectCardChange( 0, cmp2, cmp1 );
+						expect( cmp1.isHidden() ).toBe( true );
+						expect( cmp2.isHidden() ).toBe( false );
+						expect( cmp1.getEl()[ 0 ].style.position ).toBe( "" );
+						expect( cmp2.getEl()[ 0 ].style.position ).toBe( "" );
+						expect( cmp2.getEl()[ 0 ].style.left ).toBe( "" );
+					} );
+				} );
+			
+			} );
+			
+			
+			describe( "gui.layout.Card.FadeTransition", function() {
+				
+				it( "should show the new card, hide the current card, and restore the cards' opacity when the animation completes", function() {
+					createContainer( new CardFadeTransition( { duration: 10 } ) );
+					
+					runs( function() {
+						container.getLayout().setActiveItem( 1 );
+						expect( cardChanges.length ).toBe( 0 );
+					} );
+					
+					waitsFor( function() {
+						return cardChanges.length === 1;
+					}, "the 'cardchange' event to fire", 500 );
+					
+					runs( function() {
+						expectCardChange( 0, cmp2, cmp1 );
+						expect( cmp1.isHidden() ).toBe( true );
+						expect( cmp2.isHidden() ).toBe( false );
+						expect( cmp1.getEl()[ 0 ].style.opacity ).toBe( "" );
+						expect( cmp2.getEl()[ 0 ].style.opacity ).toBe( "" );
+					} );
+				} );
+			
+			} );
+		
+		} );
+	
 	} );
 	
 } );
\ No newline at end of file
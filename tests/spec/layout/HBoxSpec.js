@@ -1,7 +1,8 @@
 /*global define, describe, beforeEach, afterEach, it, expect, spyOn */
 define( [
+	'gui/layout/HBox',
 	'spec/layout/HBoxFixture'
-], function( HBoxLayoutFixture ) {
+], function( HBoxLayout, HBoxLayoutFixture ) {
 	
 	describe( 'gui.layout.HBox', function() {
 		
@@ -110,6 +111,149 @@ define( [
 			
 		} );
 		
+		
+		describe( "Test `align`, `pack`, `margins`, and size limits", function() {
+			var fixture;
+			
+			beforeEach( function() {
+				fixture = new HBoxLayoutFixture();
+			} );
+			
+			afterEach( function() {
+				fixture.destroy();
+			} );
+			
+			
+			it( "should redistribute the remaining width when a flexed component reaches its `maxWidth`", function() {
+				var childComponents = fixture.createChildComponents( 3 );
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				for( var i = 0; i < 3; i++ ) {
+					childComponents[ i ].flex = 1;
+					spyOn( childComponents[ i ], 'setSize' );
+					spyOn( childComponents[ i ], 'getFrameSize' ).andReturn( 0 );
+				}
+				childComponents[ 0 ].maxWidth = 10;
+				
+				fixture.getLayout().doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( 10, undefined );
+				expect( childComponents[ 1 ].setSize ).toHaveBeenCalledWith( 45, undefined );
+				expect( childComponents[ 2 ].setSize ).toHaveBeenCalledWith( 45 - 1, undefined );  // -1 to work around the sub-pixel width float wrapping issue
+			} );
+			
+			
+			it( "should redistribute the remaining width when a flexed component reaches its `minWidth`, accounting for its frame size", function() {
+				var childComponents = fixture.createChildComponents( 3 );
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				for( var i = 0; i < 3; i++ ) {
+					childComponents[ i ].flex = 1;
+					spyOn( childComponents[ i ], 'setSize' );
+					spyOn( childComponents[ i ], 'getFrameSize' ).andReturn( 0 );
+				}
+				childComponents[ 0 ].minWidth = 50;
+				childComponents[ 0 ].getFrameSize.andReturn( 10 );
+				childComponents[ 0 ].getPadding.andReturn( 10 );  // the frame size is subtracted by sizeComponent() as well
+				
+				fixture.getLayout().doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( 50, undefined );
+				expect( childComponents[ 1 ].setSize ).toHaveBeenCalledWith( 20, undefined );
+				expect( childComponents[ 2 ].setSize ).toHaveBeenCalledWith( 20 - 1, undefined );
+			} );
+			
+			
+			it( "should size all components to the height of the container when `align` is 'stretch'", function() {
+				var childComponents = fixture.createChildComponents( 2 ),
+				    layout = fixture.getLayout();
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				spyOn( childComponents[ 0 ], 'setSize' );
+				spyOn( childComponents[ 1 ], 'setSize' );
+				childComponents[ 0 ].getOuterWidth.andReturn( 19 );
+				childComponents[ 1 ].flex = 1;
+				
+				layout.align = 'stretch';
+				layout.doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( undefined, fixture.getContainerHeight() );
+				expect( childComponents[ 1 ].setSize ).toHaveBeenCalledWith( fixture.getContainerWidth() - 20 - 1, fixture.getContainerHeight() );
+			} );
+			
+			
+			it( "should offset the components vertically based on the `align` config", function() {
+				var childComponents = fixture.createChildComponents( 1 ),
+				    layout = fixture.getLayout();
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				childComponents[ 0 ].getOuterWidth.andReturn( 19 );
+				childComponents[ 0 ].getOuterHeight.andReturn( 100 );
+				
+				layout.align = 'center';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.top ).toBe( "50px" );
+				
+				layout.align = 'end';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.top ).toBe( "100px" );
+				
+				layout.align = 'start';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.top ).toBe( "" );
+			} );
+			
+			
+			it( "should offset the components horizontally into the remaining space based on the `pack` config", function() {
+				var childComponents = fixture.createChildComponents( 3 ),
+				    layout = fixture.getLayout();
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				for( var i = 0; i < 3; i++ ) {
+					childComponents[ i ].getOuterWidth.andReturn( 19 );  // 20px each, with the HBox sub-pixel workaround. 40px remaining.
+				}
+				
+				layout.pack = 'center';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.left ).toBe( "20px" );
+				expect( childComponents[ 2 ].getEl()[ 0 ].style.left ).toBe( "20px" );
+				
+				layout.pack = 'end';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.left ).toBe( "40px" );
+				
+				layout.pack = 'space-between';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.left ).toBe( "" );
+				expect( childComponents[ 1 ].getEl()[ 0 ].style.left ).toBe( "20px" );
+				expect( childComponents[ 2 ].getEl()[ 0 ].style.left ).toBe( "40px" );
+			} );
+			
+			
+			it( "should apply the `margins` config of child components", function() {
+				var childComponents = fixture.createChildComponents( 3 );
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				childComponents[ 0 ].margins = 5;
+				childComponents[ 1 ].margins = '0 10';
+				childComponents[ 2 ].margins = { top: 1, left: '2em' };
+				
+				fixture.getLayout().doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.margin ).toBe( "5px" );
+				expect( childComponents[ 1 ].getEl()[ 0 ].style.margin ).toBe( "0px 10px" );
+				expect( childComponents[ 2 ].getEl()[ 0 ].style.margin ).toBe( "1px 0px 0px 2em" );
+			} );
+			
+			
+			it( "should throw an error for an invalid `align` or `pack` config", function() {
+				expect( function() {
+					new HBoxLayout( { align: 'middle' } );
+				} ).toThrow( "Invalid `align` config 'middle'. Must be one of: 'start', 'center', 'end', 'stretch'" );
+				
+				expect( function() {
+					new HBoxLayout( { pack: 'around' } );
+				} ).toThrow( "Invalid `pack` config 'around'. Must be one of: 'start', 'center', 'end', 'space-between'" );
+			} );
+		
+		} );
+	
 	} );
 	
 } );
\ No newline at end of file
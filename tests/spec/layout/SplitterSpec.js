@@ -0,0 +1,196 @@
+/*global define, describe, afterEach, it, expect, jasmine, spyOn */
+define( [
+	'jquery',
+	'gui/Component',
+	'gui/Container',
+	'gui/layout/Splitter',
+	'gui/layout/HBox',
+	'gui/layout/VBox'
+], function( jQuery, Component, Container, Splitter ) {
+	
+	describe( 'gui.layout.Splitter', function() {
+		var container,
+		    prevItem,
+		    splitter,
+		    nextItem;
+		
+		function createContainer( layout, prevItemConfig, nextItemConfig, splitterConfig ) {
+			prevItem = new Component( prevItemConfig );
+			splitter = new Splitter( splitterConfig );
+			nextItem = new Component( nextItemConfig );
+			
+			container = new Container( {
+				renderTo : 'body',
+				width    : 300,
+				height   : 300,
+				layout   : layout,
+				items    : [ prevItem, splitter, nextItem ]
+			} );
+		}
+		
+		function drag( startPos, endPos ) {
+			splitter.getEl().trigger( jQuery.Event( 'mousedown', { pageX: startPos, pageY: startPos } ) );
+			jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: endPos, pageY: endPos } ) );
+			jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+		}
+		
+		afterEach( function() {
+			container.destroy();
+		} );
+		
+		
+		it( "should size itself to its `size` along the layout's main axis", function() {
+			createContainer( 'hbox', { width: 100 }, { flex: 1 }, { size: 8 } );
+			expect( splitter.getOuterWidth() ).toBe( 8 );
+			expect( splitter.hasCls( 'gui-layout-splitter-horizontal' ) ).toBe( true );
+			container.destroy();
+			
+			createContainer( 'vbox', { height: 100 }, { flex: 1 }, { size: 8 } );
+			expect( splitter.getOuterHeight() ).toBe( 8 );
+			expect( splitter.hasCls( 'gui-layout-splitter-vertical' ) ).toBe( true );
+		} );
+		
+		
+		describe( "dragging", function() {
+			
+			it( "should set the pixel size of a non-flexed neighbouring component, and let a flexed neighbouring component take up the rest", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				
+				var nextItemWidth = nextItem.getOuterWidth();
+				drag( 200, 250 );
+				
+				expect( prevItem.getOuterWidth() ).toBe( 150 );
+				expect( nextItem.getOuterWidth() ).toBe( nextItemWidth - 50 );
+				expect( nextItem.flex ).toBe( 1 );
+			} );
+			
+			
+			it( "should update the flex values of two flexed neighbouring components, keeping their sum the same", function() {
+				createContainer( 'vbox', { flex: 1 }, { flex: 1 } );
+				
+				var totalHeight = prevItem.getOuterHeight() + nextItem.getOuterHeight();
+				drag( 100, 50 );
+				
+				expect( prevItem.flex ).toBeCloseTo( 2 * ( totalHeight / 2 - 50 ) / totalHeight, 1 );
+				expect( prevItem.flex + nextItem.flex ).toBeCloseTo( 2, 5 );
+				expect( prevItem.getOuterHeight() ).toBeLessThan( nextItem.getOuterHeight() );
+			} );
+			
+			
+			it( "should respect the `minWidth` and `maxWidth` configs of the neighbouring components", function() {
+				createContainer( 'hbox', { width: 100, maxWidth: 120 }, { flex: 1 } );
+				drag( 200, 300 );
+				expect( prevItem.getOuterWidth() ).toBe( 120 );
+				container.destroy();
+				
+				createContainer( 'hbox', { width: 100, minWidth: 80 }, { flex: 1 } );
+				drag( 200, 100 );
+				expect( prevItem.getOuterWidth() ).toBe( 80 );
+				container.destroy();
+				
+				createContainer( 'hbox', { width: 100 }, { flex: 1, minWidth: 150 } );
+				var totalWidth = prevItem.getOuterWidth() + nextItem.getOuterWidth();
+				drag( 200, 300 );
+				expect( nextItem.getOuterWidth() ).toBe( 150 );
+				expect( prevItem.getOuterWidth() ).toBe( totalWidth - 150 );
+			} );
+			
+			
+			it( "should fire the 'resize' event with the new sizes when a drag is complete, but not if the sizes did not change", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				
+				var resizeSpy = jasmine.createSpy( 'resizeSpy' );
+				splitter.on( 'resize', resizeSpy );
+				
+				var totalWidth = prevItem.getOuterWidth() + nextItem.getOuterWidth();
+				drag( 200, 230 );
+				expect( resizeSpy ).toHaveBeenCalledWith( splitter, prevItem, nextItem, 130, totalWidth - 130 );
+				
+				drag( 200, 200 );
+				expect( resizeSpy.callCount ).toBe( 1 );
+			} );
+			
+			
+			it( "should abandon a drag in progress when destroyed, without firing the 'resize' event", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				var resizeSpy = jasmine.createSpy( 'resizeSpy' );
+				splitter.on( 'resize', resizeSpy );
+				spyOn( splitter, 'onDrag' ).andCallThrough();
+				
+				splitter.getEl().trigger( jQuery.Event( 'mousedown', { pageX: 200, pageY: 200 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 250, pageY: 250 } ) );
+				splitter.destroy();
+				
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 260, pageY: 260 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+				expect( splitter.onDrag.callCount ).toBe( 1 );  // the document handlers were unbound
+				expect( resizeSpy ).not.toHaveBeenCalled();
+				expect( splitter.dragState ).toBe( null );
+			} );
+			
+			
+			it( "should not unbind the document handlers of another Splitter's drag when its own drag is abandoned", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				var otherSplitter = splitter,
+				    otherContainer = container;
+				spyOn( otherSplitter, 'onDrag' ).andCallThrough();
+				
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				otherSplitter.getEl().trigger( jQuery.Event( 'mousedown', { pageX: 200, pageY: 200 } ) );
+				splitter.getEl().trigger( jQuery.Event( 'mousedown', { pageX: 200, pageY: 200 } ) );
+				splitter.destroy();
+				
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: 250, pageY: 250 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+				expect( otherSplitter.onDrag.callCount ).toBe( 1 );
+				expect( otherSplitter.dragState ).toBe( null );  // the drag was ended by the mouseup
+				otherContainer.destroy();
+			} );
+		
+		} );
+		
+		
+		describe( "collapsing", function() {
+			
+			it( "should collapse and expand the `collapseTarget` component on double-click, firing the 'collapse' and 'expand' events", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 }, { collapseTarget: 'next' } );
+				
+				var collapseSpy = jasmine.createSpy( 'collapseSpy' ),
+				    expandSpy = jasmine.createSpy( 'expandSpy' );
+				splitter.on( { 'collapse': collapseSpy, 'expand': expandSpy } );
+				
+				splitter.getEl().trigger( 'dblclick' );
+				expect( splitter.isCollapsed() ).toBe( true );
+				expect( nextItem.isHidden() ).toBe( true );
+				expect( prevItem.isHidden() ).toBe( false );
+				expect( collapseSpy ).toHaveBeenCalledWith( splitter, nextItem );
+				
+				splitter.getEl().trigger( 'dblclick' );
+				expect( splitter.isCollapsed() ).toBe( false );
+				expect( nextItem.isHidden() ).toBe( false );
+				expect( expandSpy ).toHaveBeenCalledWith( splitter, nextItem );
+			} );
+			
+			
+			it( "should not collapse on double-click when `collapsible` is false", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 }, { collapsible: false } );
+				
+				splitter.getEl().trigger( 'dblclick' );
+				expect( splitter.isCollapsed() ).toBe( false );
+				expect( prevItem.isHidden() ).toBe( false );
+			} );
+			
+			
+			it( "should not start a drag while collapsed", function() {
+				createContainer( 'hbox', { width: 100 }, { flex: 1 } );
+				
+				splitter.collapse();
+				splitter.getEl().trigger( jQuery.Event( 'mousedown', { pageX: 0, pageY: 0 } ) );
+				expect( splitter.hasCls( 'gui-layout-splitter-dragging' ) ).toBe( false );
+			} );
+		
+		} );
+	
+	} );
+
+} );
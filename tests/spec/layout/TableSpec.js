@@ -0,0 +1,208 @@
+/*global define, describe, beforeEach, afterEach, it, expect */
+define( [
+	'lodash',
+	'gui/Component',
+	'gui/Container',
+	'gui/layout/Table'
+], function( _, Component, Container, TableLayout ) {
+	
+	describe( 'gui.layout.Table', function() {
+		
+		it( "should require the `columns` config", function() {
+			expect( function() {
+				new TableLayout();
+			} ).toThrow( "A table layout requires a `columns` config" );
+		} );
+		
+		
+		describe( "computeCells()", function() {
+			var layout;
+			
+			beforeEach( function() {
+				layout = new TableLayout( { columns: 3 } );
+			} );
+			
+			function getPositions( cells ) {
+				return _.map( cells, function( cell ) {
+					return [ cell.row, cell.column, cell.rowspan, cell.colspan ];
+				} );
+			}
+			
+			
+			it( "should place components from left to right, top to bottom", function() {
+				var cells = layout.computeCells( [ new Component(), new Component(), new Component(), new Component() ] );
+				
+				expect( getPositions( cells ) ).toEqual( [ [ 0, 0, 1, 1 ], [ 0, 1, 1, 1 ], [ 0, 2, 1, 1 ], [ 1, 0, 1, 1 ] ] );
+			} );
+			
+			
+			it( "should wrap a component with a `colspan` to the next row if it does not fit in the current row", function() {
+				var cells = layout.computeCells( [ new Component(), new Component(), new Component( { colspan: 2 } ) ] );
+				
+				expect( getPositions( cells ) ).toEqual( [ [ 0, 0, 1, 1 ], [ 0, 1, 1, 1 ], [ 1, 0, 1, 2 ] ] );
+			} );
+			
+			
+			it( "should skip over the cells taken up by a component with a `rowspan`", function() {
+				var cells = layout.computeCells( [
+					new Component( { rowspan: 2 } ), new Component(), new Component(),
+					new Component(), new Component()
+				] );
+				
+				expect( getPositions( cells ) ).toEqual( [ [ 0, 0, 2, 1 ], [ 0, 1, 1, 1 ], [ 0, 2, 1, 1 ], [ 1, 1, 1, 1 ], [ 1, 2, 1, 1 ] ] );
+			} );
+			
+			
+			it( "should place components with a `gridArea` first, and flow the other components around them", function() {
+				var cells = layout.computeCells( [
+					new Component(),
+					new Component( { gridArea: '1 / 2 / 3 / 4' } ),
+					new Component(),
+					new Component( { gridArea: '3 / 1', colspan: 2 } )
+				] );
+				
+				expect( getPositions( cells ) ).toEqual( [ [ 0, 0, 1, 1 ], [ 0, 1, 2, 2 ], [ 1, 0, 1, 1 ], [ 2, 0, 1, 2 ] ] );
+			} );
+			
+			
+			it( "should throw an error for a `colspan` that is greater than the number of columns", function() {
+				expect( function() {
+					layout.computeCells( [ new Component( { colspan: 4 } ) ] );
+				} ).toThrow( "A child component's `colspan` (4) may not exceed the table layout's `columns` (3)" );
+			} );
+			
+			
+			it( "should limit a cell's `colspan` to the number of columns", function() {
+				expect( layout.createCell( new Component( { colspan: 4 } ) ).colspan ).toBe( 3 );
+			} );
+			
+			
+			it( "should throw an error for an invalid or overlapping `gridArea`", function() {
+				expect( function() {
+					layout.computeCells( [ new Component( { gridArea: 'a / b' } ) ] );
+				} ).toThrow( "Invalid `gridArea` 'a / b'. Expected the form 'rowStart / columnStart / rowEnd / columnEnd', or 'rowStart / columnStart'" );
+				
+				expect( function() {
+					layout.computeCells( [ new Component( { gridArea: '1 / 3 / 2 / 5' } ) ] );
+				} ).toThrow( "The `gridArea` '1 / 3 / 2 / 5' is outside of the table layout's 3 columns" );
+				
+				expect( function() {
+					layout.computeCells( [ new Component( { gridArea: '1 / 1 / 3 / 3' } ), new Component( { gridArea: '2 / 2' } ) ] );
+				} ).toThrow( "The `gridArea` '2 / 2' overlaps another child component in the table layout" );
+			} );
+		
+		} );
+		
+		
+		describe( "computeColumnWidths()", function() {
+			
+			it( "should share the available width equally between the columns by default, giving any leftover pixels to the last column", function() {
+				var layout = new TableLayout( { columns: 3 } );
+				
+				expect( layout.computeColumnWidths( 100 ) ).toEqual( [ 33, 33, 34 ] );
+			} );
+			
+			
+			it( "should use the pixel and percentage `columnWidths`, and share the remaining width between the other columns", function() {
+				var layout = new TableLayout( { columns: 4, columnWidths: [ 100, '25%' ] } );
+				
+				expect( layout.computeColumnWidths( 400 ) ).toEqual( [ 100, 100, 100, 100 ] );
+				
+				layout = new TableLayout( { columns: 3, columnWidths: [ null, 50 ] } );
+				expect( layout.computeColumnWidths( 250 ) ).toEqual( [ 100, 50, 100 ] );
+			} );
+			
+			
+			it( "should accept pixel strings in the `columnWidths`, and throw an error for other strings", function() {
+				var layout = new TableLayout( { columns: 3, columnWidths: [ '100px', '50' ] } );
+				expect( layout.computeColumnWidths( 250 ) ).toEqual( [ 100, 50, 100 ] );
+				
+				expect( function() {
+					new TableLayout( { columns: 3, columnWidths: [ '10em' ] } );
+				} ).toThrow( "Invalid `columnWidths` value '10em'. Expected a number of pixels, or a string such as '100px' or '25%'" );
+			} );
+		
+		} );
+		
+		
+		describe( "layout", function() {
+			var container,
+			    components;
+			
+			function createContainer( layoutConfig, items ) {
+				components = items;
+				
+				container = new Container( {
+					renderTo : 'body',
+					width    : 300,
+					layout   : _.assign( { type: 'table', columns: 3 }, layoutConfig ),
+					items    : components
+				} );
+			}
+			
+			afterEach( function() {
+				container.destroy();
+			} );
+			
+			
+			it( "should render each component into a cell of the table, with its colspan and rowspan", function() {
+				createContainer( {}, [ new Component( { colspan: 2 } ), new Component( { rowspan: 2 } ), new Component() ] );
+				
+				var $tds = container.getContentTarget().find( 'table.gui-layout-table td' );
+				expect( $tds.length ).toBe( 4 );  // 3 components, plus an empty cell at row 2, column 2
+				expect( components[ 0 ].getEl().parent()[ 0 ] ).toBe( $tds[ 0 ] );
+				expect( $tds.eq( 0 ).attr( 'colspan' ) ).toBe( "2" );
+				expect( components[ 1 ].getEl().parent()[ 0 ] ).toBe( $tds[ 1 ] );
+				expect( $tds.eq( 1 ).attr( 'rowspan' ) ).toBe( "2" );
+				expect( components[ 2 ].getEl().parent()[ 0 ] ).toBe( $tds[ 2 ] );
+			} );
+			
+			
+			it( "should size each component to the width of the columns that it spans, accounting for its margin, padding, and border", function() {
+				createContainer( {}, [
+					new Component( { colspan: 2, style: { margin: '5px', padding: '3px', border: '1px solid' } } ),
+					new Component()
+				] );
+				
+				expect( components[ 0 ].getOuterWidth( /* includeMargin */ true ) ).toBe( 200 );
+				expect( components[ 1 ].getOuterWidth( /* includeMargin */ true ) ).toBe( 100 );
+			} );
+			
+			
+			it( "should size each component to the height of the rows that it spans when the `rowHeight` config is provided", function() {
+				createContainer( { rowHeight: 40 }, [ new Component( { rowspan: 2 } ), new Component(), new Component() ] );
+				
+				expect( components[ 0 ].getOuterHeight( /* includeMargin */ true ) ).toBe( 80 );
+				expect( components[ 1 ].getOuterHeight( /* includeMargin */ true ) ).toBe( 40 );
+			} );
+			
+			
+			it( "should keep hidden components out of the grid", function() {
+				createContainer( {}, [ new Component(), new Component( { hidden: true } ), new Component() ] );
+				
+				var $tds = container.getContentTarget().find( 'table.gui-layout-table td' );
+				expect( components[ 1 ].getEl().parent()[ 0 ] ).toBe( container.getContentTarget()[ 0 ] );
+				expect( components[ 2 ].getEl().parent()[ 0 ] ).toBe( $tds[ 1 ] );
+			} );
+			
+			
+			it( "should re-create the table when the arrangement of the grid changes, keeping the existing components", function() {
+				createContainer( {}, [ new Component(), new Component() ] );
+				
+				var newComponent = container.insert( new Component( { colspan: 3 } ), 0 );
+				container.doLayout();
+				
+				var $tables = container.getContentTarget().find( 'table.gui-layout-table' ),
+				    $tds = $tables.find( 'td' );
+				
+				expect( $tables.length ).toBe( 1 );
+				expect( newComponent.getEl().parent()[ 0 ] ).toBe( $tds[ 0 ] );
+				expect( components[ 0 ].getEl().parent()[ 0 ] ).toBe( $tds[ 1 ] );
+				expect( components[ 1 ].getEl().parent()[ 0 ] ).toBe( $tds[ 2 ] );
+			} );
+		
+		} );
+	
+	} );
+
+} );
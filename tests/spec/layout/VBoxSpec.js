@@ -111,6 +111,92 @@ define( [
 			
 		} );
 		
+		
+		describe( "Test `align`, `pack`, and size limits", function() {
+			var fixture;
+			
+			beforeEach( function() {
+				fixture = new VBoxLayoutFixture();
+			} );
+			
+			afterEach( function() {
+				fixture.destroy();
+			} );
+			
+			
+			it( "should redistribute the remaining height when a flexed component reaches its `maxHeight`", function() {
+				var childComponents = fixture.createChildComponents( 2 );
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				for( var i = 0; i < 2; i++ ) {
+					childComponents[ i ].flex = 1;
+					spyOn( childComponents[ i ], 'setSize' );
+					spyOn( childComponents[ i ], 'getFrameSize' ).andReturn( 0 );
+				}
+				childComponents[ 1 ].maxHeight = 50;
+				
+				fixture.getLayout().doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( '100%', fixture.getContainerHeight() - 50 );
+				expect( childComponents[ 1 ].setSize ).toHaveBeenCalledWith( '100%', 50 );
+			} );
+			
+			
+			it( "should size flexed components to the numeric width of the container when stretching a component that has a horizontal frame", function() {
+				var childComponents = fixture.createChildComponents( 1 );
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				childComponents[ 0 ].flex = 1;
+				childComponents[ 0 ].getMargin.andReturn( 5 );
+				spyOn( childComponents[ 0 ], 'setSize' );
+				
+				fixture.getLayout().doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( fixture.getContainerWidth() - 5, fixture.getContainerHeight() - 5 );  // sizeComponent() subtracts the (mocked) margin
+			} );
+			
+			
+			it( "should shrink wrap the components, and not size their widths, when `align` is not 'stretch'", function() {
+				var childComponents = fixture.createChildComponents( 1 ),
+				    layout = fixture.getLayout();
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				childComponents[ 0 ].flex = 1;
+				childComponents[ 0 ].getOuterWidth.andReturn( 40 );
+				spyOn( childComponents[ 0 ], 'setSize' );
+				
+				layout.align = 'center';
+				layout.doLayout();
+				expect( childComponents[ 0 ].setSize ).toHaveBeenCalledWith( undefined, fixture.getContainerHeight() );
+				expect( childComponents[ 0 ].hasCls( 'gui-layout-vbox-component-shrinkWrap' ) ).toBe( true );
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.left ).toBe( "30px" );
+				
+				layout.align = 'stretch';
+				layout.doLayout();
+				expect( childComponents[ 0 ].hasCls( 'gui-layout-vbox-component-shrinkWrap' ) ).toBe( false );
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.left ).toBe( "" );
+			} );
+			
+			
+			it( "should offset the components vertically into the remaining space based on the `pack` config", function() {
+				var childComponents = fixture.createChildComponents( 2 ),
+				    layout = fixture.getLayout();
+				
+				fixture.getContainer().getItems.andReturn( childComponents );
+				childComponents[ 0 ].getOuterHeight.andReturn( 50 );
+				childComponents[ 1 ].getOuterHeight.andReturn( 50 );  // 100px remaining
+				
+				layout.pack = 'end';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.top ).toBe( "100px" );
+				expect( childComponents[ 1 ].getEl()[ 0 ].style.top ).toBe( "100px" );
+				
+				layout.pack = 'space-between';
+				layout.doLayout();
+				expect( childComponents[ 0 ].getEl()[ 0 ].style.top ).toBe( "" );
+				expect( childComponents[ 1 ].getEl()[ 0 ].style.top ).toBe( "100px" );
+			} );
+		
+		} );
+	
 	} );
 	
 } );
\ No newline at end of file
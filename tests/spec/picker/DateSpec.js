@@ -0,0 +1,212 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'gui/picker/Date'
+], function( jQuery, _, DatePicker ) {
+	
+	describe( 'gui.picker.Date', function() {
+		var picker;
+		
+		function keyDown( keyCode, shiftKey ) {
+			var evt = jQuery.Event( 'keydown', { keyCode: keyCode, shiftKey: !!shiftKey } );
+			picker.$gridEl.trigger( evt );
+			return evt;
+		}
+		
+		function getCell( dateStr ) {
+			return picker.$gridEl.find( 'td[data-date="' + dateStr + '"]' );
+		}
+		
+		afterEach( function() {
+			if( picker ) picker.destroy();
+			picker = null;
+		} );
+		
+		
+		describe( "rendering", function() {
+			
+			it( "should show the month of the `value`, with the value selected", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ) } );
+				
+				expect( picker.$titleEl.text() ).toBe( "January 2014" );
+				expect( getCell( '2014-01-15' ).hasClass( 'gui-picker-date-day-selected' ) ).toBe( true );
+				expect( getCell( '2014-01-15' ).attr( 'aria-selected' ) ).toBe( "true" );
+			} );
+			
+			
+			it( "should always render 6 weeks, starting on the `startDay`", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ), startDay: 1 } );
+				
+				var $cells = picker.$gridEl.find( 'td[data-date]' );
+				expect( $cells.length ).toBe( 42 );
+				expect( $cells.eq( 0 ).attr( 'data-date' ) ).toBe( '2013-12-30' );  // the Monday before January 1st, 2014
+				expect( $cells.eq( 0 ).hasClass( 'gui-picker-date-day-otherMonth' ) ).toBe( true );
+				expect( picker.$gridEl.find( 'th' ).eq( 0 ).text() ).toBe( "Mo" );
+			} );
+			
+			
+			it( "should show the ISO week numbers when `showWeekNumbers` is true", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ), showWeekNumbers: true, startDay: 1 } );
+				
+				var $weekNumbers = picker.$gridEl.find( '.gui-picker-date-weekNumber' );
+				expect( $weekNumbers.length ).toBe( 6 );
+				expect( $weekNumbers.eq( 0 ).text() ).toBe( "1" );
+				expect( $weekNumbers.eq( 2 ).text() ).toBe( "3" );
+			} );
+		
+		} );
+		
+		
+		describe( "disabled dates", function() {
+			
+			it( "should disable dates outside of the `minDate` and `maxDate`, and the `disabledDates` and `disabledDays`", function() {
+				picker = new DatePicker( {
+					minDate       : new Date( 2014, 0, 5 ),
+					maxDate       : new Date( 2014, 0, 25 ),
+					disabledDates : [ new Date( 2014, 0, 10 ) ],
+					disabledDays  : [ 0 ]  // Sundays
+				} );
+				
+				expect( picker.isDateDisabled( new Date( 2014, 0, 4 ) ) ).toBe( true );
+				expect( picker.isDateDisabled( new Date( 2014, 0, 26 ) ) ).toBe( true );
+				expect( picker.isDateDisabled( new Date( 2014, 0, 10, 13, 30 ) ) ).toBe( true );
+				expect( picker.isDateDisabled( new Date( 2014, 0, 12 ) ) ).toBe( true );  // a Sunday
+				expect( picker.isDateDisabled( new Date( 2014, 0, 5, 8 ) ) ).toBe( true );  // a Sunday as well
+				expect( picker.isDateDisabled( new Date( 2014, 0, 6 ) ) ).toBe( false );
+				expect( picker.isDateDisabled( new Date( 2014, 0, 25 ) ) ).toBe( false );
+			} );
+			
+			
+			it( "should not select a disabled date when it is clicked", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ), disabledDates: [ new Date( 2014, 0, 10 ) ] } );
+				var selectSpy = jasmine.createSpy( 'selectSpy' );
+				picker.on( 'select', selectSpy );
+				
+				expect( getCell( '2014-01-10' ).hasClass( 'gui-picker-date-day-disabled' ) ).toBe( true );
+				getCell( '2014-01-10' ).click();
+				expect( selectSpy ).not.toHaveBeenCalled();
+				expect( picker.getValue() ).toEqual( new Date( 2014, 0, 15 ) );
+			} );
+		
+		} );
+		
+		
+		describe( "month navigation", function() {
+			
+			it( "should show the previous and next months", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ) } );
+				
+				picker.showPrevMonth();
+				expect( picker.$titleEl.text() ).toBe( "December 2013" );
+				
+				picker.$nextBtn.click();
+				picker.$nextBtn.click();
+				expect( picker.$titleEl.text() ).toBe( "February 2014" );
+			} );
+			
+			
+			it( "should not show months which are entirely outside of the `minDate` and `maxDate`", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ), minDate: new Date( 2013, 11, 20 ), maxDate: new Date( 2014, 0, 31 ) } );
+				
+				expect( picker.$nextBtn.hasClass( 'gui-picker-date-navBtn-disabled' ) ).toBe( true );
+				picker.showNextMonth();
+				expect( picker.$titleEl.text() ).toBe( "January 2014" );
+				
+				picker.showPrevMonth();
+				expect( picker.$titleEl.text() ).toBe( "December 2013" );
+				expect( picker.$prevBtn.hasClass( 'gui-picker-date-navBtn-disabled' ) ).toBe( true );
+				picker.showPrevMonth();
+				expect( picker.$titleEl.text() ).toBe( "December 2013" );
+			} );
+		
+		} );
+		
+		
+		describe( "selection", function() {
+			
+			it( "should set the value and fire the 'select' event when a date is clicked", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ) } );
+				var selectSpy = jasmine.createSpy( 'selectSpy' );
+				picker.on( 'select', selectSpy );
+				
+				getCell( '2014-01-20' ).click();
+				expect( selectSpy ).toHaveBeenCalledWith( picker, new Date( 2014, 0, 20 ) );
+				expect( picker.getValue() ).toEqual( new Date( 2014, 0, 20 ) );
+				expect( getCell( '2014-01-20' ).hasClass( 'gui-picker-date-day-selected' ) ).toBe( true );
+			} );
+			
+			
+			it( "should return a copy of the value from getValue()", function() {
+				picker = new DatePicker( { value: new Date( 2014, 0, 15 ) } );
+				
+				picker.getValue().setDate( 1 );
+				expect( picker.getValue() ).toEqual( new Date( 2014, 0, 15 ) );
+			} );
+		
+		} );
+		
+		
+		describe( "keyboard navigation", function() {
+			
+			it( "should move the active date with the arrow keys, and select it with enter", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ) } );
+				var selectSpy = jasmine.createSpy( 'selectSpy' );
+				picker.on( 'select', selectSpy );
+				
+				expect( keyDown( 39 ).isDefaultPrevented() ).toBe( true );  // right arrow
+				keyDown( 40 );  // down arrow
+				expect( getCell( '2014-01-23' ).hasClass( 'gui-picker-date-day-active' ) ).toBe( true );
+				
+				keyDown( 13 );  // enter
+				expect( selectSpy ).toHaveBeenCalledWith( picker, new Date( 2014, 0, 23 ) );
+			} );
+			
+			
+			it( "should show the active date's month when it moves out of the shown month", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 31 ) } );
+				
+				keyDown( 39 );  // right arrow
+				expect( picker.$titleEl.text() ).toBe( "February 2014" );
+				
+				keyDown( 34 );  // page down
+				expect( picker.$titleEl.text() ).toBe( "March 2014" );
+				
+				keyDown( 33, true );  // shift + page up
+				expect( picker.$titleEl.text() ).toBe( "March 2013" );
+			} );
+			
+			
+			it( "should move the active date to the start and end of the month with home and end", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 1, 10 ) } );
+				
+				keyDown( 35 );  // end
+				expect( getCell( '2014-02-28' ).hasClass( 'gui-picker-date-day-active' ) ).toBe( true );
+				
+				keyDown( 36 );  // home
+				expect( getCell( '2014-02-01' ).hasClass( 'gui-picker-date-day-active' ) ).toBe( true );
+			} );
+			
+			
+			it( "should not move the active date outside of the `minDate` and `maxDate`", function() {
+				picker = new DatePicker( { renderTo: 'body', value: new Date( 2014, 0, 15 ), maxDate: new Date( 2014, 0, 18 ) } );
+				
+				keyDown( 40 );  // down arrow
+				expect( getCell( '2014-01-18' ).hasClass( 'gui-picker-date-day-active' ) ).toBe( true );
+			} );
+			
+			
+			it( "should fire the 'cancel' event when escape is pressed", function() {
+				picker = new DatePicker( { renderTo: 'body' } );
+				var cancelSpy = jasmine.createSpy( 'cancelSpy' );
+				picker.on( 'cancel', cancelSpy );
+				
+				keyDown( 27 );
+				expect( cancelSpy ).toHaveBeenCalledWith( picker );
+			} );
+		
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
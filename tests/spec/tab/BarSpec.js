@@ -1,11 +1,13 @@
-/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, jasmine */
 /*jshint loopfunc:true */
 define( [
+	'jquery',
+	'lodash',
 	'gui/panel/Panel',
 	'gui/tab/Panel',
 	'gui/tab/Bar',
 	'gui/tab/Tab'
-], function( Panel, TabPanel, TabBar, Tab ) {
+], function( jQuery, _, Panel, TabPanel, TabBar, Tab ) {
 	
 	describe( 'gui.tab.Bar', function() {
 		
@@ -86,6 +88,186 @@ define( [
 			
 		} );
 		
+		
+		describe( "scrolling", function() {
+			var panels,
+			    tabs,
+			    tabBar;
+			
+			function createTabBar( numTabs, config ) {
+				panels = [];
+				tabs = [];
+				
+				for( var i = 0; i < numTabs; i++ ) {
+					panels.push( new Panel( { title: "Panel " + i } ) );
+					tabs.push( new Tab( { text: "Tab " + i, width: 100, correspondingPanel: panels[ i ] } ) );
+				}
+				
+				tabBar = new TabBar( _.assign( {
+					renderTo : 'body',
+					width    : 250,
+					scrollDuration : 0,
+					items    : tabs
+				}, config ) );
+			}
+			
+			function isTabInView( tab ) {
+				var stripEl = tabBar.$stripEl[ 0 ],
+				    tabEl = tab.getEl()[ 0 ];
+				
+				return tabEl.offsetLeft >= stripEl.scrollLeft && tabEl.offsetLeft + tabEl.offsetWidth <= stripEl.scrollLeft + stripEl.clientWidth;
+			}
+			
+			afterEach( function() {
+				tabBar.destroy();  // clean up
+			} );
+			
+			
+			it( "should show the scroll arrows only when the tabs do not fit in the width of the bar", function() {
+				createTabBar( 2 );
+				expect( tabBar.isOverflowing() ).toBe( false );
+				expect( tabBar.hasCls( 'gui-tabPanel-bar-scrolling' ) ).toBe( false );
+				
+				tabBar.add( [
+					new Tab( { width: 100, correspondingPanel: new Panel() } ),
+					new Tab( { width: 100, correspondingPanel: new Panel() } )
+				] );
+				expect( tabBar.isOverflowing() ).toBe( true );
+				expect( tabBar.hasCls( 'gui-tabPanel-bar-scrolling' ) ).toBe( true );
+			} );
+			
+			
+			it( "should not show the scroll arrows when the `scrollable` config is false", function() {
+				createTabBar( 5, { scrollable: false } );
+				
+				expect( tabBar.isOverflowing() ).toBe( true );
+				expect( tabBar.hasCls( 'gui-tabPanel-bar-scrolling' ) ).toBe( false );
+			} );
+			
+			
+			it( "scrollBy() and scrollTo() should scroll the tabs, limited to the range that they may be scrolled in", function() {
+				createTabBar( 5 );
+				var $stripEl = tabBar.$stripEl,
+				    $scrollLeftEl = tabBar.$el.find( '.gui-tabPanel-bar-scroller-left' );
+				
+				expect( $scrollLeftEl.hasClass( 'gui-tabPanel-bar-scroller-disabled' ) ).toBe( true );
+				
+				tabBar.scrollBy( 50 );
+				expect( $stripEl.scrollLeft() ).toBe( 50 );
+				expect( $scrollLeftEl.hasClass( 'gui-tabPanel-bar-scroller-disabled' ) ).toBe( false );
+				
+				tabBar.scrollTo( -10 );
+				expect( $stripEl.scrollLeft() ).toBe( 0 );
+				
+				tabBar.scrollTo( 10000 );
+				expect( $stripEl.scrollLeft() ).toBe( tabBar.getMaxScrollPosition() );
+			} );
+			
+			
+			it( "should scroll the active tab into view when it is set with setActiveTab()", function() {
+				createTabBar( 5 );
+				expect( isTabInView( tabs[ 4 ] ) ).toBe( false );  // initial condition
+				
+				tabBar.setActiveTab( panels[ 4 ] );
+				expect( isTabInView( tabs[ 4 ] ) ).toBe( true );
+				
+				tabBar.setActiveTab( panels[ 0 ] );
+				expect( isTabInView( tabs[ 0 ] ) ).toBe( true );
+			} );
+			
+			
+			describe( "overflow menu", function() {
+				
+				it( "should list all of the tabs, and activate a tab by firing its 'click' event when selected", function() {
+					createTabBar( 5, { overflowMenu: true } );
+					expect( tabBar.hasCls( 'gui-tabPanel-bar-showOverflowBtn' ) ).toBe( true );
+					
+					var clickSpy = jasmine.createSpy( 'clickSpy' );
+					tabs[ 3 ].on( 'click', clickSpy );
+					
+					tabBar.showOverflowMenu();
+					var $items = tabBar.$overflowMenu.find( 'li' );
+					expect( $items.length ).toBe( 5 );
+					expect( $items.eq( 3 ).text() ).toBe( "Tab 3" );
+					
+					$items.eq( 3 ).trigger( 'click' );
+					expect( clickSpy ).toHaveBeenCalledWith( tabs[ 3 ] );
+					expect( tabBar.$overflowMenu.is( ':visible' ) ).toBe( false );
+				} );
+				
+				
+				it( "should be hidden by a mousedown outside of the menu", function() {
+					createTabBar( 5, { overflowMenu: true } );
+					
+					tabBar.showOverflowMenu();
+					expect( tabBar.$overflowMenu.is( ':visible' ) ).toBe( true );
+					
+					jQuery( 'body' ).trigger( 'mousedown' );
+					expect( tabBar.$overflowMenu.is( ':visible' ) ).toBe( false );
+				} );
+				
+				
+				it( "should remove the overflow menu element when the TabBar is destroyed", function() {
+					createTabBar( 5, { overflowMenu: true } );
+					var $overflowMenu = tabBar.$overflowMenu;
+					
+					tabBar.destroy();
+					expect( jQuery.contains( document.body, $overflowMenu[ 0 ] ) ).toBe( false );
+				} );
+				
+			} );
+			
+		} );
+		
+		
+		describe( "drop indicator", function() {
+			var tabs,
+			    tabBar;
+			
+			beforeEach( function() {
+				tabs = [];
+				for( var i = 0; i < 3; i++ ) {
+					tabs.push( new Tab( { text: "Tab " + i, width: 100, correspondingPanel: new Panel() } ) );
+				}
+				
+				tabBar = new TabBar( {
+					renderTo : 'body',
+					width    : 400,
+					items    : tabs
+				} );
+			} );
+			
+			afterEach( function() {
+				tabBar.destroy();  // clean up
+			} );
+			
+			
+			it( "getDropIndex() should return the index to insert a dropped tab at, based on the midpoints of the tabs", function() {
+				var left = tabs[ 0 ].getEl().offset().left;
+				
+				expect( tabBar.getDropIndex( left + 10 ) ).toBe( 0 );
+				expect( tabBar.getDropIndex( left + 60 ) ).toBe( 1 );
+				expect( tabBar.getDropIndex( left + 140 ) ).toBe( 1 );
+				expect( tabBar.getDropIndex( left + 290 ) ).toBe( 3 );
+			} );
+			
+			
+			it( "showDropIndicator() should position the indicator at the start of the tab at the index, or at the end of the last tab", function() {
+				tabBar.showDropIndicator( 1 );
+				var $dropIndicatorEl = tabBar.getEl().find( '.gui-tabPanel-bar-dropIndicator' );
+				expect( $dropIndicatorEl.is( ':visible' ) ).toBe( true );
+				expect( parseInt( $dropIndicatorEl.css( 'left' ), 10 ) ).toBe( tabs[ 1 ].getEl()[ 0 ].offsetLeft );
+				
+				tabBar.showDropIndicator( 3 );
+				var lastTabEl = tabs[ 2 ].getEl()[ 0 ];
+				expect( parseInt( $dropIndicatorEl.css( 'left' ), 10 ) ).toBe( lastTabEl.offsetLeft + lastTabEl.offsetWidth );
+				
+				tabBar.hideDropIndicator();
+				expect( $dropIndicatorEl.is( ':visible' ) ).toBe( false );
+			} );
+			
+		} );
+		
 	} );
 	
 } );
\ No newline at end of file
@@ -1,12 +1,15 @@
-/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, jasmine */
 /*jshint loopfunc:true */
 define( [
+	'jquery',
 	'gui/Component',
+	'gui/Viewport',
 	'gui/panel/Panel',
 	'gui/tab/Panel',
 	'gui/tab/Bar',
-	'gui/tab/Tab'
-], function( Component, Panel, TabPanel, TabBar, Tab ) {
+	'gui/tab/Tab',
+	'gui/layout/VBox'
+], function( jQuery, Component, Viewport, Panel, TabPanel, TabBar, Tab ) {
 	
 	describe( 'gui.tab.Panel', function() {
 		var tabBar, tabs, panels;
@@ -598,6 +601,242 @@ define( [
 		
 		
 		
+		describe( 'closeTab()', function() {
+			var tabPanel;
+			
+			beforeEach( function() {
+				panels[ 1 ].closable = true;
+				
+				tabPanel = new TestTabPanel( {
+					renderTo : 'body',
+					activeTab : 1,
+					items : panels
+				} );
+			} );
+			
+			afterEach( function() {
+				tabPanel.destroy();  // clean up
+			} );
+			
+			
+			it( "should create a closable tab for a Panel with `closable: true`", function() {
+				expect( tabs[ 0 ].closable ).toBe( false );
+				expect( tabs[ 1 ].closable ).toBe( true );
+				expect( tabs[ 1 ].getEl().find( '.gui-tabPanel-tab-closeIcon' ).length ).toBe( 1 );
+			} );
+			
+			
+			it( "should remove the Panel, firing the 'beforeclose' and 'close' events, and activate the next tab if the Panel was active", function() {
+				var beforecloseSpy = jasmine.createSpy( 'beforecloseSpy' ),
+				    closeSpy = jasmine.createSpy( 'closeSpy' );
+				tabPanel.on( { 'beforeclose': beforecloseSpy, 'close': closeSpy } );
+				
+				expect( tabPanel.closeTab( panels[ 1 ] ) ).toBe( true );
+				
+				expect( beforecloseSpy ).toHaveBeenCalledWith( tabPanel, panels[ 1 ] );
+				expect( closeSpy ).toHaveBeenCalledWith( tabPanel, panels[ 1 ] );
+				expect( tabPanel.has( panels[ 1 ] ) ).toBe( false );
+				expect( tabPanel.getTabBar().getItems().length ).toBe( 2 );
+				expect( tabPanel.getActiveTab() ).toBe( panels[ 2 ] );
+			} );
+			
+			
+			it( "should activate the previous tab when the active Panel is the last tab", function() {
+				tabPanel.setActiveTab( 2 );
+				tabPanel.closeTab( 2 );
+				
+				expect( tabPanel.getActiveTab() ).toBe( panels[ 1 ] );
+			} );
+			
+			
+			it( "should not close the Panel if a 'beforeclose' handler returns false", function() {
+				tabPanel.on( 'beforeclose', function() { return false; } );
+				
+				expect( tabPanel.closeTab( panels[ 1 ] ) ).toBe( false );
+				expect( tabPanel.has( panels[ 1 ] ) ).toBe( true );
+				expect( tabPanel.getActiveTab() ).toBe( panels[ 1 ] );
+			} );
+			
+			
+			it( "should close the Panel when its tab's close icon is clicked, without activating the tab", function() {
+				tabPanel.setActiveTab( 0 );
+				
+				var beforetabchangeSpy = jasmine.createSpy( 'beforetabchangeSpy' );
+				tabPanel.on( 'beforetabchange', beforetabchangeSpy );
+				
+				tabs[ 1 ].getEl().find( '.gui-tabPanel-tab-closeIcon' ).trigger( 'click' );
+				
+				expect( tabPanel.has( panels[ 1 ] ) ).toBe( false );
+				expect( beforetabchangeSpy ).not.toHaveBeenCalled();
+				expect( tabPanel.getActiveTab() ).toBe( panels[ 0 ] );
+			} );
+			
+		} );
+		
+		
+		
+		describe( "reordering tabs", function() {
+			var tabPanel;
+			
+			// Drags the given `tab`, dropping it at the given page position
+			function dragTab( tab, pageX, pageY ) {
+				var offset = tab.getEl().offset();
+				
+				tab.getEl().trigger( jQuery.Event( 'mousedown', { pageX: offset.left + 1, pageY: offset.top + 1, which: 1 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: pageX, pageY: pageY } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+			}
+			
+			// Retrieves the page position of the right edge of the given `tab`, less 1px
+			function getTabEndPosition( tab ) {
+				var $tabEl = tab.getEl(),
+				    offset = $tabEl.offset();
+				
+				return { left: offset.left + $tabEl.outerWidth() - 1, top: offset.top + 1 };
+			}
+			
+			function getTabPanels( tabPanel ) {
+				var tabs = tabPanel.getTabBar().getItems(),
+				    tabPanels = [];
+				
+				for( var i = 0, len = tabs.length; i < len; i++ ) {
+					tabPanels.push( tabs[ i ].getCorrespondingPanel() );
+				}
+				return tabPanels;
+			}
+			
+			function createTabPanel( reorderable ) {
+				tabPanel = new TestTabPanel( {
+					renderTo : 'body',
+					reorderable : reorderable,
+					items : panels
+				} );
+			}
+			
+			afterEach( function() {
+				tabPanel.destroy();  // clean up
+			} );
+			
+			
+			it( "should move the Panel (and its tab) to the position that the tab is dropped at, and fire the 'tabreorder' event", function() {
+				var tabreorderSpy = jasmine.createSpy( 'tabreorderSpy' );
+				createTabPanel( true );
+				tabPanel.on( 'tabreorder', tabreorderSpy );
+				
+				var dropPos = getTabEndPosition( tabs[ 2 ] );
+				dragTab( tabs[ 0 ], dropPos.left, dropPos.top );
+				
+				expect( tabPanel.getItems() ).toEqual( [ panels[ 1 ], panels[ 2 ], panels[ 0 ] ] );
+				expect( getTabPanels( tabPanel ) ).toEqual( [ panels[ 1 ], panels[ 2 ], panels[ 0 ] ] );
+				expect( tabPanel.getActiveTab() ).toBe( panels[ 0 ] );
+				expect( tabPanel.getActiveTabIndex() ).toBe( 2 );
+				expect( tabreorderSpy ).toHaveBeenCalledWith( tabPanel, panels[ 0 ], 2, 0, tabPanel );
+			} );
+			
+			
+			it( "should show the drop indicator and the dragging state of the tab only while the tab is being dragged", function() {
+				createTabPanel( true );
+				
+				var $tabEl = tabs[ 0 ].getEl(),
+				    offset = $tabEl.offset();
+				
+				$tabEl.trigger( jQuery.Event( 'mousedown', { pageX: offset.left + 1, pageY: offset.top + 1, which: 1 } ) );
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: offset.left + 2, pageY: offset.top + 1 } ) );
+				expect( tabs[ 0 ].hasCls( 'gui-tabPanel-tab-dragging' ) ).toBe( false );  // not yet past the drag threshold
+				
+				jQuery( document ).trigger( jQuery.Event( 'mousemove', { pageX: offset.left + 20, pageY: offset.top + 1 } ) );
+				expect( tabs[ 0 ].hasCls( 'gui-tabPanel-tab-dragging' ) ).toBe( true );
+				expect( tabBar.getEl().find( '.gui-tabPanel-bar-dropIndicator' ).is( ':visible' ) ).toBe( true );
+				
+				jQuery( document ).trigger( jQuery.Event( 'mouseup' ) );
+				expect( tabs[ 0 ].hasCls( 'gui-tabPanel-tab-dragging' ) ).toBe( false );
+				expect( tabBar.getEl().find( '.gui-tabPanel-bar-dropIndicator' ).is( ':visible' ) ).toBe( false );
+			} );
+			
+			
+			it( "should not reorder the Panels if the mouse is not moved past the drag threshold, or the tab is dropped at its current position", function() {
+				var tabreorderSpy = jasmine.createSpy( 'tabreorderSpy' );
+				createTabPanel( true );
+				tabPanel.on( 'tabreorder', tabreorderSpy );
+				
+				var offset = tabs[ 0 ].getEl().offset();
+				dragTab( tabs[ 0 ], offset.left + 3, offset.top + 1 );
+				
+				var dropPos = getTabEndPosition( tabs[ 1 ] );
+				dragTab( tabs[ 1 ], dropPos.left, dropPos.top );
+				
+				expect( tabPanel.getItems() ).toEqual( panels );
+				expect( tabreorderSpy ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should not allow the tabs to be dragged when `reorderable` is false", function() {
+				createTabPanel( false );
+				
+				var dropPos = getTabEndPosition( tabs[ 2 ] );
+				dragTab( tabs[ 0 ], dropPos.left, dropPos.top );
+				
+				expect( tabPanel.getItems() ).toEqual( panels );
+			} );
+			
+			
+			describe( "between TabPanels", function() {
+				var $renderTarget, viewport, otherTabPanel, otherPanel;
+				
+				function createViewport( dragGroup, otherDragGroup ) {
+					otherPanel = new Panel( { title: "Other Panel" } );
+					
+					tabPanel = new TabPanel( { reorderable: true, dragGroup: dragGroup, flex: 1, items: panels } );
+					otherTabPanel = new TabPanel( { reorderable: true, dragGroup: otherDragGroup, flex: 1, items: [ otherPanel ] } );
+					
+					$renderTarget = jQuery( '<div style="height: 400px;" />' ).appendTo( 'body' );
+					viewport = new Viewport( {
+						renderTo : $renderTarget,
+						layout : 'vbox',
+						items : [ tabPanel, otherTabPanel ]
+					} );
+				}
+				
+				afterEach( function() {
+					viewport.destroy();  // destroys both TabPanels
+					$renderTarget.remove();
+				} );
+				
+				
+				it( "should move a Panel into another TabPanel in the same `dragGroup` when its tab is dropped onto the other TabPanel's tab bar", function() {
+					createViewport( 'group', 'group' );
+					
+					var tabreorderSpy = jasmine.createSpy( 'tabreorderSpy' );
+					otherTabPanel.on( 'tabreorder', tabreorderSpy );
+					
+					var dropPos = getTabEndPosition( otherTabPanel.getTabBar().getItemAt( 0 ) );
+					dragTab( tabPanel.getTabBar().getItemAt( 0 ), dropPos.left, dropPos.top );
+					
+					expect( tabPanel.getItems() ).toEqual( [ panels[ 1 ], panels[ 2 ] ] );
+					expect( tabPanel.getActiveTab() ).toBe( panels[ 1 ] );
+					expect( otherTabPanel.getItems() ).toEqual( [ otherPanel, panels[ 0 ] ] );
+					expect( getTabPanels( otherTabPanel ) ).toEqual( [ otherPanel, panels[ 0 ] ] );
+					expect( otherTabPanel.getActiveTab() ).toBe( panels[ 0 ] );
+					expect( panels[ 0 ].destroyed ).toBe( false );
+					expect( tabreorderSpy ).toHaveBeenCalledWith( otherTabPanel, panels[ 0 ], 1, 0, tabPanel );
+				} );
+				
+				
+				it( "should not move a Panel into another TabPanel with a different `dragGroup`", function() {
+					createViewport( 'group', 'otherGroup' );
+					
+					var dropPos = getTabEndPosition( otherTabPanel.getTabBar().getItemAt( 0 ) );
+					dragTab( tabPanel.getTabBar().getItemAt( 0 ), dropPos.left, dropPos.top );
+					
+					expect( tabPanel.getItems().length ).toBe( 3 );
+					expect( otherTabPanel.getItems() ).toEqual( [ otherPanel ] );
+				} );
+				
+			} );
+			
+		} );
+		
+		
 		describe( 'onDestroy()', function() {
 			
 			for( var render = 0; render <= 1; render++ ) {
@@ -0,0 +1,127 @@
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'data/Collection',
+	'gui/view/Collection',
+	'gui/template/LoDash',
+	'gui/toolbar/Paging'
+], function( jQuery, _, Model, Collection, CollectionView, LoDashTpl, PagingToolbar ) {
+	
+	describe( 'gui.toolbar.Paging', function() {
+		
+		var TestModel = Model.extend( {
+			attributes : [ 'id' ]
+		} );
+		
+		var TestCollectionView = CollectionView.extend( {
+			tpl : new LoDashTpl( [
+				'<% _.forEach( models, function( model ) { %>',
+					'<div><%= model.get( "id" ) %></div>',
+				'<% } ) %>'
+			] ),
+			modelSelector : 'div'
+		} );
+		
+		var collection,
+		    view,
+		    toolbar;
+		
+		beforeEach( function() {
+			collection = new Collection( {
+				model : TestModel,
+				data  : _.map( _.range( 1, 11 ), function( i ) { return { id: i }; } )
+			} );
+			view = new TestCollectionView( { renderTo: 'body', collection: collection, paging: { pageSize: 4 } } );
+			toolbar = new PagingToolbar( { renderTo: 'body', view: view } );
+		} );
+		
+		afterEach( function() {
+			toolbar.destroy();
+			view.destroy();
+		} );
+		
+		
+		it( "should require the bound view to have the `paging` config", function() {
+			expect( function() {
+				toolbar.bindView( new TestCollectionView( {} ) );
+			} ).toThrow( "The view bound to a gui.toolbar.Paging must have the `paging` config" );
+		} );
+		
+		
+		it( "should display the current page, page count, and range of models, and disable the first/prev buttons on the first page", function() {
+			expect( toolbar.pageField.getValue() ).toBe( "1" );
+			expect( toolbar.pageCountLabel.getEl().text() ).toBe( "of 3" );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "Showing 1 - 4 of 10" );
+			
+			expect( toolbar.firstButton.disabled ).toBe( true );
+			expect( toolbar.prevButton.disabled ).toBe( true );
+			expect( toolbar.nextButton.disabled ).toBe( false );
+			expect( toolbar.lastButton.disabled ).toBe( false );
+		} );
+		
+		
+		it( "should navigate the view's pages with the buttons", function() {
+			toolbar.nextButton.getEl().click();
+			expect( view.getPage() ).toBe( 2 );
+			
+			toolbar.lastButton.getEl().click();
+			expect( view.getPage() ).toBe( 3 );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "Showing 9 - 10 of 10" );
+			expect( toolbar.nextButton.disabled ).toBe( true );
+			
+			toolbar.prevButton.getEl().click();
+			expect( view.getPage() ).toBe( 2 );
+			
+			toolbar.firstButton.getEl().click();
+			expect( view.getPage() ).toBe( 1 );
+		} );
+		
+		
+		it( "should load the page entered into the page field when the enter key is pressed", function() {
+			toolbar.pageField.setValue( "3" );
+			toolbar.pageField.fireEvent( 'keydown', toolbar.pageField, jQuery.Event( 'keydown', { keyCode: 13 } ) );
+			expect( view.getPage() ).toBe( 3 );
+			
+			toolbar.pageField.setValue( "abc" );
+			toolbar.pageField.fireEvent( 'keydown', toolbar.pageField, jQuery.Event( 'keydown', { keyCode: 13 } ) );
+			expect( view.getPage() ).toBe( 3 );
+			expect( toolbar.pageField.getValue() ).toBe( "3" );
+		} );
+		
+		
+		it( "should update when the collection's models change", function() {
+			collection.remove( collection.getModels().slice( 2 ) );
+			
+			expect( toolbar.pageCountLabel.getEl().text() ).toBe( "of 1" );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "Showing 1 - 2 of 2" );
+			
+			collection.remove( collection.getModels() );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "No items to display" );
+		} );
+		
+		
+		it( "should allow moving to the next page, but not the last page, when the view's total count is not yet known", function() {
+			spyOn( collection, 'getTotalCount' ).andReturn( undefined );
+			spyOn( collection, 'loadPage' );
+			var remoteView = new TestCollectionView( { collection: collection, paging: { pageSize: 4, remote: true } } );
+			toolbar.bindView( remoteView );
+			
+			expect( toolbar.pageCountLabel.getEl().text() ).toBe( "of ?" );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "Showing 1 - 4" );  // no total, and the range of the loaded models
+			expect( toolbar.nextButton.disabled ).toBe( false );
+			expect( toolbar.lastButton.disabled ).toBe( true );
+			
+			toolbar.nextButton.getEl().click();
+			expect( remoteView.getPage() ).toBe( 2 );
+			expect( collection.loadPage ).toHaveBeenCalledWith( 2 );
+			expect( toolbar.displayLabel.getEl().text() ).toBe( "Showing 5 - 8" );
+			
+			toolbar.bindView( view );
+			remoteView.destroy();
+		} );
+	
+	} );
+
+} );
@@ -0,0 +1,97 @@
+/*global define, describe, beforeEach, afterEach, it, expect */
+define( [
+	'lodash',
+	'gui/util/Date'
+], function( _, DateUtil ) {
+	
+	describe( 'gui.util.Date', function() {
+		
+		describe( 'addMonths()', function() {
+			
+			it( "should add and subtract months, across years", function() {
+				expect( DateUtil.addMonths( new Date( 2014, 10, 15 ), 3 ) ).toEqual( new Date( 2015, 1, 15 ) );
+				expect( DateUtil.addMonths( new Date( 2014, 1, 15 ), -2 ) ).toEqual( new Date( 2013, 11, 15 ) );
+			} );
+			
+			
+			it( "should use the last day of the resulting month when the day does not exist in it", function() {
+				expect( DateUtil.addMonths( new Date( 2014, 0, 31 ), 1 ) ).toEqual( new Date( 2014, 1, 28 ) );
+				expect( DateUtil.addMonths( new Date( 2016, 0, 31 ), 1 ) ).toEqual( new Date( 2016, 1, 29 ) );
+			} );
+		
+		} );
+		
+		
+		describe( 'getWeekOfYear()', function() {
+			
+			it( "should return the ISO 8601 week number", function() {
+				expect( DateUtil.getWeekOfYear( new Date( 2014, 0, 1 ) ) ).toBe( 1 );
+				expect( DateUtil.getWeekOfYear( new Date( 2014, 11, 29 ) ) ).toBe( 1 );  // belongs to the first week of 2015
+				expect( DateUtil.getWeekOfYear( new Date( 2016, 0, 1 ) ) ).toBe( 53 );   // belongs to the last week of 2015
+				expect( DateUtil.getWeekOfYear( new Date( 2014, 5, 15 ) ) ).toBe( 24 );
+			} );
+		
+		} );
+		
+		
+		describe( 'format()', function() {
+			
+			it( "should replace each of the tokens in the format string", function() {
+				var date = new Date( 2014, 0, 5 );
+				
+				expect( DateUtil.format( date, 'MM/dd/yyyy' ) ).toBe( "01/05/2014" );
+				expect( DateUtil.format( date, 'M/d/yy' ) ).toBe( "1/5/14" );
+				expect( DateUtil.format( date, 'd MMM yyyy' ) ).toBe( "5 Jan 2014" );
+				expect( DateUtil.format( date, 'MMMM d, yyyy' ) ).toBe( "January 5, 2014" );
+			} );
+			
+			
+			it( "should return an empty string for a null date", function() {
+				expect( DateUtil.format( null, 'MM/dd/yyyy' ) ).toBe( "" );
+			} );
+		
+		} );
+		
+		
+		describe( 'parse()', function() {
+			
+			it( "should parse text in the given format", function() {
+				expect( DateUtil.parse( "01/05/2014", 'MM/dd/yyyy' ) ).toEqual( new Date( 2014, 0, 5 ) );
+				expect( DateUtil.parse( "2014-12-31", 'yyyy-MM-dd' ) ).toEqual( new Date( 2014, 11, 31 ) );
+				expect( DateUtil.parse( "5 january 2014", 'd MMMM yyyy' ) ).toEqual( new Date( 2014, 0, 5 ) );
+				expect( DateUtil.parse( "5 JAN 2014", 'd MMM yyyy' ) ).toEqual( new Date( 2014, 0, 5 ) );
+			} );
+			
+			
+			it( "should be lenient about leading zeros and surrounding whitespace", function() {
+				expect( DateUtil.parse( " 1/5/2014 ", 'MM/dd/yyyy' ) ).toEqual( new Date( 2014, 0, 5 ) );
+			} );
+			
+			
+			it( "should parse two digit years into the 2000's when less than 50, and the 1900's otherwise", function() {
+				expect( DateUtil.parse( "01/05/14", 'MM/dd/yy' ).getFullYear() ).toBe( 2014 );
+				expect( DateUtil.parse( "01/05/85", 'MM/dd/yy' ).getFullYear() ).toBe( 1985 );
+			} );
+			
+			
+			it( "should return null for text which does not match the format, or is not a valid date", function() {
+				_.forEach( [ "", "abc", "2014-01-05", "13/01/2014", "02/30/2014", "01/05/2014 extra" ], function( text ) {
+					expect( DateUtil.parse( text, 'MM/dd/yyyy' ) ).toBe( null );
+				} );
+				expect( DateUtil.parse( null, 'MM/dd/yyyy' ) ).toBe( null );
+			} );
+			
+			
+			it( "should parse text which was formatted with the same format", function() {
+				var date = new Date( 2014, 6, 4 );
+				
+				_.forEach( [ 'MM/dd/yyyy', 'd.M.yy', 'MMMM d, yyyy', 'yyyyMMdd' ], function( format ) {
+					expect( DateUtil.parse( DateUtil.format( date, format ), format ) ).toEqual( date );
+				} );
+			} );
+		
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
@@ -0,0 +1,124 @@
+/*global define, describe, beforeEach, afterEach, it, expect */
+define( [
+	'jquery',
+	'gui/Component',
+	'gui/util/OptionsMenu'
+],
+function( jQuery, Component, OptionsMenu ) {
+	
+	describe( 'gui.util.OptionsMenu', function() {
+		var TestComponent = Component.extend( {
+			mixins : [ OptionsMenu ],
+			
+			componentCls : 'test-optionsMenu',
+			menuCls : 'test-menuCls',
+			
+			onRender : function() {
+				this._super( arguments );
+				
+				this.$inputContainerEl = this.$el;
+				this.$inputEl = jQuery( '<input type="text" role="combobox" aria-expanded="false" />' ).appendTo( this.$el );
+				
+				this.createOptionsMenu().html( '<li id="opt0">A</li><li id="opt1">B</li><li id="opt2">C</li>' );
+			},
+			
+			onDestroy : function() {
+				if( this.rendered ) {
+					this.$optionsMenu.remove();
+				}
+				this._super( arguments );
+			}
+		} );
+		
+		var cmp;
+		
+		beforeEach( function() {
+			cmp = new TestComponent( { renderTo: 'body' } );
+		} );
+		
+		afterEach( function() {
+			cmp.destroy();
+		} );
+		
+		
+		describe( "createOptionsMenu()", function() {
+			
+			it( "should create the hidden options menu in the document body, with the component's id and classes", function() {
+				var $optionsMenu = cmp.$optionsMenu;
+				
+				expect( $optionsMenu.parent()[ 0 ] ).toBe( document.body );
+				expect( $optionsMenu.attr( 'id' ) ).toBe( cmp.elId + '-menu' );
+				expect( $optionsMenu.attr( 'role' ) ).toBe( 'listbox' );
+				expect( $optionsMenu.hasClass( 'test-optionsMenu-menu' ) ).toBe( true );
+				expect( $optionsMenu.hasClass( 'test-menuCls' ) ).toBe( true );
+				expect( $optionsMenu.is( ':visible' ) ).toBe( false );
+			} );
+			
+			
+			it( "should prevent the default action of a mousedown on an option, so that the focus stays in the field", function() {
+				var evt = jQuery.Event( 'mousedown' );
+				cmp.$optionsMenu.children( 'li' ).eq( 0 ).trigger( evt );
+				
+				expect( evt.isDefaultPrevented() ).toBe( true );
+			} );
+		
+		} );
+		
+		
+		describe( "showOptionsMenu() and hideOptionsMenu()", function() {
+			
+			it( "should show and hide the menu, updating the combobox element's `aria-expanded` attribute", function() {
+				cmp.showOptionsMenu();
+				expect( cmp.optionsMenuOpen ).toBe( true );
+				expect( cmp.$optionsMenu.is( ':visible' ) ).toBe( true );
+				expect( cmp.$inputEl.attr( 'aria-expanded' ) ).toBe( 'true' );
+				
+				cmp.hideOptionsMenu();
+				expect( cmp.optionsMenuOpen ).toBe( false );
+				expect( cmp.$optionsMenu.is( ':visible' ) ).toBe( false );
+				expect( cmp.$inputEl.attr( 'aria-expanded' ) ).toBe( 'false' );
+			} );
+			
+			
+			it( "should remove the highlight from the options when the menu is hidden", function() {
+				cmp.showOptionsMenu();
+				cmp.highlightOption( 1 );
+				
+				cmp.hideOptionsMenu();
+				expect( cmp.highlightedIdx ).toBe( -1 );
+				expect( cmp.$optionsMenu.children( '.test-optionsMenu-menu-item-highlighted' ).length ).toBe( 0 );
+			} );
+		
+		} );
+		
+		
+		describe( "highlightOption()", function() {
+			
+			it( "should highlight a single option, and mark it as the combobox element's `aria-activedescendant`", function() {
+				cmp.showOptionsMenu();
+				
+				cmp.highlightOption( 1 );
+				expect( cmp.highlightedIdx ).toBe( 1 );
+				expect( cmp.$optionsMenu.children( 'li' ).eq( 1 ).hasClass( 'test-optionsMenu-menu-item-highlighted' ) ).toBe( true );
+				expect( cmp.$inputEl.attr( 'aria-activedescendant' ) ).toBe( 'opt1' );
+				
+				cmp.highlightOption( 2 );
+				expect( cmp.$optionsMenu.children( '.test-optionsMenu-menu-item-highlighted' ).length ).toBe( 1 );
+				expect( cmp.$inputEl.attr( 'aria-activedescendant' ) ).toBe( 'opt2' );
+			} );
+			
+			
+			it( "should remove the highlight when given -1, or an index which is out of range", function() {
+				cmp.showOptionsMenu();
+				cmp.highlightOption( 1 );
+				
+				cmp.highlightOption( 5 );
+				expect( cmp.highlightedIdx ).toBe( -1 );
+				expect( cmp.$inputEl.attr( 'aria-activedescendant' ) ).toBe( undefined );
+			} );
+		
+		} );
+	
+	} );
+	
+} );
\ No newline at end of file
@@ -0,0 +1,94 @@
+/*global define, describe, beforeEach, afterEach, it, expect, runs, waitsFor, jasmine */
+define( [
+	'jquery',
+	'gui/util/ResizeMonitor'
+], function( jQuery, ResizeMonitor ) {
+	
+	describe( 'gui.util.ResizeMonitor', function() {
+		var $el,
+		    handlerSpy,
+		    monitor;
+		
+		beforeEach( function() {
+			$el = jQuery( '<div style="width: 100px; height: 50px;" />' ).appendTo( 'body' );
+			handlerSpy = jasmine.createSpy( 'handlerSpy' );
+			monitor = new ResizeMonitor( { el: $el[ 0 ], handler: handlerSpy } );
+		} );
+		
+		afterEach( function() {
+			monitor.destroy();
+			$el.remove();
+		} );
+		
+		
+		it( "should require the `el` and `handler` cfgs", function() {
+			expect( function() {
+				new ResizeMonitor( { handler: handlerSpy } );
+			} ).toThrow( "`el` cfg required" );
+			
+			expect( function() {
+				new ResizeMonitor( { el: $el[ 0 ] } );
+			} ).toThrow( "`handler` cfg required" );
+		} );
+		
+		
+		describe( "checkSize()", function() {
+			
+			it( "should call the handler with the element's new size when it has changed", function() {
+				monitor.checkSize();
+				expect( handlerSpy ).not.toHaveBeenCalled();
+				
+				$el.css( { width: 120, height: 60 } );
+				monitor.checkSize();
+				expect( handlerSpy ).toHaveBeenCalledWith( 120, 60 );
+				
+				monitor.checkSize();
+				expect( handlerSpy.callCount ).toBe( 1 );  // no change since the last check
+			} );
+			
+			
+			it( "should not call the handler for a change in size that has been recorded with sync()", function() {
+				$el.css( { width: 120 } );
+				monitor.sync();
+				monitor.checkSize();
+				
+				expect( handlerSpy ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should not call the handler while the element is hidden, but should compare the size when it is visible again", function() {
+				$el.hide();
+				monitor.checkSize();
+				expect( handlerSpy ).not.toHaveBeenCalled();
+				
+				$el.css( { width: 120 } ).show();
+				monitor.checkSize();
+				expect( handlerSpy ).toHaveBeenCalledWith( 120, 50 );
+			} );
+		
+		} );
+		
+		
+		it( "should call the handler automatically when the element's size changes", function() {
+			$el.css( { height: 80 } );
+			
+			waitsFor( function() {
+				return handlerSpy.callCount > 0;
+			}, "the handler to be called", 2000 );
+			
+			runs( function() {
+				expect( handlerSpy ).toHaveBeenCalledWith( 100, 80 );
+			} );
+		} );
+		
+		
+		it( "should stop watching the element when destroyed", function() {
+			monitor.destroy();
+			monitor.checkSize();  // should not error
+			
+			expect( handlerSpy ).not.toHaveBeenCalled();
+		} );
+	
+	} );
+
+} );
@@ -0,0 +1,120 @@
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'data/Collection',
+	'gui/view/Collection',
+	'gui/template/LoDash'
+], function( jQuery, _, Model, Collection, CollectionView, LoDashTpl ) {
+	
+	describe( 'gui.view.Collection rendering work', function() {
+		
+		var UserModel = Model.extend( {
+			attributes : [
+				{ name : 'id',        type: 'int' },
+				{ name : 'firstName', type: 'string' },
+				{ name : 'lastName',  type: 'string' }
+			]
+		} );
+		
+		var BenchmarkCollectionView = CollectionView.extend( {
+			tpl : new LoDashTpl( [
+				'<% _.forEach( models, function( model ) { %>',
+					'<div class="user">',
+						'<span class="name"><%- model.get( "lastName" ) %>, <%- model.get( "firstName" ) %></span>',
+						'<span class="id">#<%- model.get( "id" ) %></span>',
+					'</div>',
+				'<% } ) %>'
+			] ),
+			modelSelector : 'div.user'
+		} );
+		
+		// A Collection View which re-renders all models on every change, as the Collection View previously did
+		var FullRefreshCollectionView = BenchmarkCollectionView.extend( {
+			getCollectionListeners : function( collection ) {
+				return {
+					'addset'    : this.refresh,
+					'removeset' : this.refresh,
+					'reorder'   : this.refresh,
+					'changeset' : this.refresh,
+					scope : this
+				};
+			}
+		} );
+		
+		var numModels = 200,
+		    numOperations = 20,
+		    incrementalCollection,
+		    incrementalView,
+		    fullRefreshCollection,
+		    fullRefreshView;
+		
+		
+		function createCollection() {
+			return new Collection( {
+				model : UserModel,
+				data  : _.map( _.range( numModels ), function( i ) {
+					return { id: i, firstName: "First" + i, lastName: "Last" + i };
+				} )
+			} );
+		}
+		
+		// Runs the given function `numOperations` times on the view's collection, and returns the total number of models
+		// that were run through the view's tpl (i.e. the number of models whose markup was rendered)
+		function countRenderedModels( view, fn ) {
+			var collection = view.collection;
+			spyOn( view, 'prepareTplData' ).andCallThrough();
+			
+			for( var i = 0; i < numOperations; i++ ) {
+				fn( collection, i );
+			}
+			return _.reduce( view.prepareTplData.calls, function( count, call ) { return count + call.args[ 0 ].length; }, 0 );
+		}
+		
+		
+		beforeEach( function() {
+			incrementalCollection = createCollection();
+			incrementalView = new BenchmarkCollectionView( { renderTo: 'body', collection: incrementalCollection } );
+			
+			fullRefreshCollection = createCollection();
+			fullRefreshView = new FullRefreshCollectionView( { renderTo: 'body', collection: fullRefreshCollection } );
+		} );
+		
+		afterEach( function() {
+			incrementalView.destroy();
+			fullRefreshView.destroy();
+		} );
+		
+		
+		it( "should only re-render the changed models for model changes, instead of all models", function() {
+			var changeModel = function( collection, i ) {
+				collection.getAt( i * 5 ).set( 'firstName', "Changed" + i );
+			};
+			
+			var incrementalCount = countRenderedModels( incrementalView, changeModel ),
+			    fullRefreshCount = countRenderedModels( fullRefreshView, changeModel );
+			
+			expect( incrementalView.getEl().text() ).toBe( fullRefreshView.getEl().text() );  // sanity check
+			expect( incrementalCount ).toBe( numOperations );  // one model per change
+			expect( fullRefreshCount ).toBe( numOperations * numModels );
+		} );
+		
+		
+		it( "should only render the added models for added, removed, and reordered models, instead of all models", function() {
+			var addRemoveAndMove = function( collection, i ) {
+				collection.add( { id: numModels + i, firstName: "New", lastName: "User" }, { at: i * 5 } );
+				collection.remove( collection.getAt( numModels - i ) );
+				collection.add( collection.getAt( 0 ), { at: numModels / 2 } );
+			};
+			
+			var incrementalCount = countRenderedModels( incrementalView, addRemoveAndMove );
+			countRenderedModels( fullRefreshView, addRemoveAndMove );
+			
+			expect( incrementalView.getEl().text() ).toBe( fullRefreshView.getEl().text() );  // sanity check
+			expect( incrementalCount ).toBe( numOperations );  // only the one new model per operation
+		} );
+	
+	} );
+
+} );
@@ -1,11 +1,12 @@
-/*global define, describe, beforeEach, afterEach, it, expect, spyOn */
+/*global define, describe, beforeEach, afterEach, it, expect, spyOn, jasmine */
 define( [
 	'jquery',
+	'lodash',
 	'data/Model',
 	'data/Collection',
 	'gui/view/Collection',
 	'gui/template/LoDash'
-], function( jQuery, Model, Collection, CollectionView, LoDashTpl ) {
+], function( jQuery, _, Model, Collection, CollectionView, LoDashTpl ) {
 	
 	describe( 'gui.view.Collection', function() {
 		
@@ -220,6 +221,102 @@ define( [
 				
 			} );
 			
+			
+			describe( "`virtualScroll` config", function() {
+				var VirtualCollectionView = CollectionView.extend( {
+					tpl : new LoDashTpl( [
+						'<% _.forEach( models, function( model ) { %>',
+							'<div class="user" style="height: 20px; margin: 0; padding: 0;"><%= model.get( "firstName" ) %></div>',
+						'<% } ) %>'
+					] ),
+					modelSelector : 'div.user'
+				} );
+				
+				var collection,
+				    collectionView;
+				
+				beforeEach( function() {
+					collection = new Collection( {
+						model : UserModel,
+						data  : _.map( _.range( 1000 ), function( i ) {
+							return { id: i, firstName: "User" + i, lastName: "Last" + i };
+						} )
+					} );
+				} );
+				
+				afterEach( function() {
+					collectionView.destroy();
+				} );
+				
+				
+				function createView( virtualScroll ) {
+					collectionView = new VirtualCollectionView( {
+						renderTo      : 'body',
+						height        : 100,
+						collection    : collection,
+						virtualScroll : virtualScroll
+					} );
+				}
+				
+				function getRenderedTexts() {
+					return _.map( collectionView.getEl().find( 'div.user' ).get(), function( el ) { return jQuery( el ).text(); } );
+				}
+				
+				function scrollTo( scrollTop ) {
+					collectionView.getEl().scrollTop( scrollTop ).trigger( 'scroll' );
+				}
+				
+				
+				it( "should only render the models within the visible area, plus the buffer, and reserve the space of the others", function() {
+					createView( { itemHeight: 20, buffer: 5 } );
+					
+					var renderedTexts = getRenderedTexts();
+					expect( renderedTexts.length ).toBe( 10 );  // 5 visible + 5 buffer
+					expect( renderedTexts[ 0 ] ).toBe( "User0" );
+					expect( collectionView.getEl()[ 0 ].scrollHeight ).toBe( 1000 * 20 );
+				} );
+				
+				
+				it( "should render the models that are scrolled into view, and remove the ones that are scrolled away from", function() {
+					createView( { itemHeight: 20, buffer: 5 } );
+					
+					scrollTo( 2000 );  // model 100 at the top
+					
+					var renderedTexts = getRenderedTexts();
+					expect( renderedTexts[ 0 ] ).toBe( "User95" );
+					expect( renderedTexts[ renderedTexts.length - 1 ] ).toBe( "User109" );
+					expect( collectionView.getEl()[ 0 ].scrollHeight ).toBe( 1000 * 20 );
+					
+					expect( collectionView.getElementFromModel( collection.getAt( 0 ) ) ).toBe( null );
+					
+					var $el = collectionView.getElementFromModel( collection.getAt( 100 ) );
+					expect( $el.text() ).toBe( "User100" );
+					expect( collectionView.getModelFromElement( $el ) ).toBe( collection.getAt( 100 ) );
+				} );
+				
+				
+				it( "should measure the item height from the first model element when no `itemHeight` is configured", function() {
+					createView( { buffer: 5 } );
+					
+					expect( getRenderedTexts().length ).toBe( 10 );
+					expect( collectionView.getEl()[ 0 ].scrollHeight ).toBe( 1000 * 20 );
+				} );
+				
+				
+				it( "should keep the scroll height correct when models are added and removed", function() {
+					createView( { itemHeight: 20, buffer: 5 } );
+					
+					collection.add( { id: 1000, firstName: "New", lastName: "User" }, { at: 0 } );
+					expect( getRenderedTexts()[ 0 ] ).toBe( "New" );
+					expect( collectionView.getEl()[ 0 ].scrollHeight ).toBe( 1001 * 20 );
+					
+					collection.remove( collection.getAt( 500 ) );
+					collection.remove( collection.getAt( 500 ) );
+					expect( collectionView.getEl()[ 0 ].scrollHeight ).toBe( 999 * 20 );
+				} );
+				
+			} );
+			
 		} );
 		
 		
@@ -438,6 +535,332 @@ define( [
 		} );
 		
 		
+		describe( "incremental updates", function() {
+			var collection,
+			    collectionView,
+			    tplApplySpy;
+			
+			// Retrieves the text of each model element, in DOM order
+			function getModelTexts() {
+				return _.map( collectionView.getEl().find( 'div' ).get(), function( el ) { return jQuery( el ).text(); } );
+			}
+			
+			// Retrieves the number of models that the tpl was last applied with
+			function getLastRenderedCount() {
+				return tplApplySpy.mostRecentCall.args[ 0 ].models.length;
+			}
+			
+			beforeEach( function() {
+				collection = new Collection( {
+					model : UserModel,
+					data  : [
+						{ id: 1, firstName: "John", lastName: "Smith" },
+						{ id: 2, firstName: "Bob", lastName: "Jones" },
+						{ id: 3, firstName: "Jane", lastName: "Doe" }
+					]
+				} );
+				
+				collectionView = new ConfiguredCollectionView( {
+					renderTo   : 'body',
+					collection : collection
+				} );
+				tplApplySpy = spyOn( collectionView.tpl, 'apply' ).andCallThrough();
+			} );
+			
+			afterEach( function() {
+				collectionView.destroy();
+			} );
+			
+			
+			it( "should render only the added models, inserting their elements at the models' positions", function() {
+				var johnEl = collectionView.getElementFromModel( collection.getAt( 0 ) )[ 0 ];
+				
+				collection.add( { id: 4, firstName: "Mary", lastName: "Major" }, { at: 1 } );
+				expect( getLastRenderedCount() ).toBe( 1 );
+				expect( getModelTexts() ).toEqual( [ "Smith, John", "Major, Mary", "Jones, Bob", "Doe, Jane" ] );
+				
+				collection.add( { id: 5, firstName: "Sam", lastName: "Adams" }, { at: 0 } );
+				expect( getModelTexts() ).toEqual( [ "Adams, Sam", "Smith, John", "Major, Mary", "Jones, Bob", "Doe, Jane" ] );
+				
+				expect( collectionView.getElementFromModel( collection.getAt( 1 ) )[ 0 ] ).toBe( johnEl );  // the existing element was not re-rendered
+				expect( collectionView.getModelFromElement( collectionView.getEl().find( 'div' )[ 0 ] ) ).toBe( collection.getAt( 0 ) );
+			} );
+			
+			
+			it( "should remove the elements of removed models without re-rendering the others", function() {
+				collection.remove( collection.getAt( 1 ) );
+				
+				expect( tplApplySpy ).not.toHaveBeenCalled();
+				expect( getModelTexts() ).toEqual( [ "Smith, John", "Doe, Jane" ] );
+			} );
+			
+			
+			it( "should move the elements of reordered models without re-rendering them", function() {
+				collection.add( collection.getAt( 0 ), { at: 2 } );
+				
+				expect( tplApplySpy ).not.toHaveBeenCalled();
+				expect( getModelTexts() ).toEqual( [ "Jones, Bob", "Doe, Jane", "Smith, John" ] );
+				expect( collectionView.getModelFromElement( collectionView.getEl().find( 'div' )[ 2 ] ) ).toBe( collection.getAt( 2 ) );
+			} );
+			
+			
+			it( "should re-render only the element of a changed model", function() {
+				var johnEl = collectionView.getElementFromModel( collection.getAt( 0 ) )[ 0 ];
+				
+				collection.getAt( 1 ).set( 'firstName', "Robert" );
+				
+				expect( getLastRenderedCount() ).toBe( 1 );
+				expect( getModelTexts() ).toEqual( [ "Smith, John", "Jones, Robert", "Doe, Jane" ] );
+				expect( collectionView.getElementFromModel( collection.getAt( 0 ) )[ 0 ] ).toBe( johnEl );
+				expect( collectionView.getModelFromElement( collectionView.getElementFromModel( collection.getAt( 1 ) ) ) ).toBe( collection.getAt( 1 ) );
+			} );
+			
+		} );
+		
+		
+		describe( "selection", function() {
+			var collection,
+			    collectionView;
+			
+			beforeEach( function() {
+				collection = new Collection( {
+					model : UserModel,
+					data  : [
+						{ id: 1, firstName: "John", lastName: "Smith" },
+						{ id: 2, firstName: "Bob", lastName: "Jones" },
+						{ id: 3, firstName: "Jane", lastName: "Doe" }
+					]
+				} );
+				
+				collectionView = new ConfiguredCollectionView( {
+					renderTo       : 'body',
+					collection     : collection,
+					selectionModel : 'multi'
+				} );
+			} );
+			
+			afterEach( function() {
+				collectionView.destroy();
+			} );
+			
+			
+			it( "should not allow selection if no `selectionModel` is configured", function() {
+				var plainView = new ConfiguredCollectionView( { renderTo: 'body', collection: collection } );
+				
+				plainView.getElementFromModel( collection.getAt( 0 ) ).click();
+				expect( plainView.getSelectionModel() ).toBe( null );
+				expect( plainView.getSelection() ).toEqual( [] );
+				
+				plainView.destroy();
+			} );
+			
+			
+			it( "should select a model when its element is clicked, firing the 'select' and 'selectionchange' events", function() {
+				var selectSpy = jasmine.createSpy( 'selectSpy' ),
+				    selectionChangeSpy = jasmine.createSpy( 'selectionChangeSpy' ),
+				    bob = collection.getAt( 1 );
+				
+				collectionView.on( { 'select': selectSpy, 'selectionchange': selectionChangeSpy } );
+				collectionView.getElementFromModel( bob ).click();
+				
+				expect( collectionView.getSelection() ).toEqual( [ bob ] );
+				expect( collectionView.getElementFromModel( bob ).hasClass( 'gui-collectionview-selected' ) ).toBe( true );
+				expect( collectionView.getElementFromModel( bob ).hasClass( 'gui-collectionview-focused' ) ).toBe( true );
+				expect( selectSpy ).toHaveBeenCalledWith( collectionView, bob );
+				expect( selectionChangeSpy ).toHaveBeenCalledWith( collectionView, [ bob ] );
+			} );
+			
+			
+			it( "should select a range of models on shift-click", function() {
+				collectionView.getElementFromModel( collection.getAt( 0 ) ).click();
+				collectionView.getElementFromModel( collection.getAt( 2 ) ).trigger( jQuery.Event( 'click', { shiftKey: true } ) );
+				
+				expect( collectionView.getSelection() ).toEqual( collection.getModels() );
+			} );
+			
+			
+			it( "should move the selection with the arrow keys, preventing the default action of the key", function() {
+				collectionView.select( collection.getAt( 0 ) );
+				collectionView.getElementFromModel( collection.getAt( 0 ) ).click();
+				
+				var keyEvt = jQuery.Event( 'keydown', { keyCode: 40 } );  // down arrow
+				collectionView.getEl().trigger( keyEvt );
+				
+				expect( collectionView.getSelection() ).toEqual( [ collection.getAt( 1 ) ] );
+				expect( collectionView.getElementFromModel( collection.getAt( 0 ) ).hasClass( 'gui-collectionview-focused' ) ).toBe( false );
+				expect( collectionView.getElementFromModel( collection.getAt( 1 ) ).hasClass( 'gui-collectionview-focused' ) ).toBe( true );
+				expect( keyEvt.isDefaultPrevented() ).toBe( true );
+			} );
+			
+			
+			it( "should keep the selected state of a model's element when the model is re-rendered", function() {
+				var bob = collection.getAt( 1 );
+				collectionView.select( bob );
+				
+				bob.set( 'firstName', "Robert" );
+				expect( collectionView.getElementFromModel( bob ).hasClass( 'gui-collectionview-selected' ) ).toBe( true );
+			} );
+			
+			
+			it( "should remove models from the selection when they are removed from the collection", function() {
+				var selectionChangeSpy = jasmine.createSpy( 'selectionChangeSpy' ),
+				    bob = collection.getAt( 1 );
+				
+				collectionView.select( [ collection.getAt( 0 ), bob ] );
+				collectionView.on( 'selectionchange', selectionChangeSpy );
+				
+				collection.remove( bob );
+				expect( collectionView.getSelection() ).toEqual( [ collection.getAt( 0 ) ] );
+				expect( selectionChangeSpy ).toHaveBeenCalledWith( collectionView, [ collection.getAt( 0 ) ] );
+			} );
+			
+			
+			it( "should clear the selection when a new collection is bound", function() {
+				collectionView.select( collection.getAt( 0 ) );
+				collectionView.bindCollection( new Collection( { model: UserModel } ) );
+				
+				expect( collectionView.getSelection() ).toEqual( [] );
+			} );
+		
+		} );
+		
+		
+		describe( "paging", function() {
+			var collection,
+			    collectionView;
+			
+			beforeEach( function() {
+				collection = new Collection( {
+					model : UserModel,
+					data  : _.map( _.range( 1, 8 ), function( i ) {
+						return { id: i, firstName: "First" + i, lastName: "Last" + i };
+					} )
+				} );
+				
+				collectionView = new ConfiguredCollectionView( {
+					renderTo   : 'body',
+					collection : collection,
+					paging     : { pageSize: 3 }
+				} );
+			} );
+			
+			afterEach( function() {
+				collectionView.destroy();
+			} );
+			
+			
+			// Retrieves the ids of the models that are currently rendered, in order
+			function getRenderedIds() {
+				return _.map( collectionView.getEl().find( 'div' ).get(), function( el ) {
+					return collectionView.getModelFromElement( el ).get( 'id' );
+				} );
+			}
+			
+			
+			it( "should require a `pageSize`, and not allow the `virtualScroll` config to be combined with it", function() {
+				expect( function() {
+					var collectionView = new ConfiguredCollectionView( { paging: {} } );
+				} ).toThrow( "`paging` config requires a `pageSize`" );
+				
+				expect( function() {
+					var collectionView = new ConfiguredCollectionView( { paging: { pageSize: 3 }, virtualScroll: true } );
+				} ).toThrow( "`paging` and `virtualScroll` configs may not be combined" );
+			} );
+			
+			
+			it( "should only render the models of the first page initially", function() {
+				expect( getRenderedIds() ).toEqual( [ 1, 2, 3 ] );
+				expect( collectionView.getPage() ).toBe( 1 );
+				expect( collectionView.getPageCount() ).toBe( 3 );
+				expect( collectionView.getTotalCount() ).toBe( 7 );
+			} );
+			
+			
+			it( "should retrieve the models of the current page from getPageModels()", function() {
+				expect( collectionView.getPageModels() ).toEqual( collection.getModels().slice( 0, 3 ) );
+				
+				collectionView.loadPage( 3 );
+				expect( collectionView.getPageModels() ).toEqual( [ collection.getAt( 6 ) ] );
+			} );
+			
+			
+			it( "should render the models of the page provided to loadPage(), limiting it to the existing pages, and fire 'pagingchange'", function() {
+				var pagingChangeSpy = jasmine.createSpy( 'pagingChangeSpy' );
+				collectionView.on( 'pagingchange', pagingChangeSpy );
+				
+				collectionView.loadPage( 2 );
+				expect( getRenderedIds() ).toEqual( [ 4, 5, 6 ] );
+				expect( pagingChangeSpy ).toHaveBeenCalledWith( collectionView, 2, 3, 7 );
+				
+				collectionView.loadPage( 10 );
+				expect( collectionView.getPage() ).toBe( 3 );
+				expect( getRenderedIds() ).toEqual( [ 7 ] );
+				
+				collectionView.loadPage( -1 );
+				expect( collectionView.getPage() ).toBe( 1 );
+			} );
+			
+			
+			it( "should move to the last existing page when the models of the current page are removed, and fire 'pagingchange'", function() {
+				var pagingChangeSpy = jasmine.createSpy( 'pagingChangeSpy' );
+				
+				collectionView.loadPage( 3 );
+				collectionView.on( 'pagingchange', pagingChangeSpy );
+				collection.remove( collection.getAt( 6 ) );
+				
+				expect( collectionView.getPage() ).toBe( 2 );
+				expect( getRenderedIds() ).toEqual( [ 4, 5, 6 ] );
+				expect( pagingChangeSpy ).toHaveBeenCalledWith( collectionView, 2, 2, 6 );
+			} );
+			
+			
+			it( "should update the current page when models are added, and fire 'pagingchange'", function() {
+				var pagingChangeSpy = jasmine.createSpy( 'pagingChangeSpy' );
+				collectionView.on( 'pagingchange', pagingChangeSpy );
+				
+				collection.add( { id: 0, firstName: "First0", lastName: "Last0" }, { at: 0 } );
+				
+				expect( getRenderedIds() ).toEqual( [ 0, 1, 2 ] );
+				expect( pagingChangeSpy ).toHaveBeenCalledWith( collectionView, 1, 3, 8 );
+			} );
+			
+			
+			it( "should have the collection load the page when `remote` is true", function() {
+				var remoteView = new ConfiguredCollectionView( { collection: collection, paging: { pageSize: 3, remote: true } } );
+				spyOn( collection, 'getTotalCount' ).andReturn( 30 );
+				spyOn( collection, 'loadPage' );
+				
+				remoteView.loadPage( 4 );
+				expect( collection.loadPage ).toHaveBeenCalledWith( 4 );
+				expect( remoteView.getPageCount() ).toBe( 10 );
+				
+				remoteView.destroy();
+			} );
+			
+			
+			it( "should not limit the page to the page count when `remote` is true and the total count is not yet known, but should once a load completes", function() {
+				var remoteView = new ConfiguredCollectionView( { collection: collection, paging: { pageSize: 3, remote: true } } );
+				spyOn( collection, 'getTotalCount' ).andReturn( undefined );
+				spyOn( collection, 'loadPage' );
+				
+				expect( remoteView.isTotalCountKnown() ).toBe( false );
+				remoteView.loadPage( 3 );
+				expect( collection.loadPage ).toHaveBeenCalledWith( 3 );
+				expect( remoteView.getPage() ).toBe( 3 );
+				
+				// The proxy reports a total count of 5 models (2 pages) with the load, so the last page is loaded instead
+				collection.getTotalCount.andReturn( 5 );
+				collection.fireEvent( 'load', collection );
+				expect( remoteView.isTotalCountKnown() ).toBe( true );
+				expect( remoteView.getPage() ).toBe( 2 );
+				expect( collection.loadPage.mostRecentCall.args ).toEqual( [ 2 ] );
+				
+				remoteView.destroy();
+			} );
+		
+		} );
+		
+		
 		describe( 'getModelFromElement()', function() {
 			var collection0,
 			    collection1,
@@ -0,0 +1,243 @@
+/*global define, describe, beforeEach, afterEach, it, expect, jasmine */
+define( [
+	'jquery',
+	'lodash',
+	'data/Model',
+	'data/Collection',
+	'gui/view/SelectionModel'
+], function( jQuery, _, Model, Collection, SelectionModel ) {
+	
+	describe( 'gui.view.SelectionModel', function() {
+		
+		var TestModel = Model.extend( {
+			attributes : [ 'id' ]
+		} );
+		
+		var collection,
+		    models,
+		    view;
+		
+		beforeEach( function() {
+			collection = new Collection( {
+				model : TestModel,
+				data  : [ { id: 0 }, { id: 1 }, { id: 2 }, { id: 3 }, { id: 4 } ]
+			} );
+			models = collection.getModels();
+			
+			// A minimal stand-in for the Collection View, which is all that the SelectionModel uses of it
+			view = {
+				getCollection : function() { return collection; },
+				getPageModels : function() { return collection.getModels(); }
+			};
+		} );
+		
+		
+		function createSelectionModel( mode ) {
+			return new SelectionModel( { mode: mode, view: view } );
+		}
+		
+		// Creates a mock event object for the handleClick() and handleKeyDown() methods
+		function evt( props ) {
+			return _.assign( { ctrlKey: false, metaKey: false, shiftKey: false }, props );
+		}
+		
+		
+		describe( "setSelection()", function() {
+			
+			it( "should fire 'select' and 'deselect' for each changed model, and then a single 'selectionchange'", function() {
+				var selectionModel = createSelectionModel( 'multi' ),
+				    selectSpy = jasmine.createSpy( 'selectSpy' ),
+				    deselectSpy = jasmine.createSpy( 'deselectSpy' ),
+				    selectionChangeSpy = jasmine.createSpy( 'selectionChangeSpy' );
+				
+				selectionModel.setSelection( [ models[ 0 ], models[ 1 ] ] );
+				selectionModel.on( { 'select': selectSpy, 'deselect': deselectSpy, 'selectionchange': selectionChangeSpy } );
+				
+				selectionModel.setSelection( [ models[ 1 ], models[ 2 ] ] );
+				expect( deselectSpy.calls.length ).toBe( 1 );
+				expect( deselectSpy ).toHaveBeenCalledWith( selectionModel, models[ 0 ] );
+				expect( selectSpy.calls.length ).toBe( 1 );
+				expect( selectSpy ).toHaveBeenCalledWith( selectionModel, models[ 2 ] );
+				expect( selectionChangeSpy.calls.length ).toBe( 1 );
+				expect( selectionChangeSpy ).toHaveBeenCalledWith( selectionModel, [ models[ 1 ], models[ 2 ] ] );
+			} );
+			
+			
+			it( "should not fire any events if the selection does not change", function() {
+				var selectionModel = createSelectionModel( 'multi' ),
+				    selectionChangeSpy = jasmine.createSpy( 'selectionChangeSpy' );
+				
+				selectionModel.setSelection( [ models[ 0 ] ] );
+				selectionModel.on( 'selectionchange', selectionChangeSpy );
+				selectionModel.select( models[ 0 ], /* keepExisting */ true );
+				
+				expect( selectionChangeSpy ).not.toHaveBeenCalled();
+			} );
+			
+			
+			it( "should only keep the last model in 'single' mode", function() {
+				var selectionModel = createSelectionModel( 'single' );
+				
+				selectionModel.select( models[ 0 ] );
+				selectionModel.select( models[ 1 ], /* keepExisting */ true );
+				
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ] ] );
+			} );
+		
+		} );
+		
+		
+		describe( "handleClick()", function() {
+			
+			it( "should select only the clicked model in 'single' mode, and deselect it on ctrl-click", function() {
+				var selectionModel = createSelectionModel( 'single' );
+				
+				selectionModel.handleClick( models[ 0 ], evt() );
+				selectionModel.handleClick( models[ 2 ], evt( { ctrlKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 2 ] ] );
+				
+				selectionModel.handleClick( models[ 2 ], evt( { ctrlKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [] );
+			} );
+			
+			
+			it( "should toggle models with ctrl-click, and select ranges with shift-click, in 'multi' mode", function() {
+				var selectionModel = createSelectionModel( 'multi' );
+				
+				selectionModel.handleClick( models[ 1 ], evt() );
+				selectionModel.handleClick( models[ 3 ], evt( { shiftKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ], models[ 2 ], models[ 3 ] ] );
+				
+				selectionModel.handleClick( models[ 0 ], evt( { shiftKey: true } ) );  // range from the same anchor
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 0 ], models[ 1 ] ] );
+				
+				selectionModel.handleClick( models[ 4 ], evt( { metaKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 0 ], models[ 1 ], models[ 4 ] ] );
+				
+				selectionModel.handleClick( models[ 0 ], evt( { ctrlKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ], models[ 4 ] ] );
+				
+				selectionModel.handleClick( models[ 2 ], evt() );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 2 ] ] );
+			} );
+			
+			
+			it( "should toggle models without modifier keys in 'simple' mode", function() {
+				var selectionModel = createSelectionModel( 'simple' );
+				
+				selectionModel.handleClick( models[ 0 ], evt() );
+				selectionModel.handleClick( models[ 2 ], evt() );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 0 ], models[ 2 ] ] );
+				
+				selectionModel.handleClick( models[ 0 ], evt() );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 2 ] ] );
+			} );
+			
+			
+			it( "should focus the clicked model", function() {
+				var selectionModel = createSelectionModel( 'single' );
+				
+				selectionModel.handleClick( models[ 3 ], evt() );
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 3 ] );
+			} );
+		
+		} );
+		
+		
+		describe( "handleKeyDown()", function() {
+			
+			it( "should move the focus and selection with the arrow, home, and end keys in 'single' mode", function() {
+				var selectionModel = createSelectionModel( 'single' );
+				
+				expect( selectionModel.handleKeyDown( evt( { keyCode: 40 } ) ) ).toBe( true );  // down
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 0 ] );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 0 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 35 } ) );  // end
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 4 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );  // down, at the last model
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 4 ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 38 } ) );  // up
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 3 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 36 } ) );  // home
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 0 ] ] );
+			} );
+			
+			
+			it( "should extend the selection with shift-arrow in 'multi' mode, and only move the focus with ctrl-arrow", function() {
+				var selectionModel = createSelectionModel( 'multi' );
+				
+				selectionModel.handleClick( models[ 1 ], evt() );
+				selectionModel.handleKeyDown( evt( { keyCode: 40, shiftKey: true } ) );
+				selectionModel.handleKeyDown( evt( { keyCode: 40, shiftKey: true } ) );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ], models[ 2 ], models[ 3 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 40, ctrlKey: true } ) );
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 4 ] );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ], models[ 2 ], models[ 3 ] ] );
+			} );
+			
+			
+			it( "should only move the focus with the arrow keys in 'simple' mode, and toggle the focused model with space", function() {
+				var selectionModel = createSelectionModel( 'simple' );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 1 ] );
+				expect( selectionModel.getSelection() ).toEqual( [] );
+				
+				expect( selectionModel.handleKeyDown( evt( { keyCode: 32 } ) ) ).toBe( true );  // space
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 1 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 32 } ) );
+				expect( selectionModel.getSelection() ).toEqual( [] );
+			} );
+			
+			
+			it( "should only move the focus among the models on the view's current page", function() {
+				var selectionModel = createSelectionModel( 'single' );
+				view.getPageModels = function() { return models.slice( 2, 4 ); };  // the second page, with a page size of 2
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );  // down, with no focused model
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 2 ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );
+				selectionModel.handleKeyDown( evt( { keyCode: 40 } ) );  // down, at the last model of the page
+				expect( selectionModel.getFocusedModel() ).toBe( models[ 3 ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 36 } ) );  // home
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 2 ] ] );
+				
+				selectionModel.handleKeyDown( evt( { keyCode: 35 } ) );  // end
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 3 ] ] );
+			} );
+			
+			
+			it( "should return false for keys that it does not handle", function() {
+				expect( createSelectionModel( 'single' ).handleKeyDown( evt( { keyCode: 65 } ) ) ).toBe( false );  // 'a'
+			} );
+		
+		} );
+		
+		
+		describe( "pruneModels()", function() {
+			
+			it( "should deselect the given models, and clear the focus if the focused model was removed", function() {
+				var selectionModel = createSelectionModel( 'multi' );
+				
+				selectionModel.handleClick( models[ 1 ], evt() );
+				selectionModel.select( models[ 3 ], /* keepExisting */ true );
+				
+				selectionModel.pruneModels( [ models[ 1 ], models[ 2 ] ] );
+				expect( selectionModel.getSelection() ).toEqual( [ models[ 3 ] ] );
+				expect( selectionModel.getFocusedModel() ).toBe( null );
+			} );
+		
+		} );
+	
+	} );
+
+} );